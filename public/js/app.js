@@ -44,8 +44,13 @@ const elements = {
     warningsBanner: document.getElementById('warnings-banner'),
     confidenceWarning: document.getElementById('confidence-warning'),
     confidenceMessage: document.getElementById('confidence-message'),
+    confidenceFactors: document.getElementById('confidence-factors'),
     complianceWarning: document.getElementById('compliance-warning'),
     complianceList: document.getElementById('compliance-list'),
+    factualWarning: document.getElementById('factual-warning'),
+    factualList: document.getElementById('factual-list'),
+    conflictWarning: document.getElementById('conflict-warning'),
+    conflictList: document.getElementById('conflict-list'),
 
     // Inline Preview Sections (for text mode)
     shortPreviewSection: document.getElementById('short-preview-section'),
@@ -98,7 +103,7 @@ const elements = {
 
 // State
 let currentMode = 'text';
-let selectedFile = null;
+let selectedFiles = [];
 let currentResults = {
     shortDescription: '',
     longDescription: ''
@@ -123,6 +128,13 @@ function showToast(message, isError = false) {
     }, 3000);
 }
 
+// Tell the user when the server returned fallback text instead of AI output
+function notifyIfDegraded(data) {
+    if (data && data.degraded) {
+        showToast(`AI unavailable, showing fallback text. ${data.degradedReason || ''}`.trim(), true);
+    }
+}
+
 function setLoading(isLoading, message = 'Processing...') {
     elements.loadingText.textContent = message;
     if (isLoading) {
@@ -140,7 +152,7 @@ function updateEnhanceButtonStates() {
 }
 
 function updateExtractButtonState() {
-    elements.extractBtn.disabled = !selectedFile;
+    elements.extractBtn.disabled = selectedFiles.length === 0;
 }
 
 // Mode switching
@@ -168,23 +180,44 @@ function handleTextInput(textarea, countElement) {
     updateEnhanceButtonStates();
 }
 
+// Product documents the extract endpoint reads, by MIME type and extension
+// (some browsers give no type for .docx or .txt files)
+const DOCUMENT_TYPES = [
+    'application/pdf',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'text/html',
+    'text/plain'
+];
+const DOCUMENT_EXTENSIONS = /\.(pdf|docx|html?|txt)$/i;
+
+// Most documents read together (e.g. a brochure and its contract), as the server allows
+const MAX_DOCUMENTS = 5;
+
 // File upload handlers
-function handleFileSelect(file) {
-    if (!file) return;
+function handleFileSelect(fileList) {
+    const files = [...(fileList || [])];
+    if (files.length === 0) return;
 
-    if (file.type !== 'application/pdf') {
-        showToast('Please select a PDF file', true);
+    if (files.length > MAX_DOCUMENTS) {
+        showToast(`Please select at most ${MAX_DOCUMENTS} documents`, true);
         return;
     }
 
-    if (file.size > 10 * 1024 * 1024) {
-        showToast('File size must be less than 10MB', true);
-        return;
+    for (const file of files) {
+        if (!DOCUMENT_TYPES.includes(file.type) && !(file.type === '' && DOCUMENT_EXTENSIONS.test(file.name))) {
+            showToast('Please select a PDF, Word (DOCX), HTML or text file', true);
+            return;
+        }
+
+        if (file.size > 10 * 1024 * 1024) {
+            showToast('File size must be less than 10MB', true);
+            return;
+        }
     }
 
-    selectedFile = file;
-    elements.fileName.textContent = file.name;
-    elements.fileSize.textContent = formatFileSize(file.size);
+    selectedFiles = files;
+    elements.fileName.textContent = files.map(file => file.name).join(', ');
+    elements.fileSize.textContent = formatFileSize(files.reduce((sum, file) => sum + file.size, 0));
 
     elements.uploadZone.classList.add('hidden');
     elements.fileInfo.classList.remove('hidden');
@@ -192,7 +225,7 @@ function handleFileSelect(file) {
 }
 
 function removeSelectedFile() {
-    selectedFile = null;
+    selectedFiles = [];
     elements.pdfInput.value = '';
     elements.uploadZone.classList.remove('hidden');
     elements.fileInfo.classList.add('hidden');
@@ -226,6 +259,7 @@ async function enhanceShortDescription() {
 
         const data = await response.json();
         displayShortResult(data);
+        notifyIfDegraded(data);
     } catch (error) {
         console.error('Enhancement error:', error);
         showToast(error.message || 'Enhancement failed. Please try again.', true);
@@ -234,6 +268,7 @@ async function enhanceShortDescription() {
     }
 }
 
+// Long descriptions stream from the server so the preview fills in as the model writes
 async function enhanceLongDescription() {
     const longDescription = elements.longInput.value.trim();
 
@@ -244,10 +279,8 @@ async function enhanceLongDescription() {
 
     setLoading(true, 'Enhancing long description with AI...');
 
-    const apiUrl = CONFIG.workerUrl ? `${CONFIG.workerUrl}/enhance` : '/api/enhance';
-
     try {
-        const response = await fetch(apiUrl, {
+        const response = await fetch('/api/enhance/stream', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({ shortDescription: null, longDescription })
@@ -258,8 +291,27 @@ async function enhanceLongDescription() {
             throw new Error(error.error || 'Enhancement failed');
         }
 
-        const data = await response.json();
+        let streamed = '';
+        let data = null;
+
+        for await (const event of readServerEvents(response)) {
+            if (event.type === 'token') {
+                if (!streamed) setLoading(false);
+                streamed += event.data.text;
+                displayLongPreview(streamed);
+            } else if (event.type === 'done') {
+                data = event.data;
+            } else if (event.type === 'error') {
+                throw new Error(event.data.error || 'Enhancement failed');
+            }
+        }
+
+        if (!data) {
+            throw new Error('Enhancement stream ended unexpectedly');
+        }
+
         displayLongResult(data);
+        notifyIfDegraded(data);
     } catch (error) {
         console.error('Enhancement error:', error);
         showToast(error.message || 'Enhancement failed. Please try again.', true);
@@ -268,33 +320,63 @@ async function enhanceLongDescription() {
     }
 }
 
+// Parse a Server-Sent Events response into {type, data} events
+async function* readServerEvents(response) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) return;
+        buffer += decoder.decode(value, { stream: true });
+
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const block = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+
+            let type = 'message';
+            let data = '';
+            for (const line of block.split('\n')) {
+                if (line.startsWith('event:')) type = line.slice(6).trim();
+                if (line.startsWith('data:')) data += line.slice(5).trim();
+            }
+            if (data) yield { type, data: JSON.parse(data) };
+        }
+    }
+}
+
 async function extractFromPDF() {
-    if (!selectedFile) {
-        showToast('Please select a PDF file', true);
+    if (selectedFiles.length === 0) {
+        showToast('Please select a document', true);
         return;
     }
 
-    setLoading(true, 'Extracting and analyzing PDF content...');
+    setLoading(true, 'Extracting and analyzing document content...');
 
     try {
         const formData = new FormData();
-        formData.append('pdf', selectedFile);
+        for (const file of selectedFiles) {
+            formData.append('file', file);
+        }
 
-        const response = await fetch('/api/extract-pdf', {
+        const response = await fetch('/api/extract', {
             method: 'POST',
             body: formData
         });
 
         if (!response.ok) {
             const error = await response.json();
-            throw new Error(error.error || 'PDF extraction failed');
+            throw new Error(error.error || 'Document extraction failed');
         }
 
         const data = await response.json();
         displayPdfResults(data);
+        notifyIfDegraded(data);
     } catch (error) {
         console.error('PDF extraction error:', error);
-        showToast(error.message || 'PDF extraction failed. Please try again.', true);
+        showToast(error.message || 'Document extraction failed. Please try again.', true);
     } finally {
         setLoading(false);
     }
@@ -306,7 +388,8 @@ function displayShortResult(data) {
 
     // Display in inline preview (text mode)
     if (elements.inlineShortPreview) {
-        elements.inlineShortPreview.textContent = data.shortDescription || '';
+        elements.inlineShortPreview.innerHTML =
+            highlightFindings(data.shortDescription || '', data.complianceFindings, 'short', false);
     }
     if (elements.inlineShortEdit) {
         elements.inlineShortEdit.value = data.shortDescription || '';
@@ -325,7 +408,9 @@ function displayLongResult(data) {
 
     // Display in inline preview (as HTML)
     if (elements.inlineLongPreview) {
-        elements.inlineLongPreview.innerHTML = data.longDescription || '';
+        elements.inlineLongPreview.classList.remove('streaming');
+        elements.inlineLongPreview.innerHTML =
+            highlightFindings(data.longDescription || '', data.complianceFindings, 'long', true);
     }
     if (elements.inlineLongEdit) {
         elements.inlineLongEdit.value = data.longDescription || '';
@@ -338,6 +423,22 @@ function displayLongResult(data) {
     hideInlineEditMode('long');
 }
 
+// Show partial model output while it streams. The raw HTML is not sanitized yet,
+// so it is rendered as text; the final sanitized HTML replaces it when done.
+function displayLongPreview(partialHtml) {
+    const text = partialHtml
+        .replace(/<li[^>]*>/gi, '• ')
+        .replace(/<\/(p|li|ul)>|<br\s*\/?>/gi, '\n')
+        .replace(/<[^>]*>?/g, '')
+        .replace(/\n{2,}/g, '\n');
+
+    if (elements.inlineLongPreview) {
+        elements.inlineLongPreview.classList.add('streaming');
+        elements.inlineLongPreview.textContent = text;
+    }
+    elements.longPreviewSection.classList.remove('hidden');
+}
+
 // Display PDF results (uses separate results section)
 function displayPdfResults(data) {
     currentResults = {
@@ -353,13 +454,16 @@ function displayPdfResults(data) {
 
     // Populate the results section
     if (resultsShortPreview) {
-        resultsShortPreview.textContent = data.shortDescription || '';
+        resultsShortPreview.innerHTML =
+            highlightFindings(data.shortDescription || '', data.complianceFindings, 'short', false);
     }
     if (resultsShortEdit) {
         resultsShortEdit.value = data.shortDescription || '';
     }
     if (resultsLongPreview) {
-        resultsLongPreview.innerHTML = data.longDescription || '';
+        resultsLongPreview.innerHTML =
+            highlightFindings(data.longDescription || '', data.complianceFindings, 'long', true);
+        attachCitations(resultsLongPreview, data.citations);
     }
     if (resultsLongEdit) {
         resultsLongEdit.value = data.longDescription || '';
@@ -380,6 +484,107 @@ function displayPdfResults(data) {
     if (resultsLongPreview) resultsLongPreview.classList.remove('hidden');
 }
 
+function escapeHTML(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Wrap one field's compliance findings in <mark> tags. Offsets index the text
+// as the API returned it; plain text is escaped, HTML is kept as markup.
+function highlightFindings(text, findings, field, isHtml) {
+    const escape = isHtml ? (value => value) : escapeHTML;
+    const spans = (findings || [])
+        .filter(finding => finding.field === field)
+        .sort((a, b) => a.start - b.start);
+    let html = '';
+    let position = 0;
+
+    for (const finding of spans) {
+        const matched = text.slice(finding.start, finding.end);
+        // Skip overlapping matches, and matches that would split an HTML tag
+        if (finding.start < position || (isHtml && /[<>]/.test(matched))) continue;
+
+        html += escape(text.slice(position, finding.start));
+        html += `<mark class="compliance-mark severity-${finding.severity}" title="${escapeHTML(finding.message)}">` +
+            `${escape(matched)}</mark>`;
+        position = finding.end;
+    }
+
+    return html + escape(text.slice(position));
+}
+
+// Hover text for a citation: the PDF page and passage a statement came from
+function citationLabel(citation) {
+    return citation.page
+        ? `Page ${citation.page}: "${citation.source.text}"`
+        : 'No matching passage found in the PDF - verify before publishing';
+}
+
+function markCited(element, citation) {
+    element.classList.add('citation', citation.page ? 'cited' : 'uncited');
+    element.title = citationLabel(citation);
+}
+
+// Wrap each cited sentence of a plain-text paragraph in its own span. Paragraphs
+// with markup inside (bold text, compliance marks) get one tooltip listing all.
+function citeParagraph(paragraph, citations) {
+    const textOnly = [...paragraph.childNodes].every(node => node.nodeType === Node.TEXT_NODE);
+    if (!textOnly) {
+        paragraph.classList.add('citation', citations.some(citation => citation.page) ? 'cited' : 'uncited');
+        paragraph.title = citations.map(citationLabel).join('\n\n');
+        return;
+    }
+
+    const text = paragraph.textContent;
+    const fragment = document.createDocumentFragment();
+    let position = 0;
+
+    for (const citation of citations) {
+        // Whitespace in the preview may differ from the sentence the API returned
+        const words = citation.text.trim().split(/\s+/).map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        const match = new RegExp(words.join('\\s+')).exec(text.slice(position));
+        if (!match) continue;
+
+        const start = position + match.index;
+        const span = document.createElement('span');
+        span.textContent = match[0];
+        markCited(span, citation);
+        fragment.append(text.slice(position, start), span);
+        position = start + match[0].length;
+    }
+
+    fragment.append(text.slice(position));
+    paragraph.replaceChildren(fragment);
+}
+
+// Show the source of each bullet and sentence on hover. Citations index the
+// <li> and <p> elements of the long description in document order.
+function attachCitations(preview, citations) {
+    if (!citations || citations.length === 0) return;
+
+    const elements = { li: preview.querySelectorAll('li'), p: preview.querySelectorAll('p') };
+    const paragraphs = new Map();
+
+    for (const citation of citations) {
+        const element = elements[citation.element][citation.index];
+        if (!element) continue;
+
+        if (citation.element === 'li') {
+            markCited(element, citation);
+        } else {
+            if (!paragraphs.has(element)) paragraphs.set(element, []);
+            paragraphs.get(element).push(citation);
+        }
+    }
+
+    for (const [paragraph, paragraphCitations] of paragraphs) {
+        citeParagraph(paragraph, paragraphCitations);
+    }
+}
+
 // Display warnings helper
 function displayWarnings(data) {
     let hasWarnings = false;
@@ -388,8 +593,10 @@ function displayWarnings(data) {
     if (data.lowConfidence && elements.confidenceWarning) {
         elements.confidenceWarning.classList.remove('hidden');
         const confidencePercent = Math.round(data.confidence * 100);
+        const source = data.ocrUsed ? ' The text was read from a scanned document.' : '';
         elements.confidenceMessage.textContent =
-            `AI confidence is ${confidencePercent}%. Please verify accuracy before publishing.`;
+            `AI confidence is ${confidencePercent}%.${source} Please verify accuracy before publishing.`;
+        renderConfidenceFactors(data.confidenceFactors);
         hasWarnings = true;
     } else if (elements.confidenceWarning) {
         elements.confidenceWarning.classList.add('hidden');
@@ -398,19 +605,101 @@ function displayWarnings(data) {
     // Compliance warnings
     if (data.complianceWarnings && data.complianceWarnings.length > 0 && elements.complianceWarning) {
         elements.complianceWarning.classList.remove('hidden');
-        elements.complianceList.innerHTML = data.complianceWarnings
-            .map(w => `<li>${w}</li>`)
-            .join('');
+        elements.complianceList.innerHTML = '';
+        for (const item of complianceListItems(data)) {
+            elements.complianceList.appendChild(item);
+        }
         hasWarnings = true;
     } else if (elements.complianceWarning) {
         elements.complianceWarning.classList.add('hidden');
     }
 
+    // Facts in the output that the source document doesn't support
+    if (data.factualWarnings && data.factualWarnings.length > 0 && elements.factualWarning) {
+        elements.factualWarning.classList.remove('hidden');
+        elements.factualList.innerHTML = '';
+        for (const warning of data.factualWarnings) {
+            const item = document.createElement('li');
+            item.textContent = warning;
+            elements.factualList.appendChild(item);
+        }
+        hasWarnings = true;
+    } else if (elements.factualWarning) {
+        elements.factualWarning.classList.add('hidden');
+    }
+
+    // Terms the uploaded documents state differently (PDF mode, several files)
+    if (data.documentConflicts && data.documentConflicts.length > 0 && elements.conflictWarning) {
+        elements.conflictWarning.classList.remove('hidden');
+        elements.conflictList.innerHTML = '';
+        for (const conflict of data.documentConflicts) {
+            const item = document.createElement('li');
+            item.textContent = conflict.message;
+            elements.conflictList.appendChild(item);
+        }
+        hasWarnings = true;
+    } else if (elements.conflictWarning) {
+        elements.conflictWarning.classList.add('hidden');
+    }
+
     if (elements.warningsBanner) {
         elements.warningsBanner.classList.toggle('hidden', !hasWarnings);
     }
 }
 
+// Why confidence is low: the factors that lowered it or added nothing come first
+function renderConfidenceFactors(factors) {
+    if (!elements.confidenceFactors) return;
+    elements.confidenceFactors.innerHTML = '';
+
+    const sorted = [...(factors || [])].sort((a, b) => a.contribution - b.contribution);
+    for (const factor of sorted) {
+        const item = document.createElement('li');
+        const points = Math.round(factor.contribution * 100);
+        item.className = points < 0 ? 'factor-negative' : points > 0 ? 'factor-positive' : 'factor-neutral';
+        const badge = document.createElement('span');
+        badge.className = 'factor-contribution';
+        badge.textContent = points > 0 ? `+${points}%` : points < 0 ? `\u2212${-points}%` : '0%';
+        item.append(badge, ` ${factor.explanation}`);
+        elements.confidenceFactors.appendChild(item);
+    }
+}
+
+// One list item per finding (with its severity and the matched phrase), then
+// any legacy warnings with no finding, e.g. ones raised by the input text
+function complianceListItems(data) {
+    const findings = data.complianceFindings || [];
+    const items = [];
+    const shown = new Set();
+
+    for (const finding of findings) {
+        const key = `${finding.ruleId}:${finding.matchedText.toLowerCase()}`;
+        if (shown.has(key)) continue;
+        shown.add(key);
+
+        const item = document.createElement('li');
+        item.className = `finding-${finding.severity}`;
+        const badge = document.createElement('span');
+        badge.className = 'severity-badge';
+        badge.textContent = finding.severity;
+        item.append(badge, ` "${finding.matchedText}" - ${finding.message}`);
+        if (finding.suggestion) {
+            item.append(` (try "${finding.suggestion}")`);
+        }
+        items.push(item);
+    }
+
+    const covered = new Set(findings.map(finding => finding.message));
+    for (const warning of data.complianceWarnings || []) {
+        if (covered.has(warning)) continue;
+        const item = document.createElement('li');
+        item.textContent = warning;
+        items.push(item);
+    }
+
+    return items;
+}
+
 // Edit mode handlers for results section (PDF mode)
 function showEditMode(type) {
     if (type === 'short') {
@@ -598,7 +887,7 @@ function initEventListeners() {
 
     // File upload
     elements.pdfInput.addEventListener('change', (e) => {
-        handleFileSelect(e.target.files[0]);
+        handleFileSelect(e.target.files);
     });
 
     // Drag and drop
@@ -614,7 +903,7 @@ function initEventListeners() {
     elements.uploadZone.addEventListener('drop', (e) => {
         e.preventDefault();
         elements.uploadZone.classList.remove('dragover');
-        handleFileSelect(e.dataTransfer.files[0]);
+        handleFileSelect(e.dataTransfer.files);
     });
 
     elements.removeFile.addEventListener('click', removeSelectedFile);
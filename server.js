@@ -3,37 +3,213 @@ const path = require('path');
 const multer = require('multer');
 
 // Import services
-const { enhanceDescriptions } = require('./services/enhancer');
-const { extractFromPDF } = require('./services/pdf-extractor');
-const { sanitizeHTML } = require('./services/sanitizer');
-const { checkCompliance, ensureDisclaimer } = require('./services/compliance');
+const { enhanceDescriptions, enhanceDescriptionsStream } = require('./services/enhancer');
+const { extractFromDocuments, MAX_DOCUMENTS } = require('./services/pdf-extractor');
+const { detectFormat, DOCUMENT_FORMATS } = require('./services/document-reader');
+const { sanitizeHTML, validateHTML } = require('./services/sanitizer');
+const { normalizeHTML } = require('./services/html-normalizer');
+const { getSanitizerProfile, listSanitizerProfiles, DEFAULT_PROFILE } = require('./services/sanitizer-profiles');
+const {
+  checkCompliance,
+  ensureDisclaimer,
+  normalizeState,
+  hasDisclaimer,
+  findMissingDisclosures,
+  validateForPublishing
+} = require('./services/compliance');
+const { checkFactPreservation } = require('./services/fact-checker');
+const { fixCompliance } = require('./services/compliance-fixer');
+const { renderOutputs, OUTPUT_FORMATS } = require('./services/renderers');
+const { citeSources } = require('./services/citations');
+const { getBatchConcurrency, mapWithConcurrency } = require('./services/batch');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
-app.use(express.json());
+// Bulk audit requests carry whole catalogues, so allow more than the 100kb default
+app.use(express.json({ limit: '5mb' }));
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Configure multer for PDF uploads (10MB limit)
+// Configure multer for document uploads (10MB limit)
 const storage = multer.memoryStorage();
-const upload = multer({
-  storage: storage,
-  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB
-  fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'application/pdf') {
-      cb(null, true);
-    } else {
-      cb(new Error('Only PDF files are allowed'), false);
+
+/**
+ * Upload middleware accepting the given document formats. The detected format
+ * is kept on req.file.format; other files are rejected with INVALID_FILE_TYPE.
+ */
+function createUpload(formats, message) {
+  return multer({
+    storage: storage,
+    limits: { fileSize: 10 * 1024 * 1024 }, // 10MB
+    fileFilter: (req, file, cb) => {
+      const format = detectFormat(file);
+      if (formats.includes(format)) {
+        file.format = format;
+        cb(null, true);
+      } else {
+        const error = new Error(message);
+        error.code = 'INVALID_FILE_TYPE';
+        cb(error, false);
+      }
     }
-  }
-});
+  });
+}
+
+const pdfUpload = createUpload(['pdf'], 'Only PDF files are allowed');
+const documentUpload = createUpload(Object.keys(DOCUMENT_FORMATS), 'Only PDF, DOCX, HTML and TXT files are allowed');
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
+/**
+ * Read the optional state/productType parameters that select state compliance rules
+ * @returns {{context: {state: string|null, productType: string|null}} | {error: Object}}
+ */
+function parseComplianceContext(body) {
+  const { state, productType } = body || {};
+
+  if (state !== undefined && state !== null && state !== '' && !normalizeState(state)) {
+    return {
+      error: {
+        error: 'State must be a two-letter US state code (e.g. "CA")',
+        code: 'INVALID_STATE'
+      }
+    };
+  }
+
+  return {
+    context: {
+      state: normalizeState(state),
+      productType: typeof productType === 'string' && productType.trim() ? productType.trim() : null
+    }
+  };
+}
+
+/**
+ * Read the optional profile parameter that selects the sanitizer profile
+ * (allowed tags) for the long description
+ * @returns {{profile: Object} | {error: Object}}
+ */
+function parseSanitizerProfile(body) {
+  const { profile } = body || {};
+
+  if (profile === undefined || profile === null || profile === '') {
+    return { profile: DEFAULT_PROFILE };
+  }
+
+  const resolved = typeof profile === 'string' ? getSanitizerProfile(profile.trim()) : null;
+  if (!resolved) {
+    return {
+      error: {
+        error: `Profile must be one of: ${listSanitizerProfiles().join(', ')}`,
+        code: 'INVALID_PROFILE'
+      }
+    };
+  }
+
+  return { profile: resolved };
+}
+
+/**
+ * Restrict HTML built outside the sanitizer (the appended disclaimer is
+ * <p><em style>) to a non-default profile's tags
+ */
+function applyProfile(html, profile) {
+  return profile === DEFAULT_PROFILE ? html : sanitizeHTML(html, profile);
+}
+
+/**
+ * Read the optional outputFormats parameter: a list of renderer names, or a
+ * comma-separated string (multipart form fields can't carry arrays)
+ * @returns {{formats: string[]} | {error: Object}}
+ */
+function parseOutputFormats(body) {
+  const { outputFormats } = body || {};
+
+  if (outputFormats === undefined || outputFormats === null || outputFormats === '') {
+    return { formats: [] };
+  }
+
+  const formats = typeof outputFormats === 'string'
+    ? outputFormats.split(',').map(format => format.trim()).filter(Boolean)
+    : outputFormats;
+
+  if (!Array.isArray(formats) || !formats.every(format => OUTPUT_FORMATS.includes(format))) {
+    return {
+      error: {
+        error: `outputFormats must list formats from: ${OUTPUT_FORMATS.join(', ')}`,
+        code: 'INVALID_OUTPUT_FORMAT'
+      }
+    };
+  }
+
+  return { formats: [...new Set(formats)] };
+}
+
+/**
+ * The descriptions an enhancement was written from, as one text for quote checks
+ */
+function sourceTextOf(input) {
+  return `${input.shortDescription || ''}\n${input.longDescription || ''}`;
+}
+
+/**
+ * Turn raw AI output into the API response: sanitize the long description,
+ * repair its structure, append the disclaimer, check compliance of both
+ * input and output and flag facts the AI added that are not in the input
+ */
+function finalizeEnhancement(input, enhanced, context, { outputFormats = [], profile = DEFAULT_PROFILE } = {}) {
+  // Sanitize the long description HTML, then repair its structure
+  const structure = normalizeHTML(sanitizeHTML(enhanced.longDescription, profile), context, profile);
+  const sanitizedLong = structure.html;
+
+  // Ensure disclaimer (and any state-required disclosures) are present in long description
+  const longWithDisclaimer = applyProfile(ensureDisclaimer(sanitizedLong, context), profile);
+
+  // Check for compliance issues (check both input and output to be thorough).
+  // Quotes in the output are exempt only when they quote the input word for word
+  const inputCompliance = checkCompliance(input.shortDescription, input.longDescription, context);
+  const outputCompliance = checkCompliance(enhanced.shortDescription, longWithDisclaimer, context, {
+    sourceText: sourceTextOf(input)
+  });
+
+  // Merge results. Findings come from the output only, so their offsets
+  // point into the returned descriptions
+  const complianceResult = {
+    hasIssues: inputCompliance.hasIssues || outputCompliance.hasIssues,
+    warnings: [...new Set([...inputCompliance.warnings, ...outputCompliance.warnings])],
+    findings: outputCompliance.findings
+  };
+
+  // Check facts before the disclaimer is added, so its wording isn't flagged
+  const factCheck = checkFactPreservation(
+    `${input.shortDescription || ''} ${input.longDescription || ''}`,
+    `${enhanced.shortDescription} ${sanitizedLong}`
+  );
+
+  const result = {
+    shortDescription: enhanced.shortDescription,
+    longDescription: longWithDisclaimer,
+    complianceWarnings: complianceResult.warnings,
+    complianceFindings: complianceResult.findings,
+    hasComplianceIssues: complianceResult.hasIssues,
+    factualWarnings: factCheck.warnings,
+    structuralChanges: structure.changes,
+    degraded: enhanced.degraded,
+    degradedReason: enhanced.degradedReason
+  };
+
+  // Optional: the long description in other formats for downstream systems
+  if (outputFormats.length > 0) {
+    result.outputs = renderOutputs(longWithDisclaimer, outputFormats, context);
+  }
+
+  return result;
+}
+
 // Enhancement endpoint
 app.post('/api/enhance', async (req, res) => {
   const startTime = Date.now();
@@ -48,36 +224,46 @@ app.post('/api/enhance', async (req, res) => {
       });
     }
 
+    const { context, error } = parseComplianceContext(req.body);
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    const { formats, error: formatError } = parseOutputFormats(req.body);
+    if (formatError) {
+      return res.status(400).json(formatError);
+    }
+
+    const { profile, error: profileError } = parseSanitizerProfile(req.body);
+    if (profileError) {
+      return res.status(400).json(profileError);
+    }
+
     console.log(`[ENHANCE] Starting enhancement...`);
 
     // Enhance descriptions using AI
-    const enhanced = await enhanceDescriptions(shortDescription, longDescription);
+    const enhanced = await enhanceDescriptions(shortDescription, longDescription, { profile });
     console.log(`[ENHANCE] AI call completed in ${Date.now() - startTime}ms`);
+    if (enhanced.degraded) {
+      console.warn(`[ENHANCE] Returning fallback text: ${enhanced.degradedReason}`);
+    }
 
-    // Sanitize the long description HTML
-    const sanitizedLong = sanitizeHTML(enhanced.longDescription);
-
-    // Ensure disclaimer is present in long description
-    const longWithDisclaimer = ensureDisclaimer(sanitizedLong);
-
-    // Check for compliance issues (check both input and output to be thorough)
-    const inputCompliance = checkCompliance(shortDescription, longDescription);
-    const outputCompliance = checkCompliance(enhanced.shortDescription, longWithDisclaimer);
+    const result = finalizeEnhancement({ shortDescription, longDescription }, enhanced, context, {
+      outputFormats: formats,
+      profile
+    });
 
-    // Merge results
-    const complianceResult = {
-      hasIssues: inputCompliance.hasIssues || outputCompliance.hasIssues,
-      warnings: [...new Set([...inputCompliance.warnings, ...outputCompliance.warnings])]
-    };
+    // Optional: propose compliant rewrites of the result for the user to accept or reject
+    if (req.body.fixCompliance === true) {
+      result.complianceFix = await fixCompliance(result.shortDescription, result.longDescription, {
+        context,
+        sourceText: sourceTextOf({ shortDescription, longDescription })
+      });
+    }
 
     console.log(`[ENHANCE] Total request time: ${Date.now() - startTime}ms`);
 
-    res.json({
-      shortDescription: enhanced.shortDescription,
-      longDescription: longWithDisclaimer,
-      complianceWarnings: complianceResult.warnings,
-      hasComplianceIssues: complianceResult.hasIssues
-    });
+    res.json(result);
   } catch (error) {
     console.error('Enhancement error:', error);
     res.status(500).json({
@@ -87,62 +273,460 @@ app.post('/api/enhance', async (req, res) => {
   }
 });
 
-// PDF extraction endpoint
-app.post('/api/extract-pdf', upload.single('pdf'), async (req, res) => {
+// Compliance fix endpoint
+// Proposes replacements for flagged phrases: rule pack substitutions first, then
+// an AI rewrite of each remaining offending sentence. Nothing is applied for the
+// caller; the patched text shows the result of accepting every change.
+app.post('/api/compliance/fix', async (req, res) => {
   try {
-    if (!req.file) {
+    const { shortDescription, longDescription, useAI, sourceText } = req.body || {};
+
+    if (!shortDescription && !longDescription) {
+      return res.status(400).json({
+        error: 'At least one description (short or long) must be provided',
+        code: 'EMPTY_INPUT'
+      });
+    }
+    if ([shortDescription, longDescription].some(text => text && typeof text !== 'string')) {
       return res.status(400).json({
-        error: 'No PDF file uploaded',
-        code: 'NO_FILE'
+        error: 'Descriptions must be strings',
+        code: 'INVALID_INPUT'
       });
     }
 
-    // Extract and generate descriptions from PDF
-    const extracted = await extractFromPDF(req.file.buffer);
+    const { context, error } = parseComplianceContext(req.body);
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    const result = await fixCompliance(shortDescription, longDescription, {
+      context,
+      sourceText: typeof sourceText === 'string' ? sourceText : undefined,
+      useAI: useAI !== false
+    });
+
+    res.json(result);
+  } catch (error) {
+    console.error('Compliance fix error:', error);
+    res.status(500).json({
+      error: 'Compliance fix service temporarily unavailable. Please try again.',
+      code: 'SERVICE_ERROR'
+    });
+  }
+});
+
+// Most descriptions accepted in one bulk request to the audit endpoints
+const MAX_BULK_ITEMS = 500;
+
+/**
+ * Check one description pair for the audit endpoints
+ * @returns {{item: Object} | {error: Object}} - item has shortDescription, longDescription, sourceText
+ *   (optional text the descriptions were written from), context and profile
+ */
+function parseAuditItem(item, defaults = {}) {
+  const { shortDescription, longDescription } = item || {};
+
+  if (!shortDescription && !longDescription) {
+    return {
+      error: {
+        error: 'At least one description (short or long) must be provided',
+        code: 'EMPTY_INPUT'
+      }
+    };
+  }
+  if ([shortDescription, longDescription].some(text => text && typeof text !== 'string')) {
+    return {
+      error: {
+        error: 'Descriptions must be strings',
+        code: 'INVALID_INPUT'
+      }
+    };
+  }
+
+  const { context, error } = parseComplianceContext({
+    state: item.state !== undefined ? item.state : defaults.state,
+    productType: item.productType !== undefined ? item.productType : defaults.productType
+  });
+  if (error) {
+    return { error };
+  }
+
+  const { profile, error: profileError } = parseSanitizerProfile({
+    profile: item.profile !== undefined ? item.profile : defaults.profile
+  });
+  if (profileError) {
+    return { error: profileError };
+  }
+
+  return {
+    item: {
+      shortDescription: shortDescription || '',
+      longDescription: longDescription || '',
+      sourceText: typeof item.sourceText === 'string' ? item.sourceText : undefined,
+      context,
+      profile
+    }
+  };
+}
+
+/**
+ * Route handler for the audit endpoints (no AI involved). The body is either
+ * one item ({shortDescription, longDescription, state, productType, profile}) or
+ * {items: [...]}, where top-level state/productType/profile apply to items without their own.
+ * A bulk request answers {results: [...]}, with {error, code} for items that fail
+ * validation so one bad row doesn't reject the whole catalogue.
+ * @param {function(Object): Object} audit - Builds the result for a parsed item
+ */
+function auditRoute(audit) {
+  return (req, res) => {
+    const body = req.body || {};
+
+    if (body.items === undefined) {
+      const { item, error } = parseAuditItem(body);
+      if (error) {
+        return res.status(400).json(error);
+      }
+      return res.json(audit(item));
+    }
 
-    // Handle extraction failure
-    if (!extracted.success) {
+    if (!Array.isArray(body.items) || body.items.length === 0) {
+      return res.status(400).json({
+        error: '"items" must be a non-empty list of descriptions',
+        code: 'INVALID_INPUT'
+      });
+    }
+    if (body.items.length > MAX_BULK_ITEMS) {
       return res.status(400).json({
-        error: extracted.error || 'No text could be extracted from this PDF.',
-        code: 'EXTRACTION_FAILED'
+        error: `At most ${MAX_BULK_ITEMS} items can be checked per request`,
+        code: 'TOO_MANY_ITEMS'
       });
     }
 
-    // Sanitize the long description HTML
-    const sanitizedLong = sanitizeHTML(extracted.longDescription);
+    const defaults = parseComplianceContext(body);
+    if (defaults.error) {
+      return res.status(400).json(defaults.error);
+    }
+    const defaultProfile = parseSanitizerProfile(body);
+    if (defaultProfile.error) {
+      return res.status(400).json(defaultProfile.error);
+    }
+
+    const results = body.items.map((raw, index) => {
+      const id = raw && raw.id !== undefined ? raw.id : index;
+      const { item, error } = parseAuditItem(raw, body);
+      return error ? { id, ...error } : { id, ...audit(item) };
+    });
+
+    res.json({ results });
+  };
+}
+
+// Compliance check endpoint - lint existing descriptions against the rule packs
+app.post('/api/compliance/check', auditRoute(({ shortDescription, longDescription, sourceText, context }) => {
+  const compliance = checkCompliance(shortDescription, longDescription, context, { sourceText });
+
+  return {
+    complianceWarnings: compliance.warnings,
+    complianceFindings: compliance.findings,
+    hasComplianceIssues: compliance.hasIssues,
+    hasDisclaimer: hasDisclaimer(longDescription, context),
+    missingDisclosures: findMissingDisclosures(longDescription, context)
+      .map(({ id, state, text }) => ({ id, state, text }))
+  };
+}));
 
-    // Ensure disclaimer is present
-    const longWithDisclaimer = ensureDisclaimer(sanitizedLong);
+// Publish validation endpoint - PRD format rules, compliance errors and unsafe HTML
+app.post('/api/validate', auditRoute(({ shortDescription, longDescription, context, profile }) => {
+  const publishing = validateForPublishing(shortDescription, longDescription, context);
+  const html = validateHTML(longDescription, profile);
 
-    // Check for compliance issues
-    const complianceResult = checkCompliance(extracted.shortDescription, longWithDisclaimer);
+  return {
+    valid: publishing.valid && html.valid,
+    errors: publishing.errors,
+    warnings: publishing.warnings,
+    htmlIssues: html.issues
+  };
+}));
 
-    res.json({
-      shortDescription: extracted.shortDescription,
-      longDescription: longWithDisclaimer,
-      confidence: extracted.confidence,
-      lowConfidence: extracted.confidence < 0.8,
-      complianceWarnings: complianceResult.warnings,
-      hasComplianceIssues: complianceResult.hasIssues,
-      extractedSections: extracted.sections
+// Sanitize endpoint - the same cleaning /api/enhance applies to AI output
+app.post('/api/sanitize', auditRoute(({ shortDescription, longDescription, profile }) => {
+  const sanitizedShort = shortDescription.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+  const sanitizedLong = sanitizeHTML(longDescription, profile);
+
+  return {
+    shortDescription: sanitizedShort,
+    longDescription: sanitizedLong,
+    changed: sanitizedShort !== shortDescription || sanitizedLong !== longDescription,
+    htmlIssues: validateHTML(longDescription, profile).issues
+  };
+}));
+
+// Streaming enhancement endpoint (Server-Sent Events)
+// Emits "token" events with chunks of the raw long description as the model writes it,
+// then one "done" event with the same body /api/enhance returns.
+app.post('/api/enhance/stream', async (req, res) => {
+  const startTime = Date.now();
+  const { shortDescription, longDescription } = req.body || {};
+
+  if (!shortDescription && !longDescription) {
+    return res.status(400).json({
+      error: 'At least one description (short or long) must be provided',
+      code: 'EMPTY_INPUT'
     });
-  } catch (error) {
-    console.error('PDF extraction error:', error);
+  }
 
-    if (error.message === 'Only PDF files are allowed') {
-      return res.status(400).json({
-        error: 'Only PDF files are allowed',
-        code: 'INVALID_FILE_TYPE'
-      });
+  const { context, error } = parseComplianceContext(req.body);
+  if (error) {
+    return res.status(400).json(error);
+  }
+
+  const { formats, error: formatError } = parseOutputFormats(req.body);
+  if (formatError) {
+    return res.status(400).json(formatError);
+  }
+
+  const { profile, error: profileError } = parseSanitizerProfile(req.body);
+  if (profileError) {
+    return res.status(400).json(profileError);
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+
+  // Keep generating if the client goes away, but stop writing to the socket
+  let closed = false;
+  res.on('close', () => { closed = true; });
+
+  const send = (event, data) => {
+    if (!closed) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
     }
+  };
 
-    res.status(500).json({
-      error: 'Failed to process PDF. Please try a different file.',
-      code: 'PROCESSING_ERROR'
+  try {
+    console.log(`[ENHANCE] Starting streamed enhancement...`);
+
+    const enhanced = await enhanceDescriptionsStream(shortDescription, longDescription, (text) => {
+      send('token', { text });
+    }, { profile });
+    if (enhanced.degraded) {
+      console.warn(`[ENHANCE] Returning fallback text: ${enhanced.degradedReason}`);
+    }
+
+    send('done', finalizeEnhancement({ shortDescription, longDescription }, enhanced, context, {
+      outputFormats: formats,
+      profile
+    }));
+    console.log(`[ENHANCE] Total stream time: ${Date.now() - startTime}ms`);
+  } catch (error) {
+    console.error('Enhancement stream error:', error);
+    send('error', {
+      error: 'Enhancement service temporarily unavailable. Please try again.',
+      code: 'SERVICE_ERROR'
+    });
+  }
+
+  res.end();
+});
+
+// Most products enhanced in one batch request (each takes one or two AI calls)
+const MAX_BATCH_ITEMS = 100;
+
+// Batch enhancement endpoint - backfill a dealer catalogue in one call
+// The body is {items: [{id, shortDescription, longDescription, state, productType, profile}]};
+// top-level state/productType/profile apply to items without their own, outputFormats and
+// fixCompliance to every item. Items are enhanced BATCH_CONCURRENCY at a time and answered
+// in request order, each with its id and the /api/enhance result, or {error, code} if it failed.
+app.post('/api/enhance/batch', async (req, res) => {
+  const startTime = Date.now();
+  const body = req.body || {};
+
+  if (!Array.isArray(body.items) || body.items.length === 0) {
+    return res.status(400).json({
+      error: '"items" must be a non-empty list of products',
+      code: 'INVALID_INPUT'
     });
   }
+  if (body.items.length > MAX_BATCH_ITEMS) {
+    return res.status(400).json({
+      error: `At most ${MAX_BATCH_ITEMS} products can be enhanced per request`,
+      code: 'TOO_MANY_ITEMS'
+    });
+  }
+
+  const defaults = parseComplianceContext(body);
+  if (defaults.error) {
+    return res.status(400).json(defaults.error);
+  }
+
+  const { formats, error: formatError } = parseOutputFormats(body);
+  if (formatError) {
+    return res.status(400).json(formatError);
+  }
+
+  const defaultProfile = parseSanitizerProfile(body);
+  if (defaultProfile.error) {
+    return res.status(400).json(defaultProfile.error);
+  }
+
+  const concurrency = getBatchConcurrency();
+  console.log(`[BATCH] Enhancing ${body.items.length} products, ${concurrency} at a time...`);
+
+  const results = await mapWithConcurrency(body.items, concurrency, async (raw, index) => {
+    const id = raw && raw.id !== undefined ? raw.id : index;
+    const { item, error } = parseAuditItem(raw, body);
+    if (error) {
+      return { id, ...error };
+    }
+
+    try {
+      const enhanced = await enhanceDescriptions(item.shortDescription, item.longDescription, { profile: item.profile });
+      const result = finalizeEnhancement(item, enhanced, item.context, {
+        outputFormats: formats,
+        profile: item.profile
+      });
+
+      if (body.fixCompliance === true) {
+        result.complianceFix = await fixCompliance(result.shortDescription, result.longDescription, {
+          context: item.context,
+          sourceText: sourceTextOf(item)
+        });
+      }
+
+      return { id, ...result };
+    } catch (itemError) {
+      console.error(`Batch enhancement error (item ${id}):`, itemError);
+      return {
+        id,
+        error: 'Enhancement service temporarily unavailable. Please try again.',
+        code: 'SERVICE_ERROR'
+      };
+    }
+  });
+
+  const succeeded = results.filter(result => !result.code);
+  const summary = {
+    total: results.length,
+    succeeded: succeeded.length,
+    failed: results.length - succeeded.length,
+    withComplianceIssues: succeeded.filter(result => result.hasComplianceIssues).length,
+    degraded: succeeded.filter(result => result.degraded).length
+  };
+
+  console.log(`[BATCH] ${summary.succeeded}/${summary.total} enhanced in ${Date.now() - startTime}ms`);
+
+  res.json({ results, summary });
 });
 
+/**
+ * Route handler generating one description pair from the uploaded product
+ * documents (up to MAX_DOCUMENTS, e.g. a brochure and its contract)
+ * @param {string} label - What the route takes, for error messages ("PDF", "document")
+ */
+function createExtractionHandler(label) {
+  return async (req, res) => {
+    try {
+      if (!req.files || req.files.length === 0) {
+        return res.status(400).json({
+          error: `No ${label} file uploaded`,
+          code: 'NO_FILE'
+        });
+      }
+
+      const { context, error } = parseComplianceContext(req.body);
+      if (error) {
+        return res.status(400).json(error);
+      }
+
+      const { formats, error: formatError } = parseOutputFormats(req.body);
+      if (formatError) {
+        return res.status(400).json(formatError);
+      }
+
+      const { profile, error: profileError } = parseSanitizerProfile(req.body);
+      if (profileError) {
+        return res.status(400).json(profileError);
+      }
+
+      // Extract and generate descriptions from the documents, as the requested product type if given
+      const files = req.files.map(file => ({ buffer: file.buffer, format: file.format, name: file.originalname }));
+      const extracted = await extractFromDocuments(files, { profile, productType: context.productType });
+
+      // Handle extraction failure
+      if (!extracted.success) {
+        return res.status(400).json({
+          error: extracted.error || `No text could be extracted from this ${label}.`,
+          code: 'EXTRACTION_FAILED'
+        });
+      }
+
+      // State rules use the requested product type, else the one detected in the document
+      const complianceContext = {
+        state: context.state,
+        productType: extracted.sections.productType
+      };
+
+      // Sanitize the long description HTML, then repair its structure
+      const structure = normalizeHTML(sanitizeHTML(extracted.longDescription, profile), complianceContext, profile);
+
+      // Ensure disclaimer is present
+      const longWithDisclaimer = applyProfile(ensureDisclaimer(structure.html, complianceContext), profile);
+
+      // Check for compliance issues
+      // Quotes of the documents themselves are cited contract language
+      const complianceResult = checkCompliance(extracted.shortDescription, longWithDisclaimer, complianceContext, {
+        sourceText: extracted.pages.join('\n')
+      });
+
+      const result = {
+        format: extracted.format,
+        shortDescription: extracted.shortDescription,
+        longDescription: longWithDisclaimer,
+        confidence: extracted.confidence,
+        lowConfidence: extracted.confidence < 0.8,
+        confidenceFactors: extracted.confidenceFactors,
+        complianceWarnings: complianceResult.warnings,
+        complianceFindings: complianceResult.findings,
+        hasComplianceIssues: complianceResult.hasIssues,
+        extractedSections: extracted.sections,
+        ocrUsed: extracted.ocrUsed,
+        extractedTerms: extracted.extractedTerms,
+        tables: extracted.tables,
+        documents: extracted.documents,
+        documentConflicts: extracted.documentConflicts,
+        sourcePages: extracted.sourcePages,
+        chunkCount: extracted.chunkCount,
+        citations: citeSources(longWithDisclaimer, extracted.pages, complianceContext),
+        factualWarnings: extracted.factualWarnings,
+        structuralChanges: structure.changes,
+        degraded: extracted.degraded,
+        degradedReason: extracted.degradedReason
+      };
+
+      if (formats.length > 0) {
+        result.outputs = renderOutputs(longWithDisclaimer, formats, complianceContext);
+      }
+
+      res.json(result);
+    } catch (error) {
+      console.error(`${label} extraction error:`, error);
+
+      res.status(500).json({
+        error: `Failed to process ${label}. Please try a different file.`,
+        code: 'PROCESSING_ERROR'
+      });
+    }
+  };
+}
+
+// Document extraction endpoints: PDF, Word, HTML or plain text; and the original PDF-only route
+const UPLOAD_FIELDS = { '/api/extract': 'file', '/api/extract-pdf': 'pdf' };
+app.post('/api/extract', documentUpload.array(UPLOAD_FIELDS['/api/extract'], MAX_DOCUMENTS), createExtractionHandler('document'));
+app.post('/api/extract-pdf', pdfUpload.array(UPLOAD_FIELDS['/api/extract-pdf'], MAX_DOCUMENTS), createExtractionHandler('PDF'));
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error('Server error:', err);
@@ -154,6 +738,21 @@ app.use((err, req, res, next) => {
         code: 'FILE_TOO_LARGE'
       });
     }
+    // Raised both for a file past the limit and for a file under another field name
+    if (err.code === 'LIMIT_UNEXPECTED_FILE') {
+      const field = UPLOAD_FIELDS[req.path];
+      return res.status(400).json(err.field === field
+        ? { error: `Too many files. Upload at most ${MAX_DOCUMENTS} documents per request.`, code: 'TOO_MANY_FILES' }
+        : { error: `Unexpected file field "${err.field}". Upload files as "${field}".`, code: 'UNEXPECTED_FIELD' });
+    }
+  }
+
+  // Raised by the multer fileFilter, so it never reaches the route handler
+  if (err.code === 'INVALID_FILE_TYPE') {
+    return res.status(400).json({
+      error: err.message,
+      code: 'INVALID_FILE_TYPE'
+    });
   }
 
   res.status(500).json({
@@ -162,9 +761,11 @@ app.use((err, req, res, next) => {
   });
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`F&I Description Enhancement server running at http://localhost:${PORT}`);
-});
+// Start server (skipped when required by tests, which listen on their own port)
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`F&I Description Enhancement server running at http://localhost:${PORT}`);
+  });
+}
 
 module.exports = app;
@@ -0,0 +1,413 @@
+/**
+ * AI Provider Service
+ *
+ * Single entry point for every chat completion the app makes. The backend is
+ * selected by configuration instead of being hard-wired into each caller:
+ * - openai: OpenAI API using OPENAI_API_KEY
+ * - worker: Cloudflare Worker proxy (/complete) at CLOUDFLARE_WORKER_URL
+ * - local:  Any OpenAI-compatible endpoint (Ollama, LM Studio, vLLM...) at AI_BASE_URL
+ * - stub:   Deterministic in-process model for offline use and tests
+ *
+ * With AI_CASSETTE set, the stub replays recorded interactions from that file,
+ * and AI_CASSETTE_MODE=record captures the real provider's output into it.
+ *
+ * Every call runs under the timeout/retry/circuit-breaker policy in resilience.js.
+ */
+
+require('dotenv').config();
+const OpenAI = require('openai');
+const { createFakeModel } = require('./fake-model');
+const { loadCassette, createRecordingProvider } = require('./cassette');
+const {
+    getResiliencePolicy,
+    createAIError,
+    withTimeout,
+    withIdleTimeout,
+    withRetry,
+    createCircuitBreaker
+} = require('./resilience');
+
+const DEFAULT_MODEL = 'gpt-4o-mini';
+const DEFAULT_LOCAL_BASE_URL = 'http://localhost:11434/v1';
+
+/**
+ * @typedef {Object} CompletionRequest
+ * @property {string} task - Logical task name (e.g. 'enhance-short', 'generate-from-document')
+ * @property {string} input - Source text the prompt was built from
+ * @property {Object} [params] - Parameters the prompt was built from (prompts.js buildPrompt);
+ *   the worker provider sends these instead of the messages
+ * @property {Array<{role: string, content: string}>} messages - Chat messages
+ * @property {number} [maxTokens] - Maximum tokens to generate
+ * @property {number} [temperature] - Sampling temperature
+ * @property {boolean} [json] - Ask the model for a JSON object response
+ * @property {AbortSignal} [signal] - Set by the client to abort timed-out requests
+ */
+
+/**
+ * Read AI configuration from the environment
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Object} - Resolved configuration
+ */
+function getAIConfig(env = process.env) {
+    const workerUrl = env.CLOUDFLARE_WORKER_URL || null;
+    const openaiKey = env.OPENAI_API_KEY || null;
+
+    // Explicit choice wins; otherwise keep the historical preference order:
+    // Worker proxy first, then a local OpenAI key.
+    let provider = env.AI_PROVIDER ? env.AI_PROVIDER.trim().toLowerCase() : null;
+    if (!provider) {
+        if (workerUrl) provider = 'worker';
+        else if (openaiKey) provider = 'openai';
+    }
+
+    // A failing Worker falls back to OpenAI when a key is available
+    let fallbackProvider = env.AI_FALLBACK_PROVIDER ? env.AI_FALLBACK_PROVIDER.trim().toLowerCase() : null;
+    if (!fallbackProvider && provider === 'worker' && openaiKey) {
+        fallbackProvider = 'openai';
+    }
+
+    return {
+        provider,
+        fallbackProvider: fallbackProvider !== provider ? fallbackProvider : null,
+        model: env.AI_MODEL || DEFAULT_MODEL,
+        openaiKey,
+        workerUrl,
+        workerSecret: env.CLOUDFLARE_WORKER_SECRET || null,
+        baseUrl: env.AI_BASE_URL || DEFAULT_LOCAL_BASE_URL,
+        localApiKey: env.AI_API_KEY || null,
+        cassette: env.AI_CASSETTE || null,
+        cassetteMode: env.AI_CASSETTE_MODE === 'record' ? 'record' : 'replay',
+        policy: getResiliencePolicy(env)
+    };
+}
+
+/**
+ * Build the request body shared by OpenAI-compatible endpoints
+ */
+function toChatCompletionBody(request, model) {
+    const body = {
+        model,
+        messages: request.messages,
+        temperature: request.temperature ?? 0.7
+    };
+
+    if (request.maxTokens) body.max_tokens = request.maxTokens;
+    if (request.json) body.response_format = { type: 'json_object' };
+
+    return body;
+}
+
+/**
+ * Provider backed by the OpenAI SDK (also used for OpenAI-compatible local servers)
+ */
+function createOpenAICompatibleProvider(name, { apiKey, baseURL, model }) {
+    let sdk = null;
+
+    // Construct lazily so a missing key only fails when the provider is used.
+    // Retries are handled by the client's policy, not the SDK.
+    function getSDK() {
+        if (!sdk) {
+            sdk = new OpenAI(baseURL ? { apiKey, baseURL, maxRetries: 0 } : { apiKey, maxRetries: 0 });
+        }
+        return sdk;
+    }
+
+    return {
+        name,
+        model,
+        async complete(request) {
+            const response = await getSDK().chat.completions.create(
+                toChatCompletionBody(request, model),
+                { signal: request.signal }
+            );
+            return response.choices[0].message.content.trim();
+        },
+        async stream(request) {
+            const chunks = await getSDK().chat.completions.create(
+                { ...toChatCompletionBody(request, model), stream: true },
+                { signal: request.signal }
+            );
+
+            return (async function* () {
+                for await (const chunk of chunks) {
+                    const delta = chunk.choices[0] && chunk.choices[0].delta.content;
+                    if (delta) yield delta;
+                }
+            })();
+        }
+    };
+}
+
+/**
+ * Read the data payloads of a Server-Sent Events response body
+ * @param {ReadableStream<Uint8Array>} body - fetch() response body
+ * @returns {AsyncIterable<string>}
+ */
+async function* readEventStream(body) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const bytes of body) {
+        buffer += decoder.decode(bytes, { stream: true });
+
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const event = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+
+            const data = event.split('\n')
+                .filter(line => line.startsWith('data:'))
+                .map(line => line.slice(5).trimStart())
+                .join('\n');
+            if (data) yield data;
+        }
+    }
+}
+
+/**
+ * Provider that forwards completions through the Cloudflare Worker proxy.
+ * The Worker builds the prompt itself from the task name and parameters
+ * (see prompts.js) and only answers requests carrying the shared secret.
+ */
+function createWorkerProvider({ workerUrl, workerSecret, model }) {
+    if (!workerUrl) {
+        throw new Error('CLOUDFLARE_WORKER_URL is required for the worker AI provider');
+    }
+
+    const endpoint = `${workerUrl.replace(/\/$/, '')}/complete`;
+
+    async function post(request, stream) {
+        if (!request.params) {
+            throw new Error(`The worker AI provider needs a prompt built by prompts.js (task "${request.task}")`);
+        }
+
+        const response = await fetch(endpoint, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(workerSecret ? { 'Authorization': `Bearer ${workerSecret}` } : {})
+            },
+            body: JSON.stringify({
+                task: request.task,
+                params: request.params,
+                ...(stream ? { stream: true } : {})
+            }),
+            signal: request.signal
+        });
+
+        if (!response.ok) {
+            const error = new Error(`Worker status: ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+        return response;
+    }
+
+    return {
+        name: 'worker',
+        model,
+        async complete(request) {
+            const result = await (await post(request, false)).json();
+            return (result.content || '').trim();
+        },
+        async stream(request) {
+            const response = await post(request, true);
+
+            return (async function* () {
+                for await (const data of readEventStream(response.body)) {
+                    if (data === '[DONE]') return;
+                    const event = JSON.parse(data);
+                    if (event.error) throw new Error(`Worker stream error: ${event.error}`);
+                    if (event.content) yield event.content;
+                }
+            })();
+        }
+    };
+}
+
+/**
+ * Deterministic in-process provider backed by the fake model, replaying
+ * the configured cassette when there is one
+ */
+function createStubProvider({ model, cassette }) {
+    const fakeModel = createFakeModel({ fixtures: loadCassette(cassette) });
+
+    return {
+        name: 'stub',
+        model,
+        complete: (request) => fakeModel.complete(request),
+        stream: async (request) => fakeModel.stream(request)
+    };
+}
+
+// Registry of available providers
+const PROVIDERS = {
+    openai: (config) => createOpenAICompatibleProvider('openai', {
+        apiKey: config.openaiKey,
+        model: config.model
+    }),
+    local: (config) => createOpenAICompatibleProvider('local', {
+        apiKey: config.localApiKey || 'not-needed',
+        baseURL: config.baseUrl,
+        model: config.model
+    }),
+    worker: createWorkerProvider,
+    stub: createStubProvider
+};
+
+/**
+ * Create a provider by name
+ * @param {string} name - Provider name (openai, worker, local, stub)
+ * @param {Object} config - Configuration from getAIConfig()
+ * @returns {{name: string, model: string, complete: function(CompletionRequest): Promise<string>,
+ *   stream?: function(CompletionRequest): Promise<AsyncIterable<string>>}}
+ */
+function createProvider(name, config) {
+    const factory = PROVIDERS[name];
+    if (!factory) {
+        throw new Error(`Unknown AI provider "${name}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    return factory(config);
+}
+
+/**
+ * Wrap a provider with the timeout, retry and circuit-breaker policy
+ */
+function createGuardedProvider(provider, policy) {
+    const breaker = createCircuitBreaker(provider.name, policy);
+
+    const guard = (operation) => breaker.run(() => withRetry(
+        () => withTimeout(operation, policy.timeoutMs),
+        policy
+    ));
+
+    return {
+        name: provider.name,
+        breaker,
+        complete(request) {
+            return guard(signal => provider.complete({ ...request, signal }));
+        },
+        // Opening the stream is guarded like a completion. Once tokens flow they
+        // cannot be retried, so the rest of the stream only has an idle timeout,
+        // which aborts the request through `stalled`.
+        async openStream(request) {
+            const stalled = new AbortController();
+            const withStall = signal => (signal ? AbortSignal.any([signal, stalled.signal]) : stalled.signal);
+
+            const chunks = !provider.stream
+                ? await guard(async signal => singleChunk(await provider.complete({ ...request, signal })))
+                : await guard(signal => provider.stream({ ...request, signal: withStall(signal) }));
+            return withIdleTimeout(chunks, policy.streamIdleMs, stalled);
+        }
+    };
+}
+
+async function* singleChunk(text) {
+    yield text;
+}
+
+/**
+ * Create a client that routes completions to the configured provider,
+ * falling back to the secondary provider when the primary one fails
+ * @param {Object} config - Configuration from getAIConfig()
+ */
+function createAIClient(config = getAIConfig()) {
+    const policy = config.policy || getResiliencePolicy({});
+
+    let primary = config.provider ? createProvider(config.provider, config) : null;
+    if (primary && config.cassette && config.cassetteMode === 'record') {
+        primary = createRecordingProvider(primary, config.cassette);
+    }
+    const fallback = config.fallbackProvider ? createProvider(config.fallbackProvider, config) : null;
+
+    const guardedPrimary = primary ? createGuardedProvider(primary, policy) : null;
+    const guardedFallback = fallback ? createGuardedProvider(fallback, policy) : null;
+
+    return {
+        provider: primary ? primary.name : null,
+        model: config.model,
+
+        /**
+         * Circuit state of the primary provider ('closed', 'open' or 'half-open')
+         */
+        get circuitState() {
+            return guardedPrimary ? guardedPrimary.breaker.state : null;
+        },
+
+        /**
+         * Run a chat completion
+         * @param {CompletionRequest} request
+         * @returns {Promise<string>} - Model output text
+         */
+        async complete(request) {
+            if (!guardedPrimary) {
+                throw createAIError(
+                    'No AI provider configured. Set AI_PROVIDER, CLOUDFLARE_WORKER_URL or OPENAI_API_KEY.',
+                    'AI_NOT_CONFIGURED'
+                );
+            }
+
+            try {
+                return await guardedPrimary.complete(request);
+            } catch (error) {
+                if (!guardedFallback) throw error;
+                console.error(`AI provider "${guardedPrimary.name}" failed, trying "${guardedFallback.name}":`, error.message);
+                return guardedFallback.complete(request);
+            }
+        },
+
+        /**
+         * Run a chat completion, yielding text chunks as they arrive
+         * @param {CompletionRequest} request
+         * @returns {AsyncIterable<string>}
+         */
+        async *stream(request) {
+            if (!guardedPrimary) {
+                throw createAIError(
+                    'No AI provider configured. Set AI_PROVIDER, CLOUDFLARE_WORKER_URL or OPENAI_API_KEY.',
+                    'AI_NOT_CONFIGURED'
+                );
+            }
+
+            let chunks;
+            try {
+                chunks = await guardedPrimary.openStream(request);
+            } catch (error) {
+                if (!guardedFallback) throw error;
+                console.error(`AI provider "${guardedPrimary.name}" failed, trying "${guardedFallback.name}":`, error.message);
+                chunks = await guardedFallback.openStream(request);
+            }
+
+            yield* chunks;
+        }
+    };
+}
+
+// Shared client, created on first use so environment changes before then are honoured
+let sharedClient = null;
+
+/**
+ * Get the shared AI client for the current configuration
+ */
+function getAIClient() {
+    if (!sharedClient) {
+        sharedClient = createAIClient();
+    }
+    return sharedClient;
+}
+
+/**
+ * Drop the shared client so the next call re-reads configuration
+ */
+function resetAIClient() {
+    sharedClient = null;
+}
+
+module.exports = {
+    getAIConfig,
+    createProvider,
+    createAIClient,
+    getAIClient,
+    resetAIClient,
+    DEFAULT_MODEL
+};
@@ -0,0 +1,54 @@
+/**
+ * Batch Service
+ *
+ * Runs work over a whole catalogue with a bounded number of items in flight,
+ * so a 60-product backfill doesn't fire 60 AI requests at once (and trip the
+ * provider's rate limits or the circuit breaker, see resilience.js).
+ */
+
+const DEFAULT_CONCURRENCY = 4;
+const MAX_CONCURRENCY = 16;
+
+/**
+ * Read the batch concurrency from the environment
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {number} - Items processed at once (1 to MAX_CONCURRENCY)
+ */
+function getBatchConcurrency(env = process.env) {
+    const parsed = Number(env.BATCH_CONCURRENCY);
+    if (env.BATCH_CONCURRENCY === undefined || env.BATCH_CONCURRENCY === '' || !Number.isInteger(parsed) || parsed < 1) {
+        return DEFAULT_CONCURRENCY;
+    }
+    return Math.min(parsed, MAX_CONCURRENCY);
+}
+
+/**
+ * Map items through an async function, at most `limit` at a time
+ * @param {Array} items - Items to process
+ * @param {number} limit - Most calls in flight at once
+ * @param {function(*, number): Promise} worker - Called with each item and its index
+ * @returns {Promise<Array>} - Results in item order
+ */
+async function mapWithConcurrency(items, limit, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    // Each runner takes the next unclaimed item until none are left
+    async function run() {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await worker(items[index], index);
+        }
+    }
+
+    const runners = Array.from({ length: Math.min(Math.max(1, limit), items.length) }, run);
+    await Promise.all(runners);
+    return results;
+}
+
+module.exports = {
+    DEFAULT_CONCURRENCY,
+    MAX_CONCURRENCY,
+    getBatchConcurrency,
+    mapWithConcurrency
+};
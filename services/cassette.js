@@ -0,0 +1,101 @@
+/**
+ * Cassette Service
+ *
+ * Records real AI interactions to a JSON "cassette" file and replays them
+ * through the fake model, so tests and offline demos see genuine model output
+ * without network access or an API key.
+ *
+ * Cassette format:
+ * { "version": 1, "interactions": [{ "hash", "task", "input", "output" }] }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { promptHash } = require('./fake-model');
+
+const CASSETTE_VERSION = 1;
+
+/**
+ * Load interactions from a cassette file
+ * @param {string} cassettePath - Path to the cassette JSON file
+ * @returns {Array<{hash?: string, task?: string, input?: string, output: string}>}
+ */
+function loadCassette(cassettePath) {
+    if (!cassettePath || !fs.existsSync(cassettePath)) {
+        return [];
+    }
+
+    const data = JSON.parse(fs.readFileSync(cassettePath, 'utf8'));
+    return Array.isArray(data.interactions) ? data.interactions : [];
+}
+
+/**
+ * Write interactions to a cassette file
+ * @param {string} cassettePath - Path to the cassette JSON file
+ * @param {Array} interactions - Interactions to save
+ */
+function saveCassette(cassettePath, interactions) {
+    fs.mkdirSync(path.dirname(cassettePath), { recursive: true });
+    fs.writeFileSync(
+        cassettePath,
+        JSON.stringify({ version: CASSETTE_VERSION, interactions }, null, 2) + '\n'
+    );
+}
+
+/**
+ * Wrap a provider so every completion is appended to a cassette
+ * @param {Object} provider - Provider to record
+ * @param {string} cassettePath - Path to the cassette JSON file
+ * @returns {Object} - Provider with the same interface
+ */
+function createRecordingProvider(provider, cassettePath) {
+    const interactions = loadCassette(cassettePath);
+
+    function record(request, output) {
+        const hash = promptHash(request.messages);
+
+        // Re-recording the same prompt replaces the old take
+        const existing = interactions.findIndex(i => i.hash === hash);
+        const interaction = { hash, task: request.task, input: request.input, output };
+        if (existing === -1) {
+            interactions.push(interaction);
+        } else {
+            interactions[existing] = interaction;
+        }
+
+        saveCassette(cassettePath, interactions);
+    }
+
+    const recorder = {
+        name: provider.name,
+        model: provider.model,
+        async complete(request) {
+            const output = await provider.complete(request);
+            record(request, output);
+            return output;
+        }
+    };
+
+    if (provider.stream) {
+        // Streams are recorded once they finish, as the joined output
+        recorder.stream = async (request) => {
+            const chunks = await provider.stream(request);
+            return (async function* () {
+                let output = '';
+                for await (const chunk of chunks) {
+                    output += chunk;
+                    yield chunk;
+                }
+                record(request, output.trim());
+            })();
+        };
+    }
+
+    return recorder;
+}
+
+module.exports = {
+    loadCassette,
+    saveCassette,
+    createRecordingProvider
+};
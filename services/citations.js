@@ -0,0 +1,242 @@
+/**
+ * Source Citations
+ *
+ * Links each bullet and sentence of a PDF-generated long description to the
+ * page and passage of the document it most likely came from, so a manager
+ * can check the description without rereading the contract.
+ *
+ * Matching is lexical: a statement is compared with every sentence (and pair
+ * of adjacent sentences, for sentences the PDF wrapped) on every page by the
+ * share of its content words the passage contains. Figures must agree: a
+ * passage with the statement's dollar amounts, mileage and terms scores
+ * higher, one without them lower. Statements with no passage above
+ * MIN_SCORE are returned uncited (page null) rather than guessed.
+ */
+
+const { parseHTML, serializeHTML } = require('./sanitizer');
+const { isAppendedDisclaimer } = require('./compliance');
+const { extractFacts } = require('./fact-checker');
+
+// Below this a match is a guess, so the statement is left uncited
+const MIN_SCORE = 0.5;
+
+// Words that carry no meaning for matching
+const STOP_WORDS = new Set([
+    'a', 'an', 'the', 'and', 'or', 'but', 'of', 'to', 'for', 'in', 'on', 'at', 'by', 'with', 'from',
+    'as', 'into', 'is', 'are', 'be', 'been', 'was', 'were', 'it', 'its', 'this', 'that', 'these',
+    'those', 'you', 'your', 'we', 'our', 'us', 'they', 'their', 'will', 'can', 'may', 'any', 'all',
+    'so', 'if', 'when', 'which', 'who', 'such', 'also', 'more', 'most', 'other', 'than', 'then',
+    'has', 'have', 'had', 'do', 'does', 'not', 'no', 'yes', 'up', 'out', 'over', 'per', 'each', 'about'
+]);
+
+const HEADING_TAGS = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
+
+/**
+ * Content words of a text, lower-cased with plural/tense endings trimmed
+ */
+function contentWords(text) {
+    return text
+        .toLowerCase()
+        .replace(/[^a-z0-9$]+/g, ' ')
+        .split(' ')
+        .filter(word => word && !STOP_WORDS.has(word))
+        .map(word => (word.length > 4 ? word.replace(/(?:ing|ed|es|s)$/, '') : word));
+}
+
+/**
+ * Facts (amounts, mileage, terms) as comparable keys
+ */
+function factKeys(text) {
+    return extractFacts(text)
+        .filter(fact => ['amount', 'mileage', 'term', 'percentage'].includes(fact.type))
+        .map(fact => `${fact.type}:${fact.value}`);
+}
+
+/**
+ * Split page text into sentence / line units with their offsets in the page
+ * @returns {Array<{start: number, end: number}>}
+ */
+function sourceUnits(text) {
+    const units = [];
+    let start = 0;
+
+    const push = (end) => {
+        const raw = text.slice(start, end);
+        const leading = raw.length - raw.trimStart().length;
+        const trimmed = raw.trim();
+        if (trimmed) {
+            units.push({ start: start + leading, end: start + leading + trimmed.length });
+        }
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '\n') {
+            push(i);
+            start = i + 1;
+        } else if (/[.!?]/.test(text[i]) && (i + 1 === text.length || /\s/.test(text[i + 1]))) {
+            push(i + 1);
+            start = i + 1;
+        }
+    }
+    push(text.length);
+
+    return units;
+}
+
+/**
+ * Passages to cite from: each unit, and each unit joined with the next
+ * (sentences wrapped across lines, bullets continued on the next line)
+ * @returns {Array<{page: number, start: number, end: number, text: string, words: Set, length: number, facts: Set}>}
+ */
+function buildPassages(pages) {
+    const passages = [];
+
+    pages.forEach((page, index) => {
+        const text = typeof page === 'string' ? page : (page && page.text) || '';
+        const units = sourceUnits(text);
+
+        units.forEach((unit, position) => {
+            const spans = [unit];
+            if (units[position + 1]) spans.push({ start: unit.start, end: units[position + 1].end });
+
+            for (const span of spans) {
+                const passage = text.slice(span.start, span.end);
+                const words = contentWords(passage);
+                passages.push({
+                    page: index + 1,
+                    start: span.start,
+                    end: span.end,
+                    text: passage,
+                    words: new Set(words),
+                    length: words.length,
+                    facts: new Set(factKeys(passage))
+                });
+            }
+        });
+    });
+
+    return passages;
+}
+
+/**
+ * How well a passage supports a statement (0-1)
+ */
+function scorePassage(statement, passage) {
+    if (statement.words.length === 0 || passage.length === 0) return 0;
+
+    const matched = statement.words.filter(word => passage.words.has(word)).length;
+    const recall = matched / statement.words.length;
+    const precision = Math.min(1, matched / passage.length);
+    let score = recall * 0.8 + precision * 0.2;
+
+    for (const fact of statement.facts) {
+        score += passage.facts.has(fact) ? 0.1 : -0.2;
+    }
+    return Math.max(0, Math.min(1, score));
+}
+
+/**
+ * Best passage for a statement
+ * @returns {Object|null} - {page, source: {text, start, end}, score}
+ */
+function findSource(text, passages) {
+    const statement = { words: [...new Set(contentWords(text))], facts: factKeys(text) };
+    let best = null;
+    let bestScore = 0;
+
+    for (const passage of passages) {
+        const score = scorePassage(statement, passage);
+        // Strictly better only: on a tie the earlier, shorter passage (a single sentence before its pair) wins
+        if (score > bestScore) {
+            best = passage;
+            bestScore = score;
+        }
+    }
+
+    if (!best || bestScore < MIN_SCORE) return null;
+    return {
+        page: best.page,
+        source: { text: best.text.replace(/\s+/g, ' '), start: best.start, end: best.end },
+        score: Math.round(bestScore * 100) / 100
+    };
+}
+
+/**
+ * Plain text of a parsed node, with line breaks as spaces
+ */
+function nodeText(node) {
+    if (node.type === 'text') return node.value;
+    if (node.name === 'br') return ' ';
+    return (node.children || []).map(nodeText).join('');
+}
+
+/**
+ * A paragraph that is only a section header ("Key Benefits:")
+ */
+function isHeader(node, text) {
+    const content = node.children.filter(child => child.type !== 'text' || child.value.trim());
+    const boldOnly = content.length === 1 && content[0].type === 'element' && ['strong', 'b'].includes(content[0].name);
+    return boldOnly || (/:$/.test(text) && text.length <= 60);
+}
+
+function splitSentences(text) {
+    return text.split(/(?<=[.!?])\s+(?=["(]?[A-Z0-9$])/).map(sentence => sentence.trim()).filter(Boolean);
+}
+
+/**
+ * Cite the bullets and sentences of a long description
+ * @param {string} html - Sanitized long description HTML
+ * @param {Array<string|{text: string}>} pages - Text of each document page, in order
+ * @param {Object} [context] - Compliance context, for disclaimer detection
+ * @returns {Array<{element: 'li'|'p', index: number, sentence?: number, text: string,
+ *   page: number|null, source: {text: string, start: number, end: number}|null, score: number}>}
+ *   index counts <li> or <p> elements in document order; sentence is the sentence's
+ *   position in its paragraph; start/end are offsets in the page's text
+ */
+function citeSources(html, pages, context) {
+    const passages = buildPassages(pages || []);
+    const citations = [];
+    const counts = { li: 0, p: 0 };
+
+    const cite = (text, entry) => {
+        const found = findSource(text, passages);
+        citations.push({
+            ...entry,
+            text,
+            page: found ? found.page : null,
+            source: found ? found.source : null,
+            score: found ? found.score : 0
+        });
+    };
+
+    const visit = (node) => {
+        if (node.type !== 'element' && node.type !== 'root') return;
+
+        if (node.name === 'li' || node.name === 'p') {
+            const index = counts[node.name]++;
+            const text = nodeText(node).replace(/\s+/g, ' ').trim();
+
+            // The appended disclaimer and state disclosures are ours, not the document's
+            if (isAppendedDisclaimer(serializeHTML({ children: [node] }), context)) {
+                return;
+            }
+            if (node.name === 'li' && text) {
+                cite(text, { element: 'li', index });
+            } else if (node.name === 'p' && text && !isHeader(node, text)) {
+                splitSentences(text).forEach((sentence, position) => {
+                    cite(sentence, { element: 'p', index, sentence: position });
+                });
+            }
+        }
+        if (HEADING_TAGS.includes(node.name)) return;
+
+        for (const child of node.children || []) visit(child);
+    };
+
+    visit(parseHTML(html || ''));
+    return citations;
+}
+
+module.exports = {
+    citeSources
+};
@@ -0,0 +1,282 @@
+/**
+ * Compliance Fixer
+ *
+ * Proposes compliant rewrites for phrases flagged by the compliance rules:
+ * - Rules with a "suggestion" are fixed by substituting it for the matched text,
+ *   where the rule's suggestionPattern says the word form fits ("guaranteed
+ *   approval", not "we guarantee"), outside hyphenated compounds ("best-in-class")
+ *   and only if the sentence keeps its meaning
+ * - Remaining findings get an AI rewrite of only the sentence they are in,
+ *   kept only if it clears the findings, adds no facts and keeps the meaning
+ *
+ * Terms that carry meaning ("mandatory", "never", "always", "required by law")
+ * have no suggestion in the default pack: swapping in "optional", "rarely" or
+ * "consistently" would reverse or weaken the sentence, so they go through the
+ * checked rewrite or to a human.
+ *
+ * Every change is returned with its offsets into the original text, so a
+ * client can apply any subset of them with applyChanges.
+ */
+
+const { getAIClient } = require('./ai-provider');
+const { describeAIError } = require('./resilience');
+const { findComplianceIssues, checkCompliance, listPromptBannedTerms } = require('./compliance');
+const { checkFactPreservation } = require('./fact-checker');
+const { buildPrompt } = require('./prompts');
+
+/**
+ * Give a replacement the capitalization of the text it replaces
+ */
+function matchCase(replacement, original) {
+    if (original.length > 1 && original === original.toUpperCase() && /[A-Z]/.test(original)) {
+        return replacement.toUpperCase();
+    }
+    if (/^[A-Z]/.test(original)) {
+        return replacement.charAt(0).toUpperCase() + replacement.slice(1);
+    }
+    return replacement;
+}
+
+/**
+ * Find the sentence around a span. Sentences end at . ! ? and never cross an
+ * HTML tag, so a rewrite only ever replaces text between tags.
+ * @returns {{start: number, end: number}}
+ */
+function findSentence(text, start, end) {
+    let sentenceStart = start;
+    while (sentenceStart > 0 && !/[.!?<>]/.test(text[sentenceStart - 1])) {
+        sentenceStart--;
+    }
+    // Keep a run of closing punctuation ("Act now!!") with its own sentence
+    let sentenceEnd = end;
+    while (sentenceEnd < text.length && !/[.!?<>]/.test(text[sentenceEnd])) {
+        sentenceEnd++;
+    }
+    while (sentenceEnd < text.length && /[.!?]/.test(text[sentenceEnd])) {
+        sentenceEnd++;
+    }
+
+    while (sentenceStart < sentenceEnd && /\s/.test(text[sentenceStart])) sentenceStart++;
+    return { start: sentenceStart, end: sentenceEnd };
+}
+
+/**
+ * Apply changes to one field's text
+ * @param {string} text - Original text
+ * @param {Array<{start: number, end: number, replacement: string}>} changes - Non-overlapping changes
+ * @returns {string}
+ */
+function applyChanges(text, changes) {
+    const ordered = [...changes].sort((a, b) => b.start - a.start);
+    let result = text || '';
+
+    for (const change of ordered) {
+        let start = change.start;
+        let end = change.end;
+        // Removing a whole sentence also removes the space around it
+        if (change.replacement === '') {
+            while (end < result.length && result[end] === ' ') end++;
+            if (end === result.length || result[end] === '<') {
+                while (start > 0 && result[start - 1] === ' ') start--;
+            }
+        }
+        result = result.slice(0, start) + change.replacement + result.slice(end);
+    }
+
+    return result;
+}
+
+// Negations, and words that turn a requirement or an absolute into an option
+const NEGATION_WORDS = /\b(?:not|no|never|none|nothing|without|cannot|\w+n['\u2019]t)\b/gi;
+const WEAKENING_WORDS = new RegExp('\\b(?:optional(?:ly)?|voluntary|rarely|seldom|sometimes|occasionally|may|might|available|not required|' +
+    'consistently|usually|generally|typically|often|frequently|regularly|mostly)\\b', 'gi');
+
+function countMatches(text, pattern) {
+    return (text.match(pattern) || []).length;
+}
+
+/**
+ * True when a rewrite says something the sentence didn't: a negation added or
+ * dropped ("never pay" to "pay"), or a requirement or absolute softened
+ * ("is mandatory" to "is optional", "never" to "rarely", "always" to "consistently")
+ */
+function changesMeaning(original, replacement) {
+    if (replacement === '') return false;
+    if (Math.min(countMatches(original, NEGATION_WORDS), 1) !== Math.min(countMatches(replacement, NEGATION_WORDS), 1)) {
+        return true;
+    }
+    return countMatches(replacement, WEAKENING_WORDS) > countMatches(original, WEAKENING_WORDS);
+}
+
+/**
+ * True when a span is part of a hyphenated compound ("best-in-class"), where a
+ * word swap would leave nonsense ("trusted-in-class")
+ */
+function inCompound(text, start, end) {
+    return text[start - 1] === '-' || text[end] === '-';
+}
+
+/**
+ * Ask the AI to rewrite one sentence without the flagged language
+ * @param {string} sentence - Sentence with any substitutions already applied
+ * @param {string[]} messages - Compliance messages for the flagged phrases
+ * @param {Object} [context] - Compliance context ({state, productType})
+ * @returns {Promise<string>} - Plain-text rewrite ('' to drop the sentence)
+ */
+async function rewriteSentence(sentence, messages, context) {
+    const result = await getAIClient().complete(buildPrompt('compliance-rewrite', {
+        text: sentence,
+        bannedTerms: listPromptBannedTerms(context),
+        problems: messages
+    }));
+
+    return result
+        .replace(/<[^>]*>/g, '')
+        .replace(/[<>]/g, '')
+        .replace(/^["']|["']$/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Propose compliant rewrites for both descriptions
+ * @param {string} shortDescription - Short description text
+ * @param {string} longDescription - Long description HTML
+ * @param {Object} [options]
+ * @param {Object} [options.context] - Compliance context ({state, productType})
+ * @param {string} [options.sourceText] - Text the descriptions were written from; quotes of it
+ *   are left alone (see compliance.js findComplianceIssues)
+ * @param {boolean} [options.useAI=true] - Rewrite sentences the rule pack has no substitution for
+ * @returns {Promise<{shortDescription: string, longDescription: string, changes: Object[],
+ *   unresolved: Object[], degraded: boolean, degradedReason: string|null}>}
+ *   changes: {id, field, start, end, original, replacement, ruleIds, method: 'substitution'|'ai'}
+ *   with offsets into the text passed in; unresolved: findings no change fixes
+ */
+async function fixCompliance(shortDescription, longDescription, { context, sourceText, useAI = true } = {}) {
+    const texts = { short: shortDescription || '', long: longDescription || '' };
+    const findings = findComplianceIssues(texts.short, texts.long, context, { sourceText });
+    const changes = [];
+    const unresolved = [];
+    let degradedReason = null;
+
+    // 1. Deterministic substitutions from the rule pack
+    const substitutions = [];
+    const needsRewrite = [];
+    for (const finding of findings) {
+        const text = texts[finding.field];
+        if (finding.suggestion === null || finding.suggestion === undefined ||
+            inCompound(text, finding.start, finding.end)) {
+            needsRewrite.push(finding);
+            continue;
+        }
+        if (substitutions.some(s => s.field === finding.field && s.start < finding.end && finding.start < s.end)) {
+            continue;
+        }
+
+        const replacement = matchCase(finding.suggestion, finding.matchedText);
+        const sentence = findSentence(text, finding.start, finding.end);
+        const original = text.slice(sentence.start, sentence.end);
+        const substituted = text.slice(sentence.start, finding.start) + replacement + text.slice(finding.end, sentence.end);
+        if (changesMeaning(original, substituted)) {
+            needsRewrite.push(finding);
+            continue;
+        }
+
+        substitutions.push({
+            field: finding.field,
+            start: finding.start,
+            end: finding.end,
+            original: finding.matchedText,
+            replacement,
+            ruleIds: [finding.ruleId],
+            method: 'substitution'
+        });
+    }
+
+    // 2. One AI rewrite per sentence holding a finding with no substitution
+    const sentences = [];
+    for (const finding of needsRewrite) {
+        const { start, end } = findSentence(texts[finding.field], finding.start, finding.end);
+        const sentence = sentences.find(s => s.field === finding.field && s.start === start);
+        if (sentence) {
+            sentence.findings.push(finding);
+        } else {
+            sentences.push({ field: finding.field, start, end, findings: [finding] });
+        }
+    }
+
+    for (const sentence of sentences) {
+        const text = texts[sentence.field];
+        const original = text.slice(sentence.start, sentence.end);
+        // Substitutions inside the sentence are folded into its rewrite
+        const inside = substitutions.filter(s =>
+            s.field === sentence.field && s.start >= sentence.start && s.end <= sentence.end
+        );
+        const prepared = applyChanges(original, inside.map(s => ({
+            ...s, start: s.start - sentence.start, end: s.end - sentence.start
+        })));
+
+        if (!useAI) {
+            unresolved.push(...sentence.findings);
+            continue;
+        }
+
+        let replacement;
+        try {
+            replacement = await rewriteSentence(
+                prepared,
+                [...new Set(sentence.findings.map(finding => finding.message))],
+                context
+            );
+        } catch (error) {
+            console.error('AI provider error (compliance rewrite):', error.message);
+            degradedReason = degradedReason || describeAIError(error);
+            unresolved.push(...sentence.findings);
+            continue;
+        }
+
+        // Keep the rewrite only if it clears the findings without adding facts or changing the meaning
+        const stillFlagged = checkCompliance(replacement, '', context).hasIssues;
+        const addsFacts = checkFactPreservation(original, replacement).hasIssues;
+        if (stillFlagged || addsFacts || changesMeaning(original, replacement)) {
+            unresolved.push(...sentence.findings);
+            continue;
+        }
+
+        for (const substitution of inside) {
+            substitutions.splice(substitutions.indexOf(substitution), 1);
+        }
+        changes.push({
+            field: sentence.field,
+            start: sentence.start,
+            end: sentence.end,
+            original,
+            replacement: sentence.field === 'long' ? replacement.replace(/&(?![a-z#0-9]+;)/gi, '&amp;') : replacement,
+            ruleIds: [...new Set([
+                ...sentence.findings.map(finding => finding.ruleId),
+                ...inside.flatMap(substitution => substitution.ruleIds)
+            ])],
+            method: 'ai'
+        });
+    }
+
+    const ordered = [...substitutions, ...changes]
+        .sort((a, b) => (a.field === b.field ? a.start - b.start : a.field === 'short' ? -1 : 1))
+        .map((change, index) => ({ id: `change-${index + 1}`, ...change }));
+
+    return {
+        shortDescription: applyChanges(texts.short, ordered.filter(change => change.field === 'short')),
+        longDescription: applyChanges(texts.long, ordered.filter(change => change.field === 'long')),
+        changes: ordered,
+        unresolved,
+        degraded: degradedReason !== null,
+        degradedReason
+    };
+}
+
+module.exports = {
+    fixCompliance,
+    applyChanges,
+    findSentence,
+    changesMeaning
+};
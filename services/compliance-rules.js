@@ -0,0 +1,258 @@
+/**
+ * Compliance Rule Packs
+ *
+ * Rule packs are JSON/YAML documents (see rules/default.json) that define:
+ * - rules: { id, pattern, severity, message, suggestion, suggestionPattern, appliesTo, terms,
+ *   productTypes, negation, allow } - see compileRulePack for how negation and allow narrow
+ *   a match and suggestionPattern narrows where the suggestion fits
+ * - disclaimerIndicators: patterns that mark an existing disclaimer
+ * - standardDisclaimer: text appended when no disclaimer is found
+ * - requiredDisclosures: { id, text, indicator, productTypes } that must appear
+ *   in the long description (state packs in rules/states/ use these)
+ *
+ * This module only validates, merges and compiles packs. It must stay free of
+ * Node-only APIs so the worker can bundle it; file loading lives in compliance.js.
+ */
+
+const SEVERITIES = ['error', 'warning', 'info'];
+const FIELDS = ['short', 'long'];
+
+/**
+ * Regex flags for a rule: case-insensitive by default, and never global/sticky
+ * since a stateful pattern would skip matches between checks
+ */
+function toFlags(flags) {
+    return (flags === undefined ? 'i' : flags).replace(/[gy]/g, '');
+}
+
+function isStringList(value) {
+    return Array.isArray(value) && value.every(item => typeof item === 'string');
+}
+
+/**
+ * Compare product type names loosely: "GAP Coverage" matches "gap coverage"
+ */
+function normalizeProductType(productType) {
+    return String(productType || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * True when a rule or disclosure applies to the product type. Entries without
+ * productTypes apply to every product; entries with them need a matching productType.
+ * A bundle ("Tire & Wheel Protection + Key Replacement") matches the entries of each of its types.
+ * @param {string[]} [productTypes] - Product types the entry is limited to
+ * @param {string} [productType] - Product type of the content being checked
+ */
+function appliesToProduct(productTypes, productType) {
+    if (!productTypes || productTypes.length === 0) return true;
+    const wanted = String(productType || '').split(' + ').map(normalizeProductType).filter(Boolean);
+    return productTypes.some(type => wanted.includes(normalizeProductType(type)));
+}
+
+/**
+ * Compile an allow-list phrase: literal text, case-insensitive, any whitespace between words
+ */
+function toPhrasePattern(phrase) {
+    const words = phrase.trim().split(/\s+/).map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    return new RegExp(`(?<!\\w)${words.join('\\s+')}(?!\\w)`, 'gi');
+}
+
+/**
+ * Check a rule pack's shape, throwing a readable error for the first problem
+ * @param {Object} pack - Parsed rule pack
+ * @param {string} source - Name used in error messages (usually the file path)
+ */
+function validateRulePack(pack, source = 'rule pack') {
+    const fail = (problem) => {
+        throw new Error(`Invalid compliance rules in ${source}: ${problem}`);
+    };
+
+    if (!pack || typeof pack !== 'object' || Array.isArray(pack)) {
+        fail('expected an object');
+    }
+    if (pack.rules !== undefined && !Array.isArray(pack.rules)) {
+        fail('"rules" must be a list');
+    }
+    if (pack.disclaimerIndicators !== undefined && !Array.isArray(pack.disclaimerIndicators)) {
+        fail('"disclaimerIndicators" must be a list');
+    }
+    if (pack.requiredDisclosures !== undefined && !Array.isArray(pack.requiredDisclosures)) {
+        fail('"requiredDisclosures" must be a list');
+    }
+
+    (pack.rules || []).forEach((rule, index) => {
+        const label = rule && rule.id ? `rule "${rule.id}"` : `rule #${index + 1}`;
+
+        if (!rule || typeof rule.id !== 'string' || !rule.id) fail(`${label} needs an "id"`);
+        // A rule with enabled: false only switches off a rule from an earlier pack
+        if (rule.enabled === false) return;
+
+        if (typeof rule.pattern !== 'string' || !rule.pattern) fail(`${label} needs a "pattern"`);
+        if (typeof rule.message !== 'string' || !rule.message) fail(`${label} needs a "message"`);
+        if (rule.severity !== undefined && !SEVERITIES.includes(rule.severity)) {
+            fail(`${label} has severity "${rule.severity}", expected one of: ${SEVERITIES.join(', ')}`);
+        }
+        if (rule.appliesTo !== undefined &&
+            (!Array.isArray(rule.appliesTo) || !rule.appliesTo.every(field => FIELDS.includes(field)))) {
+            fail(`${label} has invalid "appliesTo", expected a list of: ${FIELDS.join(', ')}`);
+        }
+
+        if (rule.productTypes !== undefined && !isStringList(rule.productTypes)) {
+            fail(`${label} has invalid "productTypes", expected a list of product type names`);
+        }
+        if (rule.allow !== undefined && !isStringList(rule.allow)) {
+            fail(`${label} has invalid "allow", expected a list of phrases`);
+        }
+        if (rule.negation !== undefined && typeof rule.negation !== 'boolean') {
+            fail(`${label} has invalid "negation", expected true or false`);
+        }
+
+        if (rule.suggestion !== undefined && rule.suggestion !== null && typeof rule.suggestion !== 'string') {
+            fail(`${label} has invalid "suggestion", expected a replacement or null`);
+        }
+
+        try {
+            new RegExp(rule.pattern, toFlags(rule.flags));
+        } catch (error) {
+            fail(`${label} has an invalid pattern: ${error.message}`);
+        }
+        if (rule.suggestionPattern !== undefined) {
+            try {
+                new RegExp(rule.suggestionPattern, toFlags(rule.flags));
+            } catch (error) {
+                fail(`${label} has an invalid suggestionPattern: ${error.message}`);
+            }
+        }
+    });
+
+    (pack.requiredDisclosures || []).forEach((disclosure, index) => {
+        const label = disclosure && disclosure.id ? `disclosure "${disclosure.id}"` : `disclosure #${index + 1}`;
+
+        if (!disclosure || typeof disclosure.id !== 'string' || !disclosure.id) fail(`${label} needs an "id"`);
+        if (disclosure.enabled === false) return;
+
+        if (typeof disclosure.text !== 'string' || !disclosure.text) fail(`${label} needs a "text"`);
+        if (typeof disclosure.indicator !== 'string' || !disclosure.indicator) fail(`${label} needs an "indicator"`);
+        if (disclosure.productTypes !== undefined && !isStringList(disclosure.productTypes)) {
+            fail(`${label} has invalid "productTypes", expected a list of product type names`);
+        }
+
+        try {
+            new RegExp(disclosure.indicator, 'i');
+        } catch (error) {
+            fail(`${label} has an invalid indicator: ${error.message}`);
+        }
+    });
+
+    return pack;
+}
+
+/**
+ * Merge packs in order. A later rule with the same id replaces the earlier one,
+ * and `enabled: false` removes it. Later disclaimer settings extend or replace earlier ones.
+ * @param {Object[]} packs - Validated rule packs
+ * @returns {Object} - Merged pack
+ */
+function mergeRulePacks(packs) {
+    const rules = new Map();
+    const disclosures = new Map();
+    const indicators = [];
+    let standardDisclaimer = null;
+
+    for (const pack of packs) {
+        for (const rule of pack.rules || []) {
+            rules.delete(rule.id);
+            if (rule.enabled !== false) rules.set(rule.id, rule);
+        }
+        for (const disclosure of pack.requiredDisclosures || []) {
+            disclosures.delete(disclosure.id);
+            if (disclosure.enabled !== false) disclosures.set(disclosure.id, { state: pack.state || null, ...disclosure });
+        }
+        for (const indicator of pack.disclaimerIndicators || []) {
+            if (!indicators.includes(indicator)) indicators.push(indicator);
+        }
+        if (pack.standardDisclaimer) {
+            standardDisclaimer = pack.standardDisclaimer;
+        }
+    }
+
+    return {
+        id: packs.map(pack => pack.id).filter(Boolean).join('+') || 'custom',
+        standardDisclaimer,
+        disclaimerIndicators: indicators,
+        rules: [...rules.values()],
+        requiredDisclosures: [...disclosures.values()]
+    };
+}
+
+/**
+ * Compile a pack's patterns so it can be matched against text
+ * @param {Object} pack - Validated (and usually merged) rule pack
+ * @returns {{id: string, standardDisclaimer: string, disclaimerIndicators: RegExp[], rules: Object[], requiredDisclosures: Object[]}}
+ */
+function compileRulePack(pack) {
+    return {
+        id: pack.id,
+        standardDisclaimer: pack.standardDisclaimer || '',
+        disclaimerIndicators: (pack.disclaimerIndicators || []).map(pattern => new RegExp(pattern, 'i')),
+        rules: (pack.rules || []).map(rule => ({
+            id: rule.id,
+            category: rule.category || 'prohibited',
+            severity: rule.severity || 'warning',
+            message: rule.message,
+            suggestion: rule.suggestion ?? null,
+            // Where the suggestion fits ("guaranteed" before a noun, not "we guarantee");
+            // other matches get no suggestion and are left to a sentence rewrite
+            suggestionPattern: rule.suggestionPattern ? new RegExp(rule.suggestionPattern, toFlags(rule.flags)) : null,
+            appliesTo: rule.appliesTo || FIELDS,
+            terms: rule.terms || [],
+            productTypes: rule.productTypes || [],
+            // Skip matches negated just before ("not guaranteed", "no mandatory fees")
+            negation: rule.negation === true,
+            // Skip matches inside these phrases ("never covered" in exclusions text)
+            allow: (rule.allow || []).map(toPhrasePattern),
+            pattern: new RegExp(rule.pattern, toFlags(rule.flags))
+        })),
+        requiredDisclosures: (pack.requiredDisclosures || []).map(disclosure => ({
+            id: disclosure.id,
+            state: disclosure.state || null,
+            text: disclosure.text,
+            productTypes: disclosure.productTypes || [],
+            indicator: new RegExp(disclosure.indicator, 'i')
+        }))
+    };
+}
+
+/**
+ * Words and phrases the AI must not use, taken from each rule's "terms"
+ * @param {Object} pack - Rule pack (raw or compiled)
+ * @returns {string[]}
+ */
+function getBannedTerms(pack) {
+    const terms = [];
+    for (const rule of pack.rules || []) {
+        for (const term of rule.terms || []) {
+            if (!terms.includes(term)) terms.push(term);
+        }
+    }
+    return terms;
+}
+
+/**
+ * Banned terms formatted for a prompt: "guarantee", "never", ...
+ * @param {Object} pack - Rule pack (raw or compiled)
+ * @returns {string}
+ */
+function formatBannedTerms(pack) {
+    return getBannedTerms(pack).map(term => `"${term}"`).join(', ');
+}
+
+module.exports = {
+    validateRulePack,
+    mergeRulePacks,
+    compileRulePack,
+    getBannedTerms,
+    formatBannedTerms,
+    appliesToProduct,
+    SEVERITIES
+};
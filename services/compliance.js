@@ -4,131 +4,446 @@
  * Implements compliance validation per PRD Section 6:
  * - Prohibited keyword detection
  * - Disclaimer verification and auto-append
- * - Compliance warning generation
- */
-
-// Prohibited keywords that may require legal review (PRD Section 6.3)
-const PROHIBITED_KEYWORDS = [
-    { keyword: 'guarantee', pattern: /\bguarantee[ds]?\b/i },
-    { keyword: 'never', pattern: /\bnever\b/i },
-    { keyword: 'always', pattern: /\balways\b/i },
-    { keyword: 'required by law', pattern: /\brequired by law\b/i },
-    { keyword: 'mandatory', pattern: /\bmandatory\b/i },
-    { keyword: 'best', pattern: /\bbest\b/i },
-    { keyword: 'ultimate', pattern: /\bultimate\b/i },
-    { keyword: 'act now', pattern: /\bact now\b/i },
-    { keyword: 'limited time', pattern: /\blimited time\b/i },
-    { keyword: 'don\'t miss', pattern: /\bdon'?t miss\b/i },
-];
+ * - Compliance findings with severity and character offsets
+ *
+ * Rules come from rule pack files (rules/default.json plus any listed in
+ * COMPLIANCE_RULES), so they can change without a code change. Passing a
+ * context of { state, productType } adds that state's pack from rules/states/,
+ * including disclosures the state requires for the product type.
+ */
 
-// Additional warning patterns for manipulative language (PRD Section 5.4)
-const MANIPULATIVE_PATTERNS = [
-    { pattern: /!{2,}/, message: 'Multiple exclamation points may appear unprofessional' },
-    { pattern: /\bwill save you thousands\b/i, message: 'Unverified savings claims' },
-    { pattern: /\bbankrupt\b/i, message: 'Fear-based language detected' },
-    { pattern: /\bdevastating\b/i, message: 'Fear-based language detected' },
-    { pattern: /\byou need this\b/i, message: 'Pressure tactics detected' },
-    { pattern: /\beveryone who says no regrets\b/i, message: 'Pressure tactics detected' },
-];
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const {
+    validateRulePack,
+    mergeRulePacks,
+    compileRulePack,
+    getBannedTerms,
+    formatBannedTerms,
+    appliesToProduct
+} = require('./compliance-rules');
+const { decodeEntities } = require('./sanitizer');
+
+// Built-in pack: prohibited keywords (PRD 6.3), manipulative language (PRD 5.4), disclaimer (PRD 6.2)
+const DEFAULT_RULE_PACK = path.join(__dirname, '..', 'rules', 'default.json');
 
-// Standard disclaimer template (PRD Section 6.2)
-const STANDARD_DISCLAIMER = 'This coverage has limitations and exclusions. Please review the full contract terms for complete details on covered components, service requirements, and exclusions.';
-
-// Disclaimer markers to detect existing disclaimers
-const DISCLAIMER_INDICATORS = [
-    /limitations and exclusions/i,
-    /please review.*contract/i,
-    /see contract for.*details/i,
-    /terms and conditions apply/i,
-    /coverage.*limitations/i,
-    /exclusions apply/i,
+// State packs are named by USPS code, e.g. rules/states/CA.json
+const STATE_RULES_DIR = path.join(__dirname, '..', 'rules', 'states');
+
+// USPS codes accepted for the state parameter (states, DC and territories)
+const US_STATES = [
+    'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'DC', 'FL', 'GA', 'HI', 'ID', 'IL', 'IN', 'IA',
+    'KS', 'KY', 'LA', 'ME', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ', 'NM',
+    'NY', 'NC', 'ND', 'OH', 'OK', 'OR', 'PA', 'RI', 'SC', 'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA',
+    'WV', 'WI', 'WY', 'AS', 'GU', 'MP', 'PR', 'VI'
 ];
 
 /**
- * Check text for prohibited keywords and manipulative language
+ * Normalize a state parameter to its USPS code
+ * @param {string} state - e.g. "ca" or "CA"
+ * @returns {string|null} - Upper-case code, or null when not a known state
+ */
+function normalizeState(state) {
+    if (typeof state !== 'string') return null;
+    const code = state.trim().toUpperCase();
+    return US_STATES.includes(code) ? code : null;
+}
+
+/**
+ * Load a rule pack from a JSON or YAML file
+ * @param {string} filePath - Path to a .json, .yaml or .yml file
+ * @returns {Object} - Validated rule pack
+ */
+function loadRulePack(filePath) {
+    const text = fs.readFileSync(filePath, 'utf8');
+    const pack = /\.ya?ml$/i.test(filePath) ? YAML.parse(text) : JSON.parse(text);
+    return validateRulePack(pack, filePath);
+}
+
+/**
+ * Find a state's rule pack file, if there is one
+ * @param {string} state - USPS code
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {string|null}
+ */
+function findStateRulePack(state, env = process.env) {
+    const dir = env.COMPLIANCE_STATE_RULES_DIR ? path.resolve(env.COMPLIANCE_STATE_RULES_DIR) : STATE_RULES_DIR;
+
+    for (const extension of ['.json', '.yaml', '.yml']) {
+        const file = path.join(dir, state + extension);
+        if (fs.existsSync(file)) return file;
+    }
+    return null;
+}
+
+/**
+ * Rule pack files in effect: the default pack, the state's pack (if any),
+ * then any listed in COMPLIANCE_RULES (comma-separated), each overriding the ones before it
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @param {string} [state] - USPS code
+ * @returns {string[]}
+ */
+function getRulePackPaths(env = process.env, state = null) {
+    const extra = (env.COMPLIANCE_RULES || '')
+        .split(',')
+        .map(file => file.trim())
+        .filter(Boolean)
+        .map(file => path.resolve(file));
+    const statePack = state ? findStateRulePack(state, env) : null;
+
+    return [DEFAULT_RULE_PACK, ...(statePack ? [statePack] : []), ...extra];
+}
+
+// Compiled rules per state ('' for no state), loaded on first use
+const activeRules = new Map();
+
+/**
+ * Get the compiled rules in effect for a context
+ * @param {{state?: string, productType?: string}} [context]
+ * @returns {Object} - Compiled rules, limited to those that apply to the product type
+ */
+function getComplianceRules(context = {}) {
+    const state = normalizeState(context.state) || '';
+
+    if (!activeRules.has(state)) {
+        const packs = getRulePackPaths(process.env, state || null).map(loadRulePack);
+        activeRules.set(state, compileRulePack(mergeRulePacks(packs)));
+    }
+
+    const compiled = activeRules.get(state);
+    return {
+        ...compiled,
+        rules: compiled.rules.filter(rule => appliesToProduct(rule.productTypes, context.productType)),
+        requiredDisclosures: compiled.requiredDisclosures.filter(
+            disclosure => appliesToProduct(disclosure.productTypes, context.productType)
+        )
+    };
+}
+
+/**
+ * Drop the loaded rules so the next check reads the rule pack files again
+ */
+function reloadComplianceRules() {
+    activeRules.clear();
+}
+
+/**
+ * Banned terms for the AI prompt's "NEVER use" list, from the rules in effect
+ * @param {{state?: string, productType?: string}} [context]
+ * @returns {string} - e.g. "guarantee", "guaranteed", "never"
+ */
+function getPromptBannedTerms(context) {
+    return formatBannedTerms(getComplianceRules(context));
+}
+
+/**
+ * Banned terms for the AI prompt as a list, for prompts.js buildPrompt
+ * @param {{state?: string, productType?: string}} [context]
+ * @returns {string[]}
+ */
+function listPromptBannedTerms(context) {
+    return getBannedTerms(getComplianceRules(context));
+}
+
+/**
+ * Required disclosures missing from a long description
+ * @param {string} longDescription - Long description HTML
+ * @param {{state?: string, productType?: string}} [context]
+ * @returns {Object[]} - Compiled disclosures ({id, state, text, indicator})
+ */
+function findMissingDisclosures(longDescription, context) {
+    const plainText = (longDescription || '').replace(/<[^>]*>/g, ' ');
+    return getComplianceRules(context).requiredDisclosures.filter(
+        disclosure => !disclosure.indicator.test(plainText)
+    );
+}
+
+// Standard disclaimer from the default pack (PRD Section 6.2)
+const STANDARD_DISCLAIMER = JSON.parse(fs.readFileSync(DEFAULT_RULE_PACK, 'utf8')).standardDisclaimer;
+
+/**
+ * Check text against the compliance rules in effect
  * @param {string} shortDescription - Short description text
  * @param {string} longDescription - Long description HTML
- * @returns {{hasIssues: boolean, warnings: string[]}}
+ * @param {{state?: string, productType?: string}} [context] - Adds state and product-specific rules
+ * @param {Object} [options]
+ * @param {string} [options.sourceText] - Text the descriptions were written from (see findComplianceIssues)
+ * @returns {{hasIssues: boolean, warnings: string[], findings: Object[]}}
+ *   warnings are the legacy one-line messages; findings are described in findComplianceIssues.
+ *   hasIssues is true when any finding is an error or warning (info findings don't count)
  */
-function checkCompliance(shortDescription, longDescription) {
+function checkCompliance(shortDescription, longDescription, context, options) {
+    const findings = findComplianceIssues(shortDescription, longDescription, context, options);
     const warnings = [];
-    const combinedText = `${shortDescription || ''} ${longDescription || ''}`;
 
-    // Strip HTML tags for text analysis
-    const plainText = combinedText.replace(/<[^>]*>/g, ' ');
+    for (const finding of findings) {
+        if (!warnings.includes(finding.message)) {
+            warnings.push(finding.message);
+        }
+    }
 
-    // Check for prohibited keywords
-    for (const { keyword, pattern } of PROHIBITED_KEYWORDS) {
-        if (pattern.test(plainText)) {
-            warnings.push(`Contains "${keyword}" - this language may require legal review`);
+    return {
+        hasIssues: findings.some(finding => finding.severity !== 'info'),
+        warnings,
+        findings
+    };
+}
+
+/**
+ * Find every rule match, checking each rule only against the fields it applies to
+ * @param {string} shortDescription - Short description text
+ * @param {string} longDescription - Long description HTML
+ * @param {{state?: string, productType?: string}} [context]
+ * @param {Object} [options]
+ * @param {string} [options.sourceText] - Text the descriptions were written from (the input
+ *   descriptions, or the product documents). Quotes found word for word in it are cited
+ *   contract language; without it, quoted text is checked like any other
+ * @returns {Array<{ruleId: string, severity: string, field: string, start: number, end: number,
+ *   matchedText: string, message: string, suggestion: (string|null)}>}
+ *   start/end are character offsets into the field exactly as passed in (HTML included).
+ *   Matches in quotes from the source text or the appended disclaimer/disclosures, inside
+ *   a rule's "allow" phrases, or negated (for rules with "negation") are not findings.
+ *   suggestion is null where the rule's suggestionPattern does not cover the match.
+ */
+function findComplianceIssues(shortDescription, longDescription, context, { sourceText } = {}) {
+    const fields = {
+        short: maskTags(shortDescription),
+        long: maskTags(longDescription)
+    };
+    const rules = getComplianceRules(context);
+    const source = sourceText ? normalizeQuote(sourceText.replace(/<[^>]*>/g, ' ')) : null;
+    const exempt = {
+        short: findExemptSpans(fields.short, rules, source),
+        long: findExemptSpans(fields.long, rules, source)
+    };
+    const findings = [];
+
+    for (const rule of rules.rules) {
+        for (const field of rule.appliesTo) {
+            const text = fields[field];
+            const allowed = rule.allow.flatMap(phrase => findSpans(text, phrase));
+            const fits = rule.suggestionPattern ? findSpans(text, rule.suggestionPattern) : null;
+            const pattern = new RegExp(rule.pattern.source, rule.pattern.flags + 'g');
+            let match;
+
+            while ((match = pattern.exec(text)) !== null) {
+                // Step past empty matches so a pattern like /x*/ can't loop forever
+                if (match[0] === '') {
+                    pattern.lastIndex++;
+                    continue;
+                }
+
+                const start = match.index;
+                const end = start + match[0].length;
+                if (isWithin(start, end, exempt[field]) || isWithin(start, end, allowed)) continue;
+                if (rule.negation && isNegated(text, start)) continue;
+
+                findings.push({
+                    ruleId: rule.id,
+                    severity: rule.severity,
+                    field,
+                    start,
+                    end,
+                    matchedText: match[0],
+                    message: rule.message,
+                    suggestion: !fits || fits.some(span => span.start === start && span.end === end)
+                        ? rule.suggestion
+                        : null
+                });
+            }
         }
     }
 
-    // Check for manipulative patterns
-    for (const { pattern, message } of MANIPULATIVE_PATTERNS) {
-        if (pattern.test(plainText)) {
-            if (!warnings.includes(message)) {
-                warnings.push(message);
+    return findings;
+}
+
+// Quoted text, e.g. contract language cited word for word ("best-in-class" in quotes)
+const QUOTED_TEXT = /"([^"<>]{1,300})"|\u201c([^\u201d<>]{1,300})\u201d|&quot;((?:(?!&quot;)[^<>]){1,300})&quot;/g;
+
+// A negation word just before a match, in the same clause, with at most two
+// linking words between ("not guaranteed", "isn't always", "not legally required";
+// "not only" and "not just" intensify rather than negate, and "no worries
+// guaranteed" is not a negation)
+const NEGATION_BEFORE = new RegExp(
+    '\\b(not(?!\\s+(only|just)\\b)|no|never|without|nor|cannot|\\w+n[\'\u2019]t)' +
+    '(\\s+(be|been|being|is|are|was|were|always|necessarily|legally|actually|automatically|ever|any|a|an|the)){0,2}\\s+$',
+    'i'
+);
+
+/**
+ * Collapse whitespace and unify quote marks, so a quote matches its source
+ * however the lines were wrapped
+ */
+function normalizeQuote(text) {
+    return text.replace(/&quot;/g, '"').replace(/[\u2018\u2019]/g, "'").replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * True when a quote is a phrase of the source, word for word. A single quoted
+ * word ("best") is emphasis rather than a citation, so it needs two words or more
+ */
+function quotesSource(quote, source) {
+    if ((quote.match(/[\w']+/g) || []).length < 2) return false;
+    for (let index = source.indexOf(quote); index !== -1; index = source.indexOf(quote, index + 1)) {
+        const before = source[index - 1] || ' ';
+        const after = source[index + quote.length] || ' ';
+        if (!/\w/.test(before) && !/\w/.test(after)) return true;
+    }
+    return false;
+}
+
+/**
+ * Spans no rule is checked in: quotes of the source text and the disclaimer and
+ * state disclosures this service appends (their wording is fixed, not marketing copy)
+ * @param {string|null} source - normalizeQuote()d source text; null exempts no quotes
+ */
+function findExemptSpans(text, rules, source) {
+    const spans = [];
+    if (source) {
+        const quoted = new RegExp(QUOTED_TEXT.source, 'g');
+        let match;
+        while ((match = quoted.exec(text)) !== null) {
+            if (quotesSource(normalizeQuote(match[1] || match[2] || match[3]), source)) {
+                spans.push({ start: match.index, end: match.index + match[0].length });
             }
         }
     }
+    const appended = [rules.standardDisclaimer, ...rules.requiredDisclosures.map(disclosure => disclosure.text)];
 
-    return {
-        hasIssues: warnings.length > 0,
-        warnings
-    };
+    for (const phrase of appended.filter(Boolean)) {
+        for (let index = text.indexOf(phrase); index !== -1; index = text.indexOf(phrase, index + phrase.length)) {
+            spans.push({ start: index, end: index + phrase.length });
+        }
+    }
+    return spans;
+}
+
+function findSpans(text, pattern) {
+    const spans = [];
+    const global = new RegExp(pattern.source, pattern.flags.includes('g') ? pattern.flags : pattern.flags + 'g');
+    let match;
+
+    while ((match = global.exec(text)) !== null) {
+        if (match[0] === '') {
+            global.lastIndex++;
+            continue;
+        }
+        spans.push({ start: match.index, end: match.index + match[0].length });
+    }
+    return spans;
+}
+
+function isWithin(start, end, spans) {
+    return spans.some(span => span.start <= start && end <= span.end);
+}
+
+/**
+ * True when the words just before a match negate it ("is not guaranteed")
+ */
+function isNegated(text, start) {
+    const before = text.slice(Math.max(0, start - 60), start);
+    const clause = before.slice(before.search(/[^.!?;:,]*$/));
+    return NEGATION_BEFORE.test(clause);
+}
+
+/**
+ * Blank out HTML tags with spaces of the same length, so rules don't match
+ * markup and match offsets still line up with the original HTML
+ */
+function maskTags(text) {
+    return (text || '').replace(/<[^>]*>/g, tag => ' '.repeat(tag.length));
 }
 
 /**
  * Check if text contains a disclaimer
  * @param {string} text - Text to check
+ * @param {{state?: string, productType?: string}} [context]
  * @returns {boolean}
  */
-function hasDisclaimer(text) {
+function hasDisclaimer(text, context) {
     if (!text) return false;
 
     const plainText = text.replace(/<[^>]*>/g, ' ').toLowerCase();
 
-    return DISCLAIMER_INDICATORS.some(pattern => pattern.test(plainText));
+    return getComplianceRules(context).disclaimerIndicators.some(pattern => pattern.test(plainText));
+}
+
+// How ensureDisclaimer formats what it appends
+const APPENDED_BLOCK = /^\s*<p>\s*<em style="font-size: smaller">[\s\S]*<\/em>\s*<\/p>\s*$/i;
+
+/**
+ * True when one block of a long description is the disclaimer or a state
+ * disclosure this service appends: formatted as ensureDisclaimer formats them,
+ * or with the exact text of one. Unlike hasDisclaimer, a sentence that only
+ * mentions limitations ("Coverage for wear items has limitations.") is not one,
+ * so the description around it stays description.
+ * @param {string} html - One block (usually a <p>) of the long description
+ * @param {{state?: string, productType?: string}} [context]
+ * @returns {boolean}
+ */
+function isAppendedDisclaimer(html, context) {
+    if (!html) return false;
+    if (APPENDED_BLOCK.test(html)) return true;
+
+    const collapse = text => text.replace(/\s+/g, ' ').trim();
+    const text = collapse(decodeEntities(html.replace(/<[^>]*>/g, ' ')));
+    const rules = getComplianceRules(context);
+    const appended = [rules.standardDisclaimer, STANDARD_DISCLAIMER, ...rules.requiredDisclosures.map(disclosure => disclosure.text)];
+
+    return appended.some(phrase => phrase && collapse(phrase) === text);
 }
 
 /**
- * Ensure long description has a disclaimer, add if missing
+ * Ensure long description has a disclaimer, add if missing. With a state
+ * context, also appends any disclosures that state requires and are missing.
  * @param {string} longDescription - Long description HTML
+ * @param {{state?: string, productType?: string}} [context]
  * @returns {string} - Long description with disclaimer
  */
-function ensureDisclaimer(longDescription) {
+function ensureDisclaimer(longDescription, context) {
+    const disclosures = findMissingDisclosures(longDescription, context).map(
+        disclosure => formatDisclaimer(disclosure.text)
+    );
+
     if (!longDescription) {
-        return `<p><em style="font-size: smaller">${STANDARD_DISCLAIMER}</em></p>`;
+        return [getStandardDisclaimer(context), ...disclosures].join('\n');
     }
 
-    // Check if disclaimer already exists
-    if (hasDisclaimer(longDescription)) {
+    // Append standard disclaimer with proper formatting (PRD Section 6.2)
+    // Smaller font, italicized, at the end - unless one already exists
+    const additions = hasDisclaimer(longDescription, context)
+        ? disclosures
+        : [getStandardDisclaimer(context), ...disclosures];
+
+    if (additions.length === 0) {
         return longDescription;
     }
 
-    // Append standard disclaimer with proper formatting (PRD Section 6.2)
-    // Smaller font, italicized, at the end
-    const disclaimerHTML = `<p><em style="font-size: smaller">${STANDARD_DISCLAIMER}</em></p>`;
+    return `${longDescription}\n\n${additions.join('\n')}`;
+}
 
-    return `${longDescription}\n\n${disclaimerHTML}`;
+function formatDisclaimer(text) {
+    return `<p><em style="font-size: smaller">${text}</em></p>`;
 }
 
 /**
  * Get the standard disclaimer HTML
+ * @param {{state?: string, productType?: string}} [context]
  * @returns {string}
  */
-function getStandardDisclaimer() {
-    return `<p><em style="font-size: smaller">${STANDARD_DISCLAIMER}</em></p>`;
+function getStandardDisclaimer(context) {
+    return formatDisclaimer(getComplianceRules(context).standardDisclaimer || STANDARD_DISCLAIMER);
 }
 
 /**
  * Validate content before publishing
  * @param {string} shortDescription 
  * @param {string} longDescription 
+ * @param {{state?: string, productType?: string}} [context] - Adds state rules and required disclosures
  * @returns {{valid: boolean, errors: string[], warnings: string[]}}
  */
-function validateForPublishing(shortDescription, longDescription) {
+function validateForPublishing(shortDescription, longDescription, context) {
     const errors = [];
     const warnings = [];
 
@@ -147,14 +462,23 @@ function validateForPublishing(shortDescription, longDescription) {
 
     // Check long description requirements
     if (longDescription) {
-        if (!hasDisclaimer(longDescription)) {
+        if (!hasDisclaimer(longDescription, context)) {
             warnings.push('Long description should include a disclaimer');
         }
     }
 
-    // Check compliance
-    const compliance = checkCompliance(shortDescription, longDescription);
-    warnings.push(...compliance.warnings);
+    // State disclosures are mandatory, so a missing one blocks publishing
+    for (const disclosure of findMissingDisclosures(longDescription, context)) {
+        errors.push(`Missing required ${disclosure.state || 'state'} disclosure: "${disclosure.text}"`);
+    }
+
+    // Check compliance - findings with severity "error" block publishing
+    for (const finding of findComplianceIssues(shortDescription, longDescription, context)) {
+        const target = finding.severity === 'error' ? errors : warnings;
+        if (!target.includes(finding.message)) {
+            target.push(finding.message);
+        }
+    }
 
     return {
         valid: errors.length === 0,
@@ -165,10 +489,20 @@ function validateForPublishing(shortDescription, longDescription) {
 
 module.exports = {
     checkCompliance,
+    findComplianceIssues,
     hasDisclaimer,
+    isAppendedDisclaimer,
     ensureDisclaimer,
     getStandardDisclaimer,
     validateForPublishing,
+    findMissingDisclosures,
+    normalizeState,
+    loadRulePack,
+    getRulePackPaths,
+    getComplianceRules,
+    reloadComplianceRules,
+    getPromptBannedTerms,
+    listPromptBannedTerms,
     STANDARD_DISCLAIMER,
-    PROHIBITED_KEYWORDS
+    US_STATES
 };
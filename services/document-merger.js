@@ -0,0 +1,153 @@
+/**
+ * Document Merger
+ *
+ * Combines what was read from several documents about one product, e.g. a
+ * marketing brochure (benefits) and the contract (limitations, exclusions):
+ * - mergeAnalyses: one analyzeText-style result from each document's, with
+ *   repeats dropped and the same per-section limits
+ * - findConflicts: terms the documents state differently (term lengths,
+ *   deductible, prices...) and differing product types, each as a warning
+ *   naming the documents and pages, for a reviewer to settle
+ *
+ * Documents are taken in upload order: where one value has to be picked
+ * (product name and type), the first document that states it wins.
+ */
+
+// Most items of each section kept, as analyzeText keeps for one document
+const SECTION_LIMITS = { coverage: 10, benefits: 5, limitations: 5, disclaimers: 3 };
+
+// How each extracted term is named in conflict messages
+const TERM_LABELS = {
+    provider: 'Providers',
+    administrator: 'Administrators',
+    termMonths: 'Term lengths',
+    mileageLimits: 'Mileage limits',
+    deductible: 'Deductibles',
+    perClaimLimit: 'Per-claim limits',
+    aggregateLimit: 'Aggregate limits',
+    priceTiers: 'Prices',
+    cancellation: 'Cancellation terms',
+    transferability: 'Transfer terms',
+    eligibility: 'Eligibility rules'
+};
+
+/**
+ * Merge the analyzeText results of several documents
+ * @param {Object[]} analyses - analyzeText() results, in document order
+ * @returns {Object} - analyzeText()-shaped result
+ */
+function mergeAnalyses(analyses) {
+    const typed = analyses.find(analysis => analysis.productType);
+    const merged = {
+        productName: analyses.map(analysis => analysis.productName).find(Boolean) || null,
+        productType: typed ? typed.productType : null,
+        productTypes: typed ? typed.productTypes || [typed.productType] : [],
+        productTypeCandidates: typed ? typed.productTypeCandidates || [] : []
+    };
+
+    for (const [section, limit] of Object.entries(SECTION_LIMITS)) {
+        const seen = new Set();
+        merged[section] = analyses
+            .flatMap(analysis => analysis[section] || [])
+            .filter(item => {
+                const key = item.toLowerCase();
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            })
+            .slice(0, limit);
+    }
+
+    return merged;
+}
+
+function formatNumber(value) {
+    return typeof value === 'number' ? value.toLocaleString('en-US') : value;
+}
+
+function formatAmount(value) {
+    return typeof value === 'number' ? `$${formatNumber(value)}` : value;
+}
+
+function formatList(values) {
+    return values.length > 1 ? `${values.slice(0, -1).join(', ')} or ${values[values.length - 1]}` : `${values[0]}`;
+}
+
+/**
+ * A term's value as a reviewer would read it
+ */
+function formatTermValue(field, value) {
+    switch (field) {
+        case 'termMonths':
+            return `${formatList(value)} months`;
+        case 'mileageLimits':
+            return `${formatList(value.map(formatNumber))} miles`;
+        case 'deductible':
+        case 'perClaimLimit':
+        case 'aggregateLimit':
+            return formatAmount(value);
+        case 'priceTiers':
+            return value.map(tier => {
+                const plan = [tier.name, tier.termMonths && `${tier.termMonths} months`]
+                    .filter(Boolean).join(' ');
+                return plan ? `${plan} ${formatAmount(tier.price)}` : formatAmount(tier.price);
+            }).join(', ');
+        default:
+            if (value && typeof value === 'object') {
+                return Object.entries(value)
+                    .filter(([, part]) => part !== null && part !== undefined)
+                    .map(([key, part]) => `${key} ${formatNumber(part)}`)
+                    .join(', ');
+            }
+            return `${value}`;
+    }
+}
+
+/**
+ * Terms and product types the documents state differently
+ * @param {Array<{name: string, analysis: Object, terms: Object}>} documents - Each document's
+ *   analyzeText() and extractTerms() results, with term pages numbered across all documents
+ * @returns {Array<{field: string, message: string, values: Array<{document: string, value: *, page: number|null}>}>}
+ */
+function findConflicts(documents) {
+    const conflicts = [];
+
+    const typed = documents.filter(document => document.analysis.productType);
+    if (new Set(typed.map(document => document.analysis.productType)).size > 1) {
+        const values = typed.map(document => ({ document: document.name, value: document.analysis.productType, page: null }));
+        conflicts.push({
+            field: 'productType',
+            message: 'Documents describe different product types: ' +
+                `${values.map(entry => `${entry.document} (${entry.value})`).join(', ')}. ` +
+                'Check they are for the same product.',
+            values
+        });
+    }
+
+    for (const [field, label] of Object.entries(TERM_LABELS)) {
+        const values = documents
+            .filter(document => document.terms[field])
+            .map(document => ({ document: document.name, value: document.terms[field].value, page: document.terms[field].page }));
+
+        // Price tiers carry their page; compare what they say, not where
+        const comparable = entry => JSON.stringify(field === 'priceTiers'
+            ? entry.value.map(tier => ({ ...tier, page: undefined }))
+            : entry.value);
+        if (new Set(values.map(comparable)).size < 2) continue;
+
+        const statements = values.map(entry =>
+            `${entry.document} (page ${entry.page}) states ${formatTermValue(field, entry.value)}`);
+        conflicts.push({
+            field,
+            message: `${label} differ between documents: ${statements.join('; ')}. Check which applies before publishing.`,
+            values
+        });
+    }
+
+    return conflicts;
+}
+
+module.exports = {
+    mergeAnalyses,
+    findConflicts
+};
@@ -0,0 +1,304 @@
+/**
+ * Document Reader
+ *
+ * Reads Word (DOCX), HTML and plain-text product documents into the same
+ * shape readPDFText gives for PDFs: the text of each page, with tables
+ * rebuilt as rows and columns and written into the text row by row (see
+ * table-extractor.js), so analysis, terms extraction, citations and the AI
+ * prompt treat every format alike.
+ * - DOCX: checked for zip bombs, converted to HTML with mammoth, then read as HTML
+ * - HTML: block elements become lines, list items "• " bullets; scripts,
+ *   styles and navigation are dropped
+ * - TXT: read as UTF-8, with form feeds as page breaks
+ *
+ * Only PDFs have real pages; other formats are one page unless a text file
+ * has form feeds.
+ */
+
+const path = require('path');
+const zlib = require('zlib');
+const { parseHTML } = require('./sanitizer');
+const { tableFromRows, hasShortCells, describeRow } = require('./table-extractor');
+
+// Formats by MIME type, and by file extension for browsers that send a generic type
+const DOCUMENT_FORMATS = {
+    pdf: { mimeTypes: ['application/pdf'], extensions: ['.pdf'] },
+    docx: {
+        mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+        extensions: ['.docx']
+    },
+    html: { mimeTypes: ['text/html', 'application/xhtml+xml'], extensions: ['.html', '.htm', '.xhtml'] },
+    txt: { mimeTypes: ['text/plain'], extensions: ['.txt'] }
+};
+
+// MIME types that say nothing about the content, so the extension decides
+const GENERIC_MIME_TYPES = new Set(['application/octet-stream', 'application/zip', '']);
+
+// A Word file is a zip archive, and a few kilobytes of zip can inflate to
+// gigabytes. mammoth inflates whatever it is given, so archives are checked
+// against these limits first (uploads are at most 10MB compressed).
+const MAX_DOCX_ENTRIES = 1000;
+const MAX_DOCX_BYTES = 50 * 1024 * 1024;
+
+// Zip record signatures
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+// Elements whose content is not document text
+const SKIPPED_TAGS = new Set(['head', 'script', 'style', 'noscript', 'template', 'svg', 'nav', 'iframe', 'button', 'form']);
+
+// Elements that start a new line
+const BLOCK_TAGS = new Set([
+    'address', 'article', 'aside', 'blockquote', 'dd', 'div', 'dl', 'dt', 'figcaption', 'figure',
+    'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'main', 'ol', 'p', 'pre',
+    'section', 'ul', 'caption'
+]);
+
+/**
+ * Format of an uploaded file, from its MIME type or (for generic types) its extension
+ * @param {{mimetype: string, originalname?: string}} file - multer file
+ * @returns {string|null} - 'pdf', 'docx', 'html', 'txt', or null when unsupported
+ */
+function detectFormat(file) {
+    const mimeType = (file.mimetype || '').split(';')[0].trim().toLowerCase();
+    const extension = path.extname(file.originalname || '').toLowerCase();
+
+    for (const [format, { mimeTypes }] of Object.entries(DOCUMENT_FORMATS)) {
+        if (mimeTypes.includes(mimeType)) return format;
+    }
+    if (GENERIC_MIME_TYPES.has(mimeType)) {
+        for (const [format, { extensions }] of Object.entries(DOCUMENT_FORMATS)) {
+            if (extensions.includes(extension)) return format;
+        }
+    }
+    return null;
+}
+
+/**
+ * Text of an inline node, with line breaks kept
+ */
+function inlineText(node) {
+    if (node.type === 'text') return node.value;
+    if (node.type !== 'element' || SKIPPED_TAGS.has(node.name)) return '';
+    if (node.name === 'br') return '\n';
+    return node.children.map(inlineText).join('');
+}
+
+/**
+ * Non-empty lines of a run of text, with spaces collapsed
+ */
+function splitLines(text) {
+    return text.replace(/[^\S\n]+/g, ' ').split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+/**
+ * Rows of cells of an HTML table (nested tables are read as cell text)
+ * @returns {{rows: string[][], hasHeader: boolean}}
+ */
+function readTableRows(table) {
+    const rows = [];
+    let hasHeader = false;
+
+    const visit = (node) => {
+        if (node.type !== 'element' || (node.name === 'table' && node !== table)) return;
+        if (node.name === 'tr') {
+            const cells = node.children.filter(child => child.type === 'element' && ['td', 'th'].includes(child.name));
+            if (rows.length === 0 && cells.length > 0 && cells.every(cell => cell.name === 'th')) hasHeader = true;
+            rows.push(cells.map(cell => inlineText(cell).replace(/\s+/g, ' ').trim()));
+            return;
+        }
+        node.children.forEach(visit);
+    };
+    visit(table);
+
+    // Pad short rows so every row has a cell per column
+    const width = Math.max(0, ...rows.map(row => row.length));
+    return {
+        rows: rows.filter(row => row.some(Boolean)).map(row => [...row, ...Array(width - row.length).fill('')]),
+        hasHeader
+    };
+}
+
+/**
+ * Read HTML into lines of text and tables
+ * @param {string} html
+ * @returns {{text: string, tables: Object[]}}
+ */
+function readHTML(html) {
+    const lines = [];
+    const tables = [];
+    let current = '';
+
+    const endLine = () => {
+        lines.push(...splitLines(current));
+        current = '';
+    };
+
+    const visit = (node) => {
+        if (node.type === 'text') {
+            // Line breaks in the source are only spacing; <br> and blocks break lines
+            current += node.value.replace(/\s+/g, ' ');
+            return;
+        }
+        if (node.type !== 'element' && node.type !== 'root') return;
+        if (SKIPPED_TAGS.has(node.name)) return;
+
+        if (node.name === 'br') {
+            current += '\n';
+            return;
+        }
+
+        if (node.name === 'table') {
+            endLine();
+            const { rows, hasHeader } = readTableRows(node);
+            const width = rows.length ? rows[0].length : 0;
+            if (rows.length >= 2 && width >= 2 && hasShortCells(rows)) {
+                const table = tableFromRows(rows, 1, { hasHeader });
+                tables.push(table);
+                lines.push(...table.rows.map(row => describeRow(table, row)));
+            } else {
+                // Layout tables hold prose: each cell is a line
+                rows.flat().filter(Boolean).forEach(cell => lines.push(cell));
+            }
+            return;
+        }
+
+        const block = BLOCK_TAGS.has(node.name);
+        if (block) endLine();
+        if (node.name === 'li') current = '• ';
+        node.children.forEach(visit);
+        if (block) endLine();
+    };
+
+    visit(parseHTML(html));
+    endLine();
+
+    return { text: lines.filter(line => line !== '•').join('\n'), tables };
+}
+
+/**
+ * Read plain text: pages split at form feeds, line endings normalized
+ */
+function readText(buffer) {
+    const text = buffer.toString('utf8').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+    return text.split('\f').map(page => page.replace(/[^\S\n]+$/gm, '').trim());
+}
+
+/**
+ * Error for a document that can't be read safely, with a message for the user
+ * @param {string} code - DOCUMENT_TOO_LARGE or INVALID_DOCUMENT
+ */
+function createDocumentError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Check a zip archive's size before anything inflates it. The sizes the
+ * central directory declares are checked first; since those can lie, each
+ * entry is then inflated with its output capped at what is left of the limit.
+ * @param {Buffer} buffer - Zip archive
+ * @param {number} [maxBytes] - Most bytes all entries may inflate to
+ * @throws {Error} - code DOCUMENT_TOO_LARGE over the limits, INVALID_DOCUMENT when the archive is unreadable
+ */
+function checkZipSize(buffer, maxBytes = MAX_DOCX_BYTES) {
+    const invalid = () => createDocumentError('This Word file could not be read. It may be corrupted.', 'INVALID_DOCUMENT');
+    const tooLarge = () => createDocumentError(
+        `This Word file expands to more than ${+(maxBytes / (1024 * 1024)).toFixed(1)}MB and was not read.`,
+        'DOCUMENT_TOO_LARGE'
+    );
+
+    // The end record sits in the last 22 bytes, before a comment of up to 64KB
+    let end = -1;
+    for (let index = buffer.length - 22; index >= Math.max(0, buffer.length - 22 - 0xffff); index--) {
+        if (buffer.readUInt32LE(index) === END_OF_CENTRAL_DIRECTORY) {
+            end = index;
+            break;
+        }
+    }
+    if (end < 0) throw invalid();
+
+    const entryCount = buffer.readUInt16LE(end + 10);
+    if (entryCount > MAX_DOCX_ENTRIES) throw tooLarge();
+
+    let offset = buffer.readUInt32LE(end + 16);
+    let declared = 0;
+    let inflated = 0;
+
+    for (let entry = 0; entry < entryCount; entry++) {
+        if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_HEADER) throw invalid();
+
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        declared += buffer.readUInt32LE(offset + 24);
+        offset += 46 + buffer.readUInt16LE(offset + 28) + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+
+        // ZIP64 archives declare 0xFFFFFFFF here, which is over the limit too
+        if (declared > maxBytes) throw tooLarge();
+
+        if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== LOCAL_FILE_HEADER) throw invalid();
+        const start = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        const data = buffer.subarray(start, start + compressedSize);
+
+        if (method === 0) {
+            inflated += data.length;
+        } else if (method === 8) {
+            try {
+                inflated += zlib.inflateRawSync(data, { maxOutputLength: Math.max(1, maxBytes - inflated) }).length;
+            } catch (error) {
+                throw error.code === 'ERR_BUFFER_TOO_LARGE' ? tooLarge() : invalid();
+            }
+        } else {
+            // Word only writes stored and deflated entries
+            throw invalid();
+        }
+        if (inflated > maxBytes) throw tooLarge();
+    }
+}
+
+/**
+ * Read a DOCX, HTML or TXT document
+ * @param {Buffer} buffer - File contents
+ * @param {'docx'|'html'|'txt'} format - detectFormat() result
+ * @param {Object} [options]
+ * @param {number} [options.maxBytes] - Most bytes a Word file may inflate to
+ * @returns {Promise<{pageCount: number, pages: string[], tables: Object[]}>}
+ * @throws {Error} - code DOCUMENT_TOO_LARGE or INVALID_DOCUMENT for Word files that fail checkZipSize
+ */
+async function readDocument(buffer, format, { maxBytes = MAX_DOCX_BYTES } = {}) {
+    if (format === 'txt') {
+        const pages = readText(buffer);
+        return { pageCount: pages.length, pages, tables: [] };
+    }
+
+    let html;
+    if (format === 'docx') {
+        checkZipSize(buffer, maxBytes);
+
+        // Loaded on first use, so servers that never see a Word file don't pay for it
+        const mammoth = require('mammoth');
+        ({ value: html } = await mammoth.convertToHtml({ buffer }, {
+            // Images aren't read as text, so don't inflate and base64-encode them
+            convertImage: mammoth.images.imgElement(async () => ({ src: '' }))
+        }));
+    } else if (format === 'html') {
+        html = buffer.toString('utf8').replace(/^\uFEFF/, '');
+    } else {
+        throw new Error(`Unsupported document format: ${format}`);
+    }
+
+    const { text, tables } = readHTML(html);
+    return { pageCount: 1, pages: [text], tables };
+}
+
+module.exports = {
+    DOCUMENT_FORMATS,
+    MAX_DOCX_BYTES,
+    detectFormat,
+    checkZipSize,
+    readDocument,
+    readHTML
+};
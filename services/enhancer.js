@@ -1,169 +1,128 @@
 /**
- * AI Enhancement Service - OpenAI Integration
+ * AI Enhancement Service
  * 
- * Uses GPT-4 to enhance F&I product descriptions with:
+ * Uses the configured AI provider (see ai-provider.js) to enhance
+ * F&I product descriptions with:
  * - Better grammar and clarity
  * - Professional, persuasive language
  * - Proper structure and formatting
  * - Compliance-safe wording
  */
 
-require('dotenv').config();
-const OpenAI = require('openai');
+const { getAIClient } = require('./ai-provider');
+const { describeAIError } = require('./resilience');
+const { listPromptBannedTerms } = require('./compliance');
+const { resolveSanitizerProfile } = require('./sanitizer-profiles');
+const { buildPrompt } = require('./prompts');
 
-// Initialize OpenAI client lazily to avoid errors on environments (like Render) 
-// that use the Cloudflare Worker proxy instead of a local API key.
-const openai = process.env.OPENAI_API_KEY
-    ? new OpenAI({ apiKey: process.env.OPENAI_API_KEY })
-    : null;
-
-// System prompt for F&I description enhancement
-const SYSTEM_PROMPT = `You are an expert F&I (Finance & Insurance) product description writer for automotive dealerships.
-
-Your task is to enhance product descriptions to be professional, persuasive, and compliance-safe.
-
-PERSUASION PRINCIPLES (apply these techniques):
-
-1. BENEFIT-FIRST LANGUAGE
-   - Lead with what the customer gains, not the product features
-   - Instead of "This plan covers repairs" → "Enjoy worry-free ownership with covered repairs"
-   - Focus on emotional benefits: peace of mind, confidence, convenience
-
-2. SPECIFICITY & CREDIBILITY
-   - Use concrete numbers and details when available
-   - Instead of "great coverage" → "coverage up to $800 for key replacement"
-   - Specific claims are more believable than vague promises
-
-3. FUTURE-PACING
-   - Help customers visualize positive outcomes
-   - "Imagine driving with confidence knowing unexpected repairs won't impact your budget"
-   - Use phrases like "you'll enjoy", "you can expect", "picture yourself"
-
-4. LOSS AVERSION (ethical framing)
-   - Frame as avoiding hassle, not fear-mongering
-   - Instead of "You'll lose money!" → "Avoid unexpected out-of-pocket expenses"
-   - Focus on protection and prevention, not worst-case scenarios
-
-5. ACTIVE VOICE & ACTION WORDS
-   - Use strong, direct verbs
-   - Instead of "Repairs are covered by this plan" → "This plan covers repairs"
-   - Power words: protect, enjoy, receive, gain, ensure, maintain
-
-IMPORTANT RULES:
-- NEVER use prohibited words: "guarantee", "guaranteed", "never", "always", "mandatory", "required by law", "best", "ultimate", "act now", "limited time"
-- NEVER use fear-based language or high-pressure tactics
-- NEVER use multiple exclamation points
-- Always be factual and accurate
-
-For SHORT descriptions:
-- Maximum 3 sentences, under 200 characters
-- Plain text only (no HTML)
-- Concise, impactful, benefit-focused
-
-For LONG descriptions:
-- Use HTML formatting: <p>, <strong>, <em>, <ul>, <li>, <br>
-- Include clear section headers (Overview, Key Benefits, Coverage Highlights)
-- CRITICAL: Always place section headers (like <strong>Key Benefits</strong>) in their own <p> tags OUTSIDE and ABOVE the corresponding <ul> lists.
-- NEVER put <strong> tags directly inside <ul> tags.
-- Use bullet points for features/benefits
-- Be comprehensive but scannable`;
+/**
+ * Prompt parameters for an enhancement task: the banned words of the
+ * compliance rule packs in effect, and the sanitizer profile's tags
+ * @param {string} text - Text to enhance or summarise
+ * @param {Object|string} [profile] - Sanitizer profile or its name
+ */
+function promptParams(text, profile) {
+    return { text, bannedTerms: listPromptBannedTerms(), tags: [...resolveSanitizerProfile(profile).tags] };
+}
 
 
 /**
- * Enhance descriptions using OpenAI GPT-4
+ * Enhance descriptions using the configured AI provider
  * @param {string} shortDescription - Existing short description
  * @param {string} longDescription - Existing long description
- * @returns {Promise<{shortDescription: string, longDescription: string}>}
- */
-/**
- * Enhance descriptions using Proxy or Local OpenAI
+ * @param {Object} [options]
+ * @param {Object|string} [options.profile] - Sanitizer profile the long description is written for
+ * @returns {Promise<{shortDescription: string, longDescription: string, degraded: boolean, degradedReason: string|null}>}
+ *   degraded is true when any part fell back to non-AI text
  */
-async function enhanceDescriptions(shortDescription, longDescription) {
+async function enhanceDescriptions(shortDescription, longDescription, { profile } = {}) {
     const hasShort = shortDescription && shortDescription.trim();
     const hasLong = longDescription && longDescription.trim();
-    const workerUrl = process.env.CLOUDFLARE_WORKER_URL;
-
-    // Preference: Use Cloudflare Worker if configured
-    if (workerUrl) {
-        try {
-            const response = await fetch(`${workerUrl.replace(/\/$/, '')}/enhance`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    shortDescription: shortDescription || '',
-                    longDescription: longDescription || ''
-                })
-            });
+    const status = createStatus();
 
-            if (!response.ok) throw new Error(`Worker status: ${response.status}`);
-            const result = await response.json();
-
-            // If we only wanted one enhanced but got both from worker, that's fine
-            return {
-                shortDescription: result.shortDescription || '',
-                longDescription: result.longDescription || ''
-            };
-        } catch (error) {
-            console.error('Worker enhancement failed, trying local fallback if key exists:', error.message);
-            if (!process.env.OPENAI_API_KEY) throw error;
-        }
-    }
-
-    // Local OpenAI Fallback
     let enhancedShort = '';
     let enhancedLong = '';
 
     if (hasShort && hasLong) {
         // Both provided - enhance both
         [enhancedShort, enhancedLong] = await Promise.all([
-            enhanceShortDescription(shortDescription),
-            enhanceLongDescription(longDescription)
+            enhanceShortDescription(shortDescription, status),
+            enhanceLongDescription(longDescription, status, profile)
         ]);
     } else if (hasShort) {
         // Only short provided - enhance it AND generate a long one from it
-        enhancedShort = await enhanceShortDescription(shortDescription);
-        enhancedLong = await enhanceLongDescription(shortDescription);
+        enhancedShort = await enhanceShortDescription(shortDescription, status);
+        enhancedLong = await enhanceLongDescription(shortDescription, status, profile);
     } else if (hasLong) {
         // Only long provided - enhance it AND generate a short one from it
-        enhancedLong = await enhanceLongDescription(longDescription);
-        enhancedShort = await enhanceShortDescription(longDescription);
+        enhancedLong = await enhanceLongDescription(longDescription, status, profile);
+        enhancedShort = await enhanceShortDescription(longDescription, status);
     }
 
     return {
         shortDescription: enhancedShort,
-        longDescription: enhancedLong
+        longDescription: enhancedLong,
+        degraded: status.degraded,
+        degradedReason: status.reason
     };
 }
 
 /**
- * Enhance a short description
+ * Enhance descriptions, streaming the long description as it is generated
+ * @param {string} shortDescription - Existing short description
+ * @param {string} longDescription - Existing long description
+ * @param {function(string): void} onToken - Called with each chunk of the long description
+ * @param {Object} [options]
+ * @param {Object|string} [options.profile] - Sanitizer profile the long description is written for
+ * @returns {Promise<{shortDescription: string, longDescription: string, degraded: boolean, degradedReason: string|null}>}
  */
-async function enhanceShortDescription(text) {
-    try {
-        const response = await openai.chat.completions.create({
-            model: 'gpt-4o-mini',
-            messages: [
-                { role: 'system', content: SYSTEM_PROMPT },
-                {
-                    role: 'user',
-                    content: `Enhance this F&I product SHORT description. 
+async function enhanceDescriptionsStream(shortDescription, longDescription, onToken, { profile } = {}) {
+    const hasShort = shortDescription && shortDescription.trim();
+    const hasLong = longDescription && longDescription.trim();
+    const status = createStatus();
+
+    // Same pairing as enhanceDescriptions: a missing field is generated from the other one
+    const shortSource = hasShort ? shortDescription : (hasLong ? longDescription : '');
+    const longSource = hasLong ? longDescription : (hasShort ? shortDescription : '');
 
-CRITICAL REQUIREMENTS:
-- MAXIMUM 200 characters total (this is strict - count them!)
-- 1-2 sentences only
-- Plain text only (no HTML)
-- Professional and compelling
+    const [enhancedShort, enhancedLong] = await Promise.all([
+        shortSource ? enhanceShortDescription(shortSource, status) : '',
+        longSource ? streamLongDescription(longSource, onToken, status, profile) : ''
+    ]);
+
+    return {
+        shortDescription: enhancedShort,
+        longDescription: enhancedLong,
+        degraded: status.degraded,
+        degradedReason: status.reason
+    };
+}
 
-Original: "${text}"
+/**
+ * Create a tracker for whether any AI call fell back to non-AI text
+ */
+function createStatus() {
+    return { degraded: false, reason: null };
+}
 
-Respond with ONLY the enhanced description, nothing else. Must be under 200 characters.`
-                }
-            ],
-            max_tokens: 100,
-            temperature: 0.7
-        });
+/**
+ * Record an AI failure on the tracker (first reason wins)
+ */
+function markDegraded(status, error) {
+    if (!status) return;
+    status.degraded = true;
+    if (!status.reason) {
+        status.reason = describeAIError(error);
+    }
+}
 
-        let result = response.choices[0].message.content.trim();
+/**
+ * Enhance a short description
+ * @param {Object} [status] - Tracker marked when falling back to non-AI text
+ */
+async function enhanceShortDescription(text, status) {
+    try {
+        let result = await getAIClient().complete(buildPrompt('enhance-short', promptParams(text)));
 
         // Enforce 200 character limit
         if (result.length > 200) {
@@ -172,114 +131,87 @@ Respond with ONLY the enhanced description, nothing else. Must be under 200 char
 
         return result;
     } catch (error) {
-        console.error('OpenAI API error (short):', error.message);
+        console.error('AI provider error (short):', error.message);
+        markDegraded(status, error);
         // Fallback to original if API fails
         return text.substring(0, 200);
     }
 }
 
+/**
+ * Build the completion request for enhancing a long description
+ * @param {string} text - Long (or short) description to expand
+ * @param {Object|string} [profile] - Sanitizer profile to write for
+ */
+function buildLongRequest(text, profile) {
+    return buildPrompt('enhance-long', promptParams(text, profile));
+}
+
 /**
  * Enhance a long description
+ * @param {Object} [status] - Tracker marked when falling back to non-AI text
+ * @param {Object|string} [profile] - Sanitizer profile to write for
  */
-async function enhanceLongDescription(text) {
+async function enhanceLongDescription(text, status, profile) {
     try {
-        const response = await openai.chat.completions.create({
-            model: 'gpt-4o-mini',
-            messages: [
-                { role: 'system', content: SYSTEM_PROMPT },
-                {
-                    role: 'user',
-                    content: `Enhance this F&I product LONG description. Use HTML formatting with <p>, <strong>, <em>, <ul>, <li> tags. Make it professional, well-structured, and comprehensive.
-
-Include:
-- A clear overview paragraph
-- Key benefits as bullet points
-- Coverage highlights
-
-Original: "${text}"
+        return await getAIClient().complete(buildLongRequest(text, profile));
+    } catch (error) {
+        console.error('AI provider error (long):', error.message);
+        markDegraded(status, error);
+        // Fallback to original if API fails
+        return text;
+    }
+}
 
-Respond with ONLY the enhanced HTML description, nothing else. Do not wrap in code blocks.`
-                }
-            ],
-            max_tokens: 800,
-            temperature: 0.7
-        });
+/**
+ * Enhance a long description, passing each chunk of model output to onToken
+ * @param {string} text - Long (or short) description to expand
+ * @param {function(string): void} onToken - Called with each chunk as it arrives
+ * @param {Object} [status] - Tracker marked when falling back to non-AI text
+ * @param {Object|string} [profile] - Sanitizer profile to write for
+ */
+async function streamLongDescription(text, onToken, status, profile) {
+    let result = '';
 
-        return response.choices[0].message.content.trim();
+    try {
+        for await (const chunk of getAIClient().stream(buildLongRequest(text, profile))) {
+            result += chunk;
+            onToken(chunk);
+        }
+        return result.trim();
     } catch (error) {
-        console.error('OpenAI API error (long):', error.message);
-        // Fallback to original if API fails
+        console.error('AI provider error (long stream):', error.message);
+        markDegraded(status, error);
+        // A stream cut off part-way is not usable; fall back to the original
         return text;
     }
 }
 
 /**
  * Generate a long description from a short one
+ * @param {Object} [status] - Tracker marked when falling back to non-AI text
+ * @param {Object|string} [profile] - Sanitizer profile to write for
  */
-async function generateLongFromShort(shortText) {
+async function generateLongFromShort(shortText, status, profile) {
     try {
-        const response = await openai.chat.completions.create({
-            model: 'gpt-4o-mini',
-            messages: [
-                { role: 'system', content: SYSTEM_PROMPT },
-                {
-                    role: 'user',
-                    content: `Based on this short F&I product description, create a comprehensive LONG description. Use HTML formatting with <p>, <strong>, <em>, <ul>, <li> tags.
-
-Include:
-- A clear overview paragraph explaining the product
-- Key benefits as bullet points
-- What the coverage includes
-- Why it's valuable for the customer
-
-Short description: "${shortText}"
-
-Respond with ONLY the HTML description, nothing else. Do not wrap in code blocks.`
-                }
-            ],
-            max_tokens: 800,
-            temperature: 0.7
-        });
-
-        return response.choices[0].message.content.trim();
+        return await getAIClient().complete(buildPrompt('generate-long', promptParams(shortText, profile)));
     } catch (error) {
-        console.error('OpenAI API error (generate long):', error.message);
+        console.error('AI provider error (generate long):', error.message);
+        markDegraded(status, error);
         return `<p>${shortText}</p>`;
     }
 }
 
 /**
  * Generate a short description from a long one
+ * @param {Object} [status] - Tracker marked when falling back to non-AI text
  */
-async function generateShortFromLong(longText) {
+async function generateShortFromLong(longText, status) {
     try {
         // Strip HTML for context
         const plainText = longText.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
 
-        const response = await openai.chat.completions.create({
-            model: 'gpt-4o-mini',
-            messages: [
-                { role: 'system', content: SYSTEM_PROMPT },
-                {
-                    role: 'user',
-                    content: `Summarize this F&I product description into a SHORT description.
-
-CRITICAL REQUIREMENTS:
-- MAXIMUM 200 characters total (this is strict!)
-- 1-2 sentences only
-- Plain text only (no HTML)
-- Concise and impactful
-
-Full description: "${plainText}"
-
-Respond with ONLY the short description, nothing else. Must be under 200 characters.`
-                }
-            ],
-            max_tokens: 100,
-            temperature: 0.7
-        });
-
-        let result = response.choices[0].message.content.trim();
+        let result = await getAIClient().complete(buildPrompt('generate-short', promptParams(plainText)));
 
         // Enforce 200 character limit
         if (result.length > 200) {
@@ -288,7 +220,8 @@ Respond with ONLY the short description, nothing else. Must be under 200 charact
 
         return result;
     } catch (error) {
-        console.error('OpenAI API error (generate short):', error.message);
+        console.error('AI provider error (generate short):', error.message);
+        markDegraded(status, error);
         const plainText = longText.replace(/<[^>]*>/g, ' ').trim();
         return plainText.substring(0, 197) + '...';
     }
@@ -296,8 +229,10 @@ Respond with ONLY the short description, nothing else. Must be under 200 charact
 
 module.exports = {
     enhanceDescriptions,
+    enhanceDescriptionsStream,
     enhanceShortDescription,
     enhanceLongDescription,
+    streamLongDescription,
     generateLongFromShort,
     generateShortFromLong
 };
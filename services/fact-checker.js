@@ -0,0 +1,167 @@
+/**
+ * Fact Preservation Service
+ *
+ * Verifies that AI output does not add facts (PRD Sections 5.5 and 9.1):
+ * - Extracts dollar amounts, mileage, term lengths, percentages and
+ *   named covered components from the source text
+ * - Flags any in the enhanced output that have no source
+ */
+
+// Words accepted in place of digits for term lengths ("three years")
+const NUMBER_WORDS = {
+    one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7,
+    eight: 8, nine: 9, ten: 10, twelve: 12, eighteen: 18, twenty: 20
+};
+
+const MULTIPLIERS = { k: 1000, thousand: 1000, m: 1000000, million: 1000000 };
+
+// Named components a plan may cover; output naming one the source doesn't is an invented fact
+const COVERED_COMPONENTS = [
+    { name: 'engine', pattern: /\bengines?\b/i },
+    { name: 'transmission', pattern: /\btransmissions?\b/i },
+    { name: 'drive axle', pattern: /\b(drive ?axles?|drivetrain)\b/i },
+    { name: 'turbocharger', pattern: /\bturbo(charger)?s?\b/i },
+    { name: 'tires', pattern: /\btires?\b/i },
+    { name: 'wheels', pattern: /\b(wheels?|rims?)\b/i },
+    { name: 'windshield', pattern: /\b(windshields?|windscreens?)\b/i },
+    // Bare "key" is left out so headers like "Key Benefits" don't match
+    { name: 'keys', pattern: /\b(keys|key (fobs?|replacement)|lost key|fobs?)\b/i },
+    { name: 'paint', pattern: /\bpaint\b/i },
+    { name: 'dents', pattern: /\b(dents?|dings?)\b/i },
+    { name: 'battery', pattern: /\batter(y|ies)\b/i },
+    { name: 'brakes', pattern: /\bbrakes?\b/i },
+    { name: 'suspension', pattern: /\bsuspension\b/i },
+    { name: 'steering', pattern: /\bsteering\b/i },
+    { name: 'air conditioning', pattern: /\b(air conditioning|a\/c)\b/i },
+    { name: 'electrical system', pattern: /\belectrical\b/i },
+    { name: 'fuel system', pattern: /\bfuel (system|pump|injectors?)\b/i },
+    { name: 'cooling system', pattern: /\b(cooling system|radiator)\b/i },
+    { name: 'seals and gaskets', pattern: /\b(seals?|gaskets?)\b/i },
+    { name: 'interior', pattern: /\b(upholstery|leather|fabric|interior)\b/i },
+    { name: 'navigation', pattern: /\b(navigation|gps)\b/i },
+    { name: 'towing', pattern: /\btow(ing)?\b/i },
+    { name: 'rental car', pattern: /\brental\b/i },
+    { name: 'roadside assistance', pattern: /\broadside\b/i },
+    { name: 'lockout', pattern: /\block-?outs?\b/i },
+];
+
+const FACT_LABELS = {
+    amount: 'dollar amount',
+    mileage: 'mileage',
+    term: 'term length',
+    percentage: 'percentage',
+    component: 'covered component'
+};
+
+/**
+ * Parse "1,500", "1.5" or a number word into a number
+ */
+function parseNumber(text) {
+    const word = NUMBER_WORDS[text.toLowerCase()];
+    if (word !== undefined) return word;
+    return parseFloat(text.replace(/,/g, ''));
+}
+
+function applyMultiplier(value, suffix) {
+    return suffix ? value * (MULTIPLIERS[suffix.toLowerCase()] || 1) : value;
+}
+
+/**
+ * Strip HTML so tags and entities don't produce false matches
+ */
+function toPlainText(text) {
+    return (text || '')
+        .replace(/<[^>]*>/g, ' ')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&amp;/g, '&')
+        .replace(/\s+/g, ' ');
+}
+
+/**
+ * Extract checkable facts from text
+ * @param {string} text - Plain text or HTML
+ * @returns {Array<{type: string, value: (number|string), text: string}>}
+ *   value is normalized (dollars, miles, months, percent, component name) for comparison
+ */
+function extractFacts(text) {
+    const plainText = toPlainText(text);
+    const facts = [];
+    let match;
+
+    // $800, $1,500.00, $2.5k, $1 million
+    const amountPattern = /\$\s?(\d[\d,]*(?:\.\d+)?)(?:\s?(k|thousand|million|m)\b)?/gi;
+    while ((match = amountPattern.exec(plainText)) !== null) {
+        facts.push({ type: 'amount', value: applyMultiplier(parseNumber(match[1]), match[2]), text: match[0].trim() });
+    }
+
+    // 800 dollars
+    const dollarWordPattern = /\b(\d[\d,]*(?:\.\d+)?)\s?dollars\b/gi;
+    while ((match = dollarWordPattern.exec(plainText)) !== null) {
+        facts.push({ type: 'amount', value: parseNumber(match[1]), text: match[0] });
+    }
+
+    // 100,000 miles, 100k-mile, 50 mi
+    const mileagePattern = /\b(\d[\d,]*(?:\.\d+)?)\s?(k|thousand)?[\s-]?(miles?|mi)\b/gi;
+    while ((match = mileagePattern.exec(plainText)) !== null) {
+        facts.push({ type: 'mileage', value: applyMultiplier(parseNumber(match[1]), match[2]), text: match[0] });
+    }
+
+    // 36 months, 3-year, three years (normalized to months)
+    const numberWords = Object.keys(NUMBER_WORDS).join('|');
+    const termPattern = new RegExp(`\\b(\\d+|${numberWords})[\\s-]?(years?|yrs?|months?|mos?)\\b`, 'gi');
+    while ((match = termPattern.exec(plainText)) !== null) {
+        const months = /^y/i.test(match[2]) ? parseNumber(match[1]) * 12 : parseNumber(match[1]);
+        facts.push({ type: 'term', value: months, text: match[0] });
+    }
+
+    // 10%, 2.9 percent
+    const percentPattern = /\b(\d+(?:\.\d+)?)\s?(%|percent\b)/gi;
+    while ((match = percentPattern.exec(plainText)) !== null) {
+        facts.push({ type: 'percentage', value: parseNumber(match[1]), text: match[0] });
+    }
+
+    for (const { name, pattern } of COVERED_COMPONENTS) {
+        const found = plainText.match(pattern);
+        if (found) {
+            facts.push({ type: 'component', value: name, text: found[0] });
+        }
+    }
+
+    return facts;
+}
+
+/**
+ * Find facts in the output that have no source in the input
+ * @param {string} sourceText - Original input (descriptions or document text)
+ * @param {string} outputText - AI output (short and/or long description)
+ * @returns {{hasIssues: boolean, warnings: string[], unsupported: Array<{type: string, value: (number|string), text: string}>}}
+ */
+function checkFactPreservation(sourceText, outputText) {
+    const known = new Set(extractFacts(sourceText).map(fact => `${fact.type}:${fact.value}`));
+    const unsupported = [];
+    const seen = new Set();
+
+    for (const fact of extractFacts(outputText)) {
+        const key = `${fact.type}:${fact.value}`;
+        if (!known.has(key) && !seen.has(key)) {
+            seen.add(key);
+            unsupported.push(fact);
+        }
+    }
+
+    const warnings = unsupported.map(fact =>
+        `Mentions ${FACT_LABELS[fact.type]} "${fact.text}" that is not in the source - verify before publishing`
+    );
+
+    return {
+        hasIssues: unsupported.length > 0,
+        warnings,
+        unsupported
+    };
+}
+
+module.exports = {
+    extractFacts,
+    checkFactPreservation,
+    COVERED_COMPONENTS
+};
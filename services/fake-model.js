@@ -0,0 +1,285 @@
+/**
+ * Fake Model
+ *
+ * Deterministic stand-in for the chat model, used by the "stub" AI provider
+ * and by the Cloudflare Worker when AI_PROVIDER=stub. Responses come from:
+ * 1. Fixtures matched by prompt hash (exact replay of a recorded prompt)
+ * 2. Fixtures matched by task + input text (survives prompt wording changes)
+ * 3. A rule-based generator that rewrites the input into the expected shape
+ *
+ * This module must stay free of Node-only APIs so the worker can bundle it.
+ */
+
+// Compliance-safe substitutions applied by the generator (mirrors PRD Section 6.1).
+// Only word swaps that keep the meaning: terms that carry it ("never", "always",
+// "mandatory", "required by law") are left as written for the compliance checks to flag
+const SAFE_REWRITES = [
+    [/\bguaranteed(?= [a-z])/gi, 'dependable'],
+    [/\bthe best\b/gi, 'a trusted'],
+    [/\bbest\b(?!-)/gi, 'trusted'],
+    [/\bultimate\b/gi, 'comprehensive'],
+    [/!+/g, '.']
+];
+
+// Sentences carrying pressure tactics are dropped entirely
+const PRESSURE_PHRASES = /\b(act now|limited time|don'?t miss|before it'?s too late)\b/i;
+
+/**
+ * Stable 32-bit FNV-1a hash of the prompt messages, as 8 hex characters
+ * @param {Array<{role: string, content: string}>} messages
+ * @returns {string}
+ */
+function promptHash(messages) {
+    const text = JSON.stringify(messages || []);
+    let hash = 0x811c9dc5;
+
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+
+    return hash.toString(16).padStart(8, '0');
+}
+
+/**
+ * Normalize input text for fixture lookups
+ */
+function normalizeInput(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Strip markup (and the content of script/style blocks) from text
+ */
+function toPlainText(text) {
+    return (text || '')
+        .replace(/<(script|style)[\s\S]*?<\/\1>/gi, ' ')
+        .replace(/<[^>]*>/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Split plain text into compliance-safe sentences
+ */
+function toSentences(text) {
+    const sentences = (text.match(/[^.!?]+[.!?]*/g) || [])
+        .map(s => s.trim())
+        .filter(s => s && !PRESSURE_PHRASES.test(s));
+
+    return sentences.map(sentence => {
+        let rewritten = sentence;
+        for (const [pattern, replacement] of SAFE_REWRITES) {
+            rewritten = rewritten.replace(pattern, replacement);
+        }
+        rewritten = rewritten.replace(/\s+/g, ' ').trim();
+        rewritten = rewritten.charAt(0).toUpperCase() + rewritten.slice(1);
+        return /[.?]$/.test(rewritten) ? rewritten : `${rewritten}.`;
+    });
+}
+
+/**
+ * Lowercase the first letter to continue a sentence, leaving acronyms ("GAP") as written
+ */
+function lowerFirst(text) {
+    return /^[A-Z]{2,}\b/.test(text) ? text : text.charAt(0).toLowerCase() + text.slice(1);
+}
+
+/**
+ * Truncate at a word boundary within the limit
+ */
+function limitLength(text, max) {
+    if (text.length <= max) return text;
+    const cut = text.substring(0, max - 3);
+    return `${cut.substring(0, cut.lastIndexOf(' ')) || cut}...`;
+}
+
+/**
+ * Build a short, plain-text description
+ */
+function generateShort(input) {
+    const sentences = toSentences(toPlainText(input));
+    const body = sentences.slice(0, 2).join(' ');
+
+    // Expand very terse input (a few words) into a complete sentence
+    if (body.split(' ').length < 4) {
+        const subject = body.replace(/[.?]$/, '');
+        const lead = subject ? lowerFirst(subject) : 'your vehicle';
+        return limitLength(`Enjoy peace of mind with protection for ${lead}.`, 200);
+    }
+
+    return limitLength(`Enjoy peace of mind: ${lowerFirst(body)}`, 200);
+}
+
+/**
+ * Build a structured HTML long description
+ */
+function generateLong(input) {
+    const sentences = toSentences(toPlainText(input));
+    if (sentences.length === 0) {
+        return '<p>Protection designed around your vehicle.</p>';
+    }
+
+    const [overview, ...rest] = sentences;
+    const bullets = (rest.length > 0 ? rest : [overview]).map(s => `<li>${s}</li>`).join('');
+
+    return `<p>${overview}</p><p><strong>Key Benefits:</strong></p><ul>${bullets}</ul>`;
+}
+
+/**
+ * Build short and long descriptions from document text
+ */
+function generateFromDocument(input) {
+    const lines = (input || '').split('\n').map(l => l.trim()).filter(l => l);
+    const title = lines.length > 0 ? toPlainText(lines[0]) : 'This protection product';
+    const bullets = lines
+        .filter(l => /^[•\-\*]\s/.test(l))
+        .map(l => toSentences(l.replace(/^[•\-\*]\s*/, ''))[0])
+        .filter(Boolean)
+        .slice(0, 5);
+
+    const shortDescription = bullets.length > 0
+        ? limitLength(`${title} covers ${bullets.slice(0, 2).map(b => lowerFirst(b.replace(/\.$/, ''))).join(' and ')}.`, 200)
+        : generateShort(input);
+
+    const longDescription = bullets.length > 0
+        ? `<p>${title} helps you avoid unexpected out-of-pocket expenses.</p><p><strong>Coverage Highlights:</strong></p><ul>${bullets.map(b => `<li>${b}</li>`).join('')}</ul>`
+        : generateLong(input);
+
+    return JSON.stringify({ shortDescription, longDescription });
+}
+
+// Keywords that sort document sentences into note lists, checked in order
+const NOTE_KINDS = [
+    ['exclusions', /\b(exclu\w*|not covered|does not cover|will not (pay|cover))\b/i],
+    ['limitations', /\b(limit\w*|maximum|deductible|up to|waiting period|must)\b/i],
+    ['coverage', /\b(cover\w*|includ\w*|repairs?|replace\w*|pays? for|protect\w*)\b/i],
+    ['benefits', /\b(benefits?|roadside|rental|towing|transferable|nationwide)\b/i],
+    ['terms', /\$|\b(months?|miles|years?)\b/i]
+];
+
+/**
+ * Sort the sentences of a document chunk into structured notes
+ */
+function summarizeDocument(input) {
+    const lines = (input || '').split('\n')
+        .map(line => line.trim())
+        .filter(line => line && !/^\[Page \d+\]$/.test(line));
+    const notes = { productName: null, coverage: [], benefits: [], limitations: [], exclusions: [], terms: [] };
+
+    if (lines.length > 0 && lines[0].length < 80 && /\b(plan|protection|contract|coverage|warranty)\b/i.test(lines[0])) {
+        notes.productName = lines.shift();
+    }
+
+    const sentences = lines.join(' ').replace(/[•\-\*]\s+/g, '. ').match(/[^.!?]+[.!?]*/g) || [];
+    for (const raw of sentences) {
+        const sentence = raw.trim();
+        if (sentence.split(' ').length < 4) continue;
+
+        const kind = NOTE_KINDS.find(([, pattern]) => pattern.test(sentence));
+        if (kind && notes[kind[0]].length < 8) {
+            notes[kind[0]].push(/[.!?]$/.test(sentence) ? sentence : `${sentence}.`);
+        }
+    }
+
+    return JSON.stringify(notes);
+}
+
+/**
+ * Rewrite one flagged sentence; a pure pressure tactic is dropped ('')
+ */
+function rewriteSentence(input) {
+    return toSentences(toPlainText(input)).join(' ');
+}
+
+/**
+ * Rule-based response for a completion request
+ * @param {Object} request - CompletionRequest (task, input, messages, json)
+ * @returns {string}
+ */
+function generateResponse(request) {
+    switch (request.task) {
+        case 'enhance-short':
+        case 'generate-short':
+            return generateShort(request.input);
+        case 'enhance-long':
+        case 'generate-long':
+            return generateLong(request.input);
+        case 'generate-from-document':
+            return generateFromDocument(request.input);
+        case 'summarize-document-chunk':
+            return summarizeDocument(request.input);
+        case 'compliance-rewrite':
+            return rewriteSentence(request.input);
+        case 'enhance-descriptions': {
+            // Worker /enhance: input is the JSON request body with both fields
+            const { shortDescription, longDescription } = JSON.parse(request.input || '{}');
+            return JSON.stringify({
+                shortDescription: generateShort(shortDescription || longDescription),
+                longDescription: generateLong(longDescription || shortDescription)
+            });
+        }
+        default:
+            return request.json
+                ? JSON.stringify({ output: generateShort(request.input) })
+                : generateShort(request.input);
+    }
+}
+
+/**
+ * Split model output into word-sized chunks, as a streaming API delivers them
+ * @param {string} text
+ * @returns {string[]} - Chunks that join back into the original text
+ */
+function chunkText(text) {
+    return text.match(/\s*\S+/g) || [];
+}
+
+/**
+ * Create a fake model backed by optional fixtures
+ * @param {Object} options
+ * @param {Array<{hash?: string, task?: string, input?: string, output: string}>} options.fixtures
+ * @returns {{complete: function(Object): Promise<string>, stream: function(Object): AsyncIterable<string>, lookup: function(Object): (string|null)}}
+ */
+function createFakeModel({ fixtures = [] } = {}) {
+    const byHash = new Map();
+    const byInput = new Map();
+
+    for (const fixture of fixtures) {
+        if (fixture.hash) byHash.set(fixture.hash, fixture.output);
+        if (fixture.task && fixture.input !== undefined) {
+            byInput.set(`${fixture.task}:${normalizeInput(fixture.input)}`, fixture.output);
+        }
+    }
+
+    function lookup(request) {
+        const hash = promptHash(request.messages);
+        if (byHash.has(hash)) return byHash.get(hash);
+
+        const key = `${request.task}:${normalizeInput(request.input)}`;
+        if (byInput.has(key)) return byInput.get(key);
+
+        return null;
+    }
+
+    async function complete(request) {
+        const fixture = lookup(request);
+        return fixture !== null ? fixture : generateResponse(request);
+    }
+
+    return {
+        lookup,
+        complete,
+        async *stream(request) {
+            yield* chunkText(await complete(request));
+        }
+    };
+}
+
+module.exports = {
+    createFakeModel,
+    generateResponse,
+    chunkText,
+    promptHash,
+    normalizeInput
+};
@@ -0,0 +1,341 @@
+/**
+ * HTML Structure Normalizer
+ *
+ * Repairs the structure of AI-produced long descriptions after sanitizeHTML.
+ * The prompts ask for headers in their own <p> above each <ul>, but models
+ * don't always comply, so this stage enforces it:
+ * - Lifts headers out of lists into their own <p>
+ * - Wraps bare text in <p> and stray <li> in <ul>
+ * - Merges adjacent lists
+ * - Removes code fences and converts stray markdown (**bold**, - item, # heading)
+ * - Moves the disclaimer to the end
+ *
+ * Each repair is reported, so reviewers can see what changed.
+ */
+
+const { parseHTML, serializeHTML } = require('./sanitizer');
+const { isAppendedDisclaimer } = require('./compliance');
+
+const INLINE_TAGS = new Set(['strong', 'em', 'b', 'i', 'u', 'span', 'br']);
+
+// Markdown line prefixes: "- item", "* item", "• item", "1. item", "# Heading"
+const LIST_MARKER = /^\s*(?:[-*•]|\d+[.)])\s+/;
+const HEADING_MARKER = /^\s*#{1,6}\s+/;
+
+// A list item this short that ends with ":" reads as a section header
+const MAX_HEADER_LENGTH = 60;
+
+function element(name, children = []) {
+    return { type: 'element', name, attributes: [], children };
+}
+
+function textOf(node) {
+    return node.type === 'text' ? node.value : node.children.map(textOf).join('');
+}
+
+function isBlank(node) {
+    return node.type === 'text' && !node.value.trim();
+}
+
+/**
+ * Header text if a node reads as a section header: bold or italic text, or a
+ * short "Key Benefits:" style label
+ */
+function headerText(node) {
+    const content = node.type === 'element' && ['li', 'p'].includes(node.name)
+        ? node.children.filter(child => !isBlank(child))
+        : [node];
+    if (content.length !== 1) return null;
+
+    const [only] = content;
+    const text = textOf(only).trim();
+    if (!text) return null;
+
+    if (only.type === 'element' && ['strong', 'em'].includes(only.name)) return text;
+    if (only.type === 'text' && text.endsWith(':') && text.length <= MAX_HEADER_LENGTH) return text;
+    return null;
+}
+
+function headerBlock(text) {
+    return element('p', [element('strong', [{ type: 'text', value: text }])]);
+}
+
+/**
+ * Remove ``` fences (and their language tag) from every text node
+ */
+function stripCodeFences(node, note) {
+    for (const child of node.children) {
+        if (child.type === 'text') {
+            const stripped = child.value.replace(/```[\w-]*/g, '');
+            if (stripped !== child.value) {
+                child.value = stripped;
+                note('Removed code fence');
+            }
+        } else {
+            stripCodeFences(child, note);
+        }
+    }
+}
+
+/**
+ * Split a run of inline nodes into lines at newlines in its text
+ */
+function splitLines(nodes) {
+    const lines = [[]];
+    for (const node of nodes) {
+        if (node.type !== 'text') {
+            lines[lines.length - 1].push(node);
+            continue;
+        }
+        node.value.split('\n').forEach((part, index) => {
+            if (index > 0) lines.push([]);
+            if (part) lines[lines.length - 1].push({ type: 'text', value: part });
+        });
+    }
+    return lines;
+}
+
+/**
+ * Strip a markdown marker from the start of a line's first text node
+ */
+function stripMarker(line, marker) {
+    const [first, ...rest] = line;
+    return [{ type: 'text', value: first.value.replace(marker, '') }, ...rest];
+}
+
+/**
+ * Turn a run of top-level inline content into blocks: markdown list lines
+ * become a <ul>, "# Heading" lines a header <p>, and other text a <p> per
+ * blank-line-separated paragraph
+ */
+function inlineRunToBlocks(run, note) {
+    const blocks = [];
+    let paragraph = null;
+    let list = null;
+
+    for (const line of splitLines(run)) {
+        const first = line[0];
+        const lineText = line.map(textOf).join('');
+
+        if (!lineText.trim() && !line.some(node => node.name === 'br')) {
+            paragraph = null;
+            list = null;
+            continue;
+        }
+
+        if (first.type === 'text' && LIST_MARKER.test(first.value)) {
+            if (!list) {
+                list = element('ul');
+                blocks.push(list);
+            }
+            list.children.push(element('li', stripMarker(line, LIST_MARKER)));
+            paragraph = null;
+            note('Converted markdown list to <ul>');
+        } else if (first.type === 'text' && HEADING_MARKER.test(first.value)) {
+            blocks.push(headerBlock(lineText.replace(HEADING_MARKER, '').trim()));
+            paragraph = null;
+            list = null;
+            note('Converted markdown heading to a header <p>');
+        } else {
+            if (!paragraph) {
+                paragraph = element('p');
+                blocks.push(paragraph);
+                note('Wrapped bare text in <p>');
+            } else {
+                paragraph.children.push({ type: 'text', value: ' ' });
+            }
+            paragraph.children.push(...line);
+            list = null;
+        }
+    }
+
+    // Trim whitespace the line splitting left at paragraph edges
+    for (const block of blocks) {
+        const edges = [block.children[0], block.children[block.children.length - 1]];
+        if (edges[0] && edges[0].type === 'text') edges[0].value = edges[0].value.replace(/^\s+/, '');
+        if (edges[1] && edges[1].type === 'text') edges[1].value = edges[1].value.replace(/\s+$/, '');
+    }
+    return blocks;
+}
+
+/**
+ * Turn top-level nodes into a list of <p> and <ul> blocks
+ */
+function toBlocks(nodes, note) {
+    const blocks = [];
+    let run = [];
+    let strayItems = null;
+
+    const flush = () => {
+        if (run.some(node => !isBlank(node))) {
+            blocks.push(...inlineRunToBlocks(run, note));
+        }
+        run = [];
+    };
+
+    for (const node of nodes) {
+        if (node.type === 'element' && node.name === 'li') {
+            flush();
+            if (!strayItems) {
+                strayItems = element('ul');
+                blocks.push(strayItems);
+                note('Wrapped list items in <ul>');
+            }
+            strayItems.children.push(node);
+        } else if (node.type === 'text' || INLINE_TAGS.has(node.name)) {
+            if (!isBlank(node)) strayItems = null;
+            run.push(node);
+        } else {
+            flush();
+            strayItems = null;
+            blocks.push(node);
+        }
+    }
+    flush();
+
+    return blocks;
+}
+
+/**
+ * Lift headers out of a list, splitting it around them. Nested lists that sit
+ * directly in the list (not in an item) are flattened into it.
+ * @returns {Object[]} - The list's replacement blocks
+ */
+function repairList(list, note) {
+    const blocks = [];
+    let current = element('ul');
+
+    const flush = () => {
+        if (current.children.length > 0) blocks.push(current);
+        current = element('ul');
+    };
+
+    const visit = (child) => {
+        if (isBlank(child) || child.name === 'br') return;
+
+        if (child.type === 'element' && child.name === 'ul') {
+            note('Flattened a list nested directly in a list');
+            child.children.forEach(visit);
+            return;
+        }
+
+        const header = headerText(child);
+        if (header !== null && (child.name !== 'li' || header.endsWith(':'))) {
+            flush();
+            blocks.push(headerBlock(header));
+            note(`Lifted header "${header}" out of a list`);
+            return;
+        }
+
+        if (child.type === 'element' && child.name === 'li') {
+            current.children.push(child);
+        } else {
+            current.children.push(element('li', child.type === 'element' && child.name === 'p' ? child.children : [child]));
+            note('Wrapped list content in <li>');
+        }
+    };
+
+    list.children.forEach(visit);
+    flush();
+    return blocks;
+}
+
+/**
+ * Merge lists that follow each other directly
+ */
+function mergeLists(blocks, note) {
+    const merged = [];
+    for (const block of blocks) {
+        const previous = merged[merged.length - 1];
+        if (block.name === 'ul' && previous && previous.name === 'ul') {
+            previous.children.push(...block.children);
+            note('Merged adjacent lists');
+        } else {
+            merged.push(block);
+        }
+    }
+    return merged;
+}
+
+/**
+ * Convert **bold** and __bold__ in text nodes to <strong>
+ */
+function convertMarkdownBold(node, note) {
+    node.children = node.children.flatMap(child => {
+        if (child.type === 'element') {
+            if (child.name !== 'strong') convertMarkdownBold(child, note);
+            return [child];
+        }
+
+        const parts = child.value.split(/\*\*(.+?)\*\*|__(.+?)__/);
+        if (parts.length === 1) return [child];
+
+        note('Converted markdown bold to <strong>');
+        const nodes = [];
+        for (let i = 0; i < parts.length; i += 3) {
+            if (parts[i]) nodes.push({ type: 'text', value: parts[i] });
+            const bold = parts[i + 1] !== undefined ? parts[i + 1] : parts[i + 2];
+            if (bold !== undefined) nodes.push(element('strong', [{ type: 'text', value: bold }]));
+        }
+        return nodes;
+    });
+}
+
+/**
+ * Move the appended disclaimer and disclosures after all other content, keeping
+ * their order. Description text that mentions limitations stays where it is.
+ */
+function moveDisclaimersLast(blocks, context, note) {
+    const isDisclaimer = block => block.name === 'p' && isAppendedDisclaimer(serializeHTML({ children: [block] }), context);
+    const disclaimers = blocks.filter(isDisclaimer);
+    const content = blocks.filter(block => !isDisclaimer(block));
+    const lastContent = blocks.lastIndexOf(content[content.length - 1]);
+
+    if (disclaimers.length > 0 && blocks.findIndex(isDisclaimer) < lastContent) {
+        note('Moved the disclaimer to the end');
+        return [...content, ...disclaimers];
+    }
+    return blocks;
+}
+
+/**
+ * Repair the structure of sanitized long-description HTML
+ * @param {string} html - Output of sanitizeHTML
+ * @param {{state?: string, productType?: string}} [context] - Compliance context, for disclaimer detection
+ * @param {Object|string} [profile] - Sanitizer profile html was sanitized with; repairs only emit its tags
+ * @returns {{html: string, changes: string[]}} - html is returned unchanged when nothing needed repair
+ */
+function normalizeHTML(html, context, profile) {
+    const changes = [];
+    const note = (change) => {
+        if (!changes.includes(change)) changes.push(change);
+    };
+
+    if (!html) {
+        return { html: html || '', changes };
+    }
+
+    const root = parseHTML(html);
+    stripCodeFences(root, note);
+
+    let blocks = toBlocks(root.children, note)
+        .flatMap(block => (block.name === 'ul' ? repairList(block, note) : [block]));
+    blocks = mergeLists(blocks, note);
+
+    const container = { children: blocks };
+    convertMarkdownBold(container, note);
+    blocks = moveDisclaimersLast(container.children, context, note);
+
+    if (changes.length === 0) {
+        return { html, changes };
+    }
+
+    return {
+        html: blocks.map(block => serializeHTML({ children: [block] }, profile)).filter(Boolean).join('\n'),
+        changes
+    };
+}
+
+module.exports = {
+    normalizeHTML
+};
@@ -0,0 +1,189 @@
+/**
+ * OCR Service
+ *
+ * Recovers text from scanned / image-only PDFs, entirely offline:
+ * - Pages are rasterised with pdf.js onto @napi-rs/canvas
+ * - Text is recognised with the Tesseract WASM engine (tesseract.js) using the
+ *   English language data packaged in @tesseract.js-data/eng
+ *
+ * Nothing is downloaded at runtime. The engines are loaded on first use, so
+ * servers that never see a scan don't pay for them.
+ */
+
+const path = require('path');
+
+// Pages rendered at 2x the PDF's 72 dpi (144 dpi) read well without large images
+const RENDER_SCALE = 2;
+
+// Most pixels rendered for one page (a letter page at 144 dpi is about 1.9
+// million). A PDF can declare pages of any size, so larger pages are rendered
+// at a lower scale rather than allocating gigabytes of canvas.
+const MAX_PAGE_PIXELS = 4000000;
+
+// Scans are slow to recognise, so cap the pages read per document...
+const DEFAULT_MAX_PAGES = 10;
+
+// ...and per request, across all the documents it uploads
+const DEFAULT_MAX_REQUEST_PAGES = 20;
+
+// Recognitions running at once; each holds page images and a Tesseract worker
+const DEFAULT_CONCURRENCY = 1;
+const MAX_CONCURRENCY = 4;
+
+function readPositive(value, fallback) {
+    const parsed = parseInt(value, 10);
+    return parsed > 0 ? parsed : fallback;
+}
+
+/**
+ * OCR settings from the environment
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {{enabled: boolean, maxPages: number, maxRequestPages: number, concurrency: number}}
+ */
+function getOCRConfig(env = process.env) {
+    return {
+        enabled: env.OCR_ENABLED !== 'false',
+        maxPages: readPositive(env.OCR_MAX_PAGES, DEFAULT_MAX_PAGES),
+        maxRequestPages: readPositive(env.OCR_MAX_REQUEST_PAGES, DEFAULT_MAX_REQUEST_PAGES),
+        concurrency: Math.min(readPositive(env.OCR_CONCURRENCY, DEFAULT_CONCURRENCY), MAX_CONCURRENCY)
+    };
+}
+
+/**
+ * Scale to render a page at: RENDER_SCALE, or less when that would exceed MAX_PAGE_PIXELS
+ * @param {number} width - Page width at scale 1 (PDF points)
+ * @param {number} height - Page height at scale 1
+ */
+function getRenderScale(width, height) {
+    const pixels = width * height * RENDER_SCALE * RENDER_SCALE;
+    if (!(pixels > MAX_PAGE_PIXELS)) return RENDER_SCALE;
+    return RENDER_SCALE * Math.sqrt(MAX_PAGE_PIXELS / pixels);
+}
+
+/**
+ * Render PDF pages to PNG images
+ * @param {Buffer} pdfBuffer - PDF file buffer
+ * @param {number} maxPages - Most pages to render
+ * @returns {Promise<{images: Buffer[], pageCount: number}>}
+ */
+async function rasterizePDF(pdfBuffer, maxPages) {
+    const { createCanvas } = require('@napi-rs/canvas');
+    const pdfjs = await import('pdfjs-dist/legacy/build/pdf.mjs');
+
+    const document = await pdfjs.getDocument({
+        data: new Uint8Array(pdfBuffer),
+        // Fonts and CMaps come from the package, never the network
+        standardFontDataUrl: path.join(path.dirname(require.resolve('pdfjs-dist/package.json')), 'standard_fonts') + path.sep,
+        isEvalSupported: false,
+        verbosity: 0
+    }).promise;
+
+    try {
+        const images = [];
+        for (let number = 1; number <= Math.min(document.numPages, maxPages); number++) {
+            const page = await document.getPage(number);
+            const { width, height } = page.getViewport({ scale: 1 });
+            const viewport = page.getViewport({ scale: getRenderScale(width, height) });
+            const canvas = createCanvas(Math.max(1, Math.ceil(viewport.width)), Math.max(1, Math.ceil(viewport.height)));
+            const context = canvas.getContext('2d');
+
+            // Scans often have transparent areas; Tesseract reads black on white best
+            context.fillStyle = '#ffffff';
+            context.fillRect(0, 0, canvas.width, canvas.height);
+            await page.render({ canvasContext: context, viewport, canvas }).promise;
+
+            images.push(canvas.toBuffer('image/png'));
+            page.cleanup();
+        }
+        return { images, pageCount: document.numPages };
+    } finally {
+        await document.destroy();
+    }
+}
+
+/**
+ * Recognise text in page images
+ * @param {Buffer[]} images - PNG page images
+ * @returns {Promise<Array<{page: number, text: string, confidence: number}>>} - confidence is 0-1
+ */
+async function recognizeImages(images) {
+    const Tesseract = require('tesseract.js');
+    const english = require('@tesseract.js-data/eng');
+
+    const worker = await Tesseract.createWorker(english.code, Tesseract.OEM.LSTM_ONLY, {
+        langPath: english.langPath,
+        gzip: english.gzip,
+        // Don't write a copy of the language data into the working directory
+        cacheMethod: 'none'
+    });
+
+    try {
+        const pages = [];
+        for (const [index, image] of images.entries()) {
+            const { data } = await worker.recognize(image);
+            pages.push({ page: index + 1, text: data.text.trim(), confidence: data.confidence / 100 });
+        }
+        return pages;
+    } finally {
+        await worker.terminate();
+    }
+}
+
+// Recognitions running now, and the ones waiting for a turn
+let running = 0;
+const waiting = [];
+
+/**
+ * Run an OCR job once fewer than `limit` are running, so concurrent uploads
+ * queue instead of each rendering pages and starting a Tesseract worker
+ */
+async function withOCRSlot(limit, job) {
+    if (running >= limit) {
+        await new Promise(resolve => waiting.push(resolve));
+    } else {
+        running++;
+    }
+
+    try {
+        return await job();
+    } finally {
+        // Hand the slot straight to the next job, or free it
+        const next = waiting.shift();
+        if (next) next();
+        else running--;
+    }
+}
+
+/**
+ * Recover the text of a scanned PDF
+ * @param {Buffer} pdfBuffer - PDF file buffer
+ * @param {Object} [options]
+ * @param {number} [options.maxPages] - Most pages to read (OCR_MAX_PAGES, default 10)
+ * @returns {Promise<{text: string, confidence: number, pages: Object[], pageCount: number}>}
+ *   confidence is the 0-1 recognition confidence, weighted by the text on each page
+ */
+async function recognizePDF(pdfBuffer, { maxPages = getOCRConfig().maxPages } = {}) {
+    const { pageCount, pages } = await withOCRSlot(getOCRConfig().concurrency, async () => {
+        const rendered = await rasterizePDF(pdfBuffer, maxPages);
+        return { ...rendered, pages: await recognizeImages(rendered.images) };
+    });
+
+    const characters = pages.reduce((sum, page) => sum + page.text.length, 0);
+    const confidence = characters > 0
+        ? pages.reduce((sum, page) => sum + page.confidence * page.text.length, 0) / characters
+        : 0;
+
+    return {
+        text: pages.map(page => page.text).filter(Boolean).join('\n\n'),
+        confidence,
+        pages,
+        pageCount
+    };
+}
+
+module.exports = {
+    recognizePDF,
+    getOCRConfig,
+    getRenderScale,
+    MAX_PAGE_PIXELS
+};
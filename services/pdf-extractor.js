@@ -1,112 +1,527 @@
 /**
  * PDF Extraction Service
  * 
- * Extracts text from PDF files and uses OpenAI to generate 
- * professional F&I product descriptions
+ * Extracts text from PDF files and uses the configured AI provider
+ * to generate professional F&I product descriptions. Scanned PDFs with no
+ * text layer fall back to OCR (see ocr.js). Word, HTML and plain-text
+ * documents are read by document-reader.js and go through the same steps.
  */
 
-require('dotenv').config();
 const pdfParse = require('pdf-parse');
-const OpenAI = require('openai');
-
-// Initialize OpenAI client lazily to avoid errors on environments (like Render) 
-// that use the Cloudflare Worker proxy instead of a local API key.
-const openai = process.env.OPENAI_API_KEY
-    ? new OpenAI({ apiKey: process.env.OPENAI_API_KEY })
-    : null;
+const { getAIClient } = require('./ai-provider');
+const { describeAIError } = require('./resilience');
+const { checkFactPreservation } = require('./fact-checker');
+const { listPromptBannedTerms } = require('./compliance');
+const { recognizePDF, getOCRConfig } = require('./ocr');
+const { resolveSanitizerProfile } = require('./sanitizer-profiles');
+const { buildPrompt, formatPages } = require('./prompts');
+const { extractTerms } = require('./terms-extractor');
+const { readPage, coveredComponents } = require('./table-extractor');
+const { readDocument } = require('./document-reader');
+const { mergeAnalyses, findConflicts } = require('./document-merger');
+const { classifyProduct } = require('./product-classifier');
+
+// Less text than this means the PDF has no usable text layer
+const MIN_TEXT_LENGTH = 50;
 
 /**
- * Extract text and generate descriptions from a PDF
+ * Recover text from a scanned PDF with OCR
  * @param {Buffer} pdfBuffer - PDF file buffer
+ * @param {number} maxPages - Most pages to read
+ * @returns {Promise<Object|null>} - recognizePDF result, or null when OCR is
+ *   unavailable or fails
+ */
+async function recoverTextWithOCR(pdfBuffer, maxPages) {
+    try {
+        const startTime = Date.now();
+        const result = await recognizePDF(pdfBuffer, { maxPages });
+        console.log(`[OCR] Recognized ${result.pages.length} page(s) in ${Date.now() - startTime}ms ` +
+            `(confidence ${Math.round(result.confidence * 100)}%)`);
+        return result;
+    } catch (error) {
+        console.error('OCR error:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Read a PDF's text layer page by page. Tables are rebuilt from the text
+ * positions (see table-extractor.js) and written into the page text row by
+ * row; each page's text is kept so extracted terms can point at their page.
+ * @returns {Promise<{pageCount: number, pages: string[], tables: Object[]}>}
+ */
+async function readPDFText(pdfBuffer) {
+    const pages = [];
+    const tables = [];
+    const renderPage = async (pageData) => {
+        const content = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+        const page = readPage(content, pageData.pageIndex + 1);
+        pages[pageData.pageIndex] = page.text;
+        tables.push(...page.tables);
+        return page.text;
+    };
+
+    // pdf.js reads the underlying ArrayBuffer and ignores byteOffset,
+    // so small pooled Buffers (e.g. from multer) must be copied first.
+    const data = await pdfParse(new Uint8Array(pdfBuffer), { pagerender: renderPage });
+    return {
+        pageCount: data.numpages,
+        pages: Array.from({ length: data.numpages }, (_, index) => pages[index] || ''),
+        tables
+    };
+}
+
+// Most documents read together in one request (e.g. brochure, contract, rate sheet)
+const MAX_DOCUMENTS = 5;
+
+/**
+ * Read a document's page text and tables, falling back to OCR for scanned PDFs
+ * @param {Buffer} buffer - File contents
+ * @param {string} format - Document format
+ * @param {{pagesLeft: number}} ocrBudget - Pages the request may still OCR; reduced by the pages read
+ * @returns {Promise<{success: true, pageCount: number, pages: Array, tables: Object[], text: string, ocr: Object|null}
+ *   | {success: false, error: string}>}
+ */
+async function readSource(buffer, format, ocrBudget) {
+    const isPDF = format === 'pdf';
+
+    // Parse the document into page text and tables
+    let document;
+    try {
+        document = isPDF ? await readPDFText(buffer) : await readDocument(buffer, format);
+    } catch (error) {
+        // Word files refused before conversion say why; anything else is a parse failure
+        if (error.code === 'DOCUMENT_TOO_LARGE' || error.code === 'INVALID_DOCUMENT') {
+            return { success: false, error: error.message };
+        }
+        throw error;
+    }
+    const text = document.pages.join('\n\n');
+
+    if (text.trim().length >= MIN_TEXT_LENGTH) {
+        return { success: true, ...document, text, ocr: null };
+    }
+    if (!isPDF) {
+        return {
+            success: false,
+            error: 'No text could be extracted from this document. The file may be empty or corrupted.'
+        };
+    }
+
+    // No text layer: the PDF is probably a scan, so read the page images
+    const config = getOCRConfig();
+    if (config.enabled && ocrBudget.pagesLeft < 1) {
+        return {
+            success: false,
+            error: `Too many scanned pages in one request: at most ${config.maxRequestPages} are read with OCR. ` +
+                'Upload the scanned documents in separate requests.'
+        };
+    }
+
+    const ocr = config.enabled ? await recoverTextWithOCR(buffer, Math.min(config.maxPages, ocrBudget.pagesLeft)) : null;
+    if (ocr) ocrBudget.pagesLeft -= ocr.pages.length;
+    if (!ocr || ocr.text.trim().length < MIN_TEXT_LENGTH) {
+        return {
+            success: false,
+            error: ocr
+                ? 'No text could be recognized in this PDF. The scan may be blank or too low quality.'
+                : 'No text could be extracted from this PDF. The file may be image-based or corrupted.'
+        };
+    }
+    return {
+        success: true,
+        pageCount: document.pageCount,
+        pages: ocr.pages.map(page => ({ text: page.text, confidence: page.confidence })),
+        tables: document.tables,
+        text: ocr.text,
+        ocr
+    };
+}
+
+/**
+ * Confidence options for the combined text: the poorest scan's OCR
+ * confidence, pages read out of pages in all documents, and their formats
+ * @param {Object[]} sources - readSource results
+ * @param {string[]} formats - Format of each source
+ */
+function confidenceOptions(sources, formats) {
+    const scans = sources.filter(source => source.ocr);
+    const options = {
+        formats,
+        pagesRead: sources.reduce((sum, source) => sum + (source.ocr ? source.ocr.pages.length : source.pageCount), 0),
+        pageCount: sources.reduce((sum, source) => sum + (source.ocr ? source.ocr.pageCount : source.pageCount), 0)
+    };
+    if (scans.length > 0) {
+        options.ocrConfidence = Math.min(...scans.map(source => source.ocr.confidence));
+    }
+    return options;
+}
+
+/**
+ * Renumber the pages of extracted terms (and their price tiers and conflicts)
+ * for a document whose pages follow `offset` pages of earlier documents
+ */
+function offsetTermPages(terms, offset) {
+    for (const term of Object.values(terms)) {
+        if (!term) continue;
+        const entries = [term, ...(term.conflicts || []), ...(Array.isArray(term.value) ? term.value : [])];
+        for (const entry of entries) {
+            if (entry && typeof entry === 'object' && entry.page) entry.page += offset;
+        }
+    }
+    return terms;
+}
+
+/**
+ * Extract text and generate one description pair from several documents about
+ * the same product, e.g. a brochure and its contract. Pages are numbered
+ * across the documents in order; `documents` says which pages came from which
+ * file, with what was found in each, and `documentConflicts` lists terms the
+ * documents state differently (see document-merger.js).
+ * @param {Array<{buffer: Buffer, format?: string, name?: string}>} files - Documents, in order
+ * @param {Object} [options]
+ * @param {Object|string} [options.profile] - Sanitizer profile the long description is written for
+ * @param {string} [options.productType] - Product type to use instead of the detected one
  * @returns {Promise<Object>} - Extraction result
  */
-async function extractFromPDF(pdfBuffer) {
+async function extractFromDocuments(files, { profile, productType } = {}) {
+    const named = files.map((file, index) => ({
+        ...file,
+        format: file.format || 'pdf',
+        name: file.name || `document ${index + 1}`
+    }));
+    const formats = [...new Set(named.map(file => file.format))];
+
     try {
-        // Parse PDF
-        const data = await pdfParse(pdfBuffer);
+        // Scans are slow and memory-hungry to read, so OCR shares one page budget per request
+        const ocrBudget = { pagesLeft: getOCRConfig().maxRequestPages };
+        const sources = [];
+        for (const file of named) {
+            const source = await readSource(file.buffer, file.format, ocrBudget);
+            if (!source.success) {
+                return { success: false, error: named.length > 1 ? `${file.name}: ${source.error}` : source.error };
+            }
+            sources.push(source);
+        }
+
+        // Number pages (and the tables and terms on them) across all documents
+        let offset = 0;
+        const documents = sources.map((source, index) => {
+            const firstPage = offset + 1;
+            const terms = offsetTermPages(extractTerms(source.pages), offset);
+            const tables = source.tables.map(table => ({ ...table, page: table.page + offset }));
+            offset += source.pages.length;
 
-        if (!data.text || data.text.trim().length < 50) {
             return {
-                success: false,
-                error: 'No text could be extracted from this PDF. The file may be image-based or corrupted.'
+                name: named[index].name,
+                format: named[index].format,
+                pages: [firstPage, offset],
+                ocrUsed: source.ocr !== null,
+                analysis: analyzeText(source.text, { tables, productType }),
+                terms,
+                tables
             };
-        }
+        });
+
+        const pages = sources.flatMap(source => source.pages);
+        const text = sources.map(source => source.text).join('\n\n');
+        const tables = documents.flatMap(document => document.tables);
+
+        // Analyze the extracted text for metadata, merging what each document says
+        const analysis = documents.length === 1 ? documents[0].analysis : mergeAnalyses(documents.map(document => document.analysis));
+
+        // Contract terms for the dealer menu, each with its source page
+        const extractedTerms = extractTerms(pages);
 
-        // Analyze the extracted text for metadata
-        const analysis = analyzeText(data.text);
+        // Calculate confidence score, with the factors behind it
+        const confidence = calculateConfidence(text, analysis, confidenceOptions(sources, named.map(file => file.format)));
 
-        // Calculate confidence score
-        const confidence = calculateConfidence(data.text, analysis);
+        // Generate descriptions using the configured AI provider
+        const {
+            shortDescription, longDescription, sourcePages, chunkCount, degraded, degradedReason
+        } = await generateDescriptionsWithAI(pages, analysis, profile);
 
-        // Generate descriptions using OpenAI
-        const { shortDescription, longDescription } = await generateDescriptionsWithAI(data.text, analysis);
+        // Flag facts in the descriptions that the documents don't support
+        const factCheck = checkFactPreservation(text, `${shortDescription} ${longDescription}`);
 
         return {
             success: true,
+            format: formats.length === 1 ? formats[0] : 'mixed',
             shortDescription,
             longDescription,
-            confidence,
+            confidence: confidence.score,
+            confidenceFactors: confidence.factors,
             sections: analysis,
-            rawTextLength: data.text.length,
-            pageCount: data.numpages
+            rawTextLength: text.length,
+            pageCount: sources.reduce((sum, source) => sum + source.pageCount, 0),
+            // Text of each page, for citing the source of each generated statement
+            pages: pages.map(pageText),
+            ocrUsed: sources.some(source => source.ocr !== null),
+            extractedTerms,
+            tables,
+            documents: documents.map(({ name, format, pages: range, ocrUsed, analysis: found }) => ({
+                name, format, pages: range, ocrUsed, sections: found
+            })),
+            documentConflicts: findConflicts(documents),
+            sourcePages,
+            chunkCount,
+            factualWarnings: factCheck.warnings,
+            degraded,
+            degradedReason
         };
     } catch (error) {
-        console.error('PDF parsing error:', error);
+        console.error('Document parsing error:', error);
         return {
             success: false,
-            error: 'Failed to process PDF. Please try a different file.'
+            error: formats.length === 1 && formats[0] === 'pdf'
+                ? 'Failed to process PDF. Please try a different file.'
+                : 'Failed to process this document. Please try a different file.'
         };
     }
 }
 
 /**
- * Generate descriptions using Cloudflare Worker Proxy from PDF text
+ * Extract text and generate descriptions from a product document
+ * @param {Buffer} buffer - File contents
+ * @param {Object} [options]
+ * @param {'pdf'|'docx'|'html'|'txt'} [options.format] - Document format (see document-reader.js detectFormat)
+ * @param {Object|string} [options.profile] - Sanitizer profile the long description is written for
+ * @param {string} [options.productType] - Product type to use instead of the detected one
+ * @returns {Promise<Object>} - Extraction result
  */
-async function generateDescriptionsWithAI(rawText, analysis) {
-    // Truncate text if too long (to fit in context)
-    const maxChars = 8000;
-    const truncatedText = rawText.length > maxChars
-        ? rawText.substring(0, maxChars) + '...[truncated]'
-        : rawText;
+function extractFromDocument(buffer, { format = 'pdf', profile, productType } = {}) {
+    return extractFromDocuments([{ buffer, format }], { profile, productType });
+}
 
-    const productType = analysis.productType || 'F&I protection product';
-    const workerUrl = process.env.CLOUDFLARE_WORKER_URL;
+/**
+ * Extract text and generate descriptions from a PDF
+ * @param {Buffer} pdfBuffer - PDF file buffer
+ * @param {Object} [options]
+ * @param {Object|string} [options.profile] - Sanitizer profile the long description is written for
+ * @returns {Promise<Object>} - Extraction result
+ */
+function extractFromPDF(pdfBuffer, { profile } = {}) {
+    return extractFromDocument(pdfBuffer, { format: 'pdf', profile });
+}
 
-    // Fast fallback if worker URL is not configured
-    if (!workerUrl) {
-        console.warn('CLOUDFLARE_WORKER_URL not configured, using basic fallback');
-        return {
-            shortDescription: generateFallbackShort(analysis),
-            longDescription: generateFallbackLong(analysis)
-        };
+// Documents longer than this are read in page-aware chunks (map-reduce)
+const MAX_DOCUMENT_CHARS = 8000;
+
+// Most notes of each kind carried into the final generation
+const MAX_NOTES_PER_SECTION = 10;
+
+const NOTE_SECTIONS = [
+    { key: 'coverage', label: 'Coverage' },
+    { key: 'benefits', label: 'Benefits' },
+    { key: 'limitations', label: 'Limitations' },
+    { key: 'exclusions', label: 'Exclusions' },
+    { key: 'terms', label: 'Terms' }
+];
+
+function pageText(page) {
+    return typeof page === 'string' ? page : page.text;
+}
+
+/**
+ * Split a page that is too long for one chunk at line breaks (or, for a
+ * single very long line, at word breaks)
+ */
+function splitPage(text, maxChars) {
+    const parts = [];
+    let current = '';
+
+    for (let line of text.split('\n')) {
+        while (line.length > maxChars) {
+            const cut = line.lastIndexOf(' ', maxChars);
+            const at = cut > 0 ? cut : maxChars;
+            if (current) {
+                parts.push(current);
+                current = '';
+            }
+            parts.push(line.slice(0, at));
+            line = line.slice(at).trim();
+        }
+        if (current && current.length + line.length + 1 > maxChars) {
+            parts.push(current);
+            current = '';
+        }
+        current = current ? `${current}\n${line}` : line;
     }
+    if (current.trim()) parts.push(current);
+
+    return parts;
+}
+
+/**
+ * Pack pages into chunks of at most maxChars, keeping pages whole where they
+ * fit. Each page's text is headed "[Page n]" so notes can be traced back.
+ * @param {Array<string|{text: string}>} pages - Text of each page, in order
+ * @param {number} [maxChars]
+ * @returns {Array<{pages: number[], text: string}>}
+ */
+function chunkPages(pages, maxChars = MAX_DOCUMENT_CHARS) {
+    const chunks = [];
+    let current = null;
+
+    pages.forEach((page, index) => {
+        const number = index + 1;
+        const heading = `[Page ${number}]\n`;
+        const text = pageText(page).trim();
+        if (!text) return;
+
+        for (const part of splitPage(text, maxChars - heading.length)) {
+            const block = heading + part;
+            if (current && current.text.length + block.length + 2 > maxChars) {
+                chunks.push(current);
+                current = null;
+            }
+            if (!current) {
+                current = { pages: [], text: '' };
+            }
+            current.text = current.text ? `${current.text}\n\n${block}` : block;
+            if (!current.pages.includes(number)) current.pages.push(number);
+        }
+    });
+    if (current) chunks.push(current);
+
+    return chunks;
+}
+
+/**
+ * Summarise one chunk into structured notes (the map step)
+ * @returns {Promise<Object>} - {productName, coverage, benefits, limitations, exclusions, terms}
+ */
+async function summarizeChunk(chunk, productType) {
+    const output = await getAIClient().complete(buildPrompt('summarize-document-chunk', {
+        text: chunk.text,
+        productType,
+        pages: chunk.pages
+    }));
+
+    const result = JSON.parse(output);
+    const notes = { productName: typeof result.productName === 'string' ? result.productName.trim() || null : null };
+    for (const { key } of NOTE_SECTIONS) {
+        notes[key] = Array.isArray(result[key])
+            ? result[key].filter(note => typeof note === 'string' && note.trim()).map(note => note.trim())
+            : [];
+    }
+    return notes;
+}
+
+/**
+ * Merge chunk notes (the reduce step): drop repeats, keep the first
+ * MAX_NOTES_PER_SECTION of each kind, and collect the pages that contributed
+ * @param {Array<{pages: number[], notes: Object}>} summaries - In document order
+ * @returns {{productName: string|null, sections: Object, pages: number[]}}
+ */
+function mergeNotes(summaries) {
+    const sections = {};
+    const seen = new Set();
+    const pages = new Set();
+    let productName = null;
+
+    for (const { key } of NOTE_SECTIONS) sections[key] = [];
+
+    for (const summary of summaries) {
+        productName = productName || summary.notes.productName;
+        for (const { key } of NOTE_SECTIONS) {
+            for (const note of summary.notes[key]) {
+                const normalized = note.toLowerCase().replace(/[^a-z0-9$%]+/g, ' ').trim();
+                if (seen.has(normalized) || sections[key].length >= MAX_NOTES_PER_SECTION) continue;
+
+                seen.add(normalized);
+                sections[key].push(note);
+                summary.pages.forEach(page => pages.add(page));
+            }
+        }
+    }
+
+    return { productName, sections, pages: [...pages].sort((a, b) => a - b) };
+}
+
+/**
+ * Merged notes as a short document for the final generation
+ */
+function formatNotes(merged, title) {
+    const lines = [merged.productName || title];
+    for (const { key, label } of NOTE_SECTIONS) {
+        if (merged.sections[key].length === 0) continue;
+        lines.push(`${label}:`, ...merged.sections[key].map(note => `• ${note}`));
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Write the short and long descriptions from document text (or merged notes)
+ */
+async function writeDescriptions(documentText, productType, profile, { fromNotes = false } = {}) {
+    const output = await getAIClient().complete(buildPrompt('generate-from-document', {
+        text: documentText,
+        bannedTerms: listPromptBannedTerms(),
+        tags: [...resolveSanitizerProfile(profile).tags],
+        productType,
+        fromNotes
+    }));
+
+    const result = JSON.parse(output);
+    return {
+        shortDescription: result.shortDescription || '',
+        longDescription: result.longDescription || ''
+    };
+}
+
+/**
+ * Generate descriptions from the document pages using the configured AI provider.
+ * Documents over MAX_DOCUMENT_CHARS are summarised chunk by chunk into notes
+ * first, so exclusions late in a long contract still reach the model.
+ * @param {Array<string|{text: string}>} pages - Text of each page, in order
+ * @returns {Promise<Object>} - {shortDescription, longDescription, sourcePages, chunkCount, degraded, degradedReason}
+ */
+async function generateDescriptionsWithAI(pages, analysis, profile) {
+    const text = pages.map(pageText).join('\n\n');
+    const pagesWithText = pages.map((page, index) => (pageText(page).trim() ? index + 1 : null)).filter(Boolean);
+    const productType = analysis.productType || 'F&I protection product';
 
     try {
-        const response = await fetch(`${workerUrl.replace(/\/$/, '')}/generate`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                rawText: truncatedText,
-                productType: productType
-            })
-        });
+        if (text.length <= MAX_DOCUMENT_CHARS) {
+            return {
+                ...await writeDescriptions(text, productType, profile),
+                sourcePages: pagesWithText,
+                chunkCount: 1,
+                degraded: false,
+                degradedReason: null
+            };
+        }
 
-        if (!response.ok) {
-            throw new Error(`Worker status: ${response.status}`);
+        // Map: notes per chunk, one call at a time to stay inside provider rate limits
+        const chunks = chunkPages(pages);
+        const summaries = [];
+        for (const chunk of chunks) {
+            summaries.push({ pages: chunk.pages, notes: await summarizeChunk(chunk, productType) });
         }
 
-        const result = await response.json();
+        // Reduce: write the descriptions from the merged notes
+        const merged = mergeNotes(summaries);
+        const notes = formatNotes(merged, analysis.productName || productType);
+        console.log(`[PDF] Summarised ${chunks.length} chunks; pages ${formatPages(merged.pages)} contributed notes`);
 
         return {
-            shortDescription: result.shortDescription || '',
-            longDescription: result.longDescription || ''
+            ...await writeDescriptions(notes, productType, profile, { fromNotes: true }),
+            sourcePages: merged.pages,
+            chunkCount: chunks.length,
+            degraded: false,
+            degradedReason: null
         };
     } catch (error) {
-        console.error('Cloudflare Worker error (PDF generation):', error.message);
+        console.error('AI provider error (PDF generation):', error.message);
         // Fallback to basic extraction
         return {
             shortDescription: generateFallbackShort(analysis),
-            longDescription: generateFallbackLong(analysis)
+            longDescription: generateFallbackLong(analysis),
+            sourcePages: pagesWithText,
+            chunkCount: 0,
+            degraded: true,
+            degradedReason: describeAIError(error)
         };
     }
 }
@@ -143,16 +558,21 @@ function generateFallbackLong(analysis) {
 /**
  * Analyze extracted text to identify key sections
  * @param {string} text - Raw extracted text
+ * @param {Object} [options]
+ * @param {Object[]} [options.tables] - Tables read from the document (coverage tables name covered components)
+ * @param {string} [options.productType] - Product type to use instead of the detected one
  * @returns {Object} - Identified sections
  */
-function analyzeText(text) {
+function analyzeText(text, { tables = [], productType } = {}) {
     const sections = {
         coverage: [],
         benefits: [],
         limitations: [],
         disclaimers: [],
         productName: null,
-        productType: null
+        productType: null,
+        productTypes: [],
+        productTypeCandidates: []
     };
 
     // Normalize text
@@ -174,30 +594,15 @@ function analyzeText(text) {
         }
     }
 
-    // Identify product type
-    const productTypes = {
-        'tire': 'Tire & Wheel Protection',
-        'wheel': 'Tire & Wheel Protection',
-        'gap': 'GAP Coverage',
-        'guaranteed asset': 'GAP Coverage',
-        'warranty': 'Extended Warranty',
-        'service contract': 'Vehicle Service Contract',
-        'maintenance': 'Prepaid Maintenance',
-        'paint': 'Paint Protection',
-        'interior': 'Interior Protection',
-        'theft': 'Theft Protection',
-        'key': 'Key Replacement',
-        'dent': 'Dent Repair',
-        'windshield': 'Windshield Protection',
-        'wear': 'Wear & Tear Coverage'
-    };
+    // Identify product type, scoring every type (see product-classifier.js)
+    const classification = classifyProduct(text, { productType });
+    sections.productType = classification.productType;
+    sections.productTypes = classification.productTypes;
+    sections.productTypeCandidates = classification.candidates;
 
-    const lowerText = normalizedText.toLowerCase();
-    for (const [keyword, type] of Object.entries(productTypes)) {
-        if (lowerText.includes(keyword)) {
-            sections.productType = type;
-            break;
-        }
+    // Coverage tables list the covered components outright
+    for (const table of tables) {
+        sections.coverage.push(...coveredComponents(table).map(cleanItem));
     }
 
     // Extract coverage items
@@ -273,49 +678,121 @@ function capitalizeFirst(str) {
     return str.charAt(0).toUpperCase() + str.slice(1);
 }
 
+// Score before any factor is applied
+const BASE_CONFIDENCE = 0.5;
+
+function plural(count, word) {
+    return `${count.toLocaleString('en-US')} ${word}${count === 1 ? '' : 's'}`;
+}
+
+function listNames(names) {
+    return names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}` : names[0];
+}
+
+// Where the text of each format comes from, for the ocrQuality explanation
+const TEXT_SOURCES = {
+    pdf: "the PDF's text layer",
+    docx: 'the Word document',
+    html: 'the HTML document',
+    txt: 'the text file'
+};
+
 /**
- * Calculate confidence score based on extraction quality
+ * Calculate confidence score based on extraction quality. Each factor adds to
+ * or takes from a base of 0.5 and says why, so a low score can be explained.
  * @param {string} rawText - Raw extracted text
  * @param {Object} analysis - Analysis results
- * @returns {number} - Confidence score 0-1
+ * @param {Object} [options]
+ * @param {number} [options.ocrConfidence] - 0-1 recognition confidence, when the text came from OCR
+ * @param {number} [options.pagesRead] - Pages the text was read from
+ * @param {number} [options.pageCount] - Pages in the document
+ * @param {string[]} [options.formats] - Format of each document read (default ['pdf'])
+ * @returns {{score: number, factors: Array<{factor: string, contribution: number, explanation: string}>}}
+ *   - score is 0-1; factors are in a fixed order, with contribution 0 when a factor neither helped nor hurt
  */
-function calculateConfidence(rawText, analysis) {
-    let score = 0.5; // Base score
+function calculateConfidence(rawText, analysis, { ocrConfidence, pagesRead, pageCount, formats = ['pdf'] } = {}) {
+    const factors = [];
+    const add = (factor, contribution, explanation) => {
+        factors.push({ factor, contribution: Math.round(contribution * 100) / 100, explanation });
+    };
 
     // Text length factor
-    if (rawText.length > 1000) score += 0.1;
-    if (rawText.length > 5000) score += 0.1;
+    const length = rawText.length;
+    if (length < 500) {
+        add('textLength', -0.1, `Only ${plural(length, 'character')} of text were extracted`);
+    } else {
+        add('textLength', (length > 1000 ? 0.1 : 0) + (length > 5000 ? 0.1 : 0),
+            `${plural(length, 'character')} of text were extracted`);
+    }
 
     // Product identification
-    if (analysis.productName) score += 0.1;
-    if (analysis.productType) score += 0.05;
+    const productLabel = analysis.productName
+        ? `Product "${analysis.productName}"${analysis.productType ? ` (${analysis.productType})` : ''} identified`
+        : analysis.productType
+            ? `Product type ${analysis.productType} identified, but no product name`
+            : 'No product name or type identified';
+    add('productIdentified', (analysis.productName ? 0.1 : 0) + (analysis.productType ? 0.05 : 0), productLabel);
 
     // Coverage items found
-    if (analysis.coverage.length >= 3) score += 0.1;
-    if (analysis.coverage.length >= 5) score += 0.05;
+    const coverageCount = analysis.coverage.length;
+    add('coverageItems', (coverageCount >= 3 ? 0.1 : 0) + (coverageCount >= 5 ? 0.05 : 0),
+        coverageCount >= 3
+            ? `${plural(coverageCount, 'coverage item')} found`
+            : `Only ${plural(coverageCount, 'coverage item')} found (3 or more expected)`);
 
     // Sections found (benefits, limitations, disclaimers)
-    if (analysis.benefits && analysis.benefits.length > 0) score += 0.05;
-    if (analysis.limitations && analysis.limitations.length > 0) score += 0.05;
-    if (analysis.disclaimers && analysis.disclaimers.length > 0) score += 0.05;
+    const sections = ['benefits', 'limitations', 'disclaimers'];
+    const found = sections.filter(section => analysis[section] && analysis[section].length > 0);
+    const missing = sections.filter(section => !found.includes(section));
+    add('sections', found.length * 0.05, found.length === 0
+        ? 'No benefits, limitations or disclaimers found'
+        : `${capitalizeFirst(listNames(found))} found${missing.length ? `; no ${listNames(missing)}` : ''}`);
 
     // Text quality indicators
     const hasProperSentences = /[A-Z][^.]+\./g.test(rawText);
-    if (hasProperSentences) score += 0.05;
-
-    // Penalty for very short or garbled text
-    if (rawText.length < 500) score -= 0.1;
+    add('sentences', hasProperSentences ? 0.05 : 0,
+        hasProperSentences ? 'Text reads as complete sentences' : 'No complete sentences found');
 
     // Check for common OCR issues
-    const garbageRatio = (rawText.match(/[^\w\s.,;:'"!?()-]/g) || []).length / rawText.length;
-    if (garbageRatio > 0.1) score -= 0.15;
+    const garbageRatio = length ? (rawText.match(/[^\w\s.,;:'"!?()-]/g) || []).length / length : 0;
+    const garbagePercent = Math.round(garbageRatio * 100);
+    add('garbageRatio', garbageRatio > 0.1 ? -0.15 : 0, garbageRatio > 0.1
+        ? `${garbagePercent}% of characters are unusual symbols, which suggests garbled text`
+        : `Text is clean (${garbagePercent}% unusual symbols)`);
+
+    // Recognized text can misread numbers and names, more so on poor scans
+    if (ocrConfidence !== undefined) {
+        const penalty = 0.05 + (ocrConfidence < 0.85 ? 0.1 : 0) + (ocrConfidence < 0.6 ? 0.15 : 0);
+        add('ocrQuality', -penalty,
+            `Text was read from a scan with OCR at ${Math.round(ocrConfidence * 100)}% recognition confidence`);
+    } else {
+        const sources = [...new Set(formats)].map(format => TEXT_SOURCES[format]).filter(Boolean);
+        add('ocrQuality', 0, `Text was read from ${listNames(sources.length > 0 ? sources : [TEXT_SOURCES.pdf])}`);
+    }
+
+    // Pages left unread (OCR stops at OCR_MAX_PAGES) can hold the exclusions
+    if (pagesRead !== undefined && pageCount !== undefined && pagesRead < pageCount) {
+        add('truncation', -0.1, `Only the first ${pagesRead} of ${pageCount} pages were read`);
+    } else {
+        add('truncation', 0, pageCount !== undefined ? `All ${plural(pageCount, 'page')} were read` : 'The whole text was read');
+    }
+
+    const total = factors.reduce((sum, { contribution }) => sum + contribution, BASE_CONFIDENCE);
 
     // Clamp to 0-1 range
-    return Math.max(0, Math.min(1, score));
+    return {
+        score: Math.max(0, Math.min(1, Math.round(total * 100) / 100)),
+        factors
+    };
 }
 
 module.exports = {
+    MAX_DOCUMENTS,
+    extractFromDocuments,
+    extractFromDocument,
     extractFromPDF,
     analyzeText,
-    calculateConfidence
+    calculateConfidence,
+    chunkPages,
+    mergeNotes
 };
@@ -0,0 +1,139 @@
+/**
+ * Product Type Classifier
+ *
+ * Decides what kind of F&I product a document describes by scoring every
+ * product type, rather than taking the first keyword found:
+ * - the title (first line) counts most, headings next, then each mention in
+ *   the body
+ * - mentions in exclusions and limitations ("damage to tires is not
+ *   covered") count for little, so a service contract that excludes tires
+ *   isn't tire protection
+ * - keywords match whole words, so "key" doesn't match "keyboard" (nor
+ *   "Key Benefits")
+ *
+ * Another type named in the title or a heading, and mentioned in the rest
+ * of the document at least half as much as the leading type, makes a bundle,
+ * reported as the types joined with " + " (e.g. "Tire & Wheel Protection +
+ * Key Replacement").
+ */
+
+// Words that identify each product type (matched case-insensitively, as whole words)
+const PRODUCT_TYPES = {
+    'Tire & Wheel Protection': [/\btires?\b/, /\bwheels?\b/, /\brims?\b/, /\broad hazards?\b/],
+    'GAP Coverage': [/\bgap\b/, /\bguaranteed asset\b/, /\bloan balance\b/, /\bactual cash value\b/],
+    'Extended Warranty': [/\bwarrant(?:y|ies)\b/],
+    'Vehicle Service Contract': [/\bservice contracts?\b/, /\bvsc\b/, /\bmechanical breakdowns?\b/, /\bpowertrain\b/],
+    'Prepaid Maintenance': [/\bmaintenance\b/, /\boil changes?\b/, /\btire rotations?\b/],
+    'Paint Protection': [/\bpaint\b/, /\bclear ?coat\b/, /\bbird droppings\b/, /\btree sap\b/],
+    'Interior Protection': [/\binterior\b/, /\bupholstery\b/, /\bfabric\b/, /\bleather\b/],
+    'Theft Protection': [/\btheft\b/, /\bstolen\b/, /\banti-theft\b/, /\betch(?:ing)?\b/],
+    'Key Replacement': [/\bkeys?\b(?! (?:benefits?|features?|terms?|points?|facts?|highlights?|details?))/, /\bfobs?\b/, /\blockouts?\b/],
+    'Dent Repair': [/\bdents?\b/, /\bdings?\b/, /\bpaintless\b/],
+    'Windshield Protection': [/\bwindshields?\b/, /\bwindscreens?\b/],
+    'Wear & Tear Coverage': [/\bwear (?:and|&) tear\b/, /\bexcess(?:ive)? wear\b/, /\blease[- ]end\b/]
+};
+
+// How much a mention counts by where it is
+const TITLE_WEIGHT = 10;
+const HEADING_WEIGHT = 2;
+const BODY_WEIGHT = 1;
+const EXCLUDED_WEIGHT = 0.25;
+
+// How close to the leading type another type must be to join it in a bundle
+const BUNDLE_RATIO = 0.5;
+const MAX_BUNDLE = 3;
+
+const MAX_CANDIDATES = 5;
+
+// Sentences saying what the product does not cover
+const EXCLUSION = /\b(?:not covered|no coverage|exclu\w*|except(?:ion)?s?|does not|do not|will not|is not|are not|limitations?)\b/i;
+
+const COMPILED_TYPES = Object.entries(PRODUCT_TYPES).map(([type, patterns]) => ({
+    type,
+    patterns: patterns.map(pattern => new RegExp(pattern.source, 'gi'))
+}));
+
+/**
+ * Mentions of a product type's keywords in a piece of text
+ */
+function countMentions(text, patterns) {
+    return patterns.reduce((count, pattern) => count + (text.match(pattern) || []).length, 0);
+}
+
+/**
+ * A short line that labels a section: "COVERAGE", "Key Replacement:" or "What Is Covered"
+ */
+function isHeading(line) {
+    if (line.length > 60 || /[.,;]$/.test(line)) return false;
+    const words = line.replace(/:$/, '').split(/\s+/).filter(word => /[a-z]/i.test(word));
+    if (words.length === 0) return false;
+    const capitalized = words.filter(word => /^[A-Z0-9&]/.test(word)).length;
+    return /:$/.test(line) || line === line.toUpperCase() || capitalized / words.length >= 0.6;
+}
+
+/**
+ * Score every product type for a document
+ * @param {string} text - Document text
+ * @param {Object} [options]
+ * @param {string} [options.productType] - Caller's product type, used instead of the detected one
+ *   (a bundle as types joined with " + ")
+ * @returns {{productType: string|null, productTypes: string[], candidates: Array<{type: string, score: number}>}}
+ *   - productType is the detected (or given) type, productTypes its parts (one unless a bundle),
+ *   candidates the MAX_CANDIDATES best-scoring types the document mentions, best first. Each
+ *   score is the type's share of the evidence for every type mentioned, so scores sum to 1
+ *   only when no more than MAX_CANDIDATES types are mentioned.
+ */
+function classifyProduct(text, { productType } = {}) {
+    const lines = (text || '').split('\n').map(line => line.trim()).filter(Boolean);
+    const [title = '', ...others] = lines;
+
+    const scores = COMPILED_TYPES.map(({ type, patterns }) => {
+        const inTitle = countMentions(title, patterns) > 0;
+        let headings = 0;
+        let body = 0;
+
+        for (const line of others) {
+            if (isHeading(line)) {
+                headings += countMentions(line, patterns);
+                continue;
+            }
+            for (const sentence of line.split(/(?<=[.!?])\s+/)) {
+                const mentions = countMentions(sentence, patterns);
+                if (mentions > 0) body += mentions * (EXCLUSION.test(sentence) ? EXCLUDED_WEIGHT : BODY_WEIGHT);
+            }
+        }
+
+        const rest = headings * HEADING_WEIGHT + body;
+        return { type, inTitle, headings, rest, raw: (inTitle ? TITLE_WEIGHT : 0) + rest };
+    }).filter(score => score.raw > 0).sort((a, b) => b.raw - a.raw);
+
+    const total = scores.reduce((sum, score) => sum + score.raw, 0);
+    const candidates = scores.slice(0, MAX_CANDIDATES).map(score => ({
+        type: score.type,
+        score: Math.round((score.raw / total) * 100) / 100
+    }));
+
+    if (productType) {
+        return { productType, productTypes: productType.split(' + ').map(type => type.trim()), candidates };
+    }
+    if (scores.length === 0) {
+        return { productType: null, productTypes: [], candidates };
+    }
+
+    // Bundles: other types given a title or heading, and nearly as prominent
+    // past the title ("Prepaid Maintenance" mentioning "tire rotations" in its
+    // title is still one product)
+    const [top] = scores;
+    const productTypes = scores
+        .filter(score => score === top ||
+            ((score.inTitle || score.headings > 0) && score.rest >= top.rest * BUNDLE_RATIO))
+        .slice(0, MAX_BUNDLE)
+        .map(score => score.type);
+
+    return { productType: productTypes.join(' + '), productTypes, candidates };
+}
+
+module.exports = {
+    PRODUCT_TYPES,
+    classifyProduct
+};
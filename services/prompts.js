@@ -0,0 +1,428 @@
+/**
+ * Prompt Templates
+ *
+ * Every prompt the app sends to a model, keyed by task name. A prompt is
+ * built from plain parameters (the text, banned terms, allowed tags...) so
+ * the Cloudflare Worker can build the same messages itself: the server's
+ * worker provider sends only {task, params}, and the Worker refuses tasks
+ * and parameters it doesn't know instead of forwarding arbitrary messages.
+ *
+ * No Node-only modules here; worker/src/index.js bundles this file.
+ */
+
+// Upper bounds for parameters, so a request can't turn a task into an
+// arbitrary (or arbitrarily large) prompt
+const LIMITS = Object.freeze({
+    textChars: 50000,
+    bannedTerms: 200,
+    termChars: 60,
+    tags: 20,
+    productTypeChars: 120,
+    pages: 1000,
+    problems: 20,
+    problemChars: 300
+});
+
+const TAG_NAME = /^[a-z][a-z0-9]{0,9}$/;
+
+/**
+ * Banned terms formatted for a prompt: "guarantee", "never", ...
+ * (same format as compliance-rules.js formatBannedTerms)
+ */
+function formatTerms(terms) {
+    return terms.map(term => `"${term}"`).join(', ');
+}
+
+/**
+ * Allowed tags formatted for a prompt: <p>, <strong>, ...
+ * (span only carries the disclaimer's style, so it isn't offered to the model)
+ */
+function formatTags(tags) {
+    return tags.filter(tag => tag !== 'span').map(tag => `<${tag}>`).join(', ');
+}
+
+/**
+ * "3", "1-4" or "1-3, 7"
+ * @param {number[]} pages - Page numbers, in order
+ */
+function formatPages(pages) {
+    const ranges = [];
+    for (const page of pages) {
+        const last = ranges[ranges.length - 1];
+        if (last && page === last[1] + 1) {
+            last[1] = page;
+        } else {
+            ranges.push([page, page]);
+        }
+    }
+    return ranges.map(([first, last]) => (first === last ? `${first}` : `${first}-${last}`)).join(', ');
+}
+
+/**
+ * Long description formatting rules for the prompt: the sanitizer profile's
+ * tags, and how to lay out lists with or without list tags
+ * @param {string[]} tags - Tags the sanitizer profile allows
+ */
+function getLongFormatRules(tags) {
+    const rules = [
+        `- Use ONLY these HTML tags: ${formatTags(tags)}`,
+        '- Include clear section headers (Overview, Key Benefits, Coverage Highlights)'
+    ];
+
+    if (tags.includes('ul') || tags.includes('ol')) {
+        const list = tags.includes('ul') ? 'ul' : 'ol';
+        rules.push(
+            `- CRITICAL: Always place section headers (like <strong>Key Benefits</strong>) in their own <p> tags OUTSIDE and ABOVE the corresponding <${list}> lists.`,
+            `- NEVER put <strong> tags directly inside <${list}> tags.`,
+            '- Use bullet points for features/benefits'
+        );
+    } else if (tags.includes('br')) {
+        rules.push('- Lists are not supported: put each feature/benefit on its own line starting with "• " and ending with <br>');
+    } else {
+        rules.push('- Lists are not supported: describe features/benefits in short sentences');
+    }
+
+    return rules.join('\n');
+}
+
+// System prompt for F&I description enhancement. The banned-word list
+// follows the compliance rule packs in effect, and the formatting rules
+// follow the sanitizer profile.
+const getEnhancerSystemPrompt = ({ bannedTerms, tags }) => `You are an expert F&I (Finance & Insurance) product description writer for automotive dealerships.
+
+Your task is to enhance product descriptions to be professional, persuasive, and compliance-safe.
+
+PERSUASION PRINCIPLES (apply these techniques):
+
+1. BENEFIT-FIRST LANGUAGE
+   - Lead with what the customer gains, not the product features
+   - Instead of "This plan covers repairs" → "Enjoy worry-free ownership with covered repairs"
+   - Focus on emotional benefits: peace of mind, confidence, convenience
+
+2. SPECIFICITY & CREDIBILITY
+   - Keep every concrete number and detail from the original
+   - Instead of "great coverage" → name what the original says is covered, e.g. "coverage for lost or damaged keys"
+   - Specific claims are more believable than vague promises, but ONLY use specifics that appear in the original
+
+3. FUTURE-PACING
+   - Help customers visualize positive outcomes
+   - "Imagine driving with confidence knowing unexpected repairs won't impact your budget"
+   - Use phrases like "you'll enjoy", "you can expect", "picture yourself"
+
+4. LOSS AVERSION (ethical framing)
+   - Frame as avoiding hassle, not fear-mongering
+   - Instead of "You'll lose money!" → "Avoid unexpected out-of-pocket expenses"
+   - Focus on protection and prevention, not worst-case scenarios
+
+5. ACTIVE VOICE & ACTION WORDS
+   - Use strong, direct verbs
+   - Instead of "Repairs are covered by this plan" → "This plan covers repairs"
+   - Power words: protect, enjoy, receive, gain, ensure, maintain
+
+IMPORTANT RULES:
+- NEVER use prohibited words: ${formatTerms(bannedTerms)}
+- NEVER use fear-based language or high-pressure tactics
+- NEVER use multiple exclamation points
+- Always be factual and accurate
+- NEVER add facts: no dollar amounts, mileage, term lengths, percentages or covered components that are not in the original
+
+For SHORT descriptions:
+- Maximum 3 sentences, under 200 characters
+- Plain text only (no HTML)
+- Concise, impactful, benefit-focused
+
+For LONG descriptions:
+${getLongFormatRules(tags)}
+- Be comprehensive but scannable`;
+
+/**
+ * How to lay out the long description: headers above lists when the
+ * sanitizer profile has lists, one line per point when it doesn't
+ */
+function getDocumentListRule(tags) {
+    const list = ['ul', 'ol'].find(tag => tags.includes(tag));
+    if (list) {
+        return `- CRITICAL: Place section headers (like <strong>Key Benefits</strong>) in <p> tags ABOVE <${list}> lists. NEVER put headers inside <${list}> tags.`;
+    }
+    return tags.includes('br')
+        ? '- Lists are not supported: put each point on its own line starting with "• " and ending with <br>.'
+        : '- Lists are not supported: describe points in short sentences.';
+}
+
+// System prompt for generating descriptions from product documents
+const getDocumentSystemPrompt = ({ bannedTerms, tags }) => `You are an expert F&I (Finance & Insurance) product description writer. You extract key information from product documents and create professional, compelling descriptions.
+
+RULES:
+- NEVER use: ${formatTerms(bannedTerms)}
+- ONLY state facts found in the document. Do not add dollar amounts, mileage, terms, percentages or covered components it does not mention.
+- SHORT description: Max 200 characters, plain text.
+- LONG description: HTML formatted, using ONLY these tags: ${formatTags(tags)}.
+${getDocumentListRule(tags)}`;
+
+// System prompt for summarising one chunk of a long document into notes
+const CHUNK_SYSTEM_PROMPT = `You summarise part of an F&I (Finance & Insurance) product document into notes for a description writer.
+
+RULES:
+- ONLY record facts stated in the text. Keep dollar amounts, mileage, terms and percentages exactly as written.
+- One short sentence per note. Leave a list empty when the text says nothing about it.
+- Record every exclusion and limitation you find; they are easy to miss in long contracts.
+
+Return JSON format: { "productName": "..." or null, "coverage": [], "benefits": [], "limitations": [], "exclusions": [], "terms": [] }`;
+
+// System prompt for rewriting one sentence flagged by the compliance checker
+const getRewriteSystemPrompt = ({ bannedTerms }) => `You are a compliance editor for F&I product descriptions at automotive dealerships.
+Rewrite the sentence you are given so it is compliance-safe.
+
+RULES:
+- NEVER use prohibited words: ${formatTerms(bannedTerms)}
+- NEVER use fear-based language or high-pressure tactics
+- Keep every fact in the sentence; NEVER add facts
+- Keep the meaning: a requirement stays a requirement and a "never" stays a firm negative
+  (do not turn "mandatory" into "optional" or "never" into "rarely")
+- Change as little as possible and keep the same tone
+- If the sentence is only a sales-pressure call to action, respond with nothing`;
+
+/**
+ * Task registry: the parameters each task takes (besides text) and how to
+ * turn them into a completion request
+ */
+const TASKS = {
+    'enhance-short': {
+        params: ['bannedTerms', 'tags'],
+        build: (params) => ({
+            messages: [
+                { role: 'system', content: getEnhancerSystemPrompt(params) },
+                {
+                    role: 'user',
+                    content: `Enhance this F&I product SHORT description. 
+
+CRITICAL REQUIREMENTS:
+- MAXIMUM 200 characters total (this is strict - count them!)
+- 1-2 sentences only
+- Plain text only (no HTML)
+- Professional and compelling
+
+Original: "${params.text}"
+
+Respond with ONLY the enhanced description, nothing else. Must be under 200 characters.`
+                }
+            ],
+            maxTokens: 100,
+            temperature: 0.7
+        })
+    },
+    'enhance-long': {
+        params: ['bannedTerms', 'tags'],
+        build: (params) => ({
+            messages: [
+                { role: 'system', content: getEnhancerSystemPrompt(params) },
+                {
+                    role: 'user',
+                    content: `Enhance this F&I product LONG description. Use HTML formatting with ${formatTags(params.tags)} tags. Make it professional, well-structured, and comprehensive.
+
+Include:
+- A clear overview paragraph
+- Key benefits as bullet points
+- Coverage highlights
+
+Original: "${params.text}"
+
+Respond with ONLY the enhanced HTML description, nothing else. Do not wrap in code blocks.`
+                }
+            ],
+            maxTokens: 800,
+            temperature: 0.7
+        })
+    },
+    'generate-long': {
+        params: ['bannedTerms', 'tags'],
+        build: (params) => ({
+            messages: [
+                { role: 'system', content: getEnhancerSystemPrompt(params) },
+                {
+                    role: 'user',
+                    content: `Based on this short F&I product description, create a comprehensive LONG description. Use HTML formatting with ${formatTags(params.tags)} tags.
+
+Include:
+- A clear overview paragraph explaining the product
+- Key benefits as bullet points
+- What the coverage includes
+- Why it's valuable for the customer
+
+Short description: "${params.text}"
+
+Respond with ONLY the HTML description, nothing else. Do not wrap in code blocks.`
+                }
+            ],
+            maxTokens: 800,
+            temperature: 0.7
+        })
+    },
+    'generate-short': {
+        params: ['bannedTerms', 'tags'],
+        build: (params) => ({
+            messages: [
+                { role: 'system', content: getEnhancerSystemPrompt(params) },
+                {
+                    role: 'user',
+                    content: `Summarize this F&I product description into a SHORT description.
+
+CRITICAL REQUIREMENTS:
+- MAXIMUM 200 characters total (this is strict!)
+- 1-2 sentences only
+- Plain text only (no HTML)
+- Concise and impactful
+
+Full description: "${params.text}"
+
+Respond with ONLY the short description, nothing else. Must be under 200 characters.`
+                }
+            ],
+            maxTokens: 100,
+            temperature: 0.7
+        })
+    },
+    'summarize-document-chunk': {
+        params: ['productType', 'pages'],
+        build: (params) => ({
+            messages: [
+                { role: 'system', content: CHUNK_SYSTEM_PROMPT },
+                {
+                    role: 'user',
+                    content: `Summarise pages ${formatPages(params.pages)} of this ${params.productType} document.
+
+DOCUMENT TEXT:
+${params.text}`
+                }
+            ],
+            temperature: 0.2,
+            json: true
+        })
+    },
+    'generate-from-document': {
+        params: ['bannedTerms', 'tags', 'productType', 'fromNotes'],
+        build: (params) => ({
+            messages: [
+                { role: 'system', content: getDocumentSystemPrompt(params) },
+                {
+                    role: 'user',
+                    content: `Based on this ${params.productType} document, create TWO descriptions (SHORT and LONG).
+
+${params.fromNotes ? 'DOCUMENT NOTES (summarised from the full document):' : 'DOCUMENT TEXT:'}
+${params.text}
+
+Return JSON format: { "shortDescription": "...", "longDescription": "..." }`
+                }
+            ],
+            temperature: 0.7,
+            json: true
+        })
+    },
+    'compliance-rewrite': {
+        params: ['bannedTerms', 'problems'],
+        build: (params) => ({
+            messages: [
+                { role: 'system', content: getRewriteSystemPrompt(params) },
+                {
+                    role: 'user',
+                    content: `Problems found:
+${params.problems.map(problem => `- ${problem}`).join('\n')}
+
+Sentence: "${params.text}"
+
+Respond with ONLY the rewritten sentence as plain text, nothing else.`
+                }
+            ],
+            maxTokens: 120,
+            temperature: 0.3
+        })
+    }
+};
+
+const PROMPT_TASKS = Object.freeze(Object.keys(TASKS));
+
+const isLine = (value, maxChars) => typeof value === 'string' && value.length <= maxChars && !/[\r\n]/.test(value);
+
+// Checks for each parameter, returning a problem description or null
+const PARAM_CHECKS = {
+    bannedTerms: (value) => (
+        Array.isArray(value) && value.length <= LIMITS.bannedTerms &&
+        value.every(term => isLine(term, LIMITS.termChars) && term.trim())
+            ? null
+            : `bannedTerms must be a list of at most ${LIMITS.bannedTerms} single-line terms`
+    ),
+    tags: (value) => (
+        Array.isArray(value) && value.length <= LIMITS.tags && value.every(tag => typeof tag === 'string' && TAG_NAME.test(tag))
+            ? null
+            : `tags must be a list of at most ${LIMITS.tags} tag names`
+    ),
+    productType: (value) => (
+        isLine(value, LIMITS.productTypeChars) && value.trim()
+            ? null
+            : `productType must be a single line of at most ${LIMITS.productTypeChars} characters`
+    ),
+    pages: (value) => (
+        Array.isArray(value) && value.length > 0 && value.length <= LIMITS.pages &&
+        value.every(page => Number.isInteger(page) && page > 0)
+            ? null
+            : `pages must be a list of at most ${LIMITS.pages} page numbers`
+    ),
+    problems: (value) => (
+        Array.isArray(value) && value.length <= LIMITS.problems &&
+        value.every(problem => isLine(problem, LIMITS.problemChars))
+            ? null
+            : `problems must be a list of at most ${LIMITS.problems} single-line messages`
+    ),
+    fromNotes: (value) => (value === undefined || typeof value === 'boolean' ? null : 'fromNotes must be true or false')
+};
+
+/**
+ * Check a task name and its parameters
+ * @param {string} task - Task name
+ * @param {Object} params - {text, ...the task's parameters}
+ * @returns {string|null} - The first problem found, or null when the request is valid
+ */
+function validatePromptParams(task, params) {
+    if (!Object.prototype.hasOwnProperty.call(TASKS, task)) {
+        return `Unknown task "${task}". Expected one of: ${PROMPT_TASKS.join(', ')}`;
+    }
+    if (!params || typeof params !== 'object' || Array.isArray(params)) {
+        return 'params must be an object';
+    }
+    if (typeof params.text !== 'string' || params.text.length > LIMITS.textChars) {
+        return `text must be a string of at most ${LIMITS.textChars} characters`;
+    }
+
+    const allowed = TASKS[task].params;
+    const unknown = Object.keys(params).find(key => key !== 'text' && !allowed.includes(key));
+    if (unknown) return `Unknown parameter "${unknown}" for task "${task}"`;
+
+    for (const name of allowed) {
+        const problem = PARAM_CHECKS[name](params[name]);
+        if (problem) return problem;
+    }
+    return null;
+}
+
+/**
+ * Build the completion request for a task
+ * @param {string} task - One of PROMPT_TASKS
+ * @param {Object} params - {text, ...the task's parameters}
+ * @returns {Object} - CompletionRequest ({task, input, params, messages, maxTokens?, temperature, json?})
+ * @throws {Error} - When the task or parameters are invalid
+ */
+function buildPrompt(task, params) {
+    const problem = validatePromptParams(task, params);
+    if (problem) {
+        throw new Error(`Invalid prompt request: ${problem}`);
+    }
+    return { task, input: params.text, params, ...TASKS[task].build(params) };
+}
+
+module.exports = {
+    PROMPT_TASKS,
+    PROMPT_LIMITS: LIMITS,
+    buildPrompt,
+    validatePromptParams,
+    formatPages
+};
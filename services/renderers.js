@@ -0,0 +1,240 @@
+/**
+ * Output Renderers
+ *
+ * Turns the sanitized long-description HTML into the formats downstream
+ * systems take:
+ * - text: plain text with bullet glyphs (printed menus, SMS)
+ * - markdown: Markdown (e-menus)
+ * - menu: structured dealer menu JSON (DMS)
+ *
+ * All three read the same block structure the prompts ask for and the
+ * normalizer enforces: overview paragraphs, then header <p> + <ul> sections,
+ * then the disclaimer. Profiles with headings and <ol> render the same way.
+ */
+
+const { parseHTML, serializeHTML } = require('./sanitizer');
+const { isAppendedDisclaimer } = require('./compliance');
+
+const OUTPUT_FORMATS = ['text', 'markdown', 'menu'];
+
+const BULLET = '•';
+
+/**
+ * Render a node's inline content
+ * @param {Object} node - Parsed HTML node
+ * @param {boolean} markdown - Keep bold/italic as Markdown and escape Markdown syntax
+ */
+function renderInline(node, markdown) {
+    if (node.type === 'text') {
+        const text = node.value.replace(/\s+/g, ' ');
+        return markdown ? escapeMarkdown(text) : text;
+    }
+    if (node.name === 'br') {
+        return markdown ? '\\\n' : '\n';
+    }
+
+    const content = node.children.map(child => renderInline(child, markdown)).join('');
+    if (!markdown || !content.trim()) return content;
+
+    // Markdown emphasis can't start or end with whitespace, so keep it outside
+    const [, before, inner, after] = content.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    if (node.name === 'strong') return `${before}**${inner}**${after}`;
+    if (node.name === 'em') return `${before}*${inner}*${after}`;
+    return content;
+}
+
+function escapeMarkdown(text) {
+    return text.replace(/[\\`*_[\]<>#|]/g, '\\$&');
+}
+
+/**
+ * Trim the spaces around the line breaks <br> produced
+ */
+function cleanText(text) {
+    return text
+        .replace(/ +/g, ' ')
+        .replace(/ ?(\\?\n) ?/g, '$1')
+        .trim();
+}
+
+function inlineText(node, markdown = false) {
+    return cleanText(renderInline(node, markdown));
+}
+
+const LIST_TAGS = ['ul', 'ol'];
+const HEADING_TAGS = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
+
+/**
+ * Header text if a node is a heading, or a <p> holding only a bold label ("Key Benefits:")
+ */
+function headerText(node) {
+    if (HEADING_TAGS.includes(node.name)) {
+        return inlineText(node).replace(/:$/, '') || null;
+    }
+    if (node.name !== 'p') return null;
+
+    const content = node.children.filter(child => child.type !== 'text' || child.value.trim());
+    if (content.length !== 1 || content[0].type !== 'element' || content[0].name !== 'strong') {
+        return null;
+    }
+    return inlineText(content[0]).replace(/:$/, '') || null;
+}
+
+/**
+ * Read the long description into typed blocks. The disclaimer and state
+ * disclosures the service appends are disclaimer; a description sentence that
+ * mentions limitations is not.
+ * @returns {Array<{type: 'paragraph'|'heading'|'list'|'disclaimer', node: Object, text?: string}>}
+ */
+function readBlocks(html, context) {
+    const blocks = [];
+
+    for (const node of parseHTML(html || '').children) {
+        if (node.type === 'text' && !node.value.trim()) continue;
+
+        if (node.type === 'element' && LIST_TAGS.includes(node.name)) {
+            blocks.push({ type: 'list', node });
+            continue;
+        }
+
+        const text = inlineText(node);
+        if (!text) continue;
+
+        if (isAppendedDisclaimer(serializeHTML({ children: [node] }), context)) {
+            blocks.push({ type: 'disclaimer', node });
+        } else if (node.type === 'element' && headerText(node)) {
+            blocks.push({ type: 'heading', node, text: headerText(node) });
+        } else {
+            blocks.push({ type: 'paragraph', node });
+        }
+    }
+
+    return blocks;
+}
+
+/**
+ * Marker for a list item: numbered in an <ol>, else the bullet given
+ */
+function listMarker(list, index, bullet) {
+    return list.name === 'ol' ? `${index + 1}.` : bullet;
+}
+
+function listItems(list, markdown = false) {
+    return list.children
+        .filter(child => child.type === 'element' && child.name === 'li')
+        .map(item => inlineText(item, markdown))
+        .filter(Boolean);
+}
+
+/**
+ * Render plain text: paragraphs separated by blank lines, bullets as "• item"
+ * @param {string} html - Sanitized long description HTML
+ * @param {Object} [context] - Compliance context, for disclaimer detection
+ * @returns {string}
+ */
+function renderPlainText(html, context) {
+    return readBlocks(html, context).map(block => {
+        if (block.type === 'list') {
+            return listItems(block.node)
+                .map((item, index) => `${listMarker(block.node, index, BULLET)} ${item.replace(/\n/g, '\n  ')}`)
+                .join('\n');
+        }
+        if (block.type === 'heading') {
+            return `${block.text}:`;
+        }
+        return inlineText(block.node);
+    }).join('\n\n');
+}
+
+/**
+ * Render Markdown: headers become "###" headings, bullets "- item" and the
+ * disclaimer is italic
+ * @param {string} html - Sanitized long description HTML
+ * @param {Object} [context] - Compliance context, for disclaimer detection
+ * @returns {string}
+ */
+function renderMarkdown(html, context) {
+    return readBlocks(html, context).map(block => {
+        if (block.type === 'list') {
+            return listItems(block.node, true)
+                .map((item, index) => `${listMarker(block.node, index, '-')} ${item.replace(/\n/g, '\n  ')}`)
+                .join('\n');
+        }
+        if (block.type === 'heading') {
+            return `### ${escapeMarkdown(block.text)}`;
+        }
+        if (block.type === 'disclaimer') {
+            // The disclaimer is already <em>; don't nest emphasis
+            return `*${escapeMarkdown(inlineText(block.node))}*`;
+        }
+        return inlineText(block.node, true);
+    }).join('\n\n');
+}
+
+/**
+ * Render the dealer menu document
+ * @param {string} html - Sanitized long description HTML
+ * @param {Object} [context] - Compliance context, for disclaimer detection
+ * @returns {{overview: string, sections: Array<{heading: string|null, paragraphs: string[], bullets: string[]}>,
+ *   disclaimer: string}}
+ */
+function renderMenuDocument(html, context) {
+    const overview = [];
+    const sections = [];
+    const disclaimer = [];
+    let section = null;
+
+    for (const block of readBlocks(html, context)) {
+        if (block.type === 'disclaimer') {
+            disclaimer.push(inlineText(block.node));
+        } else if (block.type === 'heading') {
+            section = { heading: block.text, paragraphs: [], bullets: [] };
+            sections.push(section);
+        } else if (block.type === 'list') {
+            if (!section) {
+                section = { heading: null, paragraphs: [], bullets: [] };
+                sections.push(section);
+            }
+            section.bullets.push(...listItems(block.node));
+        } else if (section) {
+            section.paragraphs.push(inlineText(block.node));
+        } else {
+            overview.push(inlineText(block.node));
+        }
+    }
+
+    return {
+        overview: overview.join('\n\n'),
+        sections,
+        disclaimer: disclaimer.join('\n\n')
+    };
+}
+
+const RENDERERS = {
+    text: renderPlainText,
+    markdown: renderMarkdown,
+    menu: renderMenuDocument
+};
+
+/**
+ * Render the long description in each requested format
+ * @param {string} html - Sanitized long description HTML
+ * @param {string[]} formats - Names from OUTPUT_FORMATS
+ * @param {Object} [context] - Compliance context, for disclaimer detection
+ * @returns {Object} - Keyed by format name
+ */
+function renderOutputs(html, formats, context) {
+    const outputs = {};
+    for (const format of formats) {
+        outputs[format] = RENDERERS[format](html, context);
+    }
+    return outputs;
+}
+
+module.exports = {
+    renderOutputs,
+    renderPlainText,
+    renderMarkdown,
+    renderMenuDocument,
+    OUTPUT_FORMATS
+};
@@ -0,0 +1,263 @@
+/**
+ * Resilience Service
+ *
+ * Failure policy for AI calls:
+ * - Per-attempt timeout (aborts the underlying request)
+ * - Idle timeout for streams, once they are open (aborts the stream)
+ * - Exponential backoff retries on 429 and 5xx responses
+ * - Circuit breaker that stops calling a backend after repeated failures
+ * - Human-readable reasons for responses that fell back to non-AI text
+ */
+
+const DEFAULT_POLICY = {
+    timeoutMs: 30000,
+    streamIdleMs: 15000,
+    maxRetries: 2,
+    retryBaseMs: 500,
+    retryMaxMs: 8000,
+    circuitThreshold: 5,
+    circuitCooldownMs: 30000
+};
+
+/**
+ * Read the failure policy from the environment
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Object} - Policy with numeric settings
+ */
+function getResiliencePolicy(env = process.env) {
+    const readNumber = (value, fallback) => {
+        const parsed = Number(value);
+        return value !== undefined && value !== '' && Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+    };
+
+    return {
+        timeoutMs: readNumber(env.AI_TIMEOUT_MS, DEFAULT_POLICY.timeoutMs),
+        streamIdleMs: readNumber(env.AI_STREAM_IDLE_MS, DEFAULT_POLICY.streamIdleMs),
+        maxRetries: readNumber(env.AI_MAX_RETRIES, DEFAULT_POLICY.maxRetries),
+        retryBaseMs: readNumber(env.AI_RETRY_BASE_MS, DEFAULT_POLICY.retryBaseMs),
+        retryMaxMs: readNumber(env.AI_RETRY_MAX_MS, DEFAULT_POLICY.retryMaxMs),
+        circuitThreshold: readNumber(env.AI_CIRCUIT_THRESHOLD, DEFAULT_POLICY.circuitThreshold),
+        circuitCooldownMs: readNumber(env.AI_CIRCUIT_COOLDOWN_MS, DEFAULT_POLICY.circuitCooldownMs)
+    };
+}
+
+/**
+ * Create an error carrying a machine-readable code
+ */
+function createAIError(message, code, extra = {}) {
+    const error = new Error(message);
+    error.code = code;
+    Object.assign(error, extra);
+    return error;
+}
+
+/**
+ * True for errors worth retrying: rate limits and server-side failures
+ */
+function isRetryableError(error) {
+    const status = error && error.status;
+    return status === 429 || (typeof status === 'number' && status >= 500);
+}
+
+/**
+ * True for errors that indicate the backend itself is unhealthy
+ * (client errors like 400 say nothing about the backend's health)
+ */
+function isBackendFailure(error) {
+    if (!error) return false;
+    if (error.code === 'AI_TIMEOUT') return true;
+    if (typeof error.status !== 'number') return true;
+    return isRetryableError(error);
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Run an operation with an abortable timeout
+ * @param {function(AbortSignal): Promise} operation - Receives a signal to abort on timeout
+ * @param {number} timeoutMs - Timeout in milliseconds (0 disables)
+ */
+async function withTimeout(operation, timeoutMs) {
+    if (!timeoutMs) {
+        return operation(undefined);
+    }
+
+    const controller = new AbortController();
+    let timer;
+
+    // Race as well as abort, in case the operation ignores the signal
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => {
+            controller.abort();
+            reject(createAIError(`AI request timed out after ${timeoutMs}ms`, 'AI_TIMEOUT'));
+        }, timeoutMs);
+    });
+
+    try {
+        return await Promise.race([operation(controller.signal), timeout]);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Pass a stream's chunks through, failing when the next chunk takes longer
+ * than idleMs. withTimeout only covers opening a stream; this keeps a
+ * backend that stalls part-way from holding the request open forever.
+ * @param {AsyncIterable} chunks - Open stream
+ * @param {number} idleMs - Longest wait for a chunk in milliseconds (0 disables)
+ * @param {AbortController} [controller] - Aborted on timeout, to cancel the underlying request
+ * @returns {AsyncIterable}
+ */
+async function* withIdleTimeout(chunks, idleMs, controller) {
+    if (!idleMs) {
+        yield* chunks;
+        return;
+    }
+
+    const iterator = chunks[Symbol.asyncIterator]();
+    let finished = false;
+
+    try {
+        while (true) {
+            let timer;
+            // Race as well as abort, in case the stream ignores the signal
+            const timeout = new Promise((_, reject) => {
+                timer = setTimeout(() => {
+                    if (controller) controller.abort();
+                    reject(createAIError(`AI stream stalled: no output for ${idleMs}ms`, 'AI_TIMEOUT'));
+                }, idleMs);
+            });
+
+            let result;
+            try {
+                result = await Promise.race([iterator.next(), timeout]);
+            } finally {
+                clearTimeout(timer);
+            }
+
+            if (result.done) {
+                finished = true;
+                return;
+            }
+            yield result.value;
+        }
+    } finally {
+        // Stop the source when it stalled or the caller stopped reading early.
+        // Not awaited: a stalled source may never settle.
+        if (!finished && typeof iterator.return === 'function') {
+            Promise.resolve(iterator.return()).catch(() => {});
+        }
+    }
+}
+
+/**
+ * Retry an operation with exponential backoff and jitter
+ * @param {function(number): Promise} operation - Receives the attempt number (0-based)
+ * @param {Object} policy - Policy from getResiliencePolicy()
+ */
+async function withRetry(operation, policy) {
+    let attempt = 0;
+
+    while (true) {
+        try {
+            return await operation(attempt);
+        } catch (error) {
+            if (attempt >= policy.maxRetries || !isRetryableError(error)) {
+                throw error;
+            }
+
+            const backoff = Math.min(policy.retryMaxMs, policy.retryBaseMs * 2 ** attempt);
+            const jitter = Math.random() * backoff * 0.2;
+            console.warn(`AI request failed (${error.status}), retrying in ${Math.round(backoff + jitter)}ms`);
+            await sleep(backoff + jitter);
+            attempt++;
+        }
+    }
+}
+
+/**
+ * Create a circuit breaker
+ * - closed: calls pass through; consecutive backend failures are counted
+ * - open: calls fail fast until the cooldown elapses
+ * - half-open: one trial call decides whether to close or re-open
+ * @param {string} name - Name used in error messages
+ * @param {Object} policy - Policy from getResiliencePolicy()
+ * @param {function(): number} now - Clock (injectable for tests)
+ */
+function createCircuitBreaker(name, policy, now = Date.now) {
+    let state = 'closed';
+    let failures = 0;
+    let openedAt = 0;
+
+    return {
+        get state() {
+            return state;
+        },
+
+        async run(operation) {
+            if (state === 'open') {
+                if (now() - openedAt < policy.circuitCooldownMs) {
+                    throw createAIError(
+                        `AI provider "${name}" is temporarily unavailable after repeated failures`,
+                        'AI_CIRCUIT_OPEN'
+                    );
+                }
+                state = 'half-open';
+            }
+
+            try {
+                const result = await operation();
+                state = 'closed';
+                failures = 0;
+                return result;
+            } catch (error) {
+                if (isBackendFailure(error)) {
+                    failures++;
+                    if (state === 'half-open' || (policy.circuitThreshold > 0 && failures >= policy.circuitThreshold)) {
+                        state = 'open';
+                        openedAt = now();
+                    }
+                } else if (state === 'half-open') {
+                    state = 'closed';
+                }
+                throw error;
+            }
+        }
+    };
+}
+
+/**
+ * Describe why AI output was replaced by fallback text
+ * @param {Error} error - Error from the AI client
+ * @returns {string}
+ */
+function describeAIError(error) {
+    if (!error) return 'AI service unavailable';
+    if (error instanceof SyntaxError) return 'AI service returned an unreadable response';
+
+    switch (error.code) {
+        case 'AI_TIMEOUT':
+        case 'AI_CIRCUIT_OPEN':
+        case 'AI_NOT_CONFIGURED':
+            return error.message;
+        default:
+            if (error.status === 429) return 'AI service rate limit reached';
+            if (typeof error.status === 'number') return `AI service returned status ${error.status}`;
+            return `AI service unavailable: ${error.message}`;
+    }
+}
+
+module.exports = {
+    getResiliencePolicy,
+    createAIError,
+    isRetryableError,
+    withTimeout,
+    withIdleTimeout,
+    withRetry,
+    createCircuitBreaker,
+    describeAIError,
+    DEFAULT_POLICY
+};
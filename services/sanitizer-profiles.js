@@ -0,0 +1,173 @@
+/**
+ * Sanitizer Profiles
+ *
+ * A profile names the tags and style properties one output channel accepts:
+ * - default: the PRD Section 8.4 whitelist used by the web UI
+ * - custom profiles from config/sanitizer-profiles.json, or the JSON/YAML
+ *   file named by SANITIZER_PROFILES (e.g. a tablet menu with <h3> and <ol>,
+ *   or a legacy DMS field that only takes <p> and <br>)
+ *
+ * Custom profiles can only choose from tags and style properties the
+ * sanitizer knows how to emit safely; attributes other than style are always
+ * dropped.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+
+const DEFAULT_PROFILE_NAME = 'default';
+
+// PRD Section 8.4: <p>, <strong>, <em>, <ul>, <li>, <br>, plus style on the disclaimer
+const DEFAULT_PROFILE = Object.freeze({
+    name: DEFAULT_PROFILE_NAME,
+    description: 'PRD Section 8.4 whitelist',
+    tags: Object.freeze(['p', 'strong', 'em', 'ul', 'li', 'br', 'span']),
+    styleProperties: Object.freeze(['font-size', 'font-style'])
+});
+
+// Everything a profile may allow: text formatting and structure, nothing with URLs or scripts
+const PROFILE_TAGS = [
+    'p', 'br', 'strong', 'em', 'b', 'i', 'u', 'span', 'ul', 'ol', 'li', 'blockquote',
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6'
+];
+const PROFILE_STYLE_PROPERTIES = ['font-size', 'font-style', 'font-weight', 'text-align', 'text-decoration'];
+
+const PROFILES_FILE = path.join(__dirname, '..', 'config', 'sanitizer-profiles.json');
+
+/**
+ * Check a profiles document's shape, throwing a readable error for the first problem
+ * @param {Object} document - Parsed profiles file: { profiles: { name: { tags, styleProperties, description } } }
+ * @param {string} source - Name used in error messages (usually the file path)
+ * @returns {Object[]} - Profiles, with styleProperties defaulted to []
+ */
+function validateProfiles(document, source = 'sanitizer profiles') {
+    const fail = (problem) => {
+        throw new Error(`Invalid sanitizer profiles in ${source}: ${problem}`);
+    };
+
+    if (!document || typeof document !== 'object' || !document.profiles ||
+        typeof document.profiles !== 'object' || Array.isArray(document.profiles)) {
+        fail('expected an object with a "profiles" map');
+    }
+
+    return Object.entries(document.profiles).map(([name, profile]) => {
+        const label = `profile "${name}"`;
+
+        if (!/^[a-z0-9][a-z0-9-]*$/.test(name)) fail(`${label} needs a lower-case name (letters, digits, -)`);
+        if (name === DEFAULT_PROFILE_NAME) fail(`${label} is built in and can't be redefined`);
+        if (!profile || typeof profile !== 'object') fail(`${label} must be an object`);
+
+        const { tags, styleProperties = [], description = '' } = profile;
+        if (!Array.isArray(tags) || tags.length === 0) fail(`${label} needs a list of "tags"`);
+        for (const tag of tags) {
+            if (!PROFILE_TAGS.includes(tag)) {
+                fail(`${label} allows <${tag}>, expected tags from: ${PROFILE_TAGS.join(', ')}`);
+            }
+        }
+        if (!Array.isArray(styleProperties)) fail(`${label} has invalid "styleProperties", expected a list`);
+        for (const property of styleProperties) {
+            if (!PROFILE_STYLE_PROPERTIES.includes(property)) {
+                fail(`${label} allows style "${property}", expected properties from: ${PROFILE_STYLE_PROPERTIES.join(', ')}`);
+            }
+        }
+        if (typeof description !== 'string') fail(`${label} has invalid "description", expected text`);
+
+        return { name, description, tags: [...new Set(tags)], styleProperties: [...new Set(styleProperties)] };
+    });
+}
+
+/**
+ * Load custom profiles from a JSON or YAML file
+ * @param {string} filePath - Path to a .json, .yaml or .yml file
+ * @returns {Object[]} - Validated profiles
+ */
+function loadProfiles(filePath) {
+    const text = fs.readFileSync(filePath, 'utf8');
+    const document = /\.ya?ml$/i.test(filePath) ? YAML.parse(text) : JSON.parse(text);
+    return validateProfiles(document, filePath);
+}
+
+// Profiles by name, loaded on first use
+let activeProfiles = null;
+
+function getProfiles() {
+    if (!activeProfiles) {
+        const file = process.env.SANITIZER_PROFILES ? path.resolve(process.env.SANITIZER_PROFILES) : PROFILES_FILE;
+        const custom = fs.existsSync(file) ? loadProfiles(file) : [];
+
+        activeProfiles = new Map([[DEFAULT_PROFILE_NAME, DEFAULT_PROFILE]]);
+        for (const profile of custom) {
+            activeProfiles.set(profile.name, Object.freeze({
+                ...profile,
+                tags: Object.freeze(profile.tags),
+                styleProperties: Object.freeze(profile.styleProperties)
+            }));
+        }
+    }
+    return activeProfiles;
+}
+
+/**
+ * Look up a profile by name
+ * @param {string} [name] - Profile name (default when omitted)
+ * @returns {Object|null} - {name, description, tags, styleProperties}, or null when unknown
+ */
+function getSanitizerProfile(name) {
+    if (name === undefined || name === null || name === '') {
+        return DEFAULT_PROFILE;
+    }
+    return getProfiles().get(name) || null;
+}
+
+/**
+ * Resolve a profile argument: a profile object, a name, or nothing for the default
+ * @throws {Error} - For an unknown name
+ */
+function resolveSanitizerProfile(profile) {
+    if (profile && typeof profile === 'object') return profile;
+
+    const resolved = getSanitizerProfile(profile);
+    if (!resolved) {
+        throw new Error(`Unknown sanitizer profile "${profile}"`);
+    }
+    return resolved;
+}
+
+/**
+ * Names of the profiles in effect, default first
+ * @returns {string[]}
+ */
+function listSanitizerProfiles() {
+    return [...getProfiles().keys()];
+}
+
+/**
+ * Drop the loaded profiles so the next lookup reads the profiles file again
+ */
+function reloadSanitizerProfiles() {
+    activeProfiles = null;
+}
+
+/**
+ * Allowed tags for the AI prompt, e.g. "<p>, <strong>, <ul>, <li>"
+ * (span only carries the disclaimer style, so the model isn't told about it)
+ * @param {Object|string} [profile]
+ * @returns {string}
+ */
+function formatAllowedTags(profile) {
+    return resolveSanitizerProfile(profile).tags
+        .filter(tag => tag !== 'span')
+        .map(tag => `<${tag}>`)
+        .join(', ');
+}
+
+module.exports = {
+    getSanitizerProfile,
+    resolveSanitizerProfile,
+    listSanitizerProfiles,
+    reloadSanitizerProfiles,
+    validateProfiles,
+    formatAllowedTags,
+    DEFAULT_PROFILE
+};
@@ -1,45 +1,356 @@
 /**
  * HTML Sanitizer Service
- * 
+ *
  * Sanitizes HTML content to only allow safe tags per PRD Section 8.4:
  * - Allowed tags: <p>, <strong>, <em>, <ul>, <li>, <br>
  * - Allowed attributes: style (for disclaimer font-size)
  * - Removes: scripts, event handlers, javascript: URLs, all other tags
+ *
+ * Other output channels pass a sanitizer profile (see sanitizer-profiles.js)
+ * naming the tags and style properties they accept instead.
+ *
+ * HTML is tokenized and built into a tree the way a browser would read it
+ * (quoted attributes, comments, raw-text elements like <script>, entities),
+ * then serialized from the whitelist. Because the output is generated rather
+ * than filtered, anything the whitelist doesn't name cannot survive.
  */
 
-// Whitelist of allowed tags
-const ALLOWED_TAGS = new Set(['p', 'strong', 'em', 'ul', 'li', 'br', 'span']);
+const { resolveSanitizerProfile, DEFAULT_PROFILE } = require('./sanitizer-profiles');
+
+// Whitelist of allowed tags (default profile)
+const ALLOWED_TAGS = new Set(DEFAULT_PROFILE.tags);
 
 // Allowed style properties (for disclaimer smaller font)
-const ALLOWED_STYLE_PROPERTIES = new Set(['font-size', 'font-style']);
-
-// Patterns to detect dangerous content
-const DANGEROUS_PATTERNS = [
-    /javascript:/gi,
-    /vbscript:/gi,
-    /data:/gi,
-    /on\w+\s*=/gi,  // Event handlers like onclick=, onerror=
-    /<script[\s\S]*?<\/script>/gi,
-    /<script[\s\S]*?>/gi,
-    /<\/script>/gi,
-    /<iframe[\s\S]*?>/gi,
-    /<object[\s\S]*?>/gi,
-    /<embed[\s\S]*?>/gi,
-    /<link[\s\S]*?>/gi,
-    /<meta[\s\S]*?>/gi,
-    /<style[\s\S]*?<\/style>/gi,
-    /<style[\s\S]*?>/gi,
-];
+const ALLOWED_STYLE_PROPERTIES = new Set(DEFAULT_PROFILE.styleProperties);
+
+// Style values are limited to keywords and lengths ("smaller", "12px", "italic")
+const SAFE_STYLE_VALUE = /^[a-z0-9.%\s-]+$/i;
+
+// Elements whose content is not text for the reader, so it is dropped with the tag
+const DROP_CONTENT_TAGS = new Set([
+    'script', 'style', 'iframe', 'object', 'embed', 'noembed', 'noframes', 'noscript',
+    'template', 'textarea', 'title', 'xmp', 'select', 'svg', 'math', 'head', 'applet'
+]);
+
+// Block elements whose content, when the tag is dropped, still needs a block of its own
+// (headings become a bold header line where the profile allows it)
+const BLOCK_TAGS = new Set([
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'div', 'section', 'article', 'header', 'footer', 'main', 'aside',
+    'nav', 'blockquote', 'pre', 'address', 'figure', 'figcaption', 'table', 'caption', 'thead', 'tbody',
+    'tfoot', 'tr', 'dl', 'dt', 'dd', 'form', 'fieldset', 'details', 'summary', 'center'
+]);
+const HEADING_TAGS = new Set(['h1', 'h2', 'h3', 'h4', 'h5', 'h6']);
+const CELL_TAGS = new Set(['td', 'th']);
+
+// Elements a browser reads as raw text up to their end tag ("<script><p>" is not a <p>)
+const RAW_TEXT_TAGS = new Set(['script', 'style', 'xmp', 'iframe', 'noembed', 'noframes', 'noscript', 'textarea', 'title']);
+
+// Elements that never have content or an end tag
+const VOID_TAGS = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+// Block elements that close an open <p> when they start (HTML parsing rules)
+const CLOSES_P_TAGS = new Set([
+    'address', 'article', 'aside', 'blockquote', 'div', 'dl', 'fieldset', 'footer', 'form',
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'main', 'nav', 'ol', 'p', 'pre',
+    'section', 'table', 'ul'
+]);
+
+// Deepest nesting kept; deeper start tags are ignored so hostile input can't exhaust the stack
+const MAX_DEPTH = 100;
+
+// Most attributes kept per tag; later ones are read past and dropped
+const MAX_ATTRIBUTES = 64;
+
+// Named character references a browser would decode. Includes the punctuation
+// names used to disguise URLs ("javascript&colon;")
+const NAMED_ENTITIES = {
+    amp: '&', AMP: '&', lt: '<', LT: '<', gt: '>', GT: '>', quot: '"', QUOT: '"', apos: "'",
+    nbsp: '\u00a0', copy: '©', reg: '®', trade: '™', hellip: '…',
+    mdash: '—', ndash: '–', lsquo: '‘', rsquo: '’', ldquo: '“',
+    rdquo: '”', bull: '•', middot: '·', deg: '°', cent: '¢',
+    pound: '£', euro: '€', yen: '¥', sect: '§', para: '¶',
+    times: '×', divide: '÷', frac12: '½', frac14: '¼', frac34: '¾',
+    plusmn: '±', laquo: '«', raquo: '»',
+    Tab: '\t', NewLine: '\n', colon: ':', semi: ';', comma: ',', period: '.', excl: '!',
+    quest: '?', num: '#', dollar: '$', percnt: '%', plus: '+', equals: '=', lowbar: '_',
+    verbar: '|', sol: '/', bsol: '\\', lpar: '(', rpar: ')', lsqb: '[', rsqb: ']',
+    lbrack: '[', rbrack: ']', lcub: '{', rcub: '}', lbrace: '{', rbrace: '}', ast: '*',
+    commat: '@', grave: '`', Hat: '^'
+};
+
+/**
+ * Decode character references (&amp; &#58; &#x3a; &colon;) as a browser would
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeEntities(text) {
+    return text.replace(/&(#[xX][0-9a-fA-F]+|#[0-9]+|[a-zA-Z][a-zA-Z0-9]*);?/g, (match, ref) => {
+        if (ref[0] === '#') {
+            const code = /^#[xX]/.test(ref) ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+            const valid = code > 0 && code <= 0x10ffff && (code < 0xd800 || code > 0xdfff);
+            return valid ? String.fromCodePoint(code) : '\ufffd';
+        }
+        return Object.prototype.hasOwnProperty.call(NAMED_ENTITIES, ref) ? NAMED_ENTITIES[ref] : match;
+    });
+}
+
+/**
+ * Escape text for HTML output
+ */
+function escapeText(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/\u00a0/g, '&nbsp;');
+}
+
+function escapeAttribute(value) {
+    return escapeText(value).replace(/"/g, '&quot;');
+}
+
+/**
+ * Match a pattern at `index` without copying the rest of the input
+ * (slicing per token makes large documents quadratic)
+ * @param {RegExp} pattern - Sticky (y) pattern
+ * @returns {string|null} - The matched text
+ */
+function matchAt(pattern, html, index) {
+    pattern.lastIndex = index;
+    const match = pattern.exec(html);
+    return match ? match[0] : null;
+}
+
+const ATTRIBUTE_NAME = /.[^\s/>=]*/y;
+const UNQUOTED_VALUE = /[^\s>]*/y;
+const ABRUPT_COMMENT = /<!---?>/y;
+const TAG_NAME = /[^\s/>]+/y;
+
+/**
+ * Read a tag's attributes starting at `index` (just after the tag name).
+ * Repeated names keep the first value, and at most MAX_ATTRIBUTES are kept
+ * @returns {{attributes: Array<{name: string, value: string}>, selfClosing: boolean, end: number}}
+ *   end is the index after the closing ">", or -1 if the input ends inside the tag
+ */
+function readAttributes(html, index) {
+    const attributes = [];
+    const seen = new Set();
+    let selfClosing = false;
+    let i = index;
+
+    while (i < html.length) {
+        const char = html[i];
+
+        if (char === '>') {
+            return { attributes, selfClosing, end: i + 1 };
+        }
+        if (/\s/.test(char)) {
+            i++;
+            continue;
+        }
+        if (char === '/') {
+            selfClosing = html[i + 1] === '>';
+            i++;
+            continue;
+        }
+
+        // Attribute name (a leading "=" is part of the name, as in the HTML spec)
+        const rawName = matchAt(ATTRIBUTE_NAME, html, i);
+        const name = rawName.toLowerCase();
+        i += rawName.length;
+        selfClosing = false;
+
+        while (i < html.length && /\s/.test(html[i])) i++;
+
+        let value = '';
+        if (html[i] === '=') {
+            i++;
+            while (i < html.length && /\s/.test(html[i])) i++;
+
+            const quote = html[i];
+            if (quote === '"' || quote === "'") {
+                const close = html.indexOf(quote, i + 1);
+                if (close === -1) return { attributes, selfClosing, end: -1 };
+                value = html.slice(i + 1, close);
+                i = close + 1;
+            } else {
+                const unquoted = matchAt(UNQUOTED_VALUE, html, i);
+                value = unquoted;
+                i += unquoted.length;
+            }
+        }
+
+        if (!seen.has(name) && attributes.length < MAX_ATTRIBUTES) {
+            seen.add(name);
+            attributes.push({ name, value: decodeEntities(value) });
+        }
+    }
+
+    return { attributes, selfClosing, end: -1 };
+}
+
+/**
+ * Split HTML into tokens following the HTML tokenizer's rules for tags,
+ * comments, bogus comments (<!...>, <?...>) and raw-text elements. CDATA
+ * sections are dropped whole
+ * @param {string} html
+ * @returns {Array<Object>} - {type: 'text', value} (decoded), {type: 'comment'},
+ *   {type: 'startTag', name, attributes, selfClosing} or {type: 'endTag', name}
+ */
+function tokenizeHTML(html) {
+    const tokens = [];
+    let text = '';
+    let i = 0;
+
+    const flushText = () => {
+        if (text) tokens.push({ type: 'text', value: decodeEntities(text) });
+        text = '';
+    };
+
+    while (i < html.length) {
+        const lt = html.indexOf('<', i);
+        if (lt === -1) {
+            text += html.slice(i);
+            break;
+        }
+        text += html.slice(i, lt);
+        i = lt;
+
+        const next = html[i + 1] || '';
+
+        if (html.startsWith('<!--', i)) {
+            // Comment, closed by "-->" (or "<!-->" / "<!--->" as abrupt closes)
+            const abrupt = matchAt(ABRUPT_COMMENT, html, i);
+            const close = abrupt ? i + abrupt.length - 3 : html.indexOf('-->', i + 4);
+            flushText();
+            tokens.push({ type: 'comment' });
+            i = close === -1 ? html.length : close + 3;
+        } else if (html.startsWith('<![CDATA[', i)) {
+            // CDATA only means something in SVG/MathML, which is dropped anyway; drop the whole section
+            const close = html.indexOf(']]>', i + 9);
+            flushText();
+            tokens.push({ type: 'comment' });
+            i = close === -1 ? html.length : close + 3;
+        } else if (next === '!' || next === '?' || (next === '/' && !/[a-zA-Z>]/.test(html[i + 2] || ''))) {
+            // Doctype, CDATA, processing instruction or malformed end tag: bogus comment up to ">"
+            const close = html.indexOf('>', i + 2);
+            flushText();
+            tokens.push({ type: 'comment' });
+            i = close === -1 ? html.length : close + 1;
+        } else if (next === '/' && html[i + 2] === '>') {
+            // "</>" is ignored
+            i += 3;
+        } else if (/[a-zA-Z]/.test(next) || (next === '/' && /[a-zA-Z]/.test(html[i + 2] || ''))) {
+            const isEnd = next === '/';
+            const nameStart = i + (isEnd ? 2 : 1);
+            const name = matchAt(TAG_NAME, html, nameStart).toLowerCase();
+            const { attributes, selfClosing, end } = readAttributes(html, nameStart + name.length);
+
+            // Input that ends inside a tag produces nothing for that tag
+            if (end === -1) break;
+
+            flushText();
+            tokens.push(isEnd
+                ? { type: 'endTag', name }
+                : { type: 'startTag', name, attributes, selfClosing });
+            i = end;
+
+            if (!isEnd && name === 'plaintext') {
+                break;
+            }
+            if (!isEnd && RAW_TEXT_TAGS.has(name)) {
+                // Skip to the matching end tag; nothing inside is markup
+                const closingTag = new RegExp(`</${name}(?=[\\s/>])`, 'gi');
+                closingTag.lastIndex = i;
+                const closing = closingTag.exec(html);
+                i = closing ? closing.index : html.length;
+            }
+        } else {
+            // A "<" that doesn't start a tag is text
+            text += '<';
+            i++;
+        }
+    }
+
+    flushText();
+    return tokens;
+}
+
+/**
+ * Build a tree from HTML, closing and balancing tags the way a browser does:
+ * block elements close an open <p>, a new <li> closes the previous one, end
+ * tags close any elements left open inside them and stray end tags are ignored
+ * @param {string} html
+ * @returns {{type: 'root', children: Object[]}} - Nodes are {type: 'element', name,
+ *   attributes, children} or {type: 'text', value}
+ */
+function parseHTML(html) {
+    const root = { type: 'root', children: [] };
+    const stack = [root];
+    const current = () => stack[stack.length - 1];
+    const isOpen = (name) => stack.some(node => node.name === name);
+
+    const closeThrough = (name) => {
+        while (stack.length > 1) {
+            if (stack.pop().name === name) return;
+        }
+    };
+
+    for (const token of tokenizeHTML(typeof html === 'string' ? html : '')) {
+        if (token.type === 'text') {
+            const parent = current();
+            const last = parent.children[parent.children.length - 1];
+            if (last && last.type === 'text') {
+                last.value += token.value;
+            } else {
+                parent.children.push({ type: 'text', value: token.value });
+            }
+        } else if (token.type === 'startTag') {
+            if (CLOSES_P_TAGS.has(token.name) && isOpen('p')) {
+                closeThrough('p');
+            }
+            if (token.name === 'li') {
+                // Close an open list item in the same list
+                for (let depth = stack.length - 1; depth > 0; depth--) {
+                    const name = stack[depth].name;
+                    if (name === 'ul' || name === 'ol') break;
+                    if (name === 'li') {
+                        stack.length = depth;
+                        break;
+                    }
+                }
+            }
+
+            const element = { type: 'element', name: token.name, attributes: token.attributes, children: [] };
+            if (stack.length > MAX_DEPTH) continue;
+
+            current().children.push(element);
+            if (!VOID_TAGS.has(token.name)) {
+                stack.push(element);
+            }
+        } else if (token.type === 'endTag' && isOpen(token.name)) {
+            closeThrough(token.name);
+        }
+    }
+
+    return root;
+}
 
 /**
  * Sanitize a style attribute value
- * Only allows font-size and font-style properties
+ * Only allows whitelisted properties (font-size and font-style by default)
+ * with plain keyword/length values
+ * @param {string} styleValue
+ * @param {Set<string>} [allowedProperties]
  */
-function sanitizeStyle(styleValue) {
+function sanitizeStyle(styleValue, allowedProperties = ALLOWED_STYLE_PROPERTIES) {
     if (!styleValue) return '';
 
     const sanitizedParts = [];
-    const parts = styleValue.split(';');
+    // CSS comments can hide keywords ("expr/**/ession"), so drop them first
+    const parts = styleValue.replace(/\/\*[\s\S]*?(\*\/|$)/g, '').split(';');
 
     for (const part of parts) {
         const trimmed = part.trim();
@@ -52,11 +363,10 @@ function sanitizeStyle(styleValue) {
         const value = trimmed.substring(colonIndex + 1).trim();
 
         // Only allow whitelisted properties
-        if (ALLOWED_STYLE_PROPERTIES.has(property)) {
-            // Validate value doesn't contain dangerous content
-            if (!value.includes('expression') &&
-                !value.includes('javascript') &&
-                !value.includes('url(')) {
+        if (allowedProperties.has(property)) {
+            // Keywords and lengths only: no functions, escapes or quotes that could
+            // smuggle in expression(), url() or javascript:
+            if (SAFE_STYLE_VALUE.test(value) && !/expression|javascript/i.test(value)) {
                 sanitizedParts.push(`${property}: ${value}`);
             }
         }
@@ -65,114 +375,159 @@ function sanitizeStyle(styleValue) {
     return sanitizedParts.join('; ');
 }
 
+// Tag and style sets per profile, built on first use
+const compiledProfiles = new WeakMap();
+
 /**
- * Parse and sanitize HTML attributes
- * Only allows style attribute with sanitized values
+ * Resolve a profile argument (object, name or nothing) to its allowed sets
+ * @returns {{tags: Set<string>, styleProperties: Set<string>}}
  */
-function sanitizeAttributes(attributeString) {
-    if (!attributeString) return '';
-
-    // Extract style attribute if present
-    const styleMatch = attributeString.match(/style\s*=\s*["']([^"']*)["']/i);
-
-    if (styleMatch) {
-        const sanitizedStyle = sanitizeStyle(styleMatch[1]);
-        if (sanitizedStyle) {
-            return ` style="${sanitizedStyle}"`;
-        }
+function compileProfile(profile) {
+    const resolved = resolveSanitizerProfile(profile);
+    if (!compiledProfiles.has(resolved)) {
+        compiledProfiles.set(resolved, {
+            tags: new Set(resolved.tags),
+            styleProperties: new Set(resolved.styleProperties || [])
+        });
     }
-
-    return '';
+    return compiledProfiles.get(resolved);
 }
 
 /**
- * Main sanitization function
- * @param {string} html - The HTML string to sanitize
- * @returns {string} - Sanitized HTML string
+ * Serialize the allowed parts of a node's children as canonical HTML
  */
-function sanitizeHTML(html) {
-    if (!html || typeof html !== 'string') {
-        return '';
+function serializeChildren(node, allowed) {
+    return node.children.map(child => serializeNode(child, allowed)).join('');
+}
+
+function serializeNode(node, allowed) {
+    if (node.type === 'text') {
+        return escapeText(node.value);
     }
 
-    let sanitized = html;
+    if (DROP_CONTENT_TAGS.has(node.name)) {
+        return '';
+    }
 
-    // First pass: Remove obviously dangerous patterns
-    for (const pattern of DANGEROUS_PATTERNS) {
-        sanitized = sanitized.replace(pattern, '');
+    // A numbered list becomes a bulleted one where only <ul> is allowed
+    const name = node.name === 'ol' && !allowed.tags.has('ol') && allowed.tags.has('ul') ? 'ul' : node.name;
+    const isList = name === 'ul' || name === 'ol';
+
+    // Items of a list that is dropped are read as if the profile had no lists
+    const content = isList && !allowed.tags.has(name) && allowed.tags.has('li')
+        ? serializeChildren(node, { ...allowed, tags: new Set([...allowed.tags].filter(tag => tag !== 'li')) })
+        : serializeChildren(node, allowed);
+
+    // Disallowed tags are removed but their content is kept. With a profile
+    // that has no lists, items keep a bullet and a line each, and the list
+    // becomes a paragraph, so items don't run together. Dropped blocks (headings,
+    // divs, table rows) keep a paragraph of their own and cells a space between them.
+    if (!allowed.tags.has(name)) {
+        if (name === 'li' && content.trim()) {
+            return `• ${content.trim()}${allowed.tags.has('br') ? '<br>' : ' '}`;
+        }
+        if (isList && allowed.tags.has('p') && content.trim() && !content.includes('<p>')) {
+            return `<p>${content.trim().replace(/<br>$/, '')}</p>`;
+        }
+        if (CELL_TAGS.has(name)) {
+            return `${content} `;
+        }
+        if (BLOCK_TAGS.has(name) && content.trim() && !/<(?:p|ul|ol|li|blockquote|h[1-6])[\s>]/.test(content)) {
+            return toBlock(content.trim(), HEADING_TAGS.has(name), allowed);
+        }
+        return content;
     }
 
-    // Second pass: Process tags - keep only allowed tags
-    // Match all HTML tags
-    sanitized = sanitized.replace(/<\/?([a-zA-Z][a-zA-Z0-9]*)\s*([^>]*)>/gi, (match, tagName, attributes) => {
-        const lowerTag = tagName.toLowerCase();
+    if (node.name === 'br') {
+        return '<br>';
+    }
 
-        // Check if tag is in whitelist
-        if (!ALLOWED_TAGS.has(lowerTag)) {
-            // Remove disallowed tags but keep their content (for non-void tags)
-            return '';
-        }
+    // Drop empty elements left behind, but keep empty paragraphs for spacing
+    if (node.name !== 'p' && !/\S|<br>/.test(content)) {
+        return '';
+    }
 
-        // Check if it's a closing tag
-        if (match.startsWith('</')) {
-            return `</${lowerTag}>`;
-        }
+    const style = node.attributes.find(attribute => attribute.name === 'style');
+    const sanitizedStyle = style ? sanitizeStyle(style.value, allowed.styleProperties) : '';
+    const attributes = sanitizedStyle ? ` style="${escapeAttribute(sanitizedStyle)}"` : '';
 
-        // For void tags like <br>, no attributes needed
-        if (lowerTag === 'br') {
-            return '<br>';
-        }
+    return `<${name}${attributes}>${content}</${name}>`;
+}
 
-        // Sanitize attributes for allowed tags
-        const sanitizedAttrs = sanitizeAttributes(attributes);
+/**
+ * Give the content of a dropped block element a block of its own: a paragraph
+ * (a bold header line for a heading) or, without <p>, a line break or space
+ */
+function toBlock(content, heading, allowed) {
+    if (!allowed.tags.has('p')) {
+        return ` ${content}${allowed.tags.has('br') ? '<br>' : ' '}`;
+    }
+    return heading && allowed.tags.has('strong') && !content.includes('<strong>') ? `<p><strong>${content}</strong></p>` : `<p>${content}</p>`;
+}
 
-        return `<${lowerTag}${sanitizedAttrs}>`;
-    });
+/**
+ * Serialize a parsed tree (see parseHTML) as sanitized, canonical HTML
+ * @param {{children: Object[]}} root
+ * @param {Object|string} [profile] - Sanitizer profile or its name (default profile when omitted)
+ * @returns {string}
+ */
+function serializeHTML(root, profile) {
+    return serializeChildren(root, compileProfile(profile));
+}
 
-    // Third pass: Remove any remaining dangerous content that might have slipped through
-    sanitized = sanitized.replace(/javascript:/gi, '');
-    sanitized = sanitized.replace(/on\w+=/gi, '');
+/**
+ * Main sanitization function
+ * @param {string} html - The HTML string to sanitize
+ * @param {Object|string} [profile] - Sanitizer profile or its name (default profile when omitted)
+ * @returns {string} - Sanitized HTML string
+ */
+function sanitizeHTML(html, profile) {
+    const allowed = compileProfile(profile);
 
-    // Clean up any empty tags that might be left
-    sanitized = sanitized.replace(/<(\w+)[^>]*>\s*<\/\1>/gi, (match, tag) => {
-        // Keep empty paragraphs for spacing, remove others
-        if (tag.toLowerCase() === 'p') return match;
+    if (!html || typeof html !== 'string') {
         return '';
-    });
+    }
 
-    return sanitized.trim();
+    return serializeChildren(parseHTML(html), allowed).trim();
 }
 
 /**
  * Validate that HTML only contains allowed content
  * @param {string} html - The HTML to validate
+ * @param {Object|string} [profile] - Sanitizer profile or its name (default profile when omitted)
  * @returns {{valid: boolean, issues: string[]}} - Validation result
  */
-function validateHTML(html) {
+function validateHTML(html, profile) {
+    const allowed = compileProfile(profile);
     const issues = [];
+    const report = (issue) => {
+        if (!issues.includes(issue)) issues.push(issue);
+    };
 
     if (!html || typeof html !== 'string') {
         return { valid: true, issues: [] };
     }
 
-    // Check for disallowed tags
-    const tagMatches = html.matchAll(/<\/?([a-zA-Z][a-zA-Z0-9]*)/gi);
-    for (const match of tagMatches) {
-        const tag = match[1].toLowerCase();
-        if (!ALLOWED_TAGS.has(tag)) {
-            issues.push(`Disallowed tag: <${tag}>`);
+    for (const token of tokenizeHTML(html)) {
+        if (token.type !== 'startTag' && token.type !== 'endTag') continue;
+
+        // Check for disallowed tags
+        if (!allowed.tags.has(token.name)) {
+            report(`Disallowed tag: <${token.name}>`);
+        }
+        if (token.name === 'script') {
+            report('Contains script tag');
         }
-    }
 
-    // Check for dangerous patterns
-    if (/javascript:/i.test(html)) {
-        issues.push('Contains javascript: URL');
-    }
-    if (/on\w+\s*=/i.test(html)) {
-        issues.push('Contains event handler');
-    }
-    if (/<script/i.test(html)) {
-        issues.push('Contains script tag');
+        // Check for dangerous attributes (values are already entity-decoded)
+        for (const attribute of token.attributes || []) {
+            if (/^on/.test(attribute.name)) {
+                report('Contains event handler');
+            }
+            if (/javascript:/i.test(attribute.value.replace(/[\s\u0000-\u001f]/g, ''))) {
+                report('Contains javascript: URL');
+            }
+        }
     }
 
     return {
@@ -185,5 +540,9 @@ module.exports = {
     sanitizeHTML,
     validateHTML,
     sanitizeStyle,
+    tokenizeHTML,
+    parseHTML,
+    serializeHTML,
+    decodeEntities,
     ALLOWED_TAGS
 };
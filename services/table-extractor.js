@@ -0,0 +1,308 @@
+/**
+ * Table Extraction Service
+ *
+ * Rebuilds the tables on a PDF page from the positions of its text items.
+ * pdf-parse joins the items on a line with nothing between them, so a rate
+ * sheet row reads "36 months36,000 miles$1,295". Here items are grouped into
+ * lines by baseline and into cells by the gaps between them, and runs of
+ * lines whose cells line up in columns become tables:
+ * - rates: term / mileage / price grids
+ * - coverage: component rows with covered / not covered marks per plan
+ * - table: anything else laid out in rows and columns
+ *
+ * The page text keeps each table row written out as a sentence
+ * ("Term: 36 months; Mileage: 36,000 miles; Price: $1,295."), so text
+ * analysis, terms extraction and the AI read the table instead of a run of numbers.
+ */
+
+const { extractFacts } = require('./fact-checker');
+
+// Cells wider than this are prose in a multi-column layout, not a table
+const MAX_AVERAGE_CELL_LENGTH = 40;
+
+// Marks a coverage matrix uses for covered / not covered
+const COVERED_MARK = /^(?:✓|✔|✗?x|yes|y|covered|included|incl\.?|•|●|■)$/i;
+const NOT_COVERED_MARK = /^(?:—|–|-|no|n|not covered|excluded|n\/a|○)$/i;
+
+/**
+ * Text items with their position and font size
+ * @param {Object} textContent - pdf.js getTextContent() result
+ * @returns {Array<{text: string, x: number, y: number, right: number, size: number}>}
+ */
+function readItems(textContent) {
+    return textContent.items
+        .filter(item => item.str.trim())
+        .map(item => {
+            const [a, b, , , x, y] = item.transform;
+            const size = item.height || Math.hypot(a, b) || 10;
+            return { text: item.str, x, y, right: x + (item.width || 0), size };
+        });
+}
+
+/**
+ * Group items into lines (top to bottom) and each line into cells (left to right).
+ * Items closer than about a character apart belong to the same cell.
+ * @returns {Array<{y: number, size: number, cells: Array<{text: string, x: number, right: number}>}>}
+ */
+function groupLines(items) {
+    const lines = [];
+
+    // Stable sort keeps the content stream order of items on the same baseline
+    for (const item of [...items].sort((a, b) => b.y - a.y)) {
+        const line = lines.find(candidate => Math.abs(candidate.y - item.y) <= candidate.size * 0.3);
+        if (line) {
+            line.items.push(item);
+        } else {
+            lines.push({ y: item.y, size: item.size, items: [item] });
+        }
+    }
+
+    return lines.map(({ y, size, items: lineItems }) => {
+        const cells = [];
+        for (const item of lineItems.sort((a, b) => a.x - b.x)) {
+            const cell = cells[cells.length - 1];
+            const gap = cell ? item.x - cell.right : Infinity;
+            if (gap < size * 0.9) {
+                // Words drawn separately still need the space between them
+                cell.text += gap > size * 0.15 && !/\s$/.test(cell.text) && !/^\s/.test(item.text) ? ` ${item.text}` : item.text;
+                cell.right = Math.max(cell.right, item.right);
+            } else {
+                cells.push({ text: item.text, x: item.x, right: item.right });
+            }
+        }
+        for (const cell of cells) cell.text = cell.text.replace(/\s+/g, ' ').trim();
+        return { y, size, cells };
+    }).sort((a, b) => b.y - a.y);
+}
+
+/**
+ * Does a cell sit under (or over) a column?
+ */
+function overlaps(cell, column, tolerance) {
+    return cell.x <= column.right + tolerance && cell.right >= column.x - tolerance;
+}
+
+/**
+ * Cells of a line that line up with distinct columns
+ */
+function alignedCount(line, columns) {
+    const used = new Set();
+    for (const cell of line.cells) {
+        const index = columns.findIndex((column, i) => !used.has(i) && overlaps(cell, column, line.size / 2));
+        if (index !== -1) used.add(index);
+    }
+    return used.size;
+}
+
+/**
+ * Are the cells short enough to be a table rather than prose laid out in columns?
+ * @param {string[][]} rows - Cell text by row
+ * @returns {boolean}
+ */
+function hasShortCells(rows) {
+    const cells = rows.flat().filter(Boolean);
+    if (cells.length === 0) return false;
+    const averageLength = cells.reduce((sum, cell) => sum + cell.length, 0) / cells.length;
+    return averageLength <= MAX_AVERAGE_CELL_LENGTH;
+}
+
+/**
+ * Runs of consecutive lines with two or more cells in shared columns
+ * @returns {Array<{start: number, end: number, columns: Object[]}>} - Line index ranges (end exclusive)
+ */
+function findTableBlocks(lines) {
+    const blocks = [];
+    let index = 0;
+
+    while (index < lines.length) {
+        if (lines[index].cells.length < 2) {
+            index++;
+            continue;
+        }
+
+        let columns = lines[index].cells;
+        let end = index + 1;
+        while (end < lines.length) {
+            const line = lines[end];
+            const spacing = lines[end - 1].y - line.y;
+            if (line.cells.length < 2 || spacing > line.size * 2.5 ||
+                alignedCount(line, columns) < Math.min(2, line.cells.length)) {
+                break;
+            }
+            if (line.cells.length > columns.length) columns = line.cells;
+            end++;
+        }
+
+        const rows = lines.slice(index, end);
+        if (rows.length >= 3 || (rows.length === 2 && columns.length >= 3)) {
+            if (hasShortCells(rows.map(line => line.cells.map(cell => cell.text)))) {
+                blocks.push({ start: index, end, columns });
+            }
+        }
+        index = end;
+    }
+
+    return blocks;
+}
+
+/**
+ * Put each cell of a line in the column it overlaps most (or sits nearest)
+ */
+function toRow(line, columns) {
+    const row = columns.map(() => '');
+    for (const cell of line.cells) {
+        let best = 0;
+        let bestScore = -Infinity;
+        columns.forEach((column, i) => {
+            const overlap = Math.min(cell.right, column.right) - Math.max(cell.x, column.x);
+            const score = overlap > 0 ? overlap : -Math.abs(cell.x - column.x);
+            if (score > bestScore) {
+                best = i;
+                bestScore = score;
+            }
+        });
+        row[best] = row[best] ? `${row[best]} ${cell.text}` : cell.text;
+    }
+    return row;
+}
+
+function isNumeric(text) {
+    return /\d|\$/.test(text);
+}
+
+function coverageStatus(cell) {
+    if (COVERED_MARK.test(cell)) return 'covered';
+    if (NOT_COVERED_MARK.test(cell)) return 'not covered';
+    return null;
+}
+
+/**
+ * Classify a table by its data cells
+ * @returns {'rates'|'coverage'|'table'}
+ */
+function classifyTable(rows) {
+    const marks = rows.flatMap(row => row.slice(1)).filter(cell => cell && coverageStatus(cell));
+    const dataCells = rows.flatMap(row => row.slice(1)).filter(Boolean);
+    if (dataCells.length > 0 && marks.length >= dataCells.length / 2) {
+        return 'coverage';
+    }
+
+    const facts = extractFacts(rows.map(row => row.join(' ')).join('\n'));
+    const has = type => facts.some(fact => fact.type === type);
+    if (has('amount') && (has('term') || has('mileage'))) {
+        return 'rates';
+    }
+    return 'table';
+}
+
+/**
+ * Build a table from its rows of cells. Without hasHeader, a first row of
+ * labels over rows with figures or marks is taken to be the header.
+ * @param {string[][]} rows - Cell text by row, the same number of cells in each
+ * @param {number} page - 1-based page number
+ * @param {Object} [options]
+ * @param {boolean} [options.hasHeader] - The first row is known to be the header (e.g. HTML <th> cells)
+ * @returns {{page: number, kind: string, columns: string[]|null, rows: string[][]}}
+ */
+function tableFromRows(rows, page, { hasHeader } = {}) {
+    let header = null;
+    const [first, ...rest] = rows;
+    const looksLikeData = row => row.some(cell => isNumeric(cell) || coverageStatus(cell) === 'covered');
+    const looksLikeHeader = first.every(cell => !isNumeric(cell)) &&
+        !first.slice(1).some(cell => coverageStatus(cell)) && rest.some(looksLikeData);
+    if (rest.length > 0 && (hasHeader || looksLikeHeader)) {
+        header = first;
+        rows = rest;
+    }
+
+    return { page, kind: classifyTable(rows), columns: header, rows };
+}
+
+/**
+ * Build a table from a block of lines
+ */
+function buildTable(lines, columns, page) {
+    return tableFromRows(lines.map(line => toRow(line, columns)), page);
+}
+
+/**
+ * Write a table row out as a sentence
+ * @param {Object} table - buildTable() result
+ * @param {string[]} row
+ * @returns {string}
+ */
+function describeRow(table, row) {
+    const { kind, columns } = table;
+    let text;
+
+    if (kind === 'coverage') {
+        // "Engine: Silver covered, Gold not covered." (a blank cell is not covered)
+        const statuses = row.slice(1).map((cell, i) => {
+            const status = cell ? coverageStatus(cell) || cell : 'not covered';
+            return columns && columns[i + 1] ? `${columns[i + 1]} ${status}` : status;
+        });
+        text = `${row[0]}: ${statuses.join(', ')}`;
+    } else if (columns) {
+        text = row
+            .map((cell, i) => (cell ? (columns[i] ? `${columns[i]}: ${cell}` : cell) : null))
+            .filter(Boolean)
+            .join('; ');
+    } else if (row.length === 2) {
+        text = `${row[0]}: ${row[1]}`;
+    } else {
+        text = row.filter(Boolean).join('; ');
+    }
+
+    return /[.!?]$/.test(text) ? text : `${text}.`;
+}
+
+/**
+ * Components a coverage table marks as covered in at least one column
+ * @param {Object} table - buildTable() result
+ * @returns {string[]}
+ */
+function coveredComponents(table) {
+    if (table.kind !== 'coverage') return [];
+    return table.rows
+        .filter(row => row[0] && row.slice(1).some(cell => coverageStatus(cell) === 'covered'))
+        .map(row => row[0]);
+}
+
+/**
+ * Read a page: its text in reading order with tables written out row by row,
+ * and the tables as rows and columns
+ * @param {Object} textContent - pdf.js getTextContent() result
+ * @param {number} page - 1-based page number
+ * @returns {{text: string, tables: Object[]}}
+ */
+function readPage(textContent, page) {
+    const lines = groupLines(readItems(textContent));
+    const blocks = findTableBlocks(lines);
+    const tables = [];
+    const text = [];
+
+    let index = 0;
+    for (const block of blocks) {
+        for (; index < block.start; index++) {
+            text.push(lines[index].cells.map(cell => cell.text).join(' '));
+        }
+
+        const table = buildTable(lines.slice(block.start, block.end), block.columns, page);
+        tables.push(table);
+        text.push(...table.rows.map(row => describeRow(table, row)));
+        index = block.end;
+    }
+    for (; index < lines.length; index++) {
+        text.push(lines[index].cells.map(cell => cell.text).join(' '));
+    }
+
+    return { text: text.join('\n'), tables };
+}
+
+module.exports = {
+    readPage,
+    tableFromRows,
+    hasShortCells,
+    describeRow,
+    coveredComponents
+};
@@ -0,0 +1,625 @@
+/**
+ * Product Terms Extraction Service
+ *
+ * Reads the contract terms a dealer menu needs out of product document text:
+ * provider and administrator, term lengths, mileage limits, deductible,
+ * per-claim and aggregate limits, price/rate tiers, cancellation,
+ * transferability and vehicle eligibility.
+ *
+ * Every field comes back as {value, confidence, page, source} (or null when
+ * the document doesn't state it):
+ * - confidence is 0-1: labelled lines ("Deductible: $100") score highest,
+ *   terms read from running sentences lower, and a field the document states
+ *   with different values on different pages loses confidence and lists the
+ *   other values in `conflicts`
+ * - page is the 1-based page the value was read from
+ * - source is the text it was read from, for a reviewer to check
+ *
+ * Numbers are normalized the same way the fact checker does (dollars, miles, months).
+ */
+
+const { extractFacts } = require('./fact-checker');
+
+// How much to trust a value by where it was found
+const LABELLED = 0.9;
+const PAIRED = 0.8;
+const STATED = 0.75;
+const MENTIONED = 0.6;
+
+// A value stated differently elsewhere in the document is less certain
+const CONFLICT_PENALTY = 0.2;
+const MIN_CONFIDENCE = 0.3;
+
+const MAX_SOURCE_LENGTH = 200;
+
+// Coverage mileage limits are in the thousands; smaller figures are towing distances and the like
+const MIN_MILEAGE_LIMIT = 1000;
+
+const AMOUNT = '\\$\\s?\\d[\\d,]*(?:\\.\\d+)?(?:\\s?(?:k|thousand|million)\\b)?';
+const NUMBER_WORD = '(\\d+|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|fifteen|twenty)';
+const MILES = '(\\d[\\d,]*\\s?(?:k|thousand)?)[\\s-]?(?:miles?|mi)\\b';
+const AT_MOST = '(?:up to|no (?:more|older) than|not (?:more|older) than|less than|fewer than|under|below|within|' +
+    'not (?:to )?exceed(?:ing)?|a maximum of|maximum of|max(?:imum)?\\.?)';
+
+const WORD_VALUES = {
+    one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8,
+    nine: 9, ten: 10, eleven: 11, twelve: 12, fifteen: 15, twenty: 20
+};
+
+// Sentences about which vehicles qualify, not what the plan covers
+const ELIGIBILITY_CONTEXT = /eligib|odometer|model years?|years? old|at (?:the )?time of (?:purchase|sale)|in[- ]service|vehicles? (?:with|having|must)/i;
+
+// Price rows don't mention these; lines that do are deductibles, limits or fees
+const NOT_A_PRICE = /deductible|\blimit|\bfees?\b|claim|aggregate|cancel|transfer|refund|\bper\s|\beach\s|up to|maximum/i;
+
+// Names that read like a provider but aren't one
+const NOT_A_NAME = /^(?:the\s+)?(?:dealer(?:ship)?|manufacturer|seller|selling dealer|purchaser|buyer|you|us|we|this)$/i;
+const COMPANY_SUFFIX = /^(?:inc|co|corp|corporation|company|ltd|llc|l\.l\.c|lp|plc)$/i;
+const ABBREVIATION = /^(?:inc|co|corp|ltd|l\.l\.c|n\.a)$/i;
+const CONNECTOR = /^(?:of|and|the|for|&)$/i;
+
+/**
+ * Split each page into lines (for labelled values and table rows) and
+ * sentences (for terms stated in running text, which PDFs wrap across lines)
+ */
+function preparePages(pages) {
+    return pages.map((page, index) => {
+        const text = typeof page === 'string' ? page : (page.text || '');
+        const lines = text.split('\n').map(line => line.replace(/\s+/g, ' ').trim()).filter(Boolean);
+        return {
+            number: index + 1,
+            // OCR pages carry the recognizer's confidence; text layers are exact
+            quality: typeof page === 'object' && typeof page.confidence === 'number' ? page.confidence : 1,
+            lines,
+            sentences: splitSentences(lines)
+        };
+    });
+}
+
+// "Label: value" at the start of a line
+const LABELLED_LINE = /^([A-Za-z][A-Za-z .&/'-]{0,40}?)\s*:\s*(.+)$/;
+
+// Short unpunctuated lines are headings or table cells, not wrapped sentences
+const MAX_HEADING_LENGTH = 50;
+
+/**
+ * Rejoin sentences the PDF wrapped across lines, keeping headings and
+ * labelled lines on their own
+ */
+function splitSentences(lines) {
+    const blocks = [];
+    let current = '';
+
+    for (const line of lines) {
+        const startsBlock = LABELLED_LINE.test(line) || /^[•\-*]\s/.test(line);
+        if (startsBlock && current) {
+            blocks.push(current);
+            current = '';
+        }
+        current = current ? `${current} ${line}` : line;
+        if (!/[.!?,;]$/.test(line) && line.length < MAX_HEADING_LENGTH) {
+            blocks.push(current);
+            current = '';
+        }
+    }
+    if (current) blocks.push(current);
+
+    return blocks
+        .flatMap(block => block.replace(/^[•\-*]\s+/, '').split(/(?<=[.!?])\s+(?=["(]?[A-Z0-9$])/))
+        .map(sentence => sentence.trim())
+        .filter(Boolean);
+}
+
+/**
+ * "Label: value" lines whose label matches
+ * @returns {Array<{page: Object, value: string, source: string}>}
+ */
+function labelledLines(pages, labelPattern) {
+    const found = [];
+    for (const page of pages) {
+        page.lines.forEach((line, index) => {
+            const match = line.match(LABELLED_LINE);
+            if (!match || !labelPattern.test(match[1].trim())) return;
+
+            // A value wrapped onto the next lines carries on until its sentence ends
+            let source = line;
+            for (let next = index + 1; next < page.lines.length && !/[.!?]$/.test(source) &&
+                /^[a-z$\d]/.test(page.lines[next]); next++) {
+                source = `${source} ${page.lines[next]}`;
+            }
+            found.push({ page, value: source.slice(source.indexOf(':') + 1).trim(), source });
+        });
+    }
+    return found;
+}
+
+/**
+ * Matches of a pattern in the sentences of every page
+ * @returns {Array<{page: Object, match: Array, source: string}>}
+ */
+function sentenceMatches(pages, pattern, { skip } = {}) {
+    const found = [];
+    for (const page of pages) {
+        for (const sentence of page.sentences) {
+            if (skip && skip.test(sentence)) continue;
+            const match = sentence.match(pattern);
+            if (match) {
+                found.push({ page, match, source: sentence });
+            }
+        }
+    }
+    return found;
+}
+
+function candidate(value, confidence, page, source) {
+    return { value, confidence: confidence * page.quality, page: page.number, source };
+}
+
+function snippet(text) {
+    return text.length > MAX_SOURCE_LENGTH ? `${text.slice(0, MAX_SOURCE_LENGTH - 3)}...` : text;
+}
+
+function round(confidence) {
+    return Math.round(Math.max(confidence, MIN_CONFIDENCE) * 100) / 100;
+}
+
+/**
+ * Pick the most trusted candidate; values the document contradicts lose confidence
+ * @returns {Object|null} - {value, confidence, page, source, conflicts?}
+ */
+function pickValue(candidates) {
+    if (candidates.length === 0) return null;
+
+    // Stable sort keeps page order among equally trusted candidates
+    const [best] = [...candidates].sort((a, b) => b.confidence - a.confidence);
+    const key = JSON.stringify(best.value);
+    const conflicts = [];
+    for (const other of candidates) {
+        const otherKey = JSON.stringify(other.value);
+        if (otherKey !== key && !conflicts.some(conflict => JSON.stringify(conflict.value) === otherKey)) {
+            conflicts.push({ value: other.value, page: other.page });
+        }
+    }
+
+    const field = {
+        value: best.value,
+        confidence: round(conflicts.length > 0 ? best.confidence - CONFLICT_PENALTY : best.confidence),
+        page: best.page,
+        source: snippet(best.source)
+    };
+    if (conflicts.length > 0) field.conflicts = conflicts;
+    return field;
+}
+
+/**
+ * Merge list candidates (e.g. every term length offered) into one sorted list
+ */
+function pickList(candidates) {
+    if (candidates.length === 0) return null;
+
+    const values = [...new Set(candidates.flatMap(item => item.value))].sort((a, b) => a - b);
+    const best = candidates.reduce((top, item) => (item.confidence > top.confidence ? item : top));
+    return {
+        value: values,
+        confidence: round(best.confidence),
+        page: candidates[0].page,
+        source: snippet(candidates[0].source)
+    };
+}
+
+function factValues(text, type) {
+    return extractFacts(text).filter(fact => fact.type === type).map(fact => fact.value);
+}
+
+function firstAmount(text) {
+    const [amount] = factValues(text, 'amount');
+    return amount === undefined ? null : amount;
+}
+
+function toNumber(text) {
+    const word = WORD_VALUES[text.toLowerCase()];
+    return word !== undefined ? word : parseInt(text, 10);
+}
+
+/**
+ * Read a company name from the start of text ("Acme Warranty Co., a Texas company" -> "Acme Warranty Co.")
+ */
+function readName(text) {
+    const words = text.trim().split(/\s+/);
+    const name = [];
+
+    for (let index = 0; index < words.length; index++) {
+        const word = words[index].replace(/[;:)]+$/, '');
+        if (!/^[A-Z0-9]/.test(word) && !(name.length > 0 && CONNECTOR.test(word))) break;
+        name.push(word);
+
+        // A full stop ends the name; a comma only carries on into "Inc." and friends
+        const next = (words[index + 1] || '').replace(/[.,;:)]+$/, '');
+        if (/[.;:)]$/.test(words[index]) || (word.endsWith(',') && !COMPANY_SUFFIX.test(next))) break;
+    }
+
+    while (name.length > 0 && CONNECTOR.test(name[name.length - 1])) name.pop();
+    let result = name.join(' ').replace(/,$/, '');
+    if (result.endsWith('.') && !ABBREVIATION.test(name[name.length - 1].replace(/[.,]+$/, ''))) {
+        result = result.slice(0, -1);
+    }
+    return result.length >= 3 && !NOT_A_NAME.test(result) ? result : null;
+}
+
+/**
+ * A company named by a labelled line or by "<verb> by <Name>"
+ */
+function extractCompany(pages, labelPattern, sentencePattern) {
+    const candidates = [];
+
+    for (const line of labelledLines(pages, labelPattern)) {
+        const name = line.value.replace(/\.$/, '').trim();
+        if (name.length >= 3 && !NOT_A_NAME.test(name)) {
+            candidates.push(candidate(readName(line.value) || name, LABELLED, line.page, line.source));
+        }
+    }
+    for (const { page, match, source } of sentenceMatches(pages, sentencePattern)) {
+        const name = readName(match[1]);
+        if (name) candidates.push(candidate(name, STATED, page, source));
+    }
+
+    return pickValue(candidates);
+}
+
+// "36 months/36,000 miles", "3 years or 36,000 miles", "36,000 miles / 36 months"
+const TERM_MILEAGE = new RegExp(
+    `\\b${NUMBER_WORD}[\\s-]?(years?|yrs?|months?|mos?)\\.?\\s*(?:\\/|or|and|,|-)\\s*${MILES}` +
+    `|\\b${MILES}\\s*(?:\\/|or|and|,|-)\\s*${NUMBER_WORD}[\\s-]?(years?|yrs?|months?|mos?)\\b`, 'gi'
+);
+
+/**
+ * Term length / mileage pairs in a piece of text
+ * @returns {Array<{termMonths: number, mileage: number}>}
+ */
+function termMileagePairs(text) {
+    const pairs = [];
+    for (const match of text.matchAll(TERM_MILEAGE)) {
+        const [count, unit, miles] = match[1] ? [match[1], match[2], match[3]] : [match[5], match[6], match[4]];
+        const months = /^y/i.test(unit) ? toNumber(count) * 12 : toNumber(count);
+        const [mileage] = factValues(`${miles} miles`, 'mileage');
+        pairs.push({ termMonths: months, mileage });
+    }
+    return pairs;
+}
+
+function extractTermMonths(pages, priceTiers) {
+    const candidates = [];
+
+    for (const line of labelledLines(pages, /^(?:coverage\s+|contract\s+|plan\s+)?terms?(?:\s+(?:available|options|lengths?))?$/i)) {
+        const months = factValues(line.value, 'term');
+        if (months.length > 0) candidates.push(candidate(months, LABELLED, line.page, line.source));
+    }
+    for (const page of pages) {
+        for (const sentence of page.sentences) {
+            if (ELIGIBILITY_CONTEXT.test(sentence)) continue;
+            const pairs = termMileagePairs(sentence);
+            if (pairs.length > 0) {
+                candidates.push(candidate(pairs.map(pair => pair.termMonths), PAIRED, page, sentence));
+            } else if (/\bterms?\b(?! and conditions)/i.test(sentence)) {
+                const months = factValues(sentence, 'term');
+                if (months.length > 0) candidates.push(candidate(months, MENTIONED, page, sentence));
+            }
+        }
+    }
+    if (priceTiers) {
+        const months = priceTiers.value.map(tier => tier.termMonths).filter(Boolean);
+        if (months.length > 0) {
+            candidates.push({ ...priceTiers, value: months });
+        }
+    }
+
+    return pickList(candidates);
+}
+
+function extractMileageLimits(pages, priceTiers) {
+    const candidates = [];
+    const limits = values => values.filter(miles => miles >= MIN_MILEAGE_LIMIT);
+
+    for (const line of labelledLines(pages, /^(?:mileage|miles)(?:\s+(?:limits?|options|caps?))?$/i)) {
+        const miles = limits(factValues(line.value, 'mileage'));
+        if (miles.length > 0) candidates.push(candidate(miles, LABELLED, line.page, line.source));
+    }
+    for (const page of pages) {
+        for (const sentence of page.sentences) {
+            if (ELIGIBILITY_CONTEXT.test(sentence) || /\btow|radius|distance/i.test(sentence)) continue;
+            const pairs = termMileagePairs(sentence);
+            if (pairs.length > 0) {
+                candidates.push(candidate(limits(pairs.map(pair => pair.mileage)), PAIRED, page, sentence));
+            } else if (/\b(?:up to|limit|maximum|whichever (?:occurs|comes) first)\b/i.test(sentence)) {
+                const miles = limits(factValues(sentence, 'mileage'));
+                if (miles.length > 0) candidates.push(candidate(miles, MENTIONED, page, sentence));
+            }
+        }
+    }
+    if (priceTiers) {
+        const miles = limits(priceTiers.value.map(tier => tier.mileage).filter(Boolean));
+        if (miles.length > 0) {
+            candidates.push({ ...priceTiers, value: miles });
+        }
+    }
+
+    return pickList(candidates.filter(item => item.value.length > 0));
+}
+
+function extractDeductible(pages) {
+    const candidates = [];
+
+    for (const line of labelledLines(pages, /^deductibles?$/i)) {
+        const amount = /^(?:none|no|zero|n\/a)\b|\$0\b/i.test(line.value) ? 0 : firstAmount(line.value);
+        if (amount !== null) candidates.push(candidate(amount, LABELLED, line.page, line.source));
+    }
+
+    const stated = new RegExp(`(${AMOUNT})\\s+(?:per[- ](?:claim|visit|repair)\\s+)?deductible` +
+        `|deductible\\s+(?:amount\\s+)?(?:of|is)?\\s*(?:only\\s+)?(${AMOUNT})`, 'i');
+    for (const { page, match, source } of sentenceMatches(pages, stated)) {
+        candidates.push(candidate(firstAmount(match[1] || match[2]), STATED, page, source));
+    }
+    for (const { page, source } of sentenceMatches(pages, /\b(?:no|zero)\s+deductible|deductible[- ]free|without (?:a|any) deductible/i)) {
+        candidates.push(candidate(0, STATED, page, source));
+    }
+
+    return pickValue(candidates);
+}
+
+/**
+ * A dollar limit named by a labelled line or stated in a sentence; labelled
+ * limits that aren't amounts ("Actual cash value of the vehicle") are kept as text
+ */
+function extractLimit(pages, labelPattern, sentencePatterns) {
+    const candidates = [];
+
+    for (const line of labelledLines(pages, labelPattern)) {
+        const amount = firstAmount(line.value);
+        candidates.push(candidate(amount !== null ? amount : line.value.replace(/\.$/, ''), LABELLED, line.page, line.source));
+    }
+    for (const pattern of sentencePatterns) {
+        for (const { page, match, source } of sentenceMatches(pages, pattern)) {
+            candidates.push(candidate(firstAmount(match[1]), STATED, page, source));
+        }
+    }
+
+    return pickValue(candidates);
+}
+
+function extractPerClaimLimit(pages) {
+    return extractLimit(pages,
+        /^(?:(?:max(?:imum)?\.?|claim)\s+)?(?:per[- ]claim|each claim|per[- ]occurrence|per[- ]incident|claim)\s*(?:limit|maximum|max)?$|^(?:limit|maximum|max)(?: of liability| benefit)? per (?:claim|occurrence|incident)$/i,
+        [
+            new RegExp(`(${AMOUNT})\\s+(?:per|each|for each|a)\\s+(?:claim|occurrence|incident|repair visit)\\b(?!\\s+deductible)`, 'i'),
+            new RegExp(`(?:per|each)[- ](?:claim|occurrence|incident)\\s+(?:limit|maximum)\\s+(?:of|is)?\\s*(${AMOUNT})`, 'i')
+        ]);
+}
+
+function extractAggregateLimit(pages) {
+    return extractLimit(pages,
+        /^(?:aggregate|total|lifetime|contract)(?:\s+(?:claims?|benefits?))?\s+(?:limit|maximum|max|benefit|liability)(?: of liability)?$|^aggregate$/i,
+        [
+            new RegExp(`aggregate\\s+(?:limit|maximum|benefit|liability)?\\s*(?:of|is)?\\s*(?:up to\\s+)?(${AMOUNT})`, 'i'),
+            new RegExp(`(${AMOUNT})\\s+(?:aggregate|lifetime|total)\\b`, 'i'),
+            new RegExp(`(?:total|all|aggregate)\\s+(?:of\\s+all\\s+)?(?:claims|benefits|payments)[^.]{0,60}?(?:not (?:to )?exceed|limited to|up to|maximum of|capped at)\\s+(${AMOUNT})`, 'i'),
+            new RegExp(`(${AMOUNT})\\s+(?:over|during|for)\\s+the\\s+(?:life|term)\\s+of\\s+the\\s+(?:contract|agreement|plan|coverage)`, 'i')
+        ]);
+}
+
+// Tier names that appear on their own in price tables ("Gold: $1,299")
+const TIER_NAME = /tier|plan|level|package|option|platinum|gold|silver|bronze|basic|standard|plus|preferred|elite|essential/i;
+
+/**
+ * Price/rate rows: a term and/or mileage with a price ("60 months / 75,000 miles $1,895"),
+ * or a named tier with a price ("Gold Plan: $1,299")
+ */
+function extractPriceTiers(pages) {
+    const tiers = [];
+    const confidences = [];
+    let firstSource = null;
+
+    for (const page of pages) {
+        for (const line of page.lines) {
+            if (NOT_A_PRICE.test(line) || !line.includes('$')) continue;
+
+            // Several prices on one line ("24 months $499, 36 months $699") are separate rows
+            for (const row of line.split(/(?<=\$\s?\d[\d,]*(?:\.\d{2})?)\s*[,;|]\s+/)) {
+                const amounts = factValues(row, 'amount');
+                if (amounts.length === 0) continue;
+
+                const [termMonths = null] = factValues(row, 'term');
+                const [mileage = null] = factValues(row, 'mileage').filter(miles => miles >= MIN_MILEAGE_LIMIT);
+                const label = row.match(/^([A-Za-z][A-Za-z &+'-]{1,30}?)\s*[:\-–]?\s*(?=\d|\$)/);
+                const name = label && TIER_NAME.test(label[1]) ? label[1].trim() : null;
+                if (termMonths === null && mileage === null && !name) continue;
+
+                tiers.push({
+                    name,
+                    termMonths,
+                    mileage: /unlimited/i.test(row) ? null : mileage,
+                    price: amounts[amounts.length - 1],
+                    page: page.number
+                });
+                // Full rows (term, mileage and price) read like a rate table
+                const complete = termMonths !== null && (mileage !== null || /unlimited/i.test(row));
+                confidences.push((complete ? STATED : MENTIONED) * page.quality);
+                if (!firstSource) firstSource = { page: page.number, source: line };
+            }
+        }
+    }
+
+    if (tiers.length === 0) return null;
+    return {
+        value: tiers,
+        confidence: round(confidences.reduce((sum, confidence) => sum + confidence, 0) / confidences.length),
+        page: firstSource.page,
+        source: snippet(firstSource.source)
+    };
+}
+
+function extractCancellation(pages) {
+    const candidates = [];
+
+    const describe = (text) => {
+        const refund = /pro[- ]?rat/i.test(text) ? 'pro-rata'
+            : /full refund|100% refund|refund(?:ed)? in full/i.test(text) ? 'full'
+                : /no refund|non-?refundable|not (?:be )?refund/i.test(text) ? 'none'
+                    : null;
+        const fee = text.match(new RegExp(`(${AMOUNT})[^.]{0,30}?(?:fee|charge)|(?:fee|charge)[^.$]{0,30}?(${AMOUNT})`, 'i'));
+        const days = text.match(/(?:full refund|refund(?:ed)? in full|100% refund)[^.]*?within\s+(\d+)\s+days|within\s+(\d+)\s+days[^.]*?(?:full refund|refund(?:ed)? in full|100% refund)/i);
+        return {
+            cancellable: !/non-?cancell?able|(?:may|can)\s?not be cancell?ed|no cancell?ations?/i.test(text),
+            refund,
+            fee: fee ? firstAmount(fee[1] || fee[2]) : null,
+            fullRefundDays: days ? parseInt(days[1] || days[2], 10) : null
+        };
+    };
+
+    for (const line of labelledLines(pages, /^cancell?ation(?:\s+(?:policy|terms|provisions))?$/i)) {
+        candidates.push(candidate(describe(line.value), LABELLED, line.page, line.source));
+    }
+    for (const page of pages) {
+        const sentences = page.sentences.filter(sentence => /\bcancel/i.test(sentence));
+        if (sentences.length === 0) continue;
+
+        const text = sentences.join(' ');
+        const details = describe(text);
+        const specific = details.refund !== null || details.fee !== null || !details.cancellable;
+        candidates.push(candidate(details, specific ? STATED : MENTIONED, page, text));
+    }
+
+    return pickValue(candidates);
+}
+
+function extractTransferability(pages) {
+    const candidates = [];
+
+    const describe = (text) => {
+        // Labelled lines often just say "Yes ($50 fee)" or "No"
+        const negative = /^no\b|non-?transferr?able|not transferr?able|(?:may|can)\s?not be transferred|no transfers?/i.test(text);
+        const positive = /^yes\b|\btransferr?able\b|(?:may|can|will) be transferred|transfers? to (?:a|the|any) (?:subsequent|new|next|private)/i.test(text);
+        if (!negative && !positive) return null;
+
+        const fee = text.match(new RegExp(`(${AMOUNT})[^.]{0,30}?(?:fee|charge)|(?:fee|charge)[^.$]{0,30}?(${AMOUNT})`, 'i'));
+        return {
+            transferable: !negative,
+            fee: fee ? firstAmount(fee[1] || fee[2]) : null
+        };
+    };
+
+    for (const line of labelledLines(pages, /^transfer(?:ability|able|s)?$/i)) {
+        const details = describe(line.value);
+        if (details) candidates.push(candidate(details, LABELLED, line.page, line.source));
+    }
+    // "Transfer case" is a drivetrain component, not a contract term
+    for (const { page, source } of sentenceMatches(pages, /\btransfer/i, { skip: /transfer cases?\b/i })) {
+        const details = describe(source);
+        if (details) candidates.push(candidate(details, STATED, page, source));
+    }
+
+    return pickValue(candidates);
+}
+
+const VEHICLE_AGE = [
+    new RegExp(`(?:vehicles?|cars?|model years?)[^.]{0,60}?${AT_MOST}\\s+${NUMBER_WORD}\\s+(?:model\\s+)?years?(?:\\s+old)?`, 'i'),
+    new RegExp(`${NUMBER_WORD}\\s+(?:model\\s+)?years?\\s+old\\s+or\\s+(?:newer|less|younger)`, 'i'),
+    new RegExp(`${NUMBER_WORD}\\s+model\\s+years?\\s+or\\s+(?:newer|less)`, 'i')
+];
+
+const VEHICLE_MILEAGE = [
+    new RegExp(`${AT_MOST}\\s+${MILES}[^.]{0,50}?(?:odometer|at (?:the )?time of (?:purchase|sale|enrollment|contract)|on the vehicle|when purchased)`, 'i'),
+    new RegExp(`odometer[^.]{0,50}?${AT_MOST}\\s+${MILES}`, 'i'),
+    new RegExp(`(?:vehicles?|cars?)\\s+(?:with|having|must have)\\s+${AT_MOST}\\s+${MILES}`, 'i')
+];
+
+/**
+ * Vehicle age and odometer limits for eligibility
+ */
+function extractEligibility(pages) {
+    const ages = [];
+    const odometers = [];
+
+    const read = (text, page, confidence, source) => {
+        for (const pattern of VEHICLE_AGE) {
+            const match = text.match(pattern);
+            if (match) {
+                ages.push(candidate(toNumber(match[1]), confidence, page, source));
+                break;
+            }
+        }
+        for (const pattern of VEHICLE_MILEAGE) {
+            const match = text.match(pattern);
+            if (match) {
+                odometers.push(candidate(factValues(`${match[1]} miles`, 'mileage')[0], confidence, page, source));
+                break;
+            }
+        }
+    };
+
+    for (const line of labelledLines(pages, /^(?:vehicle\s+)?eligib(?:ility|le vehicles?)(?:\s+requirements)?$/i)) {
+        read(line.value, line.page, LABELLED, line.source);
+    }
+    for (const line of labelledLines(pages, /^(?:max(?:imum)?\.?\s+)?(?:vehicle\s+)?age$|^(?:max(?:imum)?\.?\s+)?vehicle age(?: limit)?$/i)) {
+        const [years] = line.value.match(/\d+/) || [];
+        if (years) ages.push(candidate(parseInt(years, 10), LABELLED, line.page, line.source));
+    }
+    for (const line of labelledLines(pages, /^(?:max(?:imum)?\.?\s+)?(?:odometer|mileage at (?:purchase|sale)|vehicle mileage)(?: limit)?$/i)) {
+        const [miles] = factValues(/miles?|mi\b/i.test(line.value) ? line.value : `${line.value} miles`, 'mileage');
+        if (miles) odometers.push(candidate(miles, LABELLED, line.page, line.source));
+    }
+    for (const page of pages) {
+        for (const sentence of page.sentences) {
+            read(sentence, page, STATED, sentence);
+        }
+    }
+
+    const age = pickValue(ages);
+    const odometer = pickValue(odometers);
+    if (!age && !odometer) return null;
+
+    const parts = [age, odometer].filter(Boolean);
+    return {
+        value: {
+            maxVehicleAgeYears: age ? age.value : null,
+            maxOdometerMiles: odometer ? odometer.value : null
+        },
+        confidence: Math.min(...parts.map(part => part.confidence)),
+        page: parts[0].page,
+        source: parts[0].source
+    };
+}
+
+/**
+ * Extract structured product terms from document pages
+ * @param {Array<string|{text: string, confidence?: number}>} pages - Text of each page, in order
+ *   (OCR pages may carry their 0-1 recognition confidence, which scales each field's confidence)
+ * @returns {Object} - provider, administrator, termMonths, mileageLimits, deductible,
+ *   perClaimLimit, aggregateLimit, priceTiers, cancellation, transferability and
+ *   eligibility; each {value, confidence, page, source, conflicts?} or null
+ */
+function extractTerms(pages) {
+    const prepared = preparePages(pages || []);
+    const priceTiers = extractPriceTiers(prepared);
+
+    return {
+        provider: extractCompany(prepared,
+            /^(?:(?:plan|product|contract)\s+)?(?:provider|obligor|issuer|warrantor)$|^(?:provided|offered|issued) by$/i,
+            /\b(?:provided|offered|issued|sold)\s+by:?\s+(.+)/),
+        administrator: extractCompany(prepared,
+            /^(?:(?:plan|program|contract|claims?)\s+)?administrator$|^administered by$/i,
+            /\badministered by:?\s+(.+)/),
+        termMonths: extractTermMonths(prepared, priceTiers),
+        mileageLimits: extractMileageLimits(prepared, priceTiers),
+        deductible: extractDeductible(prepared),
+        perClaimLimit: extractPerClaimLimit(prepared),
+        aggregateLimit: extractAggregateLimit(prepared),
+        priceTiers,
+        cancellation: extractCancellation(prepared),
+        transferability: extractTransferability(prepared),
+        eligibility: extractEligibility(prepared)
+    };
+}
+
+module.exports = {
+    extractTerms
+};
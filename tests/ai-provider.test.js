@@ -0,0 +1,133 @@
+/**
+ * Unit Tests - AI Provider
+ * Tests for provider selection and the shared completion client
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { getAIConfig, createProvider, createAIClient } = require('../services/ai-provider');
+const { buildPrompt } = require('../services/prompts');
+
+describe('getAIConfig', () => {
+    it('should prefer an explicit AI_PROVIDER', () => {
+        const config = getAIConfig({ AI_PROVIDER: 'Local', CLOUDFLARE_WORKER_URL: 'https://w.example' });
+        assert.strictEqual(config.provider, 'local');
+    });
+
+    it('should default to the worker when CLOUDFLARE_WORKER_URL is set', () => {
+        const config = getAIConfig({ CLOUDFLARE_WORKER_URL: 'https://w.example', OPENAI_API_KEY: 'sk-test' });
+        assert.strictEqual(config.provider, 'worker');
+        assert.strictEqual(config.fallbackProvider, 'openai');
+    });
+
+    it('should default to OpenAI when only a key is set', () => {
+        const config = getAIConfig({ OPENAI_API_KEY: 'sk-test' });
+        assert.strictEqual(config.provider, 'openai');
+        assert.strictEqual(config.fallbackProvider, null);
+    });
+
+    it('should leave the provider unset without any configuration', () => {
+        const config = getAIConfig({});
+        assert.strictEqual(config.provider, null);
+    });
+
+    it('should read the model name', () => {
+        assert.strictEqual(getAIConfig({}).model, 'gpt-4o-mini');
+        assert.strictEqual(getAIConfig({ AI_MODEL: 'llama3.1' }).model, 'llama3.1');
+    });
+});
+
+describe('createProvider', () => {
+    it('should reject unknown providers', () => {
+        assert.throws(() => createProvider('nope', getAIConfig({})), /Unknown AI provider/);
+    });
+
+    it('should require a worker URL for the worker provider', () => {
+        assert.throws(() => createProvider('worker', getAIConfig({})), /CLOUDFLARE_WORKER_URL/);
+    });
+});
+
+describe('createAIClient', () => {
+    it('should fail clearly when no provider is configured', async () => {
+        const client = createAIClient(getAIConfig({}));
+        await assert.rejects(
+            client.complete({ task: 'enhance-short', input: 'x', messages: [] }),
+            /No AI provider configured/
+        );
+    });
+
+    it('should route completions to the stub provider', async () => {
+        const client = createAIClient(getAIConfig({ AI_PROVIDER: 'stub' }));
+        assert.strictEqual(client.provider, 'stub');
+
+        const output = await client.complete({ task: 'enhance-long', input: 'Covers tires.', messages: [] });
+        assert.ok(output.startsWith('<p>Covers tires.</p>'));
+    });
+
+    it('should stream completions in chunks', async () => {
+        const client = createAIClient(getAIConfig({ AI_PROVIDER: 'stub' }));
+        const chunks = [];
+        for await (const chunk of client.stream({ task: 'enhance-short', input: 'tires', messages: [] })) {
+            chunks.push(chunk);
+        }
+
+        assert.ok(chunks.length > 1);
+        assert.strictEqual(chunks.join(''), 'Enjoy peace of mind with protection for tires.');
+    });
+
+    it('should stream through the worker provider', async () => {
+        const client = createAIClient(getAIConfig({
+            AI_PROVIDER: 'worker',
+            CLOUDFLARE_WORKER_URL: 'https://w.example',
+            CLOUDFLARE_WORKER_SECRET: 'test-secret'
+        }));
+        const request = buildPrompt('enhance-short', { text: 'x', bannedTerms: ['free'], tags: ['p'] });
+
+        const originalFetch = global.fetch;
+        let sentBody;
+        let sentHeaders;
+        global.fetch = async (url, options) => {
+            sentBody = JSON.parse(options.body);
+            sentHeaders = options.headers;
+            // Event boundaries deliberately split across network chunks
+            const body = new ReadableStream({
+                start(controller) {
+                    const encoder = new TextEncoder();
+                    controller.enqueue(encoder.encode('data: {"content":"Covers"}\n\ndata: {"con'));
+                    controller.enqueue(encoder.encode('tent":" tires."}\n\ndata: [DONE]\n\n'));
+                    controller.close();
+                }
+            });
+            return new Response(body, { headers: { 'Content-Type': 'text/event-stream' } });
+        };
+
+        try {
+            let output = '';
+            for await (const chunk of client.stream(request)) {
+                output += chunk;
+            }
+            assert.strictEqual(output, 'Covers tires.');
+            assert.deepStrictEqual(sentBody, { task: 'enhance-short', params: request.params, stream: true },
+                'The worker builds the prompt; no messages or model are sent');
+            assert.strictEqual(sentHeaders.Authorization, 'Bearer test-secret');
+        } finally {
+            global.fetch = originalFetch;
+        }
+    });
+
+    it('should refuse worker requests without prompt parameters', async () => {
+        const provider = createProvider('worker', getAIConfig({ CLOUDFLARE_WORKER_URL: 'https://w.example' }));
+        await assert.rejects(
+            provider.complete({ task: 'enhance-short', input: 'x', messages: [{ role: 'user', content: 'x' }] }),
+            /needs a prompt built by prompts\.js/
+        );
+    });
+
+    it('should return JSON from the stub when requested', async () => {
+        const client = createAIClient(getAIConfig({ AI_PROVIDER: 'stub' }));
+        const output = await client.complete({ task: 'generate-from-document', input: 'Tire plan', messages: [], json: true });
+        const parsed = JSON.parse(output);
+        assert.ok(parsed.shortDescription);
+        assert.ok(parsed.longDescription);
+    });
+});
@@ -1,16 +1,25 @@
 /**
  * Integration Tests - API Endpoints
- * Tests for /api/enhance and /api/extract-pdf endpoints
+ * Tests for /api/enhance, /api/extract and /api/extract-pdf endpoints
  */
 
 const { describe, it, before, after } = require('node:test');
 const assert = require('node:assert');
 const http = require('node:http');
-const fs = require('node:fs');
 const path = require('node:path');
+const { buildPDF, buildScannedPDF, buildMultipart } = require('./helpers/pdf');
+const { buildDOCX } = require('./helpers/docx');
 
-// Test server URL
-const BASE_URL = 'http://localhost:3001';
+// Run against the deterministic stub model and recorded cassette - no network or API key
+process.env.AI_PROVIDER = 'stub';
+process.env.AI_CASSETTE = path.join(__dirname, 'fixtures/cassettes/enhancement.json');
+delete process.env.AI_CASSETTE_MODE;
+
+const app = require('../server');
+
+// Test server URL (set once the in-process server is listening)
+let BASE_URL;
+let server;
 
 // Helper to make HTTP requests
 function makeRequest(options, body = null) {
@@ -56,8 +65,27 @@ function jsonRequest(path, method, data) {
     }, body);
 }
 
+// Split a Server-Sent Events body into {event, data} records
+function parseEvents(text) {
+    return text.split('\n\n').filter(Boolean).map(block => {
+        const event = block.match(/^event: (.*)$/m)[1];
+        const data = JSON.parse(block.match(/^data: (.*)$/m)[1]);
+        return { event, data };
+    });
+}
+
 describe('API Endpoints', () => {
 
+    before(async () => {
+        server = app.listen(0);
+        await new Promise(resolve => server.once('listening', resolve));
+        BASE_URL = `http://localhost:${server.address().port}`;
+    });
+
+    after(() => {
+        server.close();
+    });
+
     describe('GET /api/health', () => {
         it('should return health status', async () => {
             const url = new URL('/api/health', BASE_URL);
@@ -82,10 +110,31 @@ describe('API Endpoints', () => {
             });
 
             assert.strictEqual(response.status, 200);
-            assert.ok(response.body.shortDescription);
-            assert.ok(response.body.longDescription);
+            assert.strictEqual(
+                response.body.shortDescription,
+                "Drive with confidence knowing tire damage from road hazards is covered, whether you're on pavement or exploring off-road trails."
+            );
+            assert.ok(response.body.longDescription.includes('<li>Well suited to drivers who venture off-road</li>'));
             assert.ok(Array.isArray(response.body.complianceWarnings));
             assert.strictEqual(typeof response.body.hasComplianceIssues, 'boolean');
+            assert.strictEqual(response.body.degraded, false);
+            assert.strictEqual(response.body.degradedReason, null);
+            assert.deepStrictEqual(response.body.factualWarnings, []);
+            assert.deepStrictEqual(response.body.structuralChanges, []);
+        });
+
+        it('should flag facts the AI added to the description', async () => {
+            const response = await jsonRequest('/api/enhance', 'POST', {
+                shortDescription: 'Covers lost key replacement.',
+                longDescription: null
+            });
+
+            assert.strictEqual(response.status, 200);
+            assert.deepStrictEqual(response.body.factualWarnings, [
+                'Mentions dollar amount "$800" that is not in the source - verify before publishing',
+                'Mentions term length "3 years" that is not in the source - verify before publishing',
+                'Mentions covered component "Lockout" that is not in the source - verify before publishing'
+            ]);
         });
 
         it('should enhance a long description', async () => {
@@ -95,8 +144,11 @@ describe('API Endpoints', () => {
             });
 
             assert.strictEqual(response.status, 200);
-            assert.ok(response.body.shortDescription);
-            assert.ok(response.body.longDescription);
+            assert.strictEqual(
+                response.body.shortDescription,
+                'Enjoy peace of mind: this warranty covers engine and transmission problems.'
+            );
+            assert.ok(response.body.longDescription.startsWith('<p>This warranty covers engine and transmission problems.</p>'));
         });
 
         it('should enhance both descriptions', async () => {
@@ -106,8 +158,8 @@ describe('API Endpoints', () => {
             });
 
             assert.strictEqual(response.status, 200);
-            assert.ok(response.body.shortDescription);
-            assert.ok(response.body.longDescription);
+            assert.strictEqual(response.body.shortDescription, 'Enjoy peace of mind with protection for basic tire coverage.');
+            assert.ok(response.body.longDescription.includes('Covers tire damage from road hazards.'));
         });
 
         it('should return error for empty input', async () => {
@@ -155,6 +207,92 @@ describe('API Endpoints', () => {
             assert.strictEqual(response.status, 200);
             assert.strictEqual(response.body.hasComplianceIssues, true);
             assert.ok(response.body.complianceWarnings.length > 0);
+
+            // Issues come from the input; the enhanced output itself is clean
+            assert.ok(!/guarantee|act now/i.test(response.body.shortDescription));
+            // Findings locate issues in the output, so there are none to highlight
+            assert.deepStrictEqual(response.body.complianceFindings, []);
+        });
+
+        it('should propose compliance fixes when asked', async () => {
+            const response = await jsonRequest('/api/enhance', 'POST', {
+                shortDescription: 'Covers tire damage. Good for off road.',
+                fixCompliance: true
+            });
+
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual(response.body.complianceFix.shortDescription, response.body.shortDescription);
+            assert.deepStrictEqual(response.body.complianceFix.changes, []);
+        });
+
+        it('should append disclosures required by the state for the product type', async () => {
+            const response = await jsonRequest('/api/enhance', 'POST', {
+                shortDescription: 'Gap coverage for loans.',
+                longDescription: null,
+                state: 'ca',
+                productType: 'GAP Coverage'
+            });
+
+            assert.strictEqual(response.status, 200);
+            assert.ok(response.body.longDescription.includes('GAP coverage is optional and is not required to obtain financing.'));
+        });
+
+        it('should reject an unknown state', async () => {
+            const response = await jsonRequest('/api/enhance', 'POST', {
+                shortDescription: 'Gap coverage for loans.',
+                state: 'Cali'
+            });
+
+            assert.strictEqual(response.status, 400);
+            assert.strictEqual(response.body.code, 'INVALID_STATE');
+        });
+
+        it('should render the long description in the requested output formats', async () => {
+            const response = await jsonRequest('/api/enhance', 'POST', {
+                shortDescription: 'Covers tire damage. Good for off road.',
+                outputFormats: ['text', 'markdown', 'menu']
+            });
+
+            assert.strictEqual(response.status, 200);
+            const { text, markdown, menu } = response.body.outputs;
+            assert.ok(text.includes('• Well suited to drivers who venture off-road'));
+            assert.ok(markdown.includes('- Well suited to drivers who venture off-road'));
+            assert.ok(menu.sections[0].bullets.includes('Well suited to drivers who venture off-road'));
+            assert.ok(menu.disclaimer.includes('limitations and exclusions'));
+        });
+
+        it('should reject an unknown output format', async () => {
+            const response = await jsonRequest('/api/enhance', 'POST', {
+                shortDescription: 'Covers tire damage.',
+                outputFormats: ['pdf']
+            });
+
+            assert.strictEqual(response.status, 400);
+            assert.strictEqual(response.body.code, 'INVALID_OUTPUT_FORMAT');
+        });
+
+        it('should write the long description for the requested profile', async () => {
+            const response = await jsonRequest('/api/enhance', 'POST', {
+                shortDescription: 'Covers tire damage. Good for off road.',
+                profile: 'legacy-dms'
+            });
+
+            assert.strictEqual(response.status, 200);
+            const tags = response.body.longDescription.match(/<\/?[a-z0-9]+/g);
+            assert.deepStrictEqual([...new Set(tags)].sort(), ['</p', '<br', '<p']);
+            assert.ok(response.body.longDescription.includes('• Well suited to drivers who venture off-road'));
+            assert.ok(response.body.longDescription.includes('limitations and exclusions'), 'Disclaimer appended');
+        });
+
+        it('should reject an unknown profile', async () => {
+            const response = await jsonRequest('/api/enhance', 'POST', {
+                shortDescription: 'Covers tire damage.',
+                profile: 'fax'
+            });
+
+            assert.strictEqual(response.status, 400);
+            assert.strictEqual(response.body.code, 'INVALID_PROFILE');
+            assert.ok(response.body.error.includes('legacy-dms'));
         });
 
         it('should sanitize HTML output', async () => {
@@ -169,6 +307,228 @@ describe('API Endpoints', () => {
         });
     });
 
+    describe('POST /api/compliance/fix', () => {
+        it('should propose substitutions and sentence rewrites', async () => {
+            const response = await jsonRequest('/api/compliance/fix', 'POST', {
+                shortDescription: 'The best plan. Act now!',
+                longDescription: '<p>The ultimate protection for tire repairs. You will never pay a deductible.</p>'
+            });
+
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual(response.body.shortDescription, 'The trusted plan.');
+            assert.strictEqual(response.body.longDescription,
+                '<p>The comprehensive protection for tire repairs. You will never pay a deductible.</p>');
+            assert.deepStrictEqual(response.body.changes.map(change => [change.field, change.method]), [
+                ['short', 'substitution'],
+                ['short', 'ai'],
+                ['long', 'substitution']
+            ]);
+            assert.deepStrictEqual(response.body.unresolved.map(finding => finding.ruleId), ['never'],
+                'The stub leaves "never" as written, so its rewrite is still flagged and left for a human');
+        });
+
+        it('should return error for empty input', async () => {
+            const response = await jsonRequest('/api/compliance/fix', 'POST', {});
+
+            assert.strictEqual(response.status, 400);
+            assert.strictEqual(response.body.code, 'EMPTY_INPUT');
+        });
+
+        it('should reject descriptions that are not strings', async () => {
+            for (const body of [{ shortDescription: 123 }, { longDescription: ['<p>Best plan</p>'] }]) {
+                const response = await jsonRequest('/api/compliance/fix', 'POST', body);
+
+                assert.strictEqual(response.status, 400);
+                assert.strictEqual(response.body.code, 'INVALID_INPUT');
+            }
+        });
+    });
+
+    describe('POST /api/compliance/check', () => {
+        it('should return findings for a single description', async () => {
+            const response = await jsonRequest('/api/compliance/check', 'POST', {
+                shortDescription: 'The best tire plan.',
+                longDescription: '<p>Covers tires.</p>'
+            });
+
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual(response.body.hasComplianceIssues, true);
+            assert.deepStrictEqual(response.body.complianceFindings.map(f => [f.ruleId, f.field, f.start]), [['best', 'short', 4]]);
+            assert.strictEqual(response.body.hasDisclaimer, false);
+            assert.deepStrictEqual(response.body.missingDisclosures, []);
+        });
+
+        it('should check items in bulk, reporting bad items individually', async () => {
+            const response = await jsonRequest('/api/compliance/check', 'POST', {
+                state: 'CA',
+                items: [
+                    { id: 'gap-1', shortDescription: 'GAP coverage.', productType: 'GAP Coverage' },
+                    { id: 'tire-1', shortDescription: 'Covers tires.' },
+                    { id: 'bad-1' },
+                    { id: 'bad-2', shortDescription: 'Covers tires.', state: 'XX' }
+                ]
+            });
+
+            assert.strictEqual(response.status, 200);
+            const [gap, tire, empty, badState] = response.body.results;
+            assert.strictEqual(gap.id, 'gap-1');
+            assert.deepStrictEqual(gap.missingDisclosures.map(d => d.id), ['ca-gap-optional']);
+            assert.strictEqual(tire.hasComplianceIssues, false);
+            assert.strictEqual(empty.code, 'EMPTY_INPUT');
+            assert.strictEqual(badState.code, 'INVALID_STATE');
+        });
+
+        it('should reject an empty item list', async () => {
+            const response = await jsonRequest('/api/compliance/check', 'POST', { items: [] });
+
+            assert.strictEqual(response.status, 400);
+            assert.strictEqual(response.body.code, 'INVALID_INPUT');
+        });
+    });
+
+    describe('POST /api/validate', () => {
+        it('should report publishing errors and unsafe HTML', async () => {
+            const response = await jsonRequest('/api/validate', 'POST', {
+                shortDescription: '<b>Tire</b> protection.',
+                longDescription: '<p onclick="x()">Covers tires.</p><script>alert(1)</script>'
+            });
+
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual(response.body.valid, false);
+            assert.deepStrictEqual(response.body.errors, ['Short description should be plain text only']);
+            assert.deepStrictEqual(response.body.warnings, ['Long description should include a disclaimer']);
+            assert.ok(response.body.htmlIssues.includes('Contains script tag'));
+        });
+
+        it('should pass a publishable description', async () => {
+            const response = await jsonRequest('/api/validate', 'POST', {
+                shortDescription: 'Tire protection.',
+                longDescription: '<p>Covers tires.</p><p><em>This coverage has limitations and exclusions.</em></p>'
+            });
+
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual(response.body.valid, true);
+        });
+    });
+
+    describe('POST /api/sanitize', () => {
+        it('should return cleaned HTML', async () => {
+            const response = await jsonRequest('/api/sanitize', 'POST', {
+                items: [
+                    { longDescription: '<p onclick="x()">Covers <u>tires</u>.</p><script>alert(1)</script>' },
+                    { shortDescription: 'Already clean.' }
+                ]
+            });
+
+            assert.strictEqual(response.status, 200);
+            const [dirty, clean] = response.body.results;
+            assert.strictEqual(dirty.id, 0);
+            assert.strictEqual(dirty.longDescription, '<p>Covers tires.</p>');
+            assert.strictEqual(dirty.changed, true);
+            assert.ok(dirty.htmlIssues.length > 0);
+            assert.strictEqual(clean.changed, false);
+        });
+
+        it('should sanitize with the requested profile', async () => {
+            const response = await jsonRequest('/api/sanitize', 'POST', {
+                longDescription: '<h3>Benefits</h3><ol><li>Tires</li></ol>',
+                profile: 'tablet-menu'
+            });
+
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual(response.body.longDescription, '<h3>Benefits</h3><ol><li>Tires</li></ol>');
+            assert.deepStrictEqual(response.body.htmlIssues, []);
+        });
+    });
+
+    describe('POST /api/enhance/batch', () => {
+        it('should enhance each product, reporting bad items individually', async () => {
+            const response = await jsonRequest('/api/enhance/batch', 'POST', {
+                state: 'CA',
+                outputFormats: ['text'],
+                items: [
+                    { id: 'tire-1', shortDescription: 'Covers tire damage. Good for off road.' },
+                    { id: 'gap-1', longDescription: '<p>GAP covers the loan balance after a total loss.</p>', productType: 'GAP Coverage' },
+                    { id: 'bad-1' },
+                    { shortDescription: 'Covers dents.', state: 'XX' }
+                ]
+            });
+
+            assert.strictEqual(response.status, 200);
+            const [tire, gap, empty, badState] = response.body.results;
+            assert.strictEqual(tire.id, 'tire-1');
+            assert.ok(tire.shortDescription);
+            assert.ok(tire.longDescription.includes('limitations and exclusions'), 'Disclaimer appended');
+            assert.ok(Array.isArray(tire.complianceFindings));
+            assert.ok(tire.outputs.text);
+            assert.ok(gap.longDescription.includes('GAP coverage is optional and is not required to obtain financing.'));
+            assert.deepStrictEqual([empty.id, empty.code], ['bad-1', 'EMPTY_INPUT']);
+            assert.deepStrictEqual([badState.id, badState.code], [3, 'INVALID_STATE']);
+            const { total, succeeded, failed } = response.body.summary;
+            assert.deepStrictEqual([total, succeeded, failed], [4, 2, 2]);
+        });
+
+        it('should reject an empty or oversized product list', async () => {
+            const empty = await jsonRequest('/api/enhance/batch', 'POST', { items: [] });
+            assert.strictEqual(empty.status, 400);
+            assert.strictEqual(empty.body.code, 'INVALID_INPUT');
+
+            const items = Array.from({ length: 101 }, (_, index) => ({ id: index, shortDescription: 'Covers dents.' }));
+            const tooMany = await jsonRequest('/api/enhance/batch', 'POST', { items });
+            assert.strictEqual(tooMany.status, 400);
+            assert.strictEqual(tooMany.body.code, 'TOO_MANY_ITEMS');
+        });
+    });
+
+    describe('POST /api/enhance/stream', () => {
+        it('should stream the long description then send the final result', async () => {
+            const response = await jsonRequest('/api/enhance/stream', 'POST', {
+                shortDescription: null,
+                longDescription: 'Covers dents and dings. Mobile repair service.'
+            });
+
+            assert.strictEqual(response.status, 200);
+            assert.ok(response.headers['content-type'].startsWith('text/event-stream'));
+
+            const events = parseEvents(response.body);
+            const tokens = events.filter(e => e.event === 'token');
+            const done = events[events.length - 1];
+
+            assert.ok(tokens.length > 1, 'Should stream more than one chunk');
+            assert.strictEqual(
+                tokens.map(e => e.data.text).join(''),
+                '<p>Covers dents and dings.</p><p><strong>Key Benefits:</strong></p><ul><li>Mobile repair service.</li></ul>'
+            );
+
+            assert.strictEqual(done.event, 'done');
+            assert.ok(done.data.longDescription.includes('limitations and exclusions'), 'Disclaimer appended');
+            assert.ok(done.data.shortDescription.length > 0, 'Short description generated from the long one');
+            assert.ok(Array.isArray(done.data.complianceWarnings));
+            assert.strictEqual(done.data.degraded, false);
+        });
+
+        it('should report compliance issues in the final event', async () => {
+            const response = await jsonRequest('/api/enhance/stream', 'POST', {
+                shortDescription: 'Guaranteed approval. Act now!',
+                longDescription: null
+            });
+
+            const done = parseEvents(response.body).pop();
+            assert.strictEqual(done.event, 'done');
+            assert.strictEqual(done.data.hasComplianceIssues, true);
+        });
+
+        it('should return error for empty input', async () => {
+            const response = await jsonRequest('/api/enhance/stream', 'POST', {
+                shortDescription: '',
+                longDescription: ''
+            });
+
+            assert.strictEqual(response.status, 400);
+            assert.strictEqual(response.body.code, 'EMPTY_INPUT');
+        });
+    });
+
     describe('POST /api/extract-pdf', () => {
         it('should return error when no file uploaded', async () => {
             const url = new URL('/api/extract-pdf', BASE_URL);
@@ -187,10 +547,341 @@ describe('API Endpoints', () => {
             assert.ok(response.body.error);
         });
 
-        // Note: Full PDF upload tests would require multipart form data
-        // which is complex to construct manually. These are covered in e2e tests.
+        it('should generate descriptions from an uploaded PDF', async () => {
+            const pdf = buildPDF([[
+                'Tire & Wheel Protection Plan',
+                'This protection covers your tires and wheels against damage from road hazards.',
+                '• Tire punctures from nails, glass, and debris',
+                '• Wheel and rim damage from potholes'
+            ]]);
+            const { body, contentType } = buildMultipart([
+                { field: 'pdf', filename: 'tire.pdf', contentType: 'application/pdf', data: pdf }
+            ]);
+            const url = new URL('/api/extract-pdf', BASE_URL);
+
+            const response = await makeRequest({
+                hostname: url.hostname,
+                port: url.port,
+                path: url.pathname,
+                method: 'POST',
+                headers: {
+                    'Content-Type': contentType,
+                    'Content-Length': body.length
+                }
+            }, body);
+
+            assert.strictEqual(response.status, 200);
+            assert.ok(response.body.shortDescription.startsWith('Tire & Wheel Protection Plan covers tire punctures'));
+            assert.ok(response.body.longDescription.includes('<li>Tire punctures from nails, glass, and debris.</li>'));
+            assert.ok(response.body.longDescription.includes('limitations and exclusions'), 'Disclaimer appended');
+            assert.strictEqual(response.body.extractedSections.productType, 'Tire & Wheel Protection');
+            assert.deepStrictEqual(response.body.factualWarnings, []);
+            assert.deepStrictEqual(response.body.structuralChanges, []);
+            assert.strictEqual(response.body.ocrUsed, false);
+            assert.strictEqual(response.body.confidenceFactors.length, 8);
+            assert.ok(response.body.confidenceFactors.every(factor => factor.explanation));
+            assert.deepStrictEqual(response.body.tables, []);
+            assert.deepStrictEqual(response.body.sourcePages, [1]);
+            assert.strictEqual(response.body.chunkCount, 1);
+            const bullets = response.body.citations.filter(citation => citation.element === 'li');
+            assert.deepStrictEqual(bullets.map(citation => citation.page), [1, 1]);
+            assert.strictEqual(bullets[0].source.text, '• Tire punctures from nails, glass, and debris');
+            assert.strictEqual(response.body.degraded, false);
+        });
+
+        it('should read scanned PDFs with OCR', async () => {
+            const pdf = buildScannedPDF([[
+                'Tire & Wheel Protection Plan',
+                'This protection covers your tires and wheels against',
+                'damage from road hazards such as potholes and nails.'
+            ]]);
+            const { body, contentType } = buildMultipart([
+                { field: 'pdf', filename: 'scan.pdf', contentType: 'application/pdf', data: pdf }
+            ]);
+            const url = new URL('/api/extract-pdf', BASE_URL);
+
+            const response = await makeRequest({
+                hostname: url.hostname,
+                port: url.port,
+                path: url.pathname,
+                method: 'POST',
+                headers: {
+                    'Content-Type': contentType,
+                    'Content-Length': body.length
+                }
+            }, body);
+
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual(response.body.ocrUsed, true);
+            assert.strictEqual(response.body.extractedSections.productType, 'Tire & Wheel Protection');
+        });
+
+        it('should apply the state rules sent with the upload', async () => {
+            const pdf = buildPDF([[
+                'Tire & Wheel Protection Plan',
+                'This protection covers your tires and wheels against damage from road hazards.'
+            ]]);
+            const { body, contentType } = buildMultipart([
+                { field: 'pdf', filename: 'tire.pdf', contentType: 'application/pdf', data: pdf }
+            ], { state: 'NY' });
+            const url = new URL('/api/extract-pdf', BASE_URL);
+
+            const response = await makeRequest({
+                hostname: url.hostname,
+                port: url.port,
+                path: url.pathname,
+                method: 'POST',
+                headers: {
+                    'Content-Type': contentType,
+                    'Content-Length': body.length
+                }
+            }, body);
+
+            assert.strictEqual(response.status, 200);
+            assert.ok(response.body.longDescription.includes('is optional and is not a condition of financing'));
+        });
+
+        it('should describe the product as the type sent with the upload', async () => {
+            const pdf = buildPDF([[
+                'Tire & Wheel Protection Plan',
+                'This protection covers your tires and wheels against damage from road hazards.'
+            ]]);
+            const { body, contentType } = buildMultipart([
+                { field: 'pdf', filename: 'tire.pdf', contentType: 'application/pdf', data: pdf }
+            ], { state: 'CA', productType: 'Tire & Wheel Protection + GAP Coverage' });
+            const url = new URL('/api/extract-pdf', BASE_URL);
+
+            const response = await makeRequest({
+                hostname: url.hostname,
+                port: url.port,
+                path: url.pathname,
+                method: 'POST',
+                headers: {
+                    'Content-Type': contentType,
+                    'Content-Length': body.length
+                }
+            }, body);
+
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual(response.body.extractedSections.productType, 'Tire & Wheel Protection + GAP Coverage');
+            assert.deepStrictEqual(response.body.extractedSections.productTypes, ['Tire & Wheel Protection', 'GAP Coverage']);
+            assert.deepStrictEqual(response.body.extractedSections.productTypeCandidates, [
+                { type: 'Tire & Wheel Protection', score: 1 }
+            ]);
+            assert.ok(response.body.longDescription.includes('GAP coverage is optional and is not required to obtain financing.'));
+        });
+
+        it('should render extracted descriptions in the requested output formats', async () => {
+            const pdf = buildPDF([[
+                'Tire & Wheel Protection Plan',
+                'This protection covers your tires and wheels against damage from road hazards.'
+            ]]);
+            const { body, contentType } = buildMultipart([
+                { field: 'pdf', filename: 'tire.pdf', contentType: 'application/pdf', data: pdf }
+            ], { outputFormats: 'text, menu' });
+            const url = new URL('/api/extract-pdf', BASE_URL);
+
+            const response = await makeRequest({
+                hostname: url.hostname,
+                port: url.port,
+                path: url.pathname,
+                method: 'POST',
+                headers: {
+                    'Content-Type': contentType,
+                    'Content-Length': body.length
+                }
+            }, body);
+
+            assert.strictEqual(response.status, 200);
+            assert.deepStrictEqual(Object.keys(response.body.outputs), ['text', 'menu']);
+            assert.ok(!response.body.outputs.text.includes('<'));
+            assert.ok(response.body.outputs.menu.disclaimer.includes('limitations and exclusions'));
+        });
+
+        it('should return the product terms with their source pages', async () => {
+            const pdf = buildPDF([
+                [
+                    'Vehicle Service Contract',
+                    'Provider: Acme Warranty Company',
+                    'Coverage lasts up to 60 months or 100,000 miles, whichever comes first.'
+                ],
+                [
+                    'Deductible: $100 per visit',
+                    'This contract is transferable to a subsequent owner for a $50 fee.'
+                ]
+            ]);
+            const { body, contentType } = buildMultipart([
+                { field: 'pdf', filename: 'vsc.pdf', contentType: 'application/pdf', data: pdf }
+            ]);
+            const url = new URL('/api/extract-pdf', BASE_URL);
+
+            const response = await makeRequest({
+                hostname: url.hostname,
+                port: url.port,
+                path: url.pathname,
+                method: 'POST',
+                headers: {
+                    'Content-Type': contentType,
+                    'Content-Length': body.length
+                }
+            }, body);
+
+            assert.strictEqual(response.status, 200);
+            const terms = response.body.extractedTerms;
+            assert.deepStrictEqual(terms.provider, {
+                value: 'Acme Warranty Company',
+                confidence: 0.9,
+                page: 1,
+                source: 'Provider: Acme Warranty Company'
+            });
+            assert.deepStrictEqual(terms.termMonths.value, [60]);
+            assert.deepStrictEqual(terms.mileageLimits.value, [100000]);
+            assert.strictEqual(terms.deductible.value, 100);
+            assert.strictEqual(terms.deductible.page, 2);
+            assert.deepStrictEqual(terms.transferability.value, { transferable: true, fee: 50 });
+            assert.strictEqual(terms.aggregateLimit, null);
+        });
+
+        it('should reject non-PDF uploads', async () => {
+            const { body, contentType } = buildMultipart([
+                { field: 'pdf', filename: 'notes.txt', contentType: 'text/plain', data: Buffer.from('hello') }
+            ]);
+            const url = new URL('/api/extract-pdf', BASE_URL);
+
+            const response = await makeRequest({
+                hostname: url.hostname,
+                port: url.port,
+                path: url.pathname,
+                method: 'POST',
+                headers: {
+                    'Content-Type': contentType,
+                    'Content-Length': body.length
+                }
+            }, body);
+
+            assert.strictEqual(response.status, 400);
+            assert.strictEqual(response.body.code, 'INVALID_FILE_TYPE');
+        });
+
+        it('should combine a brochure and contract into one description', async () => {
+            const brochure = buildPDF([[
+                'Tire & Wheel Protection Plan',
+                'Benefit: 24/7 roadside assistance with every plan.',
+                '• Tire punctures from nails, glass, and debris',
+                'Term: 36 months or 48 months.'
+            ]]);
+            const contract = buildPDF([[
+                'Tire & Wheel Protection Contract',
+                'Exclusions: cosmetic damage and racing are not covered.',
+                'Term: 36 months or 60 months.'
+            ]]);
+            const { body, contentType } = buildMultipart([
+                { field: 'pdf', filename: 'brochure.pdf', contentType: 'application/pdf', data: brochure },
+                { field: 'pdf', filename: 'contract.pdf', contentType: 'application/pdf', data: contract }
+            ]);
+            const url = new URL('/api/extract-pdf', BASE_URL);
+
+            const response = await makeRequest({
+                hostname: url.hostname,
+                port: url.port,
+                path: url.pathname,
+                method: 'POST',
+                headers: {
+                    'Content-Type': contentType,
+                    'Content-Length': body.length
+                }
+            }, body);
+
+            assert.strictEqual(response.status, 200);
+            assert.deepStrictEqual(response.body.documents.map(document => document.name), ['brochure.pdf', 'contract.pdf']);
+            assert.deepStrictEqual(response.body.documents[1].pages, [2, 2]);
+            assert.ok(response.body.extractedSections.limitations.some(item => item.includes('cosmetic damage')));
+            assert.strictEqual(response.body.documentConflicts.length, 1);
+            assert.match(response.body.documentConflicts[0].message, /^Term lengths differ between documents/);
+        });
+
+        it('should reject more than five documents', async () => {
+            const pdf = buildPDF([['Tire & Wheel Protection Plan']]);
+            const { body, contentType } = buildMultipart(Array.from({ length: 6 }, (_, index) => (
+                { field: 'pdf', filename: `part-${index + 1}.pdf`, contentType: 'application/pdf', data: pdf }
+            )));
+            const url = new URL('/api/extract-pdf', BASE_URL);
+
+            const response = await makeRequest({
+                hostname: url.hostname,
+                port: url.port,
+                path: url.pathname,
+                method: 'POST',
+                headers: {
+                    'Content-Type': contentType,
+                    'Content-Length': body.length
+                }
+            }, body);
+
+            assert.strictEqual(response.status, 400);
+            assert.strictEqual(response.body.code, 'TOO_MANY_FILES');
+        });
     });
-});
 
-// Note: These tests require the server to be running on port 3001
-// Run with: PORT=3001 node server.js & npm run test:integration
+    describe('POST /api/extract', () => {
+        function postFile(file) {
+            const { body, contentType } = buildMultipart([{ field: 'file', ...file }]);
+            const url = new URL('/api/extract', BASE_URL);
+
+            return makeRequest({
+                hostname: url.hostname,
+                port: url.port,
+                path: url.pathname,
+                method: 'POST',
+                headers: {
+                    'Content-Type': contentType,
+                    'Content-Length': body.length
+                }
+            }, body);
+        }
+
+        it('should generate descriptions from a Word document', async () => {
+            const response = await postFile({
+                filename: 'tire.docx',
+                contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+                data: buildDOCX([
+                    { heading: 'Tire & Wheel Protection Plan' },
+                    'This protection covers your tires and wheels against damage from road hazards.',
+                    { table: [['Term', 'Price'], ['36 months', '$499'], ['60 months', '$699']] }
+                ])
+            });
+
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual(response.body.format, 'docx');
+            assert.strictEqual(response.body.extractedSections.productType, 'Tire & Wheel Protection');
+            assert.deepStrictEqual(response.body.tables[0].rows, [['36 months', '$499'], ['60 months', '$699']]);
+            assert.deepStrictEqual(response.body.extractedTerms.termMonths.value, [36, 60]);
+        });
+
+        it('should accept plain text and PDFs', async () => {
+            const text = await postFile({
+                filename: 'tire.txt',
+                contentType: 'text/plain',
+                data: Buffer.from('Tire & Wheel Protection Plan\nThis protection covers your tires and wheels against road hazards.')
+            });
+            const pdf = await postFile({
+                filename: 'tire.pdf',
+                contentType: 'application/pdf',
+                data: buildPDF([['Tire & Wheel Protection Plan', 'This protection covers your tires and wheels against road hazards.']])
+            });
+
+            assert.strictEqual(text.status, 200);
+            assert.strictEqual(text.body.format, 'txt');
+            assert.strictEqual(pdf.status, 200);
+            assert.strictEqual(pdf.body.format, 'pdf');
+        });
+
+        it('should reject unsupported file types', async () => {
+            const response = await postFile({ filename: 'scan.png', contentType: 'image/png', data: Buffer.from('png') });
+
+            assert.strictEqual(response.status, 400);
+            assert.strictEqual(response.body.code, 'INVALID_FILE_TYPE');
+            assert.strictEqual(response.body.error, 'Only PDF, DOCX, HTML and TXT files are allowed');
+        });
+    });
+});
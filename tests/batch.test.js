@@ -0,0 +1,53 @@
+/**
+ * Unit Tests - Batch Processing
+ * Tests bounded-concurrency mapping and its configuration
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const {
+    getBatchConcurrency,
+    mapWithConcurrency,
+    DEFAULT_CONCURRENCY,
+    MAX_CONCURRENCY
+} = require('../services/batch');
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('getBatchConcurrency', () => {
+    it('should use the default without configuration', () => {
+        assert.strictEqual(getBatchConcurrency({}), DEFAULT_CONCURRENCY);
+    });
+
+    it('should read whole numbers, capped, and ignore invalid ones', () => {
+        assert.strictEqual(getBatchConcurrency({ BATCH_CONCURRENCY: '2' }), 2);
+        assert.strictEqual(getBatchConcurrency({ BATCH_CONCURRENCY: '1000' }), MAX_CONCURRENCY);
+        assert.strictEqual(getBatchConcurrency({ BATCH_CONCURRENCY: '0' }), DEFAULT_CONCURRENCY);
+        assert.strictEqual(getBatchConcurrency({ BATCH_CONCURRENCY: '2.5' }), DEFAULT_CONCURRENCY);
+    });
+});
+
+describe('mapWithConcurrency', () => {
+    it('should keep at most the limit in flight', async () => {
+        let inFlight = 0;
+        let peak = 0;
+
+        const results = await mapWithConcurrency([5, 1, 4, 2, 3, 1, 2], 3, async (delay, index) => {
+            inFlight++;
+            peak = Math.max(peak, inFlight);
+            await sleep(delay);
+            inFlight--;
+            return index * 10;
+        });
+
+        assert.strictEqual(peak, 3);
+        assert.deepStrictEqual(results, [0, 10, 20, 30, 40, 50, 60], 'Results stay in item order');
+    });
+
+    it('should handle limits larger than the list, and empty lists', async () => {
+        assert.deepStrictEqual(await mapWithConcurrency(['a', 'b'], 10, async item => item.toUpperCase()), ['A', 'B']);
+        assert.deepStrictEqual(await mapWithConcurrency([], 4, async item => item), []);
+    });
+});
@@ -0,0 +1,101 @@
+/**
+ * Unit Tests - Source Citations
+ * Tests linking generated bullets and sentences to the document page and passage they came from
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { citeSources } = require('../services/citations');
+
+const PAGES = [
+    [
+        'Tire & Wheel Protection',
+        'Covers repair or replacement of tires damaged by road hazards such as potholes and nails.',
+        'Wheels bent or cracked by road hazards are also covered.'
+    ].join('\n'),
+    [
+        'Limits',
+        'Claims are limited to $500 per tire and $2,000 over the life of the',
+        'contract. Cosmetic damage to wheels is excluded.'
+    ].join('\n')
+];
+
+describe('citeSources', () => {
+    it('should cite each bullet with its page and source span', () => {
+        const citations = citeSources(
+            '<ul><li>Tires damaged by potholes and nails are repaired or replaced</li>' +
+            '<li>Claims limited to $500 per tire</li></ul>',
+            PAGES
+        );
+
+        assert.strictEqual(citations.length, 2);
+        assert.strictEqual(citations[0].element, 'li');
+        assert.strictEqual(citations[0].index, 0);
+        assert.strictEqual(citations[0].page, 1);
+        assert.strictEqual(
+            citations[0].source.text,
+            'Covers repair or replacement of tires damaged by road hazards such as potholes and nails.'
+        );
+        assert.strictEqual(
+            PAGES[0].slice(citations[0].source.start, citations[0].source.end),
+            citations[0].source.text
+        );
+        assert.strictEqual(citations[1].page, 2);
+        assert.ok(citations[1].source.text.includes('$500 per tire'));
+    });
+
+    it('should cite paragraph sentences separately and skip headers', () => {
+        const citations = citeSources(
+            '<p><strong>Key Benefits:</strong></p>' +
+            '<p>Bent or cracked wheels are covered. Cosmetic wheel damage is excluded.</p>',
+            PAGES
+        );
+
+        assert.deepStrictEqual(
+            citations.map(citation => [citation.element, citation.index, citation.sentence, citation.page]),
+            [['p', 1, 0, 1], ['p', 1, 1, 2]]
+        );
+    });
+
+    it('should match sentences the PDF wrapped across lines', () => {
+        const [citation] = citeSources('<li>Claims are capped at $2,000 over the life of the contract</li>', PAGES);
+
+        assert.strictEqual(citation.page, 2);
+        assert.ok(citation.source.text.includes('$2,000 over the life of the contract.'));
+    });
+
+    it('should leave statements with no supporting passage uncited', () => {
+        const citations = citeSources(
+            '<ul><li>Includes 24/7 roadside assistance and rental car reimbursement</li>' +
+            '<li>Claims limited to $750 per tire</li></ul>',
+            PAGES
+        );
+
+        assert.deepStrictEqual(citations.map(citation => citation.page), [null, null]);
+        assert.strictEqual(citations[0].source, null);
+        assert.strictEqual(citations[0].score, 0);
+    });
+
+    it('should not cite the disclaimer', () => {
+        const citations = citeSources(
+            '<p>Wheels bent by road hazards are covered.</p>' +
+            '<p><em style="font-size: smaller">This is not insurance. Terms, conditions and exclusions apply.</em></p>',
+            PAGES
+        );
+
+        assert.deepStrictEqual(citations.map(citation => citation.index), [0]);
+    });
+
+    it('should cite text after a sentence that mentions limitations', () => {
+        const citations = citeSources(
+            '<p>Coverage for cosmetic damage has limitations.</p>' +
+            '<ul><li>Wheels bent by road hazards are covered</li></ul>' +
+            '<p>Ask your dealer for details.</p>',
+            PAGES
+        );
+
+        assert.deepStrictEqual(citations.map(citation => [citation.element, citation.index]), [['p', 0], ['li', 0], ['p', 1]]);
+        assert.strictEqual(citations[1].page, 1);
+        assert.strictEqual(citations[2].page, null);
+    });
+});
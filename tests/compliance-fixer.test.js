@@ -0,0 +1,195 @@
+/**
+ * Unit Tests - Compliance Fixer
+ * Tests rule pack substitutions and targeted sentence rewrites
+ */
+
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('node:path');
+const { fixCompliance, applyChanges, findSentence, changesMeaning } = require('../services/compliance-fixer');
+const { resetAIClient } = require('../services/ai-provider');
+
+// Rewrites a careless model might make: "mandatory" to "optional", "never" to "rarely"
+const CARELESS_REWRITES = path.join(__dirname, 'fixtures', 'cassettes', 'careless-rewrites.json');
+
+// Rewrites come from the deterministic stub model
+function useStub() {
+    process.env.AI_PROVIDER = 'stub';
+    delete process.env.AI_CASSETTE;
+    delete process.env.CLOUDFLARE_WORKER_URL;
+    resetAIClient();
+}
+
+describe('fixCompliance', () => {
+    beforeEach(useStub);
+
+    after(() => {
+        delete process.env.AI_PROVIDER;
+        delete process.env.AI_CASSETTE;
+        delete process.env.AI_MAX_RETRIES;
+        resetAIClient();
+    });
+
+    it('should substitute rule pack suggestions, keeping capitalization', async () => {
+        const result = await fixCompliance('The BEST plan. Ultimate protection for the road.', '');
+
+        assert.strictEqual(result.shortDescription, 'The TRUSTED plan. Comprehensive protection for the road.');
+        assert.deepStrictEqual(result.changes.map(change => [change.original, change.replacement, change.method]), [
+            ['BEST', 'TRUSTED', 'substitution'],
+            ['Ultimate', 'Comprehensive', 'substitution']
+        ]);
+        assert.deepStrictEqual(result.changes[0], {
+            id: 'change-1',
+            field: 'short',
+            start: 4,
+            end: 8,
+            original: 'BEST',
+            replacement: 'TRUSTED',
+            ruleIds: ['best'],
+            method: 'substitution'
+        });
+    });
+
+    it('should substitute only the word forms the rule says the suggestion fits', async () => {
+        const fits = await fixCompliance('Guaranteed approval for every driver.', '', { useAI: false });
+        assert.strictEqual(fits.shortDescription, 'Dependable approval for every driver.');
+
+        // Verb forms would read "We dependable every repair", so they are left to a rewrite
+        for (const text of ['We guarantee every repair.', 'Our plan guarantees your satisfaction.', 'Repairs are guaranteed by us.']) {
+            const result = await fixCompliance(text, '', { useAI: false });
+
+            assert.strictEqual(result.shortDescription, text);
+            assert.deepStrictEqual(result.changes, []);
+            assert.deepStrictEqual(result.unresolved.map(finding => finding.ruleId), ['guarantee']);
+        }
+    });
+
+    it('should not substitute inside hyphenated compounds', async () => {
+        for (const text of ['A best-in-class plan.', 'An all-time-best plan.']) {
+            const result = await fixCompliance(text, '', { useAI: false });
+
+            assert.strictEqual(result.shortDescription, text);
+            assert.deepStrictEqual(result.unresolved.map(finding => finding.ruleId), ['best']);
+        }
+    });
+
+    it('should not weaken absolutes by substitution or rewrite', async () => {
+        process.env.AI_CASSETTE = CARELESS_REWRITES;
+        resetAIClient();
+
+        const result = await fixCompliance('Always covered on every road.', '');
+
+        assert.strictEqual(result.shortDescription, 'Always covered on every road.');
+        assert.deepStrictEqual(result.changes, []);
+        assert.deepStrictEqual(result.unresolved.map(finding => finding.ruleId), ['always']);
+    });
+
+    it('should rewrite only the sentence a finding with no substitution is in', async () => {
+        const long = '<p>Covers tire damage. Act now before it is too late!</p>';
+        const result = await fixCompliance('', long);
+
+        assert.strictEqual(result.longDescription, '<p>Covers tire damage.</p>');
+        assert.strictEqual(result.changes.length, 1);
+        assert.strictEqual(result.changes[0].method, 'ai');
+        assert.strictEqual(result.changes[0].original, 'Act now before it is too late!');
+        assert.strictEqual(long.slice(result.changes[0].start, result.changes[0].end), 'Act now before it is too late!');
+    });
+
+    it('should fold substitutions into a rewritten sentence', async () => {
+        const result = await fixCompliance('Covers tires. The best plan, act now!', '');
+
+        assert.strictEqual(result.changes.length, 1);
+        assert.strictEqual(result.changes[0].method, 'ai');
+        assert.strictEqual(result.changes[0].original, 'The best plan, act now!');
+        assert.deepStrictEqual(result.changes[0].ruleIds.sort(), ['act-now', 'best']);
+        assert.strictEqual(result.shortDescription, 'Covers tires.');
+    });
+
+    it('should not reverse the meaning of requirements and absolutes', async () => {
+        process.env.AI_CASSETTE = CARELESS_REWRITES;
+        resetAIClient();
+
+        for (const text of [
+            'Routine maintenance is mandatory to keep coverage.',
+            'You will never pay a deductible.',
+            'Registration is required by law.'
+        ]) {
+            const result = await fixCompliance(text, '');
+
+            assert.strictEqual(result.shortDescription, text);
+            assert.deepStrictEqual(result.changes, []);
+            assert.strictEqual(result.unresolved.length, 1);
+        }
+    });
+
+    it('should leave findings unresolved when a rewrite is still flagged', async () => {
+        const result = await fixCompliance('', "<p>Don't go bankrupt from repairs.</p>");
+
+        assert.deepStrictEqual(result.changes, []);
+        assert.deepStrictEqual(result.unresolved.map(finding => finding.ruleId), ['fear-bankrupt']);
+    });
+
+    it('should skip AI rewrites when useAI is false', async () => {
+        const result = await fixCompliance('Best plan. Act now.', '', { useAI: false });
+
+        assert.strictEqual(result.shortDescription, 'Trusted plan. Act now.');
+        assert.deepStrictEqual(result.unresolved.map(finding => finding.ruleId), ['act-now']);
+    });
+
+    it('should report a failed AI rewrite as degraded and keep substitutions', async () => {
+        process.env.AI_PROVIDER = 'worker';
+        process.env.CLOUDFLARE_WORKER_URL = 'http://127.0.0.1:9';
+        process.env.AI_MAX_RETRIES = '0';
+        resetAIClient();
+
+        const result = await fixCompliance('Best plan. Act now.', '');
+
+        assert.strictEqual(result.degraded, true);
+        assert.ok(result.degradedReason);
+        assert.strictEqual(result.shortDescription, 'Trusted plan. Act now.');
+        assert.deepStrictEqual(result.unresolved.map(finding => finding.ruleId), ['act-now']);
+    });
+
+    it('should return the text unchanged when nothing is flagged', async () => {
+        const result = await fixCompliance('Covers tire damage.', '<p>Covers tire damage.</p>');
+
+        assert.strictEqual(result.shortDescription, 'Covers tire damage.');
+        assert.strictEqual(result.longDescription, '<p>Covers tire damage.</p>');
+        assert.deepStrictEqual(result.changes, []);
+    });
+});
+
+describe('applyChanges', () => {
+    it('should apply only the accepted changes', async () => {
+        useStub();
+        const text = 'The best plan. Ultimate protection for the road.';
+        const { changes } = await fixCompliance(text, '');
+
+        assert.strictEqual(applyChanges(text, changes.slice(1)), 'The best plan. Comprehensive protection for the road.');
+        assert.strictEqual(applyChanges(text, []), text);
+    });
+});
+
+describe('changesMeaning', () => {
+    it('should catch dropped negations and softened requirements', () => {
+        assert.strictEqual(changesMeaning('You will never pay a deductible.', 'You will pay a deductible.'), true);
+        assert.strictEqual(changesMeaning('You will never pay a deductible.', 'You will rarely pay a deductible.'), true);
+        assert.strictEqual(changesMeaning('Maintenance is mandatory.', 'Maintenance is optional.'), true);
+        assert.strictEqual(changesMeaning('Always covered.', 'Consistently covered.'), true);
+    });
+
+    it('should accept rewrites that keep the meaning', () => {
+        assert.strictEqual(changesMeaning('You will never pay a deductible.', 'There is no deductible.'), false);
+        assert.strictEqual(changesMeaning('Maintenance is mandatory.', 'Maintenance is required by the contract.'), false);
+        assert.strictEqual(changesMeaning('Act now!', ''), false);
+    });
+});
+
+describe('findSentence', () => {
+    it('should stop at sentence punctuation and HTML tags', () => {
+        const text = '<p>First one. Second <strong>bold</strong> part!! Third.</p>';
+        const start = text.indexOf('Second');
+        const { start: s, end: e } = findSentence(text, start, start + 6);
+        assert.strictEqual(text.slice(s, e), 'Second ');
+    });
+});
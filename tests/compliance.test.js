@@ -3,15 +3,24 @@
  * Tests for keyword detection, disclaimer verification, and compliance warnings
  */
 
-const { describe, it } = require('node:test');
+const { describe, it, afterEach } = require('node:test');
 const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
 const {
     checkCompliance,
     hasDisclaimer,
     ensureDisclaimer,
     validateForPublishing,
+    findMissingDisclosures,
+    normalizeState,
+    loadRulePack,
+    reloadComplianceRules,
+    getPromptBannedTerms,
     STANDARD_DISCLAIMER
 } = require('../services/compliance');
+const { validateRulePack, mergeRulePacks, getBannedTerms } = require('../services/compliance-rules');
 
 describe('checkCompliance', () => {
 
@@ -133,6 +142,72 @@ describe('checkCompliance', () => {
     });
 });
 
+describe('Compliance findings', () => {
+    it('should locate each match with rule, severity and suggestion', () => {
+        const result = checkCompliance('The best plan. Truly the best.', '');
+
+        assert.deepStrictEqual(result.findings, [
+            {
+                ruleId: 'best',
+                severity: 'warning',
+                field: 'short',
+                start: 4,
+                end: 8,
+                matchedText: 'best',
+                message: 'Contains "best" - this language may require legal review',
+                suggestion: 'trusted'
+            },
+            {
+                ruleId: 'best',
+                severity: 'warning',
+                field: 'short',
+                start: 25,
+                end: 29,
+                matchedText: 'best',
+                message: 'Contains "best" - this language may require legal review',
+                // "Truly the trusted." doesn't read, so the suggestionPattern leaves this one to a rewrite
+                suggestion: null
+            }
+        ]);
+        assert.deepStrictEqual(result.warnings, ['Contains "best" - this language may require legal review']);
+    });
+
+    it('should give offsets into the original HTML', () => {
+        const html = '<p>Our <strong>ultimate</strong> plan</p>';
+        const [finding] = checkCompliance('', html).findings;
+
+        assert.strictEqual(finding.field, 'long');
+        assert.strictEqual(html.slice(finding.start, finding.end), 'ultimate');
+    });
+
+    it('should report the field each match was found in', () => {
+        const fields = checkCompliance('Act now', '<p>Act now</p>').findings.map(f => f.field);
+        assert.deepStrictEqual(fields, ['short', 'long']);
+    });
+
+    it('should not count info findings as issues', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fi-rules-'));
+        const file = path.join(dir, 'info.json');
+        fs.writeFileSync(file, JSON.stringify({
+            id: 'info',
+            rules: [{ id: 'coverage', pattern: '\\bcoverage\\b', message: 'Say "protection"', severity: 'info' }]
+        }));
+        process.env.COMPLIANCE_RULES = file;
+        reloadComplianceRules();
+
+        try {
+            const result = checkCompliance('Tire coverage', '');
+            assert.strictEqual(result.findings[0].severity, 'info');
+            assert.deepStrictEqual(result.warnings, ['Say "protection"']);
+            assert.strictEqual(result.hasIssues, false);
+        } finally {
+            delete process.env.COMPLIANCE_RULES;
+            reloadComplianceRules();
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
+
 describe('hasDisclaimer', () => {
     it('should detect "limitations and exclusions"', () => {
         const text = '<p>This has limitations and exclusions.</p>';
@@ -234,3 +309,257 @@ describe('validateForPublishing', () => {
         assert.strictEqual(result.valid, true);
     });
 });
+
+describe('Compliance rule packs', () => {
+    let dir;
+
+    // Write a rule pack to a temp file and make it active
+    function usePack(filename, contents) {
+        dir = dir || fs.mkdtempSync(path.join(os.tmpdir(), 'fi-rules-'));
+        const file = path.join(dir, filename);
+        fs.writeFileSync(file, contents);
+        process.env.COMPLIANCE_RULES = file;
+        reloadComplianceRules();
+        return file;
+    }
+
+    afterEach(() => {
+        delete process.env.COMPLIANCE_RULES;
+        reloadComplianceRules();
+        if (dir) {
+            fs.rmSync(dir, { recursive: true, force: true });
+            dir = null;
+        }
+    });
+
+    it('should build the prompt banned-word list from the rules', () => {
+        const terms = getPromptBannedTerms();
+        assert.ok(terms.startsWith('"guarantee", "guaranteed", "never"'));
+        assert.ok(terms.includes('"limited time"'));
+    });
+
+    it('should add rules from a YAML pack', () => {
+        usePack('dealer.yaml', [
+            'id: dealer',
+            'rules:',
+            '  - id: free',
+            '    pattern: \\bfree\\b',
+            '    severity: warning',
+            '    message: Avoid "free" - products are priced into the contract',
+            '    terms: [free]'
+        ].join('\n'));
+
+        const result = checkCompliance('Free oil changes included', '');
+        assert.deepStrictEqual(result.warnings, ['Avoid "free" - products are priced into the contract']);
+        assert.ok(getPromptBannedTerms().endsWith('"free"'));
+    });
+
+    it('should let a later pack disable or override a rule', () => {
+        usePack('override.json', JSON.stringify({
+            id: 'override',
+            rules: [
+                { id: 'best', enabled: false },
+                { id: 'never', pattern: '\\bnever\\b', message: 'Absolute claim', severity: 'error' }
+            ]
+        }));
+
+        assert.strictEqual(checkCompliance('The best plan', '').hasIssues, false);
+        assert.ok(!getPromptBannedTerms().includes('"best"'));
+
+        const validation = validateForPublishing('Never pay for repairs.', '');
+        assert.strictEqual(validation.valid, false);
+        assert.deepStrictEqual(validation.errors, ['Absolute claim']);
+    });
+
+    it('should only check the fields a rule applies to', () => {
+        usePack('fields.json', JSON.stringify({
+            id: 'fields',
+            rules: [{ id: 'html-heading', pattern: 'overview', message: 'No overview in short text', appliesTo: ['short'] }]
+        }));
+
+        assert.strictEqual(checkCompliance('', '<p>Overview</p>').warnings.includes('No overview in short text'), false);
+        assert.ok(checkCompliance('Overview of coverage', '').warnings.includes('No overview in short text'));
+    });
+
+    it('should use the disclaimer from a pack', () => {
+        usePack('disclaimer.json', JSON.stringify({
+            id: 'disclaimer',
+            standardDisclaimer: 'Terms and conditions apply. See dealer for details.'
+        }));
+
+        assert.ok(ensureDisclaimer('<p>Coverage.</p>').includes('See dealer for details.'));
+    });
+
+    it('should reject invalid packs with a clear message', () => {
+        assert.throws(() => validateRulePack({ rules: [{ id: 'x', message: 'm' }] }, 'x.json'), /x\.json: rule "x" needs a "pattern"/);
+        assert.throws(() => validateRulePack({ rules: [{ id: 'x', pattern: '(', message: 'm' }] }), /invalid pattern/);
+        assert.throws(() => validateRulePack({ rules: [{ id: 'x', pattern: 'a', message: 'm', severity: 'fatal' }] }), /severity "fatal"/);
+        assert.throws(() => validateRulePack({ rules: [{ id: 'x', pattern: 'a', message: 'm', appliesTo: ['title'] }] }), /appliesTo/);
+        assert.throws(() => validateRulePack({ rules: [{ id: 'x', pattern: 'a', message: 'm', allow: 'a b' }] }), /"allow"/);
+        assert.throws(() => validateRulePack({ rules: [{ id: 'x', pattern: 'a', message: 'm', negation: 'yes' }] }), /"negation"/);
+        assert.throws(() => validateRulePack({ rules: [{ id: 'x', pattern: 'a', message: 'm', suggestionPattern: '(' }] }), /invalid suggestionPattern/);
+    });
+
+    it('should load the default pack from disk', () => {
+        const pack = loadRulePack(path.join(__dirname, '../rules/default.json'));
+        const merged = mergeRulePacks([pack]);
+        assert.strictEqual(merged.standardDisclaimer, STANDARD_DISCLAIMER);
+        assert.ok(getBannedTerms(merged).includes('required by law'));
+    });
+});
+
+describe('State compliance rules', () => {
+    const GAP_IN_CA = { state: 'CA', productType: 'GAP Coverage' };
+
+    it('should normalize state codes', () => {
+        assert.strictEqual(normalizeState(' ca '), 'CA');
+        assert.strictEqual(normalizeState('ZZ'), null);
+        assert.strictEqual(normalizeState(undefined), null);
+    });
+
+    it('should append disclosures the state requires for the product', () => {
+        const result = ensureDisclaimer('<p>GAP helps cover your loan balance.</p>', GAP_IN_CA);
+        assert.ok(result.includes(STANDARD_DISCLAIMER));
+        assert.ok(result.includes('GAP coverage is optional and is not required to obtain financing.'));
+    });
+
+    it('should not append disclosures for other product types', () => {
+        const result = ensureDisclaimer('<p>Covers dents.</p>', { state: 'CA', productType: 'Dent Repair' });
+        assert.ok(!result.includes('not required to obtain financing'));
+    });
+
+    it('should accept product types regardless of case and punctuation', () => {
+        assert.strictEqual(findMissingDisclosures('', { state: 'ca', productType: 'gap  coverage' }).length, 1);
+    });
+
+    it('should apply the disclosures of each product in a bundle', () => {
+        const bundle = { state: 'CA', productType: 'Dent Repair + GAP Coverage' };
+        assert.ok(ensureDisclaimer('<p>Covers dents.</p>', bundle).includes('not required to obtain financing'));
+    });
+
+    it('should apply state disclosures that cover every product', () => {
+        const missing = findMissingDisclosures('<p>Covers dents.</p>', { state: 'NY' });
+        assert.deepStrictEqual(missing.map(d => d.id), ['ny-optional-product']);
+    });
+
+    it('should add nothing for states without a rule pack', () => {
+        const longDesc = '<p>Details.</p><p><em>This coverage has limitations and exclusions.</em></p>';
+        assert.strictEqual(ensureDisclaimer(longDesc, { state: 'WY', productType: 'GAP Coverage' }), longDesc);
+    });
+
+    it('should fail validation when a required state disclosure is missing', () => {
+        const longDesc = '<p>GAP coverage.</p><p><em>This coverage has limitations and exclusions.</em></p>';
+        const result = validateForPublishing('GAP coverage.', longDesc, GAP_IN_CA);
+
+        assert.strictEqual(result.valid, false);
+        assert.deepStrictEqual(result.errors, [
+            'Missing required CA disclosure: "GAP coverage is optional and is not required to obtain financing."'
+        ]);
+        assert.strictEqual(validateForPublishing('GAP coverage.', longDesc).valid, true, 'No state, no disclosure needed');
+    });
+
+    it('should pass validation once the disclosure is present', () => {
+        const longDesc = ensureDisclaimer('<p>GAP coverage.</p>', GAP_IN_CA);
+        assert.strictEqual(validateForPublishing('GAP coverage.', longDesc, GAP_IN_CA).valid, true);
+    });
+
+    it('should apply state rules only to their product types', () => {
+        const text = 'This insurance plan covers repairs.';
+        const contract = { state: 'FL', productType: 'Vehicle Service Contract' };
+
+        assert.ok(checkCompliance(text, '', contract).warnings.some(w => w.includes('insurance policy or plan')));
+        assert.strictEqual(checkCompliance(text, '', { state: 'FL', productType: 'GAP Coverage' }).hasIssues, false);
+        assert.ok(validateForPublishing(text, '', contract).errors.some(e => e.includes('insurance policy or plan')));
+    });
+
+    it('should load every bundled state pack', () => {
+        const dir = path.join(__dirname, '../rules/states');
+        for (const file of fs.readdirSync(dir)) {
+            const pack = loadRulePack(path.join(dir, file));
+            assert.strictEqual(`${pack.state}.json`, file);
+        }
+    });
+});
+
+describe('Context-aware matching', () => {
+    // Phrases a reviewer would accept, each of which a plain keyword match flags
+    const ACCEPTABLE = [
+        'Wear items are never covered.',
+        'Pre-existing damage will never be covered.',
+        'Commercial vehicles are never eligible.',
+        'Coverage is not guaranteed for pre-existing damage.',
+        'There is no guarantee of approval.',
+        'Guaranteed Asset Protection (GAP) helps cover the loan balance.',
+        'This product is not mandatory.',
+        'GAP coverage is not required by law.',
+        "Repairs aren't always covered - see your contract."
+    ];
+
+    // Phrases that must still be flagged, with the rules they break
+    const VIOLATIONS = [
+        ['You will never pay a deductible.', ['never']],
+        ['Guaranteed approval for every driver.', ['guarantee']],
+        ['This coverage is mandatory for financing.', ['mandatory']],
+        ['The best plan on the lot.', ['best']],
+        ["This isn't just good, it's the best plan.", ['best']],
+        ['We always pay claims. Not in a hurry? Act now.', ['always', 'act-now']],
+        ['Not only guaranteed, but required by law.', ['guarantee', 'required-by-law']],
+        ['It\'s "covered" and always will be.', ['always']],
+        ['No worries guaranteed.', ['guarantee']],
+        ["Don't miss this guaranteed plan.", ['dont-miss', 'guarantee']],
+        ['Get the "best" protection. "Act now, this is guaranteed and always mandatory"',
+            ['act-now', 'always', 'best', 'guarantee', 'mandatory']]
+    ];
+
+    const ruleIds = text => checkCompliance(text, '').findings.map(finding => finding.ruleId).sort();
+
+    for (const text of ACCEPTABLE) {
+        it(`should accept: ${text}`, () => {
+            assert.deepStrictEqual(ruleIds(text), []);
+        });
+    }
+
+    for (const [text, expected] of VIOLATIONS) {
+        it(`should flag: ${text}`, () => {
+            assert.deepStrictEqual(ruleIds(text), [...expected].sort());
+        });
+    }
+
+    it('should accept quotes of the source text', () => {
+        const sourceText = '<p>Coverage is guaranteed   renewable each term.</p> Rated best-in-class by the administrator.';
+        const output = 'The contract describes the plan as "best-in-class" protection. ' +
+            'Per the contract, coverage is \u201cguaranteed renewable\u201d each term.';
+
+        assert.deepStrictEqual(checkCompliance(output, '', {}, { sourceText }).findings, []);
+        assert.deepStrictEqual(
+            checkCompliance('Get the "best" plan, "guaranteed".', '', {}, { sourceText }).findings.map(finding => finding.ruleId),
+            ['guarantee', 'best']
+        );
+    });
+
+    it('should not exempt quotes when validating for publishing', () => {
+        const result = validateForPublishing('Get the "best" plan, "guaranteed".', '');
+        assert.deepStrictEqual(result.warnings, [
+            'Contains "guarantee" - this language may require legal review',
+            'Contains "best" - this language may require legal review'
+        ]);
+    });
+
+    it('should flag nothing in the disclaimer and disclosures it appends', () => {
+        const context = { state: 'FL', productType: 'Vehicle Service Contract' };
+        const longDesc = ensureDisclaimer('<p>Covers repairs.</p>', context);
+
+        assert.ok(longDesc.includes('not an insurance policy'));
+        assert.deepStrictEqual(checkCompliance('', longDesc, context).findings, []);
+        assert.strictEqual(validateForPublishing('', longDesc, context).valid, true);
+    });
+
+    it('should check text next to the disclaimer as usual', () => {
+        const longDesc = ensureDisclaimer('<p>The ultimate plan.</p>');
+        assert.deepStrictEqual(checkCompliance('', longDesc).findings.map(finding => finding.ruleId), ['ultimate']);
+    });
+
+    it('should only apply negation to rules that opt in', () => {
+        assert.deepStrictEqual(ruleIds('Not the ultimate plan.'), ['ultimate']);
+    });
+});
@@ -17,8 +17,8 @@ describe('calculateConfidence', () => {
             const shortAnalysis = analyzeText(shortText);
             const longAnalysis = analyzeText(longText);
 
-            const shortConfidence = calculateConfidence(shortText, shortAnalysis);
-            const longConfidence = calculateConfidence(longText, longAnalysis);
+            const shortConfidence = calculateConfidence(shortText, shortAnalysis).score;
+            const longConfidence = calculateConfidence(longText, longAnalysis).score;
 
             assert.ok(longConfidence > shortConfidence,
                 `Long text confidence (${longConfidence}) should be > short (${shortConfidence})`);
@@ -27,7 +27,7 @@ describe('calculateConfidence', () => {
         it('should penalize very short text', () => {
             const veryShort = 'Coverage.';
             const analysis = analyzeText(veryShort);
-            const confidence = calculateConfidence(veryShort, analysis);
+            const confidence = calculateConfidence(veryShort, analysis).score;
             assert.ok(confidence < 0.6, `Very short text should have low confidence: ${confidence}`);
         });
     });
@@ -42,8 +42,8 @@ describe('calculateConfidence', () => {
 
             analysisWithName.productName = 'Tire & Wheel Protection Plan';
 
-            const confWithName = calculateConfidence(textWithName, analysisWithName);
-            const confWithoutName = calculateConfidence(textWithoutName, analysisWithoutName);
+            const confWithName = calculateConfidence(textWithName, analysisWithName).score;
+            const confWithoutName = calculateConfidence(textWithoutName, analysisWithoutName).score;
 
             assert.ok(confWithName > confWithoutName);
         });
@@ -53,8 +53,8 @@ describe('calculateConfidence', () => {
             const analysisWithType = { ...analysis, productType: 'GAP Coverage' };
 
             const text = 'Some coverage text here.';
-            const conf1 = calculateConfidence(text, analysis);
-            const conf2 = calculateConfidence(text, analysisWithType);
+            const conf1 = calculateConfidence(text, analysis).score;
+            const conf2 = calculateConfidence(text, analysisWithType).score;
 
             assert.ok(conf2 > conf1);
         });
@@ -71,8 +71,8 @@ describe('calculateConfidence', () => {
             };
 
             const text = 'Sample text for testing.';
-            const conf1 = calculateConfidence(text, analysis1);
-            const conf2 = calculateConfidence(text, analysis2);
+            const conf1 = calculateConfidence(text, analysis1).score;
+            const conf2 = calculateConfidence(text, analysis2).score;
 
             assert.ok(conf2 > conf1, 'Coverage items should increase confidence');
         });
@@ -82,8 +82,8 @@ describe('calculateConfidence', () => {
             const analysis2 = { coverage: [], benefits: ['Peace of mind'], limitations: [], disclaimers: [] };
 
             const text = 'Sample text.';
-            const conf1 = calculateConfidence(text, analysis1);
-            const conf2 = calculateConfidence(text, analysis2);
+            const conf1 = calculateConfidence(text, analysis1).score;
+            const conf2 = calculateConfidence(text, analysis2).score;
 
             assert.ok(conf2 > conf1);
         });
@@ -97,8 +97,8 @@ describe('calculateConfidence', () => {
             };
 
             const text = 'Sample text.';
-            const conf1 = calculateConfidence(text, analysis1);
-            const conf2 = calculateConfidence(text, analysis2);
+            const conf1 = calculateConfidence(text, analysis1).score;
+            const conf2 = calculateConfidence(text, analysis2).score;
 
             assert.ok(conf2 > conf1);
         });
@@ -111,8 +111,8 @@ describe('calculateConfidence', () => {
             };
 
             const text = 'Sample text.';
-            const conf1 = calculateConfidence(text, analysis1);
-            const conf2 = calculateConfidence(text, analysis2);
+            const conf1 = calculateConfidence(text, analysis1).score;
+            const conf2 = calculateConfidence(text, analysis2).score;
 
             assert.ok(conf2 > conf1);
         });
@@ -126,8 +126,8 @@ describe('calculateConfidence', () => {
             const cleanAnalysis = analyzeText(cleanText);
             const garbageAnalysis = analyzeText(garbageText);
 
-            const cleanConf = calculateConfidence(cleanText, cleanAnalysis);
-            const garbageConf = calculateConfidence(garbageText, garbageAnalysis);
+            const cleanConf = calculateConfidence(cleanText, cleanAnalysis).score;
+            const garbageConf = calculateConfidence(garbageText, garbageAnalysis).score;
 
             assert.ok(cleanConf > garbageConf,
                 `Clean text (${cleanConf}) should score higher than garbage (${garbageConf})`);
@@ -146,7 +146,7 @@ describe('calculateConfidence', () => {
             };
 
             const longText = 'A '.repeat(3000);
-            const conf = calculateConfidence(longText, perfectAnalysis);
+            const conf = calculateConfidence(longText, perfectAnalysis).score;
             assert.ok(conf <= 1, `Confidence should not exceed 1: ${conf}`);
         });
 
@@ -159,16 +159,77 @@ describe('calculateConfidence', () => {
             };
 
             const terribleText = '@#$%^&*()!@#$%';
-            const conf = calculateConfidence(terribleText, emptyAnalysis);
+            const conf = calculateConfidence(terribleText, emptyAnalysis).score;
             assert.ok(conf >= 0, `Confidence should not be negative: ${conf}`);
         });
     });
 
+    describe('Confidence Factors', () => {
+        const analysis = {
+            productName: 'Tire & Wheel Protection Plan',
+            productType: 'Tire & Wheel Protection',
+            coverage: ['Punctures', 'Blowouts'],
+            benefits: ['Roadside assistance'],
+            limitations: [],
+            disclaimers: []
+        };
+        const text = 'Tire & Wheel Protection Plan covers punctures and blowouts. '.repeat(20);
+
+        it('should explain each factor with its contribution', () => {
+            const { factors } = calculateConfidence(text, analysis);
+
+            assert.deepStrictEqual(factors.map(factor => factor.factor), [
+                'textLength', 'productIdentified', 'coverageItems', 'sections',
+                'sentences', 'garbageRatio', 'ocrQuality', 'truncation'
+            ]);
+            assert.deepStrictEqual(factors.find(factor => factor.factor === 'coverageItems'), {
+                factor: 'coverageItems',
+                contribution: 0,
+                explanation: 'Only 2 coverage items found (3 or more expected)'
+            });
+            assert.strictEqual(
+                factors.find(factor => factor.factor === 'sections').explanation,
+                'Benefits found; no limitations and disclaimers'
+            );
+            assert.strictEqual(factors.find(factor => factor.factor === 'productIdentified').contribution, 0.15);
+        });
+
+        it('should add up to the score from a base of 0.5', () => {
+            const { score, factors } = calculateConfidence(text, analysis);
+            const total = factors.reduce((sum, factor) => sum + factor.contribution, 0.5);
+
+            assert.strictEqual(score, Math.round(total * 100) / 100);
+        });
+
+        it('should explain OCR quality and pages left unread', () => {
+            const { factors } = calculateConfidence(text, analysis, { ocrConfidence: 0.7, pagesRead: 10, pageCount: 24 });
+
+            assert.deepStrictEqual(factors.slice(-2), [
+                {
+                    factor: 'ocrQuality',
+                    contribution: -0.15,
+                    explanation: 'Text was read from a scan with OCR at 70% recognition confidence'
+                },
+                { factor: 'truncation', contribution: -0.1, explanation: 'Only the first 10 of 24 pages were read' }
+            ]);
+        });
+
+        it('should say where the text came from for each format', () => {
+            const explanation = (formats) => calculateConfidence(text, analysis, { formats })
+                .factors.find(factor => factor.factor === 'ocrQuality').explanation;
+
+            assert.strictEqual(explanation(undefined), "Text was read from the PDF's text layer");
+            assert.strictEqual(explanation(['docx']), 'Text was read from the Word document');
+            assert.strictEqual(explanation(['txt']), 'Text was read from the text file');
+            assert.strictEqual(explanation(['pdf', 'html', 'pdf']), "Text was read from the PDF's text layer and the HTML document");
+        });
+    });
+
     describe('Threshold Behavior', () => {
         it('should be below 0.8 for poor quality extraction', () => {
             const poorText = 'Random short text.';
             const poorAnalysis = { coverage: [], benefits: [], limitations: [], disclaimers: [] };
-            const conf = calculateConfidence(poorText, poorAnalysis);
+            const conf = calculateConfidence(poorText, poorAnalysis).score;
             assert.ok(conf < 0.8, `Poor extraction should have low confidence: ${conf}`);
         });
 
@@ -197,7 +258,7 @@ describe('calculateConfidence', () => {
             goodAnalysis.benefits = ['24/7 roadside assistance', 'No deductible'];
             goodAnalysis.disclaimers = ['See contract for details'];
 
-            const conf = calculateConfidence(goodText, goodAnalysis);
+            const conf = calculateConfidence(goodText, goodAnalysis).score;
             assert.ok(conf >= 0.8, `Good extraction should have high confidence: ${conf}`);
         });
     });
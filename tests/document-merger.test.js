@@ -0,0 +1,127 @@
+/**
+ * Unit Tests - Multi-Document Extraction
+ * Tests merging a brochure and contract into one extraction, with provenance and conflict warnings
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { mergeAnalyses, findConflicts } = require('../services/document-merger');
+const { extractFromDocuments } = require('../services/pdf-extractor');
+const { extractTerms } = require('../services/terms-extractor');
+const { resetAIClient } = require('../services/ai-provider');
+const { buildPDF } = require('./helpers/pdf');
+
+const BROCHURE = [
+    'Tire & Wheel Protection Plan',
+    'Drive with confidence on every road.',
+    'Benefit: 24/7 roadside assistance with every plan.',
+    '• Tire punctures from nails, glass, and debris',
+    'Term: 36 months or 48 months.'
+];
+
+const CONTRACT = [
+    'Tire & Wheel Protection Contract',
+    'This contract covers tires and wheels damaged by road hazards.',
+    'Term: 36 months or 60 months.',
+    'Exclusions: cosmetic damage and racing are not covered.',
+    'Deductible: $50'
+];
+
+describe('mergeAnalyses', () => {
+    it('should take the first product name and type and combine sections without repeats', () => {
+        const merged = mergeAnalyses([
+            { productName: null, productType: 'GAP Coverage', coverage: ['Total loss'], benefits: ['Peace of mind'], limitations: [], disclaimers: [] },
+            { productName: 'GAP Plus', productType: 'Extended Warranty', coverage: ['total loss', 'Deductible'], benefits: [], limitations: ['Racing'], disclaimers: [] }
+        ]);
+
+        assert.deepStrictEqual(merged, {
+            productName: 'GAP Plus',
+            productType: 'GAP Coverage',
+            productTypes: ['GAP Coverage'],
+            productTypeCandidates: [],
+            coverage: ['Total loss', 'Deductible'],
+            benefits: ['Peace of mind'],
+            limitations: ['Racing'],
+            disclaimers: []
+        });
+    });
+});
+
+describe('findConflicts', () => {
+    const analysis = { productType: 'Tire & Wheel Protection' };
+
+    it('should warn about terms the documents state differently', () => {
+        const conflicts = findConflicts([
+            { name: 'brochure.pdf', analysis, terms: extractTerms(['Term: 36 months or 48 months. Deductible: $50']) },
+            { name: 'contract.pdf', analysis, terms: extractTerms(['', 'Term: 36 months or 60 months. Deductible: $50']) }
+        ]);
+
+        assert.deepStrictEqual(conflicts, [{
+            field: 'termMonths',
+            message: 'Term lengths differ between documents: brochure.pdf (page 1) states 36 or 48 months; ' +
+                'contract.pdf (page 2) states 36 or 60 months. Check which applies before publishing.',
+            values: [
+                { document: 'brochure.pdf', value: [36, 48], page: 1 },
+                { document: 'contract.pdf', value: [36, 60], page: 2 }
+            ]
+        }]);
+    });
+
+    it('should warn when documents describe different product types', () => {
+        const [conflict] = findConflicts([
+            { name: 'a.pdf', analysis: { productType: 'GAP Coverage' }, terms: extractTerms(['']) },
+            { name: 'b.pdf', analysis: { productType: 'Key Replacement' }, terms: extractTerms(['']) }
+        ]);
+
+        assert.strictEqual(conflict.field, 'productType');
+        assert.match(conflict.message, /a\.pdf \(GAP Coverage\), b\.pdf \(Key Replacement\)/);
+    });
+});
+
+describe('extractFromDocuments', () => {
+    before(() => {
+        process.env.AI_PROVIDER = 'stub';
+        delete process.env.AI_CASSETTE;
+        resetAIClient();
+    });
+
+    after(() => {
+        delete process.env.AI_PROVIDER;
+        resetAIClient();
+    });
+
+    it('should generate one description pair from a brochure and its contract', async () => {
+        const result = await extractFromDocuments([
+            { buffer: buildPDF([BROCHURE]), name: 'brochure.pdf' },
+            { buffer: buildPDF([['Definitions and general provisions of this agreement.'], CONTRACT]), name: 'contract.pdf' }
+        ]);
+
+        assert.strictEqual(result.success, true);
+        assert.strictEqual(result.pageCount, 3);
+        assert.deepStrictEqual(result.sourcePages, [1, 2, 3]);
+        assert.deepStrictEqual(
+            result.documents.map(document => [document.name, document.format, document.pages]),
+            [['brochure.pdf', 'pdf', [1, 1]], ['contract.pdf', 'pdf', [2, 3]]]
+        );
+
+        // Benefits come from the brochure, limitations from the contract
+        assert.deepStrictEqual(result.documents[0].sections.limitations, []);
+        assert.ok(result.sections.benefits.some(item => item.includes('roadside assistance')));
+        assert.ok(result.sections.limitations.some(item => item.includes('cosmetic damage')));
+
+        // Terms are numbered across documents, and the disagreement is a warning
+        assert.strictEqual(result.extractedTerms.deductible.page, 3);
+        assert.deepStrictEqual(result.documentConflicts.map(conflict => conflict.field), ['termMonths']);
+        assert.deepStrictEqual(result.documentConflicts[0].values.map(value => value.page), [1, 3]);
+    });
+
+    it('should name the document that could not be read', async () => {
+        const result = await extractFromDocuments([
+            { buffer: buildPDF([BROCHURE]), name: 'brochure.pdf' },
+            { buffer: Buffer.from('   '), format: 'txt', name: 'notes.txt' }
+        ]);
+
+        assert.strictEqual(result.success, false);
+        assert.match(result.error, /^notes\.txt: No text could be extracted/);
+    });
+});
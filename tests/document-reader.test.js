@@ -0,0 +1,177 @@
+/**
+ * Unit Tests - Document Reader
+ * Tests reading Word, HTML and plain-text product documents into page text and tables
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { detectFormat, readDocument, readHTML, checkZipSize } = require('../services/document-reader');
+const { extractFromDocument } = require('../services/pdf-extractor');
+const { buildDOCX } = require('./helpers/docx');
+const { useStubAI } = require('./helpers/stub-ai');
+
+const RATE_TABLE = [
+    ['Term', 'Mileage', 'Price'],
+    ['36 months', '36,000 miles', '$1,295'],
+    ['48 months', '60,000 miles', '$1,595']
+];
+
+describe('detectFormat', () => {
+    it('should detect formats from the MIME type', () => {
+        assert.strictEqual(detectFormat({ mimetype: 'application/pdf', originalname: 'plan.pdf' }), 'pdf');
+        assert.strictEqual(detectFormat({ mimetype: 'text/html; charset=utf-8', originalname: 'plan' }), 'html');
+        assert.strictEqual(detectFormat({ mimetype: 'text/plain', originalname: 'plan.txt' }), 'txt');
+        assert.strictEqual(detectFormat({
+            mimetype: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+            originalname: 'plan.docx'
+        }), 'docx');
+    });
+
+    it('should fall back to the extension only for generic MIME types', () => {
+        assert.strictEqual(detectFormat({ mimetype: 'application/octet-stream', originalname: 'Plan.DOCX' }), 'docx');
+        assert.strictEqual(detectFormat({ mimetype: 'image/png', originalname: 'plan.pdf' }), null);
+        assert.strictEqual(detectFormat({ mimetype: 'application/msword', originalname: 'plan.doc' }), null);
+    });
+});
+
+describe('readHTML', () => {
+    it('should read blocks as lines and list items as bullets', () => {
+        const { text } = readHTML(`<!DOCTYPE html>
+            <html><head><title>Shop</title><style>p { color: red; }</style></head>
+            <body>
+                <nav><a href="/">Home</a> <a href="/plans">Plans</a></nav>
+                <h1>Tire &amp; Wheel Protection</h1>
+                <p>Covers damage from
+                   road hazards.<br>Claims are paid directly.</p>
+                <ul><li>Tire punctures</li><li>Bent <strong>wheels</strong></li></ul>
+                <script>track('view');</script>
+            </body></html>`);
+
+        assert.strictEqual(text, [
+            'Tire & Wheel Protection',
+            'Covers damage from road hazards.',
+            'Claims are paid directly.',
+            '• Tire punctures',
+            '• Bent wheels'
+        ].join('\n'));
+    });
+
+    it('should read data tables as rows and columns', () => {
+        const rows = RATE_TABLE.map((row, index) => {
+            const tag = index === 0 ? 'th' : 'td';
+            return `<tr>${row.map(cell => `<${tag}>${cell}</${tag}>`).join('')}</tr>`;
+        });
+        const { text, tables } = readHTML(`<table><thead>${rows[0]}</thead><tbody>${rows.slice(1).join('')}</tbody></table>`);
+
+        assert.deepStrictEqual(tables, [{ page: 1, kind: 'rates', columns: RATE_TABLE[0], rows: RATE_TABLE.slice(1) }]);
+        assert.strictEqual(text.split('\n')[0], 'Term: 36 months; Mileage: 36,000 miles; Price: $1,295.');
+    });
+
+    it('should read layout tables as text', () => {
+        const prose = 'This protection covers your tires and wheels against damage from road hazards.';
+        const { text, tables } = readHTML(`<table><tr><td>${prose}</td><td>${prose}</td></tr>` +
+            `<tr><td>${prose}</td><td>${prose}</td></tr></table>`);
+
+        assert.deepStrictEqual(tables, []);
+        assert.strictEqual(text, Array(4).fill(prose).join('\n'));
+    });
+});
+
+describe('readDocument', () => {
+    it('should read a Word document with headings and tables', async () => {
+        const document = await readDocument(buildDOCX([
+            { heading: 'Powertrain Plus Service Contract' },
+            'This service contract pays for repairs to covered parts.',
+            { table: RATE_TABLE }
+        ]), 'docx');
+
+        assert.strictEqual(document.pageCount, 1);
+        assert.strictEqual(document.pages[0], [
+            'Powertrain Plus Service Contract',
+            'This service contract pays for repairs to covered parts.',
+            'Term: 36 months; Mileage: 36,000 miles; Price: $1,295.',
+            'Term: 48 months; Mileage: 60,000 miles; Price: $1,595.'
+        ].join('\n'));
+        assert.deepStrictEqual(document.tables.map(table => table.kind), ['rates']);
+    });
+
+    it('should split plain text into pages at form feeds', async () => {
+        const document = await readDocument(Buffer.from('\uFEFFPage one\r\nsecond line\fPage two\n'), 'txt');
+
+        assert.deepStrictEqual(document, { pageCount: 2, pages: ['Page one\nsecond line', 'Page two'], tables: [] });
+    });
+
+    it('should read compressed Word documents', async () => {
+        const document = await readDocument(buildDOCX(['Covers lost keys.'], { deflate: true }), 'docx');
+        assert.strictEqual(document.pages[0], 'Covers lost keys.');
+    });
+});
+
+describe('checkZipSize', () => {
+    // 200,000 characters deflate to a few hundred bytes
+    const BOMB_TEXT = 'Covered. '.repeat(22000);
+
+    it('should refuse Word files that declare more than the limit', async () => {
+        await assert.rejects(
+            readDocument(buildDOCX([BOMB_TEXT], { deflate: true }), 'docx', { maxBytes: 100000 }),
+            error => error.code === 'DOCUMENT_TOO_LARGE' && /expands to more than 0\.1MB/.test(error.message)
+        );
+    });
+
+    it('should refuse Word files that inflate past the limit despite small declared sizes', () => {
+        const docx = buildDOCX([BOMB_TEXT], { deflate: true, declaredSize: 10 });
+        assert.throws(() => checkZipSize(docx, 100000), error => error.code === 'DOCUMENT_TOO_LARGE');
+    });
+
+    it('should refuse files that are not zip archives', async () => {
+        await assert.rejects(
+            readDocument(Buffer.from('Not a zip'), 'docx'),
+            error => error.code === 'INVALID_DOCUMENT'
+        );
+    });
+
+    it('should accept Word files within the limit', () => {
+        assert.doesNotThrow(() => checkZipSize(buildDOCX([BOMB_TEXT], { deflate: true }), 1000000));
+    });
+});
+
+describe('extractFromDocument', () => {
+    useStubAI();
+
+    it('should generate descriptions from an HTML product page', async () => {
+        const result = await extractFromDocument(Buffer.from(`
+            <h1>Tire &amp; Wheel Protection Plan</h1>
+            <p>This protection covers your tires and wheels against damage from road hazards.</p>
+            <ul><li>Tire punctures from nails, glass, and debris</li><li>Wheel and rim damage from potholes</li></ul>
+        `), { format: 'html' });
+
+        assert.strictEqual(result.success, true);
+        assert.strictEqual(result.format, 'html');
+        assert.strictEqual(result.ocrUsed, false);
+        assert.strictEqual(result.sections.productType, 'Tire & Wheel Protection');
+        assert.ok(result.longDescription.includes('<li>Wheel and rim damage from potholes.</li>'));
+    });
+
+    it('should fail without OCR for documents with no text', async () => {
+        const result = await extractFromDocument(Buffer.from('<p> </p>'), { format: 'html' });
+
+        assert.strictEqual(result.success, false);
+        assert.match(result.error, /No text could be extracted from this document/);
+    });
+
+    it('should say why an oversized Word file was not read', async () => {
+        const result = await extractFromDocument(buildDOCX(['x'], { declaredSize: 0xffffffff }), { format: 'docx' });
+
+        assert.strictEqual(result.success, false);
+        assert.match(result.error, /This Word file expands to more than 50MB and was not read/);
+    });
+
+    it('should explain confidence by the document format', async () => {
+        const result = await extractFromDocument(Buffer.from(
+            'Tire & Wheel Protection Plan\nThis protection covers your tires and wheels against damage from road hazards.'
+        ), { format: 'txt' });
+
+        const factor = result.confidenceFactors.find(({ factor: name }) => name === 'ocrQuality');
+        assert.strictEqual(factor.explanation, 'Text was read from the text file');
+    });
+});
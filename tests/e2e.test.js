@@ -5,12 +5,20 @@
 
 const { describe, it } = require('node:test');
 const assert = require('node:assert');
+const path = require('node:path');
+
+// Run against the deterministic stub model and recorded cassette - no network or API key
+process.env.AI_PROVIDER = 'stub';
+process.env.AI_CASSETTE = path.join(__dirname, 'fixtures/cassettes/enhancement.json');
+delete process.env.AI_CASSETTE_MODE;
 
 // Import services directly for e2e testing without server
 const { enhanceDescriptions } = require('../services/enhancer');
+const { resetAIClient } = require('../services/ai-provider');
 const { extractFromPDF, analyzeText, calculateConfidence } = require('../services/pdf-extractor');
 const { sanitizeHTML } = require('../services/sanitizer');
 const { checkCompliance, ensureDisclaimer } = require('../services/compliance');
+const { buildPDF } = require('./helpers/pdf');
 
 describe('E2E: Text Enhancement Flow', () => {
 
@@ -22,8 +30,12 @@ describe('E2E: Text Enhancement Flow', () => {
         // Step 2: Enhance with AI
         const enhanced = await enhanceDescriptions(userShort, userLong);
 
-        assert.ok(enhanced.shortDescription, 'Should have short description');
-        assert.ok(enhanced.longDescription, 'Should have long description');
+        // Recorded model output is replayed from the cassette
+        assert.strictEqual(
+            enhanced.shortDescription,
+            "Drive with confidence knowing tire damage from road hazards is covered, whether you're on pavement or exploring off-road trails."
+        );
+        assert.ok(enhanced.longDescription.startsWith('<p>Unexpected tire damage'), 'Should have long description');
 
         // Step 3: Short description should be max 3 sentences
         const sentences = enhanced.shortDescription.split(/[.!?]+/).filter(s => s.trim());
@@ -54,6 +66,7 @@ describe('E2E: Text Enhancement Flow', () => {
     it('should handle minimal input gracefully', async () => {
         const enhanced = await enhanceDescriptions('tires', '');
 
+        assert.strictEqual(enhanced.shortDescription, 'Enjoy peace of mind with protection for tires.');
         assert.ok(enhanced.shortDescription.length > 10, 'Should expand minimal input');
         assert.ok(enhanced.longDescription.includes('<'), 'Long should have HTML');
     });
@@ -62,6 +75,10 @@ describe('E2E: Text Enhancement Flow', () => {
         const original = 'Covers engine and transmission repairs after warranty expires.';
         const enhanced = await enhanceDescriptions(original, '');
 
+        // Output should be rewritten, not echoed back
+        assert.notStrictEqual(enhanced.shortDescription, original);
+        assert.ok(enhanced.longDescription.startsWith('<p>'), 'Long should be HTML');
+
         // Should still mention the key concepts
         const combined = (enhanced.shortDescription + enhanced.longDescription).toLowerCase();
         assert.ok(
@@ -74,6 +91,8 @@ describe('E2E: Text Enhancement Flow', () => {
     it('should produce editable output', async () => {
         const enhanced = await enhanceDescriptions('Gap coverage for loans.', '');
 
+        assert.ok(enhanced.shortDescription.startsWith('GAP coverage helps protect you'));
+
         // User should be able to modify
         let editedShort = enhanced.shortDescription + ' [Edited by user]';
         let editedLong = enhanced.longDescription.replace('</p>', ' [Custom note]</p>');
@@ -85,6 +104,41 @@ describe('E2E: Text Enhancement Flow', () => {
     });
 });
 
+describe('E2E: Degraded AI Flow', () => {
+
+    it('should not flag output from a healthy provider', async () => {
+        const enhanced = await enhanceDescriptions('tires', '');
+        assert.strictEqual(enhanced.degraded, false);
+        assert.strictEqual(enhanced.degradedReason, null);
+    });
+
+    it('should flag fallback text when the AI provider is unreachable', async () => {
+        const saved = { ...process.env };
+        process.env.AI_PROVIDER = 'worker';
+        process.env.CLOUDFLARE_WORKER_URL = 'http://127.0.0.1:9';
+        process.env.AI_MAX_RETRIES = '0';
+        resetAIClient();
+
+        try {
+            const enhanced = await enhanceDescriptions('Covers tire damage.', '');
+            assert.strictEqual(enhanced.degraded, true);
+            assert.ok(enhanced.degradedReason.startsWith('AI service unavailable'), enhanced.degradedReason);
+            assert.strictEqual(enhanced.shortDescription, 'Covers tire damage.', 'Should fall back to the original');
+
+            const extracted = await extractFromPDF(buildPDF([[
+                'Tire and Wheel Protection Plan',
+                'Covers repair or replacement of tires damaged by road hazards.'
+            ]]));
+            assert.strictEqual(extracted.success, true);
+            assert.strictEqual(extracted.degraded, true);
+            assert.ok(extracted.shortDescription.length > 0);
+        } finally {
+            process.env = saved;
+            resetAIClient();
+        }
+    });
+});
+
 describe('E2E: PDF Extraction Flow', () => {
 
     it('should complete full PDF text analysis flow', () => {
@@ -120,7 +174,7 @@ describe('E2E: PDF Extraction Flow', () => {
         assert.ok(analysis.coverage.length > 0, 'Should extract coverage items');
 
         // Step 2: Calculate confidence
-        const confidence = calculateConfidence(pdfText, analysis);
+        const confidence = calculateConfidence(pdfText, analysis).score;
 
         assert.ok(confidence >= 0 && confidence <= 1, 'Confidence should be 0-1');
         assert.ok(confidence >= 0.7, `Good document should have decent confidence: ${confidence}`);
@@ -132,10 +186,31 @@ describe('E2E: PDF Extraction Flow', () => {
         }
     });
 
+    it('should generate descriptions from a PDF file', async () => {
+        const pdf = buildPDF([[
+            'Tire & Wheel Protection Plan',
+            'This protection covers your tires and wheels against damage from road hazards.',
+            '• Tire punctures from nails, glass, and debris',
+            '• Wheel and rim damage from potholes',
+            'Please review your contract for complete terms and conditions.'
+        ]]);
+
+        const result = await extractFromPDF(pdf);
+
+        assert.strictEqual(result.success, true);
+        assert.strictEqual(result.pageCount, 1);
+        assert.strictEqual(result.sections.productType, 'Tire & Wheel Protection');
+        assert.strictEqual(
+            result.shortDescription,
+            'Tire & Wheel Protection Plan covers tire punctures from nails, glass, and debris and wheel and rim damage from potholes.'
+        );
+        assert.ok(result.longDescription.includes('<li>Wheel and rim damage from potholes.</li>'));
+    });
+
     it('should handle poor quality extraction', () => {
         const poorText = 'Random text without structure.';
         const analysis = analyzeText(poorText);
-        const confidence = calculateConfidence(poorText, analysis);
+        const confidence = calculateConfidence(poorText, analysis).score;
 
         assert.ok(confidence < 0.8, 'Poor text should have low confidence');
     });
@@ -170,9 +245,9 @@ describe('E2E: Compliance Flow', () => {
         const enhanced = await enhanceDescriptions(problematic, '');
         const finalCompliance = checkCompliance(enhanced.shortDescription, enhanced.longDescription);
 
-        // The AI should have cleaned it up (depending on prompt strictness)
-        // If it still has issues, that's also okay to report, but we've verified the checker works.
-        console.log('Final compliance warnings:', finalCompliance.warnings);
+        // The model should have cleaned it up
+        assert.strictEqual(finalCompliance.hasIssues, false, finalCompliance.warnings.join('; '));
+        assert.ok(!/act now/i.test(enhanced.shortDescription), 'Pressure tactics should be dropped');
     });
 
     it('should pass clean content without warnings', async () => {
@@ -184,8 +259,8 @@ describe('E2E: Compliance Flow', () => {
         const compliance = checkCompliance(enhanced.shortDescription, withDisclaimer);
 
         // Enhanced content should be clean if input was clean
-        // (Mock enhancer doesn't add problematic language)
-        assert.ok(Array.isArray(compliance.warnings));
+        assert.strictEqual(compliance.hasIssues, false, compliance.warnings.join('; '));
+        assert.ok(withDisclaimer.includes('<ul>'), 'Long description should be structured');
     });
 });
 
@@ -0,0 +1,75 @@
+/**
+ * Unit Tests - Fact Preservation
+ * Tests that facts added by the AI are flagged (PRD Sections 5.5 and 9.1)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { extractFacts, checkFactPreservation } = require('../services/fact-checker');
+
+function valuesOf(facts, type) {
+    return facts.filter(fact => fact.type === type).map(fact => fact.value);
+}
+
+describe('extractFacts', () => {
+    it('should normalize dollar amounts', () => {
+        const facts = extractFacts('Up to $800 per key, $1,500 per claim, $2.5k aggregate or 50 dollars deductible.');
+        assert.deepStrictEqual(valuesOf(facts, 'amount'), [800, 1500, 2500, 50]);
+    });
+
+    it('should normalize mileage', () => {
+        const facts = extractFacts('Valid to 100,000 miles or 75k-mile limit.');
+        assert.deepStrictEqual(valuesOf(facts, 'mileage'), [100000, 75000]);
+    });
+
+    it('should normalize term lengths to months', () => {
+        const facts = extractFacts('A 3-year plan, renewable for 24 months or five years.');
+        assert.deepStrictEqual(valuesOf(facts, 'term'), [36, 24, 60]);
+    });
+
+    it('should extract percentages', () => {
+        const facts = extractFacts('Save 10% on parts and 2.5 percent on labor.');
+        assert.deepStrictEqual(valuesOf(facts, 'percentage'), [10, 2.5]);
+    });
+
+    it('should extract named components', () => {
+        const facts = extractFacts('<p>Covers the engine, transmission and tires.</p>');
+        assert.deepStrictEqual(valuesOf(facts, 'component'), ['engine', 'transmission', 'tires']);
+    });
+
+    it('should not treat section headers as components', () => {
+        const facts = extractFacts('<p><strong>Key Benefits:</strong></p>');
+        assert.deepStrictEqual(valuesOf(facts, 'component'), []);
+    });
+});
+
+describe('checkFactPreservation', () => {
+    it('should pass output that only restates source facts', () => {
+        const result = checkFactPreservation(
+            'Covers key replacement up to $800 for 3 years.',
+            '<p>Replace lost keys with up to $800 of coverage over 36 months.</p>'
+        );
+        assert.strictEqual(result.hasIssues, false);
+        assert.deepStrictEqual(result.warnings, []);
+    });
+
+    it('should flag invented amounts, terms and components', () => {
+        const result = checkFactPreservation(
+            'Covers tire damage from road hazards.',
+            'Tire damage is covered up to $500 per tire for 5 years, including wheels.'
+        );
+        assert.strictEqual(result.hasIssues, true);
+        assert.deepStrictEqual(result.unsupported.map(f => f.type), ['amount', 'term', 'component']);
+        assert.ok(result.warnings[0].includes('"$500"'));
+    });
+
+    it('should report each invented fact once', () => {
+        const result = checkFactPreservation('Covers dents.', 'Up to $300. Really, up to $300.');
+        assert.strictEqual(result.warnings.length, 1);
+    });
+
+    it('should handle empty input', () => {
+        assert.strictEqual(checkFactPreservation('', '').hasIssues, false);
+        assert.strictEqual(checkFactPreservation(null, undefined).hasIssues, false);
+    });
+});
@@ -0,0 +1,151 @@
+/**
+ * Unit Tests - Fake Model & Cassettes
+ * Tests for fixture lookup, deterministic generation and cassette record/replay
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { createFakeModel, generateResponse, promptHash, chunkText } = require('../services/fake-model');
+const { loadCassette, createRecordingProvider } = require('../services/cassette');
+const { createAIClient, getAIConfig } = require('../services/ai-provider');
+
+const MESSAGES = [{ role: 'user', content: 'Enhance: tires' }];
+
+describe('promptHash', () => {
+    it('should be stable for the same prompt', () => {
+        assert.strictEqual(promptHash(MESSAGES), promptHash([{ role: 'user', content: 'Enhance: tires' }]));
+    });
+
+    it('should differ for different prompts', () => {
+        assert.notStrictEqual(promptHash(MESSAGES), promptHash([{ role: 'user', content: 'Enhance: wheels' }]));
+    });
+});
+
+describe('createFakeModel', () => {
+    it('should prefer a fixture matched by prompt hash', async () => {
+        const model = createFakeModel({
+            fixtures: [
+                { hash: promptHash(MESSAGES), output: 'by hash' },
+                { task: 'enhance-short', input: 'tires', output: 'by input' }
+            ]
+        });
+        assert.strictEqual(await model.complete({ task: 'enhance-short', input: 'tires', messages: MESSAGES }), 'by hash');
+    });
+
+    it('should fall back to a fixture matched by task and input', async () => {
+        const model = createFakeModel({
+            fixtures: [{ task: 'enhance-short', input: 'tires  ', output: 'by input' }]
+        });
+        const output = await model.complete({ task: 'enhance-short', input: ' tires', messages: [] });
+        assert.strictEqual(output, 'by input');
+    });
+
+    it('should stream the same output in word-sized chunks', async () => {
+        const model = createFakeModel();
+        const chunks = [];
+        for await (const chunk of model.stream({ task: 'enhance-short', input: 'tires', messages: [] })) {
+            chunks.push(chunk);
+        }
+        assert.deepStrictEqual(chunks, chunkText('Enjoy peace of mind with protection for tires.'));
+        assert.strictEqual(chunks.join(''), 'Enjoy peace of mind with protection for tires.');
+    });
+
+    it('should generate a response when no fixture matches', async () => {
+        const model = createFakeModel();
+        const output = await model.complete({ task: 'enhance-short', input: 'tires', messages: [] });
+        assert.strictEqual(output, 'Enjoy peace of mind with protection for tires.');
+    });
+});
+
+describe('generateResponse', () => {
+    it('should keep short descriptions plain and under 200 characters', () => {
+        const output = generateResponse({ task: 'enhance-short', input: '<p>' + 'Covers engine repairs. '.repeat(20) + '</p>' });
+        assert.ok(output.length <= 200);
+        assert.ok(!/<[^>]+>/.test(output));
+    });
+
+    it('should structure long descriptions with a header above the list', () => {
+        const output = generateResponse({ task: 'enhance-long', input: 'Covers dents. Mobile repair service.' });
+        assert.strictEqual(output, '<p>Covers dents.</p><p><strong>Key Benefits:</strong></p><ul><li>Mobile repair service.</li></ul>');
+    });
+
+    it('should rewrite prohibited language and drop pressure tactics', () => {
+        const output = generateResponse({ task: 'enhance-short', input: 'The best plan! Guaranteed approval. Act now!' });
+        assert.ok(!/best|guarantee|act now|!/i.test(output), output);
+    });
+
+    it('should leave terms that carry meaning as written', () => {
+        const output = generateResponse({
+            task: 'compliance-rewrite',
+            input: 'You will never pay a deductible. Maintenance is mandatory. Registration is required by law. Always covered.'
+        });
+        assert.strictEqual(output, 'You will never pay a deductible. Maintenance is mandatory. Registration is required by law. Always covered.');
+    });
+
+    it('should keep acronyms and capitals as written', () => {
+        assert.strictEqual(
+            generateResponse({ task: 'enhance-short', input: 'GAP coverage pays the loan balance after a total loss.' }),
+            'Enjoy peace of mind: GAP coverage pays the loan balance after a total loss.'
+        );
+        const output = JSON.parse(generateResponse({
+            task: 'generate-from-document',
+            input: 'GAP Plus\n• GAP loan balance\n• Deductible up to $1,000'
+        }));
+        assert.strictEqual(output.shortDescription, 'GAP Plus covers GAP loan balance and deductible up to $1,000.');
+    });
+
+    it('should drop script content', () => {
+        const output = generateResponse({ task: 'enhance-long', input: '<script>alert(1)</script>Covers keys.' });
+        assert.ok(!output.includes('alert'));
+    });
+
+    it('should return JSON for document generation', () => {
+        const output = JSON.parse(generateResponse({
+            task: 'generate-from-document',
+            input: 'Paint Protection Plan\n• Bird dropping stains\n• Tree sap'
+        }));
+        assert.strictEqual(output.shortDescription, 'Paint Protection Plan covers bird dropping stains and tree sap.');
+        assert.ok(output.longDescription.includes('<li>Tree sap.</li>'));
+    });
+
+    it('should sort a document chunk into notes', () => {
+        const notes = JSON.parse(generateResponse({
+            task: 'summarize-document-chunk',
+            input: '[Page 3]\nGold Service Contract\nThis plan covers engine repairs at any shop.\nDamage from racing is not covered.'
+        }));
+        assert.strictEqual(notes.productName, 'Gold Service Contract');
+        assert.deepStrictEqual(notes.coverage, ['This plan covers engine repairs at any shop.']);
+        assert.deepStrictEqual(notes.exclusions, ['Damage from racing is not covered.']);
+    });
+});
+
+describe('Cassettes', () => {
+    it('should record interactions and replay them through the stub', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fi-cassette-'));
+        const cassette = path.join(dir, 'recorded.json');
+
+        try {
+            const realProvider = { name: 'fake-real', model: 'test', complete: async () => 'Recorded output.' };
+            const recorder = createRecordingProvider(realProvider, cassette);
+            await recorder.complete({ task: 'enhance-short', input: 'tires', messages: MESSAGES });
+            await recorder.complete({ task: 'enhance-short', input: 'tires', messages: MESSAGES });
+
+            const interactions = loadCassette(cassette);
+            assert.strictEqual(interactions.length, 1, 'Re-recording a prompt should replace it');
+            assert.strictEqual(interactions[0].hash, promptHash(MESSAGES));
+
+            const client = createAIClient(getAIConfig({ AI_PROVIDER: 'stub', AI_CASSETTE: cassette }));
+            const output = await client.complete({ task: 'enhance-short', input: 'tires', messages: MESSAGES });
+            assert.strictEqual(output, 'Recorded output.');
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it('should return no interactions for a missing cassette', () => {
+        assert.deepStrictEqual(loadCassette(path.join(os.tmpdir(), 'does-not-exist.json')), []);
+    });
+});
@@ -0,0 +1,124 @@
+/**
+ * Test Helper - Minimal DOCX Builder
+ * Builds small Word documents (paragraphs, headings and tables) in memory as
+ * a zip, so extraction tests need no binary fixtures
+ */
+
+const zlib = require('zlib');
+
+function escapeXml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Write files into a zip archive
+ * @param {Array<{name: string, data: string}>} files
+ * @param {Object} [options]
+ * @param {boolean} [options.deflate] - Compress the entries (default: stored)
+ * @param {number} [options.declaredSize] - Uncompressed size to claim for every entry, instead of the real one
+ * @returns {Buffer}
+ */
+function writeZip(files, { deflate = false, declaredSize } = {}) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = Buffer.from(file.name, 'utf8');
+        const content = Buffer.from(file.data, 'utf8');
+        const crc = zlib.crc32(content);
+        const data = deflate ? zlib.deflateRawSync(content) : content;
+        const size = declaredSize !== undefined ? declaredSize : content.length;
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(deflate ? 8 : 0, 8);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(data.length, 18);
+        local.writeUInt32LE(size, 22);
+        local.writeUInt16LE(name.length, 26);
+        locals.push(local, name, data);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(deflate ? 8 : 0, 10);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(data.length, 20);
+        central.writeUInt32LE(size, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt32LE(offset, 42);
+        centrals.push(central, name);
+
+        offset += local.length + name.length + data.length;
+    }
+
+    const directory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...locals, directory, end]);
+}
+
+function paragraphXml(text, style) {
+    const properties = style ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : '';
+    return `<w:p>${properties}<w:r><w:t xml:space="preserve">${escapeXml(text)}</w:t></w:r></w:p>`;
+}
+
+function tableXml(rows) {
+    const cells = row => row.map(cell => `<w:tc>${paragraphXml(cell)}</w:tc>`).join('');
+    return `<w:tbl>${rows.map(row => `<w:tr>${cells(row)}</w:tr>`).join('')}</w:tbl>`;
+}
+
+/**
+ * Build a DOCX from blocks
+ * @param {Array<string|{heading: string}|{table: string[][]}>} blocks - Paragraph text,
+ *   Heading 1 paragraphs, or tables as rows of cells
+ * @param {Object} [zipOptions] - writeZip options (deflate, declaredSize)
+ * @returns {Buffer}
+ */
+function buildDOCX(blocks, zipOptions) {
+    const body = blocks.map(block => {
+        if (typeof block === 'string') return paragraphXml(block);
+        if (block.heading) return paragraphXml(block.heading, 'Heading1');
+        return tableXml(block.table);
+    }).join('');
+
+    return writeZip([
+        {
+            name: '[Content_Types].xml',
+            data: '<?xml version="1.0" encoding="UTF-8"?>' +
+                '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/word/document.xml" ' +
+                'ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>' +
+                '</Types>'
+        },
+        {
+            name: '_rels/.rels',
+            data: '<?xml version="1.0" encoding="UTF-8"?>' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" ' +
+                'Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" ' +
+                'Target="word/document.xml"/>' +
+                '</Relationships>'
+        },
+        {
+            name: 'word/document.xml',
+            data: '<?xml version="1.0" encoding="UTF-8"?>' +
+                '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">' +
+                `<w:body>${body}</w:body></w:document>`
+        }
+    ], zipOptions);
+}
+
+module.exports = {
+    buildDOCX
+};
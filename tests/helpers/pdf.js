@@ -0,0 +1,170 @@
+/**
+ * Test Helper - Minimal PDF Builder
+ * Builds small text-only and scanned (image-only) PDFs in memory so extraction
+ * tests need no binary fixtures
+ */
+
+/**
+ * Escape text for a PDF literal string (WinAnsi encoded, so bullets survive)
+ */
+function escapePdfText(text) {
+    return text
+        .replace(/\\/g, '\\\\')
+        .replace(/\(/g, '\\(')
+        .replace(/\)/g, '\\)')
+        .replace(/•/g, '\\225');
+}
+
+/**
+ * Serialize PDF objects (strings or Buffers, indexed by object id) with an xref table
+ */
+function writePDF(objects) {
+    const chunks = [Buffer.from('%PDF-1.4\n', 'latin1')];
+    let length = chunks[0].length;
+    const offsets = [];
+
+    for (let id = 1; id < objects.length; id++) {
+        offsets[id] = length;
+        const body = Buffer.isBuffer(objects[id]) ? objects[id] : Buffer.from(objects[id], 'latin1');
+        const chunk = Buffer.concat([
+            Buffer.from(`${id} 0 obj\n`, 'latin1'),
+            body,
+            Buffer.from('\nendobj\n', 'latin1')
+        ]);
+        chunks.push(chunk);
+        length += chunk.length;
+    }
+
+    let trailer = `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+    for (let id = 1; id < objects.length; id++) {
+        trailer += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+    }
+    trailer += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${length}\n%%EOF\n`;
+    chunks.push(Buffer.from(trailer, 'latin1'));
+
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Build a PDF document
+ * @param {Array<Array<string|{text: string, x: number, y: number}>>} pages - Lines per page.
+ *   Plain strings are laid out top to bottom; objects are placed at x/y (points from bottom-left).
+ * @returns {Buffer}
+ */
+function buildPDF(pages) {
+    const objects = [];
+    const pageCount = pages.length;
+
+    // 1: catalog, 2: pages tree, 3: font, then page + content stream per page
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+
+    const kids = [];
+    pages.forEach((lines, index) => {
+        const pageId = 4 + index * 2;
+        const contentId = pageId + 1;
+        kids.push(`${pageId} 0 R`);
+
+        const operations = lines.map((line, lineIndex) => {
+            const item = typeof line === 'string'
+                ? { text: line, x: 72, y: 740 - lineIndex * 16 }
+                : line;
+            return `BT /F1 11 Tf ${item.x} ${item.y} Td (${escapePdfText(item.text)}) Tj ET`;
+        });
+        const stream = operations.join('\n');
+
+        objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 3 0 R >> >> /Contents ${contentId} 0 R >>`;
+        objects[contentId] = `<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`;
+    });
+
+    objects[2] = `<< /Type /Pages /Kids [${kids.join(' ')}] /Count ${pageCount} >>`;
+
+    return writePDF(objects);
+}
+
+/**
+ * Build a scanned PDF: each page is one JPEG image of its lines, with no text layer
+ * @param {string[][]} pages - Lines per page
+ * @returns {Buffer}
+ */
+function buildScannedPDF(pages) {
+    const { createCanvas } = require('@napi-rs/canvas');
+    // Letter size at 150 dpi
+    const width = 1275;
+    const height = 1650;
+
+    const objects = [];
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+
+    const kids = [];
+    pages.forEach((lines, index) => {
+        const pageId = 3 + index * 3;
+        const contentId = pageId + 1;
+        const imageId = pageId + 2;
+        kids.push(`${pageId} 0 R`);
+
+        const canvas = createCanvas(width, height);
+        const context = canvas.getContext('2d');
+        context.fillStyle = '#ffffff';
+        context.fillRect(0, 0, width, height);
+        context.fillStyle = '#000000';
+        context.font = '30px sans-serif';
+        lines.forEach((line, lineIndex) => context.fillText(line, 150, 200 + lineIndex * 48));
+        const jpeg = canvas.toBuffer('image/jpeg');
+
+        const stream = 'q 612 0 0 792 0 0 cm /Im1 Do Q';
+        objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /XObject << /Im1 ${imageId} 0 R >> >> /Contents ${contentId} 0 R >>`;
+        objects[contentId] = `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`;
+        objects[imageId] = Buffer.concat([
+            Buffer.from(`<< /Type /XObject /Subtype /Image /Width ${width} /Height ${height} /ColorSpace /DeviceRGB ` +
+                `/BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.length} >>\nstream\n`, 'latin1'),
+            jpeg,
+            Buffer.from('\nendstream', 'latin1')
+        ]);
+    });
+
+    objects[2] = `<< /Type /Pages /Kids [${kids.join(' ')}] /Count ${pages.length} >>`;
+
+    return writePDF(objects);
+}
+
+/**
+ * Encode a multipart/form-data body with file fields and optional text fields
+ * @param {Array<{field: string, filename: string, contentType: string, data: Buffer}>} files
+ * @param {Object<string, string>} [fields] - Text fields, e.g. { state: 'CA' }
+ * @returns {{body: Buffer, contentType: string}}
+ */
+function buildMultipart(files, fields = {}) {
+    const boundary = '----fi-test-boundary';
+    const parts = [];
+
+    for (const [name, value] of Object.entries(fields)) {
+        parts.push(Buffer.from(
+            `--${boundary}\r\n` +
+            `Content-Disposition: form-data; name="${name}"\r\n\r\n` +
+            `${value}\r\n`
+        ));
+    }
+
+    for (const file of files) {
+        parts.push(Buffer.from(
+            `--${boundary}\r\n` +
+            `Content-Disposition: form-data; name="${file.field}"; filename="${file.filename}"\r\n` +
+            `Content-Type: ${file.contentType}\r\n\r\n`
+        ));
+        parts.push(file.data);
+        parts.push(Buffer.from('\r\n'));
+    }
+    parts.push(Buffer.from(`--${boundary}--\r\n`));
+
+    return {
+        body: Buffer.concat(parts),
+        contentType: `multipart/form-data; boundary=${boundary}`
+    };
+}
+
+module.exports = {
+    buildPDF,
+    buildScannedPDF,
+    buildMultipart
+};
@@ -0,0 +1,46 @@
+/**
+ * Test Helper - Stub AI Provider
+ * Points the AI client at the deterministic stub model for one describe block,
+ * then puts the environment back the way it was
+ */
+
+const { before, after } = require('node:test');
+const { resetAIClient } = require('../../services/ai-provider');
+
+function setEnv(name, value) {
+    if (value === undefined) {
+        delete process.env[name];
+    } else {
+        process.env[name] = value;
+    }
+}
+
+/**
+ * Use the stub provider, with no cassette, in the enclosing describe block.
+ * Registers before/after hooks, so call it inside describe().
+ * @param {Object<string, string|undefined>} [env] - More variables the block sets or
+ *   changes (undefined unsets one); their previous values are restored afterwards too
+ */
+function useStubAI(env = {}) {
+    const overrides = { AI_PROVIDER: 'stub', AI_CASSETTE: undefined, ...env };
+    const saved = {};
+
+    before(() => {
+        for (const [name, value] of Object.entries(overrides)) {
+            saved[name] = process.env[name];
+            setEnv(name, value);
+        }
+        resetAIClient();
+    });
+
+    after(() => {
+        for (const [name, value] of Object.entries(saved)) {
+            setEnv(name, value);
+        }
+        resetAIClient();
+    });
+}
+
+module.exports = {
+    useStubAI
+};
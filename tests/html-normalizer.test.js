@@ -0,0 +1,126 @@
+/**
+ * Unit Tests - HTML Structure Normalizer
+ * Tests structural repairs of sanitized long-description HTML
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { normalizeHTML } = require('../services/html-normalizer');
+const { sanitizeHTML } = require('../services/sanitizer');
+const { getStandardDisclaimer } = require('../services/compliance');
+
+const DISCLAIMER = getStandardDisclaimer();
+
+describe('normalizeHTML', () => {
+    it('should leave well-formed HTML unchanged', () => {
+        const html = '<p>Protect your tires.</p>\n<p><strong>Key Benefits:</strong></p>\n<ul>\n<li>Covers punctures</li>\n</ul>\n' + DISCLAIMER;
+        const result = normalizeHTML(html);
+
+        assert.strictEqual(result.html, html);
+        assert.deepStrictEqual(result.changes, []);
+    });
+
+    it('should lift a header out of a list', () => {
+        const result = normalizeHTML('<ul><strong>Key Benefits:</strong><li>Covers punctures</li><li>Covers blowouts</li></ul>');
+
+        assert.strictEqual(result.html, '<p><strong>Key Benefits:</strong></p>\n<ul><li>Covers punctures</li><li>Covers blowouts</li></ul>');
+        assert.deepStrictEqual(result.changes, ['Lifted header "Key Benefits:" out of a list']);
+    });
+
+    it('should split a list around header items ending in a colon', () => {
+        const result = normalizeHTML('<ul><li><strong>Covered:</strong></li><li>Tires</li><li>Not covered:</li><li>Wear</li></ul>');
+
+        assert.strictEqual(
+            result.html,
+            '<p><strong>Covered:</strong></p>\n<ul><li>Tires</li></ul>\n<p><strong>Not covered:</strong></p>\n<ul><li>Wear</li></ul>'
+        );
+    });
+
+    it('should keep bold list items that are not headers', () => {
+        const html = '<ul><li><strong>Tire repair</strong></li><li>Wheel repair</li></ul>';
+        assert.deepStrictEqual(normalizeHTML(html), { html, changes: [] });
+    });
+
+    it('should wrap bare text in <p> and stray items in <ul>', () => {
+        const result = normalizeHTML('Covers tire damage.<li>Punctures</li><li>Blowouts</li>');
+
+        assert.strictEqual(result.html, '<p>Covers tire damage.</p>\n<ul><li>Punctures</li><li>Blowouts</li></ul>');
+        assert.deepStrictEqual(result.changes, ['Wrapped bare text in <p>', 'Wrapped list items in <ul>']);
+    });
+
+    it('should merge adjacent lists', () => {
+        const result = normalizeHTML('<ul><li>Punctures</li></ul>\n<ul><li>Blowouts</li></ul>');
+
+        assert.strictEqual(result.html, '<ul><li>Punctures</li><li>Blowouts</li></ul>');
+        assert.deepStrictEqual(result.changes, ['Merged adjacent lists']);
+    });
+
+    it('should flatten a list nested directly in a list', () => {
+        const result = normalizeHTML('<ul><li>Punctures</li><ul><li>Blowouts</li></ul></ul>');
+        assert.strictEqual(result.html, '<ul><li>Punctures</li><li>Blowouts</li></ul>');
+    });
+
+    it('should remove code fences', () => {
+        const result = normalizeHTML(sanitizeHTML('```html\n<p>Covers tire damage.</p>\n```'));
+
+        assert.strictEqual(result.html, '<p>Covers tire damage.</p>');
+        assert.deepStrictEqual(result.changes, ['Removed code fence']);
+    });
+
+    it('should convert markdown to HTML', () => {
+        const result = normalizeHTML('Covers tire damage.\n\n## Key Benefits\n- Covers **punctures**\n- Covers blowouts');
+
+        assert.strictEqual(
+            result.html,
+            '<p>Covers tire damage.</p>\n<p><strong>Key Benefits</strong></p>\n<ul><li>Covers <strong>punctures</strong></li><li>Covers blowouts</li></ul>'
+        );
+        assert.deepStrictEqual(result.changes, [
+            'Wrapped bare text in <p>',
+            'Converted markdown heading to a header <p>',
+            'Converted markdown list to <ul>',
+            'Converted markdown bold to <strong>'
+        ]);
+    });
+
+    it('should move the disclaimer to the end', () => {
+        const result = normalizeHTML(`${DISCLAIMER}\n<p>Covers tire damage.</p>`);
+
+        assert.strictEqual(result.html, `<p>Covers tire damage.</p>\n${DISCLAIMER}`);
+        assert.deepStrictEqual(result.changes, ['Moved the disclaimer to the end']);
+    });
+
+    it('should recognize the appended disclaimer by its text without the formatting', () => {
+        const result = normalizeHTML('<p>This coverage has limitations and exclusions. Please review the full contract terms ' +
+            'for complete details on covered components, service requirements, and exclusions.</p>\n<p>Covers tire damage.</p>');
+
+        assert.ok(result.html.startsWith('<p>Covers tire damage.</p>'));
+        assert.deepStrictEqual(result.changes, ['Moved the disclaimer to the end']);
+    });
+
+    it('should leave description text that mentions limitations in place', () => {
+        const html = '<p>Protect your engine. Coverage for wear items has limitations.</p>\n' +
+            '<p><strong>Key Benefits</strong></p>\n<ul>\n<li>Covers the engine</li>\n</ul>';
+        const result = normalizeHTML(html);
+
+        assert.strictEqual(result.html, html);
+        assert.deepStrictEqual(result.changes, []);
+    });
+
+    it('should keep its output sanitized and stable', () => {
+        const inputs = [
+            '<ul><strong>Key Benefits:</strong><li>A &amp; B</li></ul>',
+            '**Plan** covers <em>tires</em>.\n* One\n* Two',
+            `${DISCLAIMER}<li>Item</li>text`
+        ];
+        for (const input of inputs) {
+            const { html } = normalizeHTML(sanitizeHTML(input));
+            assert.strictEqual(sanitizeHTML(html), html, input);
+            assert.deepStrictEqual(normalizeHTML(html).changes, [], input);
+        }
+    });
+
+    it('should handle empty input', () => {
+        assert.deepStrictEqual(normalizeHTML(''), { html: '', changes: [] });
+        assert.deepStrictEqual(normalizeHTML(null), { html: '', changes: [] });
+    });
+});
@@ -0,0 +1,112 @@
+/**
+ * Unit Tests - OCR Fallback
+ * Tests text recovery from scanned PDFs with the bundled Tesseract engine (no network)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { recognizePDF, getOCRConfig, getRenderScale, MAX_PAGE_PIXELS } = require('../services/ocr');
+const { extractFromPDF, extractFromDocuments, calculateConfidence, analyzeText } = require('../services/pdf-extractor');
+const { buildScannedPDF } = require('./helpers/pdf');
+const { useStubAI } = require('./helpers/stub-ai');
+
+const LINES = [
+    'Tire & Wheel Protection Plan',
+    'This protection covers your tires and wheels against',
+    'damage from road hazards such as potholes and nails.',
+    'Coverage includes tire repair and wheel replacement.'
+];
+
+describe('recognizePDF', () => {
+    it('should read the text of a scanned page', async () => {
+        const result = await recognizePDF(buildScannedPDF([LINES]));
+
+        assert.strictEqual(result.pageCount, 1);
+        assert.ok(result.text.includes('Tire & Wheel Protection Plan'), result.text);
+        assert.ok(result.text.includes('potholes and nails'), result.text);
+        assert.ok(result.confidence > 0.8, `confidence ${result.confidence}`);
+    });
+
+    it('should stop after maxPages', async () => {
+        const result = await recognizePDF(buildScannedPDF([LINES, ['Page two']]), { maxPages: 1 });
+
+        assert.strictEqual(result.pageCount, 2);
+        assert.strictEqual(result.pages.length, 1);
+    });
+});
+
+describe('getOCRConfig', () => {
+    it('should read OCR_ENABLED and OCR_MAX_PAGES', () => {
+        assert.deepStrictEqual(getOCRConfig({}), { enabled: true, maxPages: 10, maxRequestPages: 20, concurrency: 1 });
+        assert.deepStrictEqual(
+            getOCRConfig({ OCR_ENABLED: 'false', OCR_MAX_PAGES: '3', OCR_MAX_REQUEST_PAGES: '6', OCR_CONCURRENCY: '2' }),
+            { enabled: false, maxPages: 3, maxRequestPages: 6, concurrency: 2 }
+        );
+        assert.strictEqual(getOCRConfig({ OCR_MAX_PAGES: 'lots' }).maxPages, 10);
+        assert.strictEqual(getOCRConfig({ OCR_CONCURRENCY: '64' }).concurrency, 4);
+    });
+});
+
+describe('getRenderScale', () => {
+    it('should render normal pages at 144 dpi', () => {
+        assert.strictEqual(getRenderScale(612, 792), 2);
+    });
+
+    it('should scale huge pages down to the pixel budget', () => {
+        // A 200 x 200 inch page would be 829 million pixels at 144 dpi
+        const scale = getRenderScale(14400, 14400);
+        assert.ok(scale < 2);
+        assert.ok(14400 * scale * 14400 * scale <= MAX_PAGE_PIXELS + 1);
+    });
+});
+
+describe('extractFromPDF with scanned PDFs', () => {
+    // OCR_ENABLED is switched off by one test below
+    useStubAI({ OCR_ENABLED: undefined });
+
+    it('should fall back to OCR and flag it', async () => {
+        const result = await extractFromPDF(buildScannedPDF([LINES]));
+
+        assert.strictEqual(result.success, true);
+        assert.strictEqual(result.ocrUsed, true);
+        assert.strictEqual(result.sections.productType, 'Tire & Wheel Protection');
+        assert.ok(result.shortDescription.length > 0);
+    });
+
+    it('should cap the pages read with OCR per request', async () => {
+        process.env.OCR_MAX_REQUEST_PAGES = '1';
+        try {
+            const result = await extractFromDocuments([
+                { buffer: buildScannedPDF([LINES]), name: 'brochure.pdf' },
+                { buffer: buildScannedPDF([LINES]), name: 'contract.pdf' }
+            ]);
+
+            assert.strictEqual(result.success, false);
+            assert.match(result.error, /^contract\.pdf: Too many scanned pages in one request: at most 1 are read/);
+        } finally {
+            delete process.env.OCR_MAX_REQUEST_PAGES;
+        }
+    });
+
+    it('should report image-only PDFs as before when OCR is disabled', async () => {
+        process.env.OCR_ENABLED = 'false';
+        const result = await extractFromPDF(buildScannedPDF([LINES]));
+
+        assert.strictEqual(result.success, false);
+        assert.match(result.error, /may be image-based/);
+    });
+});
+
+describe('calculateConfidence with OCR', () => {
+    const text = LINES.join('\n');
+    const analysis = analyzeText(text);
+
+    it('should trust recognized text less than a text layer', () => {
+        const textLayer = calculateConfidence(text, analysis).score;
+        const goodScan = calculateConfidence(text, analysis, { ocrConfidence: 0.95 }).score;
+        const poorScan = calculateConfidence(text, analysis, { ocrConfidence: 0.5 }).score;
+
+        assert.ok(goodScan < textLayer);
+        assert.ok(poorScan < goodScan);
+    });
+});
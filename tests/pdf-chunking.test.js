@@ -0,0 +1,85 @@
+/**
+ * Unit Tests - Long Document Generation
+ * Tests page-aware chunking and map-reduce generation for PDFs over 8,000 characters
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { extractFromPDF, chunkPages, mergeNotes } = require('../services/pdf-extractor');
+const { buildPDF } = require('./helpers/pdf');
+const { useStubAI } = require('./helpers/stub-ai');
+
+// A page of contract boilerplate with nothing for the notes (about 3,000 characters)
+function fillerPage(section) {
+    return Array.from({ length: 40 }, (_, line) =>
+        `Section ${section}.${line + 1} definitions and general provisions apply as written.`);
+}
+
+describe('chunkPages', () => {
+    it('should keep whole pages together and head each with its page number', () => {
+        const chunks = chunkPages(['a'.repeat(40), 'b'.repeat(40), 'c'.repeat(40)], 120);
+
+        assert.deepStrictEqual(chunks.map(chunk => chunk.pages), [[1, 2], [3]]);
+        assert.strictEqual(chunks[0].text, `[Page 1]\n${'a'.repeat(40)}\n\n[Page 2]\n${'b'.repeat(40)}`);
+    });
+
+    it('should split a page longer than a chunk at line breaks', () => {
+        const page = Array.from({ length: 6 }, (_, index) => `Line ${index} ${'x'.repeat(30)}`).join('\n');
+        const chunks = chunkPages(['', page], 100);
+
+        assert.ok(chunks.length > 1);
+        assert.ok(chunks.every(chunk => chunk.text.length <= 100));
+        assert.ok(chunks.every(chunk => chunk.text.startsWith('[Page 2]\n')));
+        assert.ok(chunks.every(chunk => chunk.pages.length === 1 && chunk.pages[0] === 2));
+    });
+});
+
+describe('mergeNotes', () => {
+    it('should drop repeated notes and report the pages that contributed', () => {
+        const empty = { productName: null, coverage: [], benefits: [], limitations: [], exclusions: [], terms: [] };
+        const merged = mergeNotes([
+            { pages: [1, 2], notes: { ...empty, productName: 'Gold Plan', coverage: ['Covers the engine.'] } },
+            { pages: [3], notes: { ...empty, coverage: ['covers the engine'] } },
+            { pages: [4, 5], notes: { ...empty, exclusions: ['Racing damage is not covered.'] } }
+        ]);
+
+        assert.strictEqual(merged.productName, 'Gold Plan');
+        assert.deepStrictEqual(merged.sections.coverage, ['Covers the engine.']);
+        assert.deepStrictEqual(merged.sections.exclusions, ['Racing damage is not covered.']);
+        assert.deepStrictEqual(merged.pages, [1, 2, 4, 5]);
+    });
+});
+
+describe('extractFromPDF with long documents', () => {
+    useStubAI();
+
+    it('should read exclusions from the end of a long contract', async () => {
+        const result = await extractFromPDF(buildPDF([
+            [
+                'Powertrain Service Contract',
+                'This contract covers repairs to the engine and transmission.',
+                ...fillerPage(1).slice(2)
+            ],
+            fillerPage(2),
+            fillerPage(3),
+            [...fillerPage(4).slice(1), 'Damage caused by racing or off-road use is not covered.']
+        ]));
+
+        assert.strictEqual(result.success, true);
+        assert.ok(result.rawTextLength > 8000, `document is ${result.rawTextLength} characters`);
+        assert.strictEqual(result.chunkCount, 2);
+        assert.deepStrictEqual(result.sourcePages, [1, 2, 3, 4]);
+        assert.ok(result.longDescription.includes('<li>This contract covers repairs to the engine and transmission.</li>'));
+        assert.ok(result.longDescription.includes('<li>Damage caused by racing or off-road use is not covered.</li>'));
+    });
+
+    it('should report every page for documents read in one pass', async () => {
+        const result = await extractFromPDF(buildPDF([
+            ['Tire & Wheel Protection Plan', 'This protection covers your tires and wheels against road hazards.'],
+            ['Coverage includes tire repair and wheel replacement.']
+        ]));
+
+        assert.strictEqual(result.chunkCount, 1);
+        assert.deepStrictEqual(result.sourcePages, [1, 2]);
+    });
+});
@@ -0,0 +1,114 @@
+/**
+ * Unit Tests - Product Type Classification
+ * Tests scoring product types by title, headings and mentions, bundles and caller overrides
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { classifyProduct } = require('../services/product-classifier');
+const { analyzeText } = require('../services/pdf-extractor');
+
+const SERVICE_CONTRACT = [
+    'Powertrain Plus Service Contract',
+    'WHAT IS COVERED',
+    'This service contract pays for repairs after a mechanical breakdown of covered powertrain parts.',
+    'Engine, transmission and drive axle components are covered.',
+    'EXCLUSIONS',
+    'Damage to tires, wheels and glass is not covered.',
+    'Wear items such as brake pads are excluded.'
+].join('\n');
+
+describe('classifyProduct', () => {
+    it('should not classify a contract by the products it excludes', () => {
+        const result = classifyProduct(SERVICE_CONTRACT);
+
+        assert.strictEqual(result.productType, 'Vehicle Service Contract');
+        assert.deepStrictEqual(result.productTypes, ['Vehicle Service Contract']);
+        assert.deepStrictEqual(result.candidates.map(candidate => candidate.type),
+            ['Vehicle Service Contract', 'Tire & Wheel Protection']);
+        assert.ok(result.candidates[0].score > 0.9);
+    });
+
+    it('should match keywords as whole words', () => {
+        const result = classifyProduct([
+            'Interior Protection Plan',
+            'Key Benefits',
+            'Covers stains on upholstery, the dashboard and the keyboard tray.'
+        ].join('\n'));
+
+        assert.deepStrictEqual(result.candidates.map(candidate => candidate.type), ['Interior Protection']);
+    });
+
+    it('should report bundles named in the title', () => {
+        const result = classifyProduct([
+            'Tire & Wheel + Key Replacement Package',
+            'Tire and Wheel',
+            'Repairs or replaces tires and wheels damaged by road hazards.',
+            'Key Replacement',
+            'Replaces lost or stolen keys and key fobs.'
+        ].join('\n'));
+
+        assert.strictEqual(result.productType, 'Tire & Wheel Protection + Key Replacement');
+        assert.deepStrictEqual(result.productTypes, ['Tire & Wheel Protection', 'Key Replacement']);
+    });
+
+    it('should not bundle a type only mentioned in passing', () => {
+        const result = classifyProduct([
+            'Prepaid Maintenance with Tire Rotations',
+            'Maintenance Schedule',
+            'Includes oil changes every 5,000 miles.',
+            'Scheduled maintenance is performed at any participating dealer.',
+            'Maintenance records are kept for resale.'
+        ].join('\n'));
+
+        assert.deepStrictEqual(result.productTypes, ['Prepaid Maintenance']);
+        assert.strictEqual(result.candidates[1].type, 'Tire & Wheel Protection');
+    });
+
+    it('should rank candidates with scores that sum to one', () => {
+        const { candidates } = classifyProduct('GAP Coverage\nCovers the loan balance after a total loss or theft.');
+        const total = candidates.reduce((sum, candidate) => sum + candidate.score, 0);
+
+        assert.deepStrictEqual(candidates.map(candidate => candidate.type), ['GAP Coverage', 'Theft Protection']);
+        assert.ok(Math.abs(total - 1) < 0.02);
+    });
+
+    it('should keep each candidate\'s share of all evidence when more types are mentioned', () => {
+        const { candidates } = classifyProduct([
+            'Tire & Wheel Protection',
+            'Covers tires and wheels. Also mentions paint, dents, windshields, keys and theft.'
+        ].join('\n'));
+        const total = candidates.reduce((sum, candidate) => sum + candidate.score, 0);
+
+        assert.strictEqual(candidates.length, 5);
+        assert.strictEqual(candidates[0].type, 'Tire & Wheel Protection');
+        assert.ok(total < 1, `Scores of the top 5 of 6 types sum to ${total}`);
+    });
+
+    it('should use the caller\'s product type but still rank candidates', () => {
+        const result = classifyProduct(SERVICE_CONTRACT, { productType: 'Extended Warranty + Paint Protection' });
+
+        assert.strictEqual(result.productType, 'Extended Warranty + Paint Protection');
+        assert.deepStrictEqual(result.productTypes, ['Extended Warranty', 'Paint Protection']);
+        assert.strictEqual(result.candidates[0].type, 'Vehicle Service Contract');
+    });
+
+    it('should find no type in text about none', () => {
+        assert.deepStrictEqual(classifyProduct('Terms and conditions apply.'),
+            { productType: null, productTypes: [], candidates: [] });
+    });
+});
+
+describe('analyzeText product type', () => {
+    it('should report the classification in the sections', () => {
+        const sections = analyzeText(SERVICE_CONTRACT);
+
+        assert.strictEqual(sections.productType, 'Vehicle Service Contract');
+        assert.deepStrictEqual(sections.productTypes, ['Vehicle Service Contract']);
+        assert.strictEqual(sections.productTypeCandidates[0].type, 'Vehicle Service Contract');
+    });
+
+    it('should accept a product type override', () => {
+        assert.strictEqual(analyzeText(SERVICE_CONTRACT, { productType: 'GAP Coverage' }).productType, 'GAP Coverage');
+    });
+});
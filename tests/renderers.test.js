@@ -0,0 +1,114 @@
+/**
+ * Unit Tests - Output Renderers
+ * Tests plain text, Markdown and dealer menu rendering of long descriptions
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const {
+    renderOutputs,
+    renderPlainText,
+    renderMarkdown,
+    renderMenuDocument
+} = require('../services/renderers');
+
+const DISCLAIMER = '<p><em style="font-size: smaller">This coverage has limitations and exclusions. Review the contract.</em></p>';
+
+const HTML = [
+    '<p>Protect your <strong>tires</strong> &amp; wheels.</p>',
+    '<p><strong>Key Benefits:</strong></p>',
+    '<ul><li>Covers punctures</li><li>Covers *bent* rims</li></ul>',
+    DISCLAIMER
+].join('\n');
+
+describe('renderPlainText', () => {
+    it('should render paragraphs, headers and bullet glyphs', () => {
+        assert.strictEqual(renderPlainText(HTML), [
+            'Protect your tires & wheels.',
+            'Key Benefits:',
+            '• Covers punctures\n• Covers *bent* rims',
+            'This coverage has limitations and exclusions. Review the contract.'
+        ].join('\n\n'));
+    });
+
+    it('should keep line breaks and indent them under a bullet', () => {
+        assert.strictEqual(renderPlainText('<ul><li>Line one<br>line two</li></ul>'), '• Line one\n  line two');
+    });
+
+    it('should return an empty string for empty input', () => {
+        assert.strictEqual(renderPlainText(''), '');
+    });
+});
+
+describe('renderMarkdown', () => {
+    it('should render headings, bullets, emphasis and an italic disclaimer', () => {
+        assert.strictEqual(renderMarkdown(HTML), [
+            'Protect your **tires** & wheels.',
+            '### Key Benefits',
+            '- Covers punctures\n- Covers \\*bent\\* rims',
+            '*This coverage has limitations and exclusions. Review the contract.*'
+        ].join('\n\n'));
+    });
+
+    it('should keep whitespace outside emphasis markers', () => {
+        assert.strictEqual(renderMarkdown('<p>Covers<strong> tires </strong>too</p>'), 'Covers **tires** too');
+    });
+});
+
+describe('renderMenuDocument', () => {
+    it('should split the description into overview, sections and disclaimer', () => {
+        assert.deepStrictEqual(renderMenuDocument(HTML), {
+            overview: 'Protect your tires & wheels.',
+            sections: [
+                { heading: 'Key Benefits', paragraphs: [], bullets: ['Covers punctures', 'Covers *bent* rims'] }
+            ],
+            disclaimer: 'This coverage has limitations and exclusions. Review the contract.'
+        });
+    });
+
+    it('should put a list with no header in an untitled section', () => {
+        const menu = renderMenuDocument('<ul><li>Covers punctures</li></ul><p>Terms apply at the dealer.</p>');
+
+        assert.deepStrictEqual(menu.sections, [
+            { heading: null, paragraphs: ['Terms apply at the dealer.'], bullets: ['Covers punctures'] }
+        ]);
+        assert.strictEqual(menu.overview, '');
+        assert.strictEqual(menu.disclaimer, '');
+    });
+
+    it('should treat state disclosures after the disclaimer as disclaimer', () => {
+        const menu = renderMenuDocument(`<p>Overview.</p>${DISCLAIMER}<p><em style="font-size: smaller">GAP is optional.</em></p>`);
+
+        assert.strictEqual(
+            menu.disclaimer,
+            'This coverage has limitations and exclusions. Review the contract.\n\nGAP is optional.'
+        );
+    });
+
+    it('should keep description text that mentions limitations out of the disclaimer', () => {
+        const menu = renderMenuDocument([
+            '<p>Protect your engine. Coverage for wear items has limitations.</p>',
+            '<p><strong>Key Benefits:</strong></p>',
+            '<ul><li>Covers the engine</li></ul>',
+            '<p>Ask your dealer for details.</p>',
+            DISCLAIMER
+        ].join('\n'));
+
+        assert.deepStrictEqual(menu, {
+            overview: 'Protect your engine. Coverage for wear items has limitations.',
+            sections: [
+                { heading: 'Key Benefits', paragraphs: ['Ask your dealer for details.'], bullets: ['Covers the engine'] }
+            ],
+            disclaimer: 'This coverage has limitations and exclusions. Review the contract.'
+        });
+    });
+});
+
+describe('renderOutputs', () => {
+    it('should render only the requested formats', () => {
+        const outputs = renderOutputs(HTML, ['markdown', 'menu']);
+
+        assert.deepStrictEqual(Object.keys(outputs), ['markdown', 'menu']);
+        assert.strictEqual(outputs.markdown, renderMarkdown(HTML));
+    });
+});
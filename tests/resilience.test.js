@@ -0,0 +1,271 @@
+/**
+ * Unit Tests - Resilience
+ * Tests for AI call timeouts, retries and the circuit breaker
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const {
+    getResiliencePolicy,
+    createAIError,
+    withTimeout,
+    withIdleTimeout,
+    withRetry,
+    createCircuitBreaker,
+    describeAIError,
+    DEFAULT_POLICY
+} = require('../services/resilience');
+const { createAIClient, getAIConfig } = require('../services/ai-provider');
+const { buildPrompt } = require('../services/prompts');
+
+// Tiny delays keep the tests fast
+const FAST_POLICY = { ...DEFAULT_POLICY, timeoutMs: 50, retryBaseMs: 1, retryMaxMs: 2 };
+
+const SHORT_REQUEST = buildPrompt('enhance-short', { text: 'x', bannedTerms: [], tags: ['p'] });
+
+function statusError(status) {
+    const error = new Error(`status ${status}`);
+    error.status = status;
+    return error;
+}
+
+describe('getResiliencePolicy', () => {
+    it('should use defaults without configuration', () => {
+        assert.deepStrictEqual(getResiliencePolicy({}), DEFAULT_POLICY);
+    });
+
+    it('should read numeric settings and ignore invalid ones', () => {
+        const policy = getResiliencePolicy({ AI_TIMEOUT_MS: '1000', AI_MAX_RETRIES: '0', AI_CIRCUIT_THRESHOLD: 'abc' });
+        assert.strictEqual(policy.timeoutMs, 1000);
+        assert.strictEqual(policy.maxRetries, 0);
+        assert.strictEqual(policy.circuitThreshold, DEFAULT_POLICY.circuitThreshold);
+    });
+});
+
+describe('withTimeout', () => {
+    it('should abort slow operations', async () => {
+        let aborted = false;
+        await assert.rejects(
+            withTimeout(signal => new Promise(() => {
+                signal.addEventListener('abort', () => { aborted = true; });
+            }), 10),
+            error => error.code === 'AI_TIMEOUT'
+        );
+        assert.ok(aborted, 'Should abort the underlying request');
+    });
+
+    it('should return results that arrive in time', async () => {
+        assert.strictEqual(await withTimeout(async () => 'done', 50), 'done');
+    });
+});
+
+describe('withIdleTimeout', () => {
+    async function collect(chunks) {
+        const output = [];
+        for await (const chunk of chunks) output.push(chunk);
+        return output;
+    }
+
+    it('should pass through streams that keep producing', async () => {
+        async function* slowButSteady() {
+            for (const chunk of ['a', 'b', 'c']) {
+                await new Promise(resolve => setTimeout(resolve, 10));
+                yield chunk;
+            }
+        }
+
+        // Longer in total than the idle timeout, but never idle for that long
+        assert.deepStrictEqual(await collect(withIdleTimeout(slowButSteady(), 25)), ['a', 'b', 'c']);
+    });
+
+    it('should abort streams that stall part-way', async () => {
+        const controller = new AbortController();
+        async function* stalls() {
+            yield 'first';
+            await new Promise(() => {});
+        }
+
+        const output = [];
+        await assert.rejects(
+            (async () => {
+                for await (const chunk of withIdleTimeout(stalls(), 20, controller)) output.push(chunk);
+            })(),
+            error => error.code === 'AI_TIMEOUT' && /no output for 20ms/.test(error.message)
+        );
+        assert.deepStrictEqual(output, ['first']);
+        assert.ok(controller.signal.aborted, 'Should abort the underlying request');
+    });
+});
+
+describe('withRetry', () => {
+    it('should retry rate limits and server errors', async () => {
+        let calls = 0;
+        const result = await withRetry(async () => {
+            calls++;
+            if (calls === 1) throw statusError(429);
+            if (calls === 2) throw statusError(503);
+            return 'ok';
+        }, FAST_POLICY);
+
+        assert.strictEqual(result, 'ok');
+        assert.strictEqual(calls, 3);
+    });
+
+    it('should not retry client errors', async () => {
+        let calls = 0;
+        await assert.rejects(withRetry(async () => {
+            calls++;
+            throw statusError(400);
+        }, FAST_POLICY));
+        assert.strictEqual(calls, 1);
+    });
+
+    it('should give up after the configured retries', async () => {
+        let calls = 0;
+        await assert.rejects(withRetry(async () => {
+            calls++;
+            throw statusError(500);
+        }, { ...FAST_POLICY, maxRetries: 2 }));
+        assert.strictEqual(calls, 3);
+    });
+});
+
+describe('createCircuitBreaker', () => {
+    const policy = { ...FAST_POLICY, circuitThreshold: 2, circuitCooldownMs: 1000 };
+    const fail = async () => { throw statusError(500); };
+
+    it('should open after repeated failures and fail fast', async () => {
+        let time = 0;
+        const breaker = createCircuitBreaker('test', policy, () => time);
+
+        await assert.rejects(breaker.run(fail));
+        await assert.rejects(breaker.run(fail));
+        assert.strictEqual(breaker.state, 'open');
+
+        let called = false;
+        await assert.rejects(
+            breaker.run(async () => { called = true; }),
+            error => error.code === 'AI_CIRCUIT_OPEN'
+        );
+        assert.strictEqual(called, false);
+    });
+
+    it('should close again after a successful trial call', async () => {
+        let time = 0;
+        const breaker = createCircuitBreaker('test', policy, () => time);
+        await assert.rejects(breaker.run(fail));
+        await assert.rejects(breaker.run(fail));
+
+        time = 1000;
+        assert.strictEqual(await breaker.run(async () => 'ok'), 'ok');
+        assert.strictEqual(breaker.state, 'closed');
+    });
+
+    it('should re-open when the trial call fails', async () => {
+        let time = 0;
+        const breaker = createCircuitBreaker('test', policy, () => time);
+        await assert.rejects(breaker.run(fail));
+        await assert.rejects(breaker.run(fail));
+
+        time = 1000;
+        await assert.rejects(breaker.run(fail));
+        assert.strictEqual(breaker.state, 'open');
+    });
+
+    it('should not count client errors against the backend', async () => {
+        const breaker = createCircuitBreaker('test', policy);
+        for (let i = 0; i < 3; i++) {
+            await assert.rejects(breaker.run(async () => { throw statusError(400); }));
+        }
+        assert.strictEqual(breaker.state, 'closed');
+    });
+});
+
+describe('describeAIError', () => {
+    it('should give readable reasons', () => {
+        assert.strictEqual(describeAIError(statusError(429)), 'AI service rate limit reached');
+        assert.strictEqual(describeAIError(statusError(502)), 'AI service returned status 502');
+        assert.strictEqual(describeAIError(createAIError('timed out', 'AI_TIMEOUT')), 'timed out');
+    });
+});
+
+describe('AI client policy', () => {
+    it('should time out a hanging provider', async () => {
+        const client = createAIClient({
+            ...getAIConfig({ AI_PROVIDER: 'worker', CLOUDFLARE_WORKER_URL: 'https://w.example' }),
+            policy: FAST_POLICY
+        });
+
+        const originalFetch = global.fetch;
+        global.fetch = (url, options) => new Promise((_, reject) => {
+            options.signal.addEventListener('abort', () => reject(new Error('aborted')));
+        });
+
+        try {
+            await assert.rejects(
+                client.complete(SHORT_REQUEST),
+                error => error.code === 'AI_TIMEOUT'
+            );
+        } finally {
+            global.fetch = originalFetch;
+        }
+    });
+
+    it('should abort a worker stream that stops sending', async () => {
+        const client = createAIClient({
+            ...getAIConfig({ AI_PROVIDER: 'worker', CLOUDFLARE_WORKER_URL: 'https://w.example' }),
+            policy: { ...FAST_POLICY, streamIdleMs: 30 }
+        });
+
+        const originalFetch = global.fetch;
+        let requestSignal;
+        global.fetch = async (url, options) => {
+            requestSignal = options.signal;
+            // One chunk, then nothing: the connection stays open
+            const body = new ReadableStream({
+                start(controller) {
+                    controller.enqueue(new TextEncoder().encode('data: {"content":"Covers"}\n\n'));
+                }
+            });
+            return new Response(body, { headers: { 'Content-Type': 'text/event-stream' } });
+        };
+
+        try {
+            const output = [];
+            await assert.rejects(
+                (async () => {
+                    for await (const chunk of client.stream(SHORT_REQUEST)) output.push(chunk);
+                })(),
+                error => error.code === 'AI_TIMEOUT'
+            );
+            assert.deepStrictEqual(output, ['Covers']);
+            assert.ok(requestSignal.aborted, 'Should abort the worker request');
+        } finally {
+            global.fetch = originalFetch;
+        }
+    });
+
+    it('should retry a failing worker and then succeed', async () => {
+        const client = createAIClient({
+            ...getAIConfig({ AI_PROVIDER: 'worker', CLOUDFLARE_WORKER_URL: 'https://w.example' }),
+            policy: FAST_POLICY
+        });
+
+        let calls = 0;
+        const originalFetch = global.fetch;
+        global.fetch = async () => {
+            calls++;
+            return calls === 1
+                ? new Response('busy', { status: 503 })
+                : Response.json({ content: 'Recovered.' });
+        };
+
+        try {
+            assert.strictEqual(await client.complete(SHORT_REQUEST), 'Recovered.');
+            assert.strictEqual(calls, 2);
+            assert.strictEqual(client.circuitState, 'closed');
+        } finally {
+            global.fetch = originalFetch;
+        }
+    });
+});
@@ -5,7 +5,17 @@
 
 const { describe, it } = require('node:test');
 const assert = require('node:assert');
-const { sanitizeHTML, validateHTML, ALLOWED_TAGS } = require('../services/sanitizer');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { sanitizeHTML, validateHTML, tokenizeHTML, parseHTML, ALLOWED_TAGS } = require('../services/sanitizer');
+const {
+    getSanitizerProfile,
+    listSanitizerProfiles,
+    reloadSanitizerProfiles,
+    validateProfiles,
+    formatAllowedTags
+} = require('../services/sanitizer-profiles');
 
 describe('sanitizeHTML', () => {
 
@@ -183,6 +193,162 @@ describe('sanitizeHTML', () => {
     });
 });
 
+describe('HTML parsing', () => {
+    it('should read ">" inside a quoted attribute as part of the value', () => {
+        assert.strictEqual(sanitizeHTML('<p title="a>b" onclick="x()">Text</p>'), '<p>Text</p>');
+    });
+
+    it('should close unbalanced tags', () => {
+        assert.strictEqual(sanitizeHTML('<p>One<p>Two'), '<p>One</p><p>Two</p>');
+        assert.strictEqual(sanitizeHTML('<ul><li>A<li>B</ul>'), '<ul><li>A</li><li>B</li></ul>');
+        assert.strictEqual(sanitizeHTML('<strong><em>Both</strong> after</em>'), '<strong><em>Both</em></strong> after');
+    });
+
+    it('should ignore stray end tags', () => {
+        assert.strictEqual(sanitizeHTML('</p>Text</li></ul>'), 'Text');
+    });
+
+    it('should drop comments, including markup inside them', () => {
+        assert.strictEqual(sanitizeHTML('<p>a<!-- <script>alert(1)</script> -->b</p>'), '<p>ab</p>');
+        assert.strictEqual(sanitizeHTML('<p>a<!-->b</p>'), '<p>ab</p>');
+    });
+
+    it('should drop CDATA sections', () => {
+        assert.strictEqual(sanitizeHTML('<p>a<![CDATA[<script>alert(1)</script>]]>b</p>'), '<p>ab</p>');
+    });
+
+    it('should read script content as text, not markup', () => {
+        assert.strictEqual(sanitizeHTML('<script><p>x</p></script><p>After</p>'), '<p>After</p>');
+        assert.strictEqual(sanitizeHTML('<p>Before</p><script>never closed <p>x</p>'), '<p>Before</p>');
+    });
+
+    it('should decode entities before checking styles', () => {
+        const result = sanitizeHTML('<span style="font-size: 1px; background: url(javascript&#58;alert(1))">x</span>');
+        assert.strictEqual(result, '<span style="font-size: 1px">x</span>');
+    });
+
+    it('should reject styles hidden with CSS comments', () => {
+        assert.strictEqual(sanitizeHTML('<p style="font-size: expr/**/ession(alert(1))">x</p>'), '<p>x</p>');
+    });
+
+    it('should keep prose that mentions "data:" or "javascript:"', () => {
+        const input = '<p>Your data: name and VIN. javascript: is not needed.</p>';
+        assert.strictEqual(sanitizeHTML(input), input);
+    });
+
+    it('should escape text so it cannot become markup', () => {
+        assert.strictEqual(sanitizeHTML('Tire & Wheel <3'), 'Tire &amp; Wheel &lt;3');
+        assert.strictEqual(sanitizeHTML('<p>&lt;script&gt;alert(1)&lt;/script&gt;</p>'), '<p>&lt;script&gt;alert(1)&lt;/script&gt;</p>');
+    });
+
+    it('should drop a tag cut off at the end of the input', () => {
+        assert.strictEqual(sanitizeHTML('<p>Text</p><img src="x" onerror="alert(1)'), '<p>Text</p>');
+    });
+
+    it('should cap nesting depth', () => {
+        const deep = '<em>'.repeat(5000) + 'Deep' + '</em>'.repeat(5000);
+        const result = sanitizeHTML(deep);
+        assert.ok(result.includes('Deep'));
+        assert.ok((result.match(/<em>/g) || []).length <= 100);
+    });
+
+    it('should read tags with huge numbers of attributes in linear time', () => {
+        const attributes = Array.from({ length: 50000 }, (_, index) => `a${index}=1`).join(' ');
+        const started = Date.now();
+        const [tag] = tokenizeHTML(`<p ${attributes} a0=2 style="font-size: smaller">Text</p>`);
+
+        assert.ok(Date.now() - started < 2000, 'A 50k-attribute tag is read quickly');
+        assert.strictEqual(tag.attributes.length, 64, 'Attributes past the cap are dropped');
+        assert.deepStrictEqual(tag.attributes[0], { name: 'a0', value: '1' }, 'The first of a repeated name wins');
+    });
+
+    it('should build a tree from the tokens', () => {
+        assert.deepStrictEqual(tokenizeHTML('<p class=x>Hi &amp; bye</p>'), [
+            { type: 'startTag', name: 'p', attributes: [{ name: 'class', value: 'x' }], selfClosing: false },
+            { type: 'text', value: 'Hi & bye' },
+            { type: 'endTag', name: 'p' }
+        ]);
+        assert.strictEqual(parseHTML('<ul><li>A<li>B</ul>').children[0].children.length, 2);
+    });
+});
+
+describe('sanitizeHTML properties', () => {
+    // Fragments mixing allowed markup, known XSS vectors and malformed HTML
+    const FRAGMENTS = [
+        '<p>', '</p>', '<strong>', '</strong>', '<em>', '</em>', '<ul>', '</ul>', '<li>', '</li>',
+        '<br>', '<br/>', '<span style="font-size: smaller">', '</span>', 'Covers tires. ', 'Text ', ' data: ',
+        '<script>alert(1)</script>', '<script>', '</script>', '<SCRIPT SRC=//evil.example>',
+        '<img src=x onerror=alert(1)>', '<svg onload=alert(1)>', '<iframe src="javascript:alert(1)">',
+        '<a href="javascript:alert(1)">', '<a href="jav&#x09;ascript:alert(1)">', '</a>', '<div>', '</div>',
+        '<style>', '</style>', '<!--', '-->', '<![CDATA[', ']]>', '<!DOCTYPE html>', '<?xml ?>',
+        '<p style="background:url(javascript:alert(1))">', '<span style="font-size: expression(alert(1))">',
+        '<p onclick="alert(1)">', '<p title="a>b" onmouseover=alert(1)>', '<p style=font-size:12px;color:red>',
+        '"', "'", '<', '>', '&', '&lt;script&gt;', '&#60;img src=x onerror=alert(1)&#62;', 'javascript&#58;alert(1)',
+        '<math><mi xlink:href="javascript:alert(1)">', '<noscript><p title="</noscript><img src=x onerror=alert(1)>">',
+        '<textarea>', '</textarea>', '<title>', '<xmp>', '<plaintext>', '<p', '</', '<<p>>', '<scr<script>ipt>',
+        '<em style="font-style:italic" onfocus=alert(1) autofocus>', '<object data="javascript:alert(1)">'
+    ];
+
+    // Small seeded PRNG so failures reproduce
+    function createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6d2b79f5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    const random = createRandom(20240611);
+    const samples = Array.from({ length: 1000 }, () => {
+        const count = 1 + Math.floor(random() * 30);
+        return Array.from({ length: count }, () => FRAGMENTS[Math.floor(random() * FRAGMENTS.length)]).join('');
+    });
+
+    const TAG = /<[^>]*>/g;
+    const SAFE_TAG = /^<\/?(p|strong|em|ul|li|br|span)( style="font-(size|style): [a-z0-9.%\s-]+(; font-(size|style): [a-z0-9.%\s-]+)?")?>$/i;
+
+    function check(property) {
+        for (const input of samples) {
+            const output = sanitizeHTML(input);
+            assert.ok(property(output, input), `Failed for input: ${JSON.stringify(input)}\noutput: ${JSON.stringify(output)}`);
+        }
+    }
+
+    it('should only emit whitelisted tags with sanitized styles', () => {
+        check(output => (output.match(TAG) || []).every(tag => SAFE_TAG.test(tag)));
+    });
+
+    it('should never leave "<" or ">" outside a tag', () => {
+        check(output => !/[<>]/.test(output.replace(TAG, '')));
+    });
+
+    it('should emit balanced tags', () => {
+        check(output => {
+            const open = [];
+            for (const [, slash, name] of output.matchAll(/<(\/?)([a-z]+)[^>]*>/g)) {
+                if (name === 'br') continue;
+                if (!slash) {
+                    open.push(name);
+                } else if (open.pop() !== name) {
+                    return false;
+                }
+            }
+            return open.length === 0;
+        });
+    });
+
+    it('should be idempotent', () => {
+        check(output => sanitizeHTML(output) === output);
+    });
+
+    it('should produce output that validates clean', () => {
+        check(output => validateHTML(output).valid && tokenizeHTML(output).every(token => token.type !== 'comment'));
+    });
+});
+
 describe('validateHTML', () => {
     it('should validate clean HTML as valid', () => {
         const result = validateHTML('<p>Clean text</p>');
@@ -208,3 +374,90 @@ describe('validateHTML', () => {
         assert.ok(result.issues.some(i => i.includes('event handler')));
     });
 });
+
+describe('Sanitizer profiles', () => {
+    const html = '<p>Intro</p><h3>Benefits</h3><ol><li>One</li><li><strong>Two</strong></li></ol>';
+
+    it('should use the PRD whitelist by default', () => {
+        assert.strictEqual(sanitizeHTML(html), sanitizeHTML(html, 'default'));
+        assert.deepStrictEqual(validateHTML(html).issues, ['Disallowed tag: <h3>', 'Disallowed tag: <ol>']);
+        assert.strictEqual(formatAllowedTags(), '<p>, <strong>, <em>, <ul>, <li>, <br>');
+    });
+
+    it('should keep the tags a profile allows', () => {
+        assert.strictEqual(sanitizeHTML(html, 'tablet-menu'), html);
+        assert.deepStrictEqual(validateHTML(html, 'tablet-menu').issues, []);
+    });
+
+    it('should keep list items on their own lines when a profile has no lists', () => {
+        assert.strictEqual(
+            sanitizeHTML(html, 'legacy-dms'),
+            '<p>Intro</p><p>Benefits</p><p>• One<br>• Two</p>'
+        );
+        assert.ok(validateHTML(html, 'legacy-dms').issues.includes('Disallowed tag: <strong>'));
+    });
+
+    it('should turn a numbered list into a bulleted one when only <ul> is allowed', () => {
+        assert.strictEqual(
+            sanitizeHTML(html),
+            '<p>Intro</p><p><strong>Benefits</strong></p><ul><li>One</li><li><strong>Two</strong></li></ul>'
+        );
+    });
+
+    it('should read items as a profile with no lists would when their list is dropped', () => {
+        const profile = { tags: ['p', 'li', 'br'] };
+        assert.strictEqual(sanitizeHTML('<ol><li>One</li><li>Two</li></ol>', profile), '<p>• One<br>• Two</p>');
+    });
+
+    it('should keep the text of dropped blocks and cells apart', () => {
+        assert.strictEqual(sanitizeHTML('<td>a</td><td>b</td>'), 'a b');
+        assert.strictEqual(
+            sanitizeHTML('<table><tr><th>Part</th><th>Limit</th></tr><tr><td>Tire</td><td>$500</td></tr></table>'),
+            '<p>Part Limit</p><p>Tire $500</p>'
+        );
+        assert.strictEqual(sanitizeHTML('<div>One</div><div>Two</div>'), '<p>One</p><p>Two</p>');
+        assert.strictEqual(sanitizeHTML('<h3>Head</h3><p>Text</p>', 'legacy-dms'), '<p>Head</p><p>Text</p>');
+    });
+
+    it('should limit style properties to the profile', () => {
+        const styled = '<p><em style="font-size: smaller">Disclaimer</em></p>';
+        assert.strictEqual(sanitizeHTML(styled, { tags: ['p', 'em'], styleProperties: [] }), '<p><em>Disclaimer</em></p>');
+    });
+
+    it('should reject an unknown profile name', () => {
+        assert.strictEqual(getSanitizerProfile('nope'), null);
+        assert.throws(() => sanitizeHTML('<p>x</p>', 'nope'), /Unknown sanitizer profile "nope"/);
+    });
+
+    it('should load custom profiles from SANITIZER_PROFILES', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fi-profiles-'));
+        const file = path.join(dir, 'profiles.yaml');
+        fs.writeFileSync(file, 'profiles:\n  sms:\n    tags: [p]\n');
+        process.env.SANITIZER_PROFILES = file;
+        reloadSanitizerProfiles();
+
+        try {
+            assert.deepStrictEqual(listSanitizerProfiles(), ['default', 'sms']);
+            assert.strictEqual(sanitizeHTML('<p><strong>Hi</strong></p>', 'sms'), '<p>Hi</p>');
+        } finally {
+            delete process.env.SANITIZER_PROFILES;
+            reloadSanitizerProfiles();
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it('should only let profiles allow tags the sanitizer emits safely', () => {
+        assert.throws(
+            () => validateProfiles({ profiles: { bad: { tags: ['p', 'a'] } } }, 'test'),
+            /Invalid sanitizer profiles in test: profile "bad" allows <a>/
+        );
+        assert.throws(
+            () => validateProfiles({ profiles: { bad: { tags: ['p'], styleProperties: ['background'] } } }, 'test'),
+            /allows style "background"/
+        );
+        assert.throws(
+            () => validateProfiles({ profiles: { default: { tags: ['p'] } } }, 'test'),
+            /built in/
+        );
+    });
+});
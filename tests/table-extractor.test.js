@@ -0,0 +1,129 @@
+/**
+ * Unit Tests - Table Extraction
+ * Tests rate sheets and coverage matrices rebuilt from PDF text positions
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { readPage, coveredComponents } = require('../services/table-extractor');
+const { extractFromPDF } = require('../services/pdf-extractor');
+const { buildPDF } = require('./helpers/pdf');
+const { useStubAI } = require('./helpers/stub-ai');
+
+/**
+ * A pdf.js text item at x/y in 11pt Helvetica (about 5.5pt per character)
+ */
+function item(str, x, y) {
+    return { str, width: str.length * 5.5, height: 11, transform: [11, 0, 0, 11, x, y] };
+}
+
+/**
+ * Text items for a table row, one cell per column position
+ */
+function row(y, cells, columns = [72, 220, 340]) {
+    return cells.map((text, index) => ({ text, x: columns[index], y })).filter(cell => cell.text);
+}
+
+const RATE_ROWS = [
+    ...row(690, ['Term', 'Mileage', 'Price']),
+    ...row(674, ['36 months', '36,000 miles', '$1,295']),
+    ...row(658, ['48 months', '60,000 miles', '$1,595'])
+];
+
+const COVERAGE_ROWS = [
+    ...row(600, ['Component', 'Silver', 'Gold']),
+    ...row(584, ['Engine', 'Yes', 'Yes']),
+    ...row(568, ['Transmission', 'No', 'Yes']),
+    ...row(552, ['Air conditioning', '', 'Yes'])
+];
+
+function textContent(cells) {
+    return { items: cells.map(cell => item(cell.text, cell.x, cell.y)) };
+}
+
+describe('readPage', () => {
+    it('should rebuild a rate sheet as rows and columns', () => {
+        const { tables } = readPage(textContent(RATE_ROWS), 2);
+
+        assert.deepStrictEqual(tables, [{
+            page: 2,
+            kind: 'rates',
+            columns: ['Term', 'Mileage', 'Price'],
+            rows: [
+                ['36 months', '36,000 miles', '$1,295'],
+                ['48 months', '60,000 miles', '$1,595']
+            ]
+        }]);
+    });
+
+    it('should write table rows into the page text as sentences', () => {
+        const { text } = readPage(textContent([
+            { text: 'Rates', x: 72, y: 720 },
+            ...RATE_ROWS,
+            ...COVERAGE_ROWS
+        ]), 1);
+
+        assert.strictEqual(text, [
+            'Rates',
+            'Term: 36 months; Mileage: 36,000 miles; Price: $1,295.',
+            'Term: 48 months; Mileage: 60,000 miles; Price: $1,595.',
+            'Engine: Silver covered, Gold covered.',
+            'Transmission: Silver not covered, Gold covered.',
+            'Air conditioning: Silver not covered, Gold covered.'
+        ].join('\n'));
+    });
+
+    it('should read a coverage matrix with blank cells', () => {
+        const [table] = readPage(textContent(COVERAGE_ROWS), 1).tables;
+
+        assert.strictEqual(table.kind, 'coverage');
+        assert.deepStrictEqual(table.rows[2], ['Air conditioning', '', 'Yes']);
+        assert.deepStrictEqual(coveredComponents(table), ['Engine', 'Transmission', 'Air conditioning']);
+    });
+
+    it('should join words drawn separately within a cell', () => {
+        const { tables } = readPage({
+            items: [
+                ...RATE_ROWS.map(cell => item(cell.text, cell.x, cell.y)),
+                item('60', 72, 642), item('months', 86, 642), item('75,000 miles', 220, 642), item('$1,895', 340, 642)
+            ]
+        }, 1);
+
+        assert.deepStrictEqual(tables[0].rows[2], ['60 months', '75,000 miles', '$1,895']);
+    });
+
+    it('should leave prose and two-column layouts alone', () => {
+        const { text, tables } = readPage(textContent([
+            { text: 'This protection covers your tires and wheels against road hazards.', x: 72, y: 740 },
+            { text: 'Coverage begins on the contract purchase date and runs for the term.', x: 72, y: 724 },
+            { text: 'The left column of a brochure carries a long paragraph of text here', x: 72, y: 690 },
+            { text: 'while the right column carries another long paragraph of text.', x: 320, y: 690 },
+            { text: 'and it continues on the next line with more words than a table cell', x: 72, y: 674 },
+            { text: 'and so does this one, with even more words than any cell would hold.', x: 320, y: 674 },
+            { text: 'before finishing on a third line that is also much too long for one', x: 72, y: 658 },
+            { text: 'cell, so the layout must not be read as a table of three rows.', x: 320, y: 658 }
+        ]), 1);
+
+        assert.deepStrictEqual(tables, []);
+        assert.ok(text.startsWith('This protection covers your tires and wheels against road hazards.\n'));
+    });
+});
+
+describe('extractFromPDF with tables', () => {
+    useStubAI();
+
+    it('should return tables and read covered components from the coverage table', async () => {
+        const result = await extractFromPDF(buildPDF([[
+            { text: 'Powertrain Plus Service Contract', x: 72, y: 740 },
+            { text: 'This service contract pays for repairs to the parts listed below.', x: 72, y: 724 },
+            ...RATE_ROWS,
+            ...COVERAGE_ROWS
+        ]]));
+
+        assert.strictEqual(result.success, true);
+        assert.deepStrictEqual(result.tables.map(table => table.kind), ['rates', 'coverage']);
+        assert.deepStrictEqual(result.sections.coverage.slice(0, 3), ['Engine', 'Transmission', 'Air conditioning']);
+        assert.deepStrictEqual(result.extractedTerms.termMonths.value, [36, 48]);
+        assert.deepStrictEqual(result.factualWarnings, []);
+    });
+});
@@ -0,0 +1,124 @@
+/**
+ * Unit Tests - Product Terms Extraction
+ * Tests structured contract terms read from document pages, with confidence and source page
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { extractTerms } = require('../services/terms-extractor');
+
+const CONTRACT_PAGE = [
+    'Platinum Vehicle Service Contract',
+    'Provider: Acme Warranty Company, Inc.',
+    'This plan is administered by National Auto Services LLC. Claims are paid',
+    'directly to the repair facility.',
+    'Deductible: $100 per visit',
+    'Coverage lasts up to 60 months or 100,000 miles, whichever comes first.',
+    'Towing up to 50 miles per occurrence.',
+    'Repairs are limited to $5,000 per claim. Total claims over the life of the',
+    'contract may not exceed $25,000.'
+].join('\n');
+
+const RATE_PAGE = [
+    'Rates',
+    '36 months / 36,000 miles $1,295',
+    '48 months / 60,000 miles $1,595',
+    '60 months / Unlimited miles $2,195'
+].join('\n');
+
+const TERMS_PAGE = [
+    'Cancellation: You may cancel at any time. Full refund within 30 days; after that',
+    'a pro-rata refund less a $50 cancellation fee.',
+    'This contract is transferable to a subsequent private owner for a $40 transfer fee.',
+    'Eligibility: Vehicles up to 10 model years old with less than 125,000 miles on the odometer.',
+    'The transfer case is covered.'
+].join('\n');
+
+describe('extractTerms', () => {
+    const terms = extractTerms([CONTRACT_PAGE, RATE_PAGE, TERMS_PAGE]);
+
+    it('should read the provider and administrator', () => {
+        assert.deepStrictEqual(terms.provider, {
+            value: 'Acme Warranty Company, Inc.',
+            confidence: 0.9,
+            page: 1,
+            source: 'Provider: Acme Warranty Company, Inc.'
+        });
+        assert.strictEqual(terms.administrator.value, 'National Auto Services LLC');
+        assert.ok(terms.administrator.confidence < terms.provider.confidence, 'Sentence matches are trusted less than labels');
+    });
+
+    it('should collect term lengths and mileage limits, ignoring towing distances', () => {
+        assert.deepStrictEqual(terms.termMonths.value, [36, 48, 60]);
+        assert.deepStrictEqual(terms.mileageLimits.value, [36000, 60000, 100000]);
+        assert.strictEqual(terms.mileageLimits.page, 1);
+    });
+
+    it('should read the deductible and claim limits', () => {
+        assert.strictEqual(terms.deductible.value, 100);
+        assert.strictEqual(terms.deductible.source, 'Deductible: $100 per visit');
+        assert.strictEqual(terms.perClaimLimit.value, 5000);
+        assert.strictEqual(terms.aggregateLimit.value, 25000);
+    });
+
+    it('should read price tiers from a rate table', () => {
+        assert.deepStrictEqual(terms.priceTiers.value, [
+            { name: null, termMonths: 36, mileage: 36000, price: 1295, page: 2 },
+            { name: null, termMonths: 48, mileage: 60000, price: 1595, page: 2 },
+            { name: null, termMonths: 60, mileage: null, price: 2195, page: 2 }
+        ]);
+    });
+
+    it('should read cancellation, transferability and eligibility terms', () => {
+        assert.deepStrictEqual(terms.cancellation.value, {
+            cancellable: true,
+            refund: 'pro-rata',
+            fee: 50,
+            fullRefundDays: 30
+        });
+        assert.strictEqual(terms.cancellation.page, 3);
+        assert.deepStrictEqual(terms.transferability.value, { transferable: true, fee: 40 });
+        assert.deepStrictEqual(terms.eligibility.value, { maxVehicleAgeYears: 10, maxOdometerMiles: 125000 });
+    });
+});
+
+describe('extractTerms edge cases', () => {
+    it('should return null for terms the document does not state', () => {
+        const terms = extractTerms(['Tire & Wheel Protection covers damage from road hazards.']);
+
+        assert.strictEqual(terms.provider, null);
+        assert.strictEqual(terms.deductible, null);
+        assert.strictEqual(terms.priceTiers, null);
+        assert.strictEqual(terms.eligibility, null);
+    });
+
+    it('should read negative terms and named tiers', () => {
+        const terms = extractTerms([[
+            'This contract is not transferable and is non-cancellable after 60 days.',
+            'Gold Plan: $899',
+            'Silver Plan: $699',
+            'There is no deductible.',
+            'Vehicles must be 7 years old or newer.'
+        ].join('\n')]);
+
+        assert.deepStrictEqual(terms.transferability.value, { transferable: false, fee: null });
+        assert.strictEqual(terms.cancellation.value.cancellable, false);
+        assert.deepStrictEqual(terms.priceTiers.value.map(tier => [tier.name, tier.price]), [['Gold Plan', 899], ['Silver Plan', 699]]);
+        assert.strictEqual(terms.deductible.value, 0);
+        assert.strictEqual(terms.eligibility.value.maxVehicleAgeYears, 7);
+    });
+
+    it('should lower confidence and list conflicts when pages disagree', () => {
+        const terms = extractTerms(['Deductible: $100', 'Deductible: $250']);
+
+        assert.strictEqual(terms.deductible.value, 100);
+        assert.strictEqual(terms.deductible.confidence, 0.7);
+        assert.deepStrictEqual(terms.deductible.conflicts, [{ value: 250, page: 2 }]);
+    });
+
+    it('should scale confidence by OCR page confidence', () => {
+        const terms = extractTerms([{ text: 'Deductible: $100', confidence: 0.5 }]);
+
+        assert.strictEqual(terms.deductible.confidence, 0.45);
+    });
+});
@@ -4,8 +4,152 @@
  * This worker acts as a secure proxy to the OpenAI API.
  * It stores the API key as a secret and handles the enhancement logic,
  * allowing your frontend to be deployed safely.
+ *
+ * Set AI_PROVIDER = "stub" to answer from the deterministic fake model
+ * instead of OpenAI (local development and tests).
+ *
+ * /complete serves the Node server's "worker" AI provider only: it takes a
+ * task name and prompt parameters, builds the prompt itself (prompts.js),
+ * always uses AI_MODEL, and requires the WORKER_SECRET shared secret.
  */
 
+import { createFakeModel } from "../../services/fake-model.js";
+import { buildPrompt, validatePromptParams } from "../../services/prompts.js";
+import { formatBannedTerms } from "../../services/compliance-rules.js";
+import defaultRules from "../../rules/default.json" with { type: "json" };
+
+const fakeModel = createFakeModel();
+
+// Same banned-word list as the server, from the default compliance rule pack
+const BANNED_TERMS = formatBannedTerms(defaultRules);
+
+const DEFAULT_MODEL = "gpt-4o-mini";
+
+/**
+ * Run a chat completion against OpenAI, or the fake model in stub mode
+ */
+async function callModel({ task, input, messages, max_tokens, temperature, response_format }, env) {
+    if (env.AI_PROVIDER === "stub") {
+        return fakeModel.complete({ task, input, messages, json: Boolean(response_format) });
+    }
+
+    const response = await fetch("https://api.openai.com/v1/chat/completions", {
+        method: "POST",
+        headers: {
+            "Content-Type": "application/json",
+            "Authorization": `Bearer ${env.OPENAI_API_KEY}`
+        },
+        body: JSON.stringify({
+            model: env.AI_MODEL || DEFAULT_MODEL,
+            messages: messages,
+            ...(max_tokens ? { max_tokens } : {}),
+            ...(response_format ? { response_format } : {}),
+            temperature: temperature ?? 0.7
+        })
+    });
+
+    if (!response.ok) {
+        throw new Error(`OpenAI status: ${response.status}`);
+    }
+
+    const aiData = await response.json();
+    return aiData.choices[0].message.content;
+}
+
+/**
+ * Read the data payloads of a Server-Sent Events body
+ */
+async function* readEventStream(body) {
+    const reader = body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) return;
+        buffer += decoder.decode(value, { stream: true });
+
+        let boundary;
+        while ((boundary = buffer.indexOf("\n\n")) !== -1) {
+            const event = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+
+            const data = event.split("\n")
+                .filter(line => line.startsWith("data:"))
+                .map(line => line.slice(5).trimStart())
+                .join("\n");
+            if (data) yield data;
+        }
+    }
+}
+
+/**
+ * Stream a chat completion as text chunks, from OpenAI or the fake model in stub mode
+ */
+async function* streamModel({ task, input, messages, max_tokens, temperature }, env) {
+    if (env.AI_PROVIDER === "stub") {
+        yield* fakeModel.stream({ task, input, messages });
+        return;
+    }
+
+    const response = await fetch("https://api.openai.com/v1/chat/completions", {
+        method: "POST",
+        headers: {
+            "Content-Type": "application/json",
+            "Authorization": `Bearer ${env.OPENAI_API_KEY}`
+        },
+        body: JSON.stringify({
+            model: env.AI_MODEL || DEFAULT_MODEL,
+            messages: messages,
+            ...(max_tokens ? { max_tokens } : {}),
+            temperature: temperature ?? 0.7,
+            stream: true
+        })
+    });
+
+    if (!response.ok) {
+        throw new Error(`OpenAI status: ${response.status}`);
+    }
+
+    for await (const data of readEventStream(response.body)) {
+        if (data === "[DONE]") return;
+        const delta = JSON.parse(data).choices[0]?.delta?.content;
+        if (delta) yield delta;
+    }
+}
+
+/**
+ * True when the worker can answer AI requests
+ */
+function isModelConfigured(env) {
+    return env.AI_PROVIDER === "stub" || Boolean(env.OPENAI_API_KEY);
+}
+
+/**
+ * True when the request carries the shared secret as "Authorization: Bearer <secret>"
+ */
+function isAuthorized(request, env) {
+    const expected = `Bearer ${env.WORKER_SECRET}`;
+    const given = request.headers.get("Authorization") || "";
+
+    // Compare every character so the time taken doesn't reveal how much matched
+    let difference = given.length ^ expected.length;
+    for (let i = 0; i < expected.length; i++) {
+        difference |= expected.charCodeAt(i) ^ (given.charCodeAt(i) || 0);
+    }
+    return difference === 0;
+}
+
+/**
+ * JSON response for /complete. No CORS headers: only the Node server calls it.
+ */
+function completionResponse(body, status = 200) {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: { "Content-Type": "application/json" }
+    });
+}
+
 export default {
     async fetch(request, env, ctx) {
         // Handle CORS preflight
@@ -28,7 +172,23 @@ export default {
 
         const url = new URL(request.url);
 
-        // We handle /enhance and /generate endpoints
+        // We handle /enhance, /generate and /complete endpoints
+        if (url.pathname === "/complete") {
+            if (!env.WORKER_SECRET) {
+                return completionResponse({ error: "WORKER_SECRET not configured" }, 500);
+            }
+            if (!isAuthorized(request, env)) {
+                return completionResponse({ error: "Unauthorized" }, 401);
+            }
+
+            try {
+                const body = await request.json();
+                return await handleCompletion(body, env);
+            } catch (err) {
+                return completionResponse({ error: "Invalid JSON body" }, 400);
+            }
+        }
+
         if (url.pathname === "/enhance") {
             try {
                 const body = await request.json();
@@ -60,13 +220,85 @@ export default {
     },
 };
 
+/**
+ * Handle a completion request from the server's "worker" AI provider:
+ * { task, params, stream? }, where params are the prompts.js parameters for the task
+ */
+async function handleCompletion(data, env) {
+    const { task, params } = data || {};
+
+    if (!isModelConfigured(env)) {
+        return completionResponse({ error: "OPENAI_API_KEY not configured" }, 500);
+    }
+
+    const problem = validatePromptParams(task, params);
+    if (problem) {
+        return completionResponse({ error: problem }, 400);
+    }
+
+    const prompt = buildPrompt(task, params);
+    const request = {
+        task,
+        input: prompt.input,
+        messages: prompt.messages,
+        max_tokens: prompt.maxTokens,
+        temperature: prompt.temperature,
+        ...(prompt.json ? { response_format: { type: "json_object" } } : {})
+    };
+
+    if (data.stream) {
+        return streamCompletion(request, env);
+    }
+
+    try {
+        const content = await callModel(request, env);
+        return completionResponse({ content });
+    } catch (error) {
+        return completionResponse({ error: "AI completion failed" }, 500);
+    }
+}
+
+/**
+ * Stream a completion as Server-Sent Events:
+ * `data: {"content": "..."}` per chunk, then `data: [DONE]`.
+ * Failures after the stream has started are sent as `data: {"error": "..."}`.
+ */
+function streamCompletion(request, env) {
+    const encoder = new TextEncoder();
+    const { readable, writable } = new TransformStream();
+
+    const pump = async () => {
+        const writer = writable.getWriter();
+        const send = (payload) => writer.write(encoder.encode(`data: ${payload}\n\n`));
+
+        try {
+            for await (const content of streamModel(request, env)) {
+                await send(JSON.stringify({ content }));
+            }
+            await send("[DONE]");
+        } catch (error) {
+            await send(JSON.stringify({ error: "AI completion failed" }));
+        } finally {
+            await writer.close();
+        }
+    };
+    pump();
+
+    return new Response(readable, {
+        headers: {
+            "Content-Type": "text/event-stream",
+            "Cache-Control": "no-cache"
+        }
+    });
+}
+
 /**
  * Handle generation request (for PDF text)
  */
 async function handleGeneration(data, env) {
     const { rawText, productType } = data;
 
-    if (!env.OPENAI_API_KEY) {
+    if (!isModelConfigured(env)) {
         return new Response(JSON.stringify({ error: "OPENAI_API_KEY not configured" }), {
             status: 500,
             headers: { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" }
@@ -82,7 +314,8 @@ async function handleGeneration(data, env) {
                 content: `You are an expert F&I (Finance & Insurance) product description writer. You extract key information from product documents and create professional, compelling descriptions.
                 
                 RULES:
-                - NEVER use: "guarantee", "never", "always", "mandatory", "best", "ultimate"
+                - NEVER use: ${BANNED_TERMS}
+                - ONLY state facts found in the document. Do not add dollar amounts, mileage, terms, percentages or covered components it does not mention.
                 - SHORT description: Max 200 characters, plain text.
                 - LONG description: HTML formatted (<p>, <strong>, <ul>, <li>).
                 - CRITICAL: Place section headers (like <strong>Key Benefits</strong>) in <p> tags ABOVE <ul> lists. NEVER put headers inside <ul> tags. `
@@ -98,22 +331,14 @@ async function handleGeneration(data, env) {
             }
         ];
 
-        const response = await fetch("https://api.openai.com/v1/chat/completions", {
-            method: "POST",
-            headers: {
-                "Content-Type": "application/json",
-                "Authorization": `Bearer ${env.OPENAI_API_KEY}`
-            },
-            body: JSON.stringify({
-                model: "gpt-4o-mini",
-                messages: messages,
-                response_format: { type: "json_object" },
-                temperature: 0.7
-            })
-        });
-
-        const aiData = await response.json();
-        const result = JSON.parse(aiData.choices[0].message.content);
+        const content = await callModel({
+            task: "generate-from-document",
+            input: rawText,
+            messages: messages,
+            response_format: { type: "json_object" },
+            temperature: 0.7
+        }, env);
+        const result = JSON.parse(content);
 
         return new Response(JSON.stringify(result), {
             headers: { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" }
@@ -133,7 +358,7 @@ async function handleGeneration(data, env) {
 async function handleEnhancement(data, env) {
     const { shortDescription, longDescription } = data;
 
-    if (!env.OPENAI_API_KEY) {
+    if (!isModelConfigured(env)) {
         return new Response(JSON.stringify({ error: "OPENAI_API_KEY not configured on worker" }), {
             status: 500,
             headers: {
@@ -149,13 +374,13 @@ Your task is to enhance product descriptions to be professional, persuasive, and
 
 PERSUASION PRINCIPLES:
 1. BENEFIT-FIRST LANGUAGE: Lead with what the customer gains.
-2. SPECIFICITY & CREDIBILITY: Use concrete numbers/details.
+2. SPECIFICITY & CREDIBILITY: Keep concrete numbers/details from the original. Never add amounts, mileage, terms, percentages or covered components it does not mention.
 3. FUTURE-PACING: Help visualize positive outcomes.
 4. LOSS AVERSION: Frame as avoiding hassle/out-of-pocket expenses.
 5. ACTIVE VOICE: Use strong, direct verbs.
 
 RULES:
-- NEVER use: "guarantee", "never", "always", "mandatory", "best", "ultimate"
+- NEVER use: ${BANNED_TERMS}
 - Max 3 sentences for SHORT descriptions.
 - Use HTML for LONG descriptions: <p>, <strong>, <em>, <ul>, <li>.
 - CRITICAL: Place section headers (like <strong>Key Benefits</strong>) in <p> tags ABOVE <ul> lists. NEVER put headers inside <ul> tags.`;
@@ -193,22 +418,14 @@ RULES:
             }
         ];
 
-        const response = await fetch("https://api.openai.com/v1/chat/completions", {
-            method: "POST",
-            headers: {
-                "Content-Type": "application/json",
-                "Authorization": `Bearer ${env.OPENAI_API_KEY}`
-            },
-            body: JSON.stringify({
-                model: "gpt-4o-mini",
-                messages: messages,
-                response_format: { type: "json_object" },
-                temperature: 0.7
-            })
-        });
-
-        const aiData = await response.json();
-        const result = JSON.parse(aiData.choices[0].message.content);
+        const content = await callModel({
+            task: "enhance-descriptions",
+            input: JSON.stringify({ shortDescription: shortDescription || "", longDescription: longDescription || "" }),
+            messages: messages,
+            response_format: { type: "json_object" },
+            temperature: 0.7
+        }, env);
+        const result = JSON.parse(content);
 
         return new Response(JSON.stringify(result), {
             headers: {